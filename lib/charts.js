@@ -0,0 +1,68 @@
+var _ = require("underscore");
+
+var promises = require("./promises");
+var Html = require("./html");
+
+exports.table = table;
+exports.inline = inline;
+exports.tableRows = tableRows;
+
+
+// Converts a chart to a table of its values, with a column for each series and
+// a row for each category.
+function table(chart) {
+    var rows = tableRows(chart);
+
+    var headerRow = Html.freshElement("tr", {}, rows[0].map(function(name, index) {
+        return index === 0
+            ? Html.freshElement("td", {}, [Html.forceWrite])
+            : Html.freshElement("th", {scope: "col"}, [Html.text(name)]);
+    }));
+
+    var bodyRows = rows.slice(1).map(function(row) {
+        return Html.freshElement("tr", {}, row.map(function(value, index) {
+            return index === 0
+                ? Html.freshElement("th", {scope: "row"}, [Html.forceWrite, Html.text(value)])
+                : Html.freshElement("td", {}, [Html.forceWrite, Html.text(value)]);
+        }));
+    });
+
+    var caption = chart.title || chart.altText;
+    return [
+        Html.freshElement("table", {}, [
+            Html.freshElement("caption", {}, caption ? [Html.text(caption)] : []),
+            Html.freshElement("thead", {}, [headerRow]),
+            Html.freshElement("tbody", {}, bodyRows)
+        ])
+    ];
+}
+
+// Converts a chart using a function that returns a string of HTML, such as an
+// inline SVG element. The HTML is written as is, without escaping.
+function inline(func) {
+    return function(chart, messages) {
+        return promises.when(func(chart)).then(function(html) {
+            return [Html.raw(html)];
+        });
+    };
+}
+
+// Returns the values of a chart as rows of strings. The first row holds the
+// name of each series, and each following row holds a category and its values.
+function tableRows(chart) {
+    var rowCount = _.max([chart.categories.length].concat(chart.series.map(function(series) {
+        return series.values.length;
+    })));
+
+    var headerRow = [""].concat(chart.series.map(function(series, seriesIndex) {
+        return series.name || "Series " + (seriesIndex + 1);
+    }));
+
+    return [headerRow].concat(_.range(rowCount).map(function(rowIndex) {
+        var category = chart.categories[rowIndex];
+        return [category === undefined ? String(rowIndex + 1) : category].concat(chart.series.map(function(series) {
+            var value = series.values[rowIndex];
+            return value == null ? "" : String(value);
+        }));
+    }));
+}
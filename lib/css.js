@@ -0,0 +1,374 @@
+var _ = require("underscore");
+
+exports.paragraphDeclarations = paragraphDeclarations;
+exports.runDeclarations = runDeclarations;
+exports.tableDeclarations = tableDeclarations;
+exports.tableCellDeclarations = tableCellDeclarations;
+exports.columnDeclarations = columnDeclarations;
+exports.imageLayout = imageLayout;
+exports.styleClassName = styleClassName;
+exports.wordStylesCss = wordStylesCss;
+exports.declarationsToString = declarationsToString;
+exports.stylesheet = stylesheet;
+
+
+var textAlignments = {
+    "left": "left",
+    "start": "left",
+    "center": "center",
+    "right": "right",
+    "end": "right",
+    "both": "justify",
+    "distribute": "justify"
+};
+
+// Converts the layout properties of a paragraph into a list of CSS
+// declarations. Lengths in WordprocessingML are in twentieths of a point.
+function paragraphDeclarations(paragraph) {
+    var declarations = [];
+    var indent = paragraph.indent || {};
+    var spacing = paragraph.spacing || {};
+
+    var textAlign = textAlignments[paragraph.alignment];
+    if (textAlign) {
+        declarations.push(["text-align", textAlign]);
+    }
+
+    addTwipsDeclaration(declarations, "margin-left", firstDefined(indent.start, indent.left));
+    addTwipsDeclaration(declarations, "margin-right", firstDefined(indent.end, indent.right));
+    // When both are set, the hanging indent takes precedence over the first
+    // line indent.
+    if (isNumeric(indent.hanging)) {
+        declarations.push(["text-indent", formatPoints(-twipsToPoints(indent.hanging))]);
+    } else {
+        addTwipsDeclaration(declarations, "text-indent", indent.firstLine);
+    }
+
+    addTwipsDeclaration(declarations, "margin-top", spacing.before);
+    addTwipsDeclaration(declarations, "margin-bottom", spacing.after);
+    if (isNumeric(spacing.line)) {
+        // With the auto line rule, w:line is in 240ths of a line.
+        var lineHeight = !spacing.lineRule || spacing.lineRule === "auto"
+            ? formatNumber(parseFloat(spacing.line) / 240)
+            : formatPoints(twipsToPoints(spacing.line));
+        declarations.push(["line-height", lineHeight]);
+    }
+
+    return declarations;
+}
+
+// The colours used by Word for each highlight value. See 17.18.40
+// ST_HighlightColor of ECMA-376 4th edition Part 1.
+var highlightColors = {
+    "black": "#000000",
+    "blue": "#0000FF",
+    "cyan": "#00FFFF",
+    "green": "#00FF00",
+    "magenta": "#FF00FF",
+    "red": "#FF0000",
+    "yellow": "#FFFF00",
+    "white": "#FFFFFF",
+    "darkBlue": "#000080",
+    "darkCyan": "#008080",
+    "darkGreen": "#008000",
+    "darkMagenta": "#800080",
+    "darkRed": "#800000",
+    "darkYellow": "#808000",
+    "darkGray": "#808080",
+    "lightGray": "#C0C0C0"
+};
+
+// Converts the typography of a run into a list of CSS declarations. Only
+// properties set directly on the run are used, not those inherited from styles.
+function runDeclarations(run) {
+    var declarations = [];
+
+    if (run.font) {
+        declarations.push(["font-family", "'" + run.font.replace(/[\\']/g, "\\$&") + "'"]);
+    }
+    if (run.fontSize) {
+        declarations.push(["font-size", formatNumber(run.fontSize) + "pt"]);
+    }
+    var color = hexColor(run.color);
+    if (color) {
+        declarations.push(["color", color]);
+    }
+    // Highlighting is drawn over any shading, so takes precedence.
+    var backgroundColor = _.has(highlightColors, run.highlight)
+        ? highlightColors[run.highlight]
+        : hexColor(run.shading);
+    if (backgroundColor) {
+        declarations.push(["background-color", backgroundColor]);
+    }
+
+    return declarations;
+}
+
+function hexColor(value) {
+    return /^[0-9A-Fa-f]{6}$/.test(value || "") ? "#" + value.toUpperCase() : null;
+}
+
+var borderStyles = {
+    "single": "solid",
+    "thick": "solid",
+    "double": "double",
+    "triple": "double",
+    "dotted": "dotted",
+    "dashed": "dashed",
+    "dashSmallGap": "dashed",
+    "dotDash": "dashed",
+    "dotDotDash": "dashed",
+    "threeDEmboss": "ridge",
+    "threeDEngrave": "groove",
+    "inset": "inset",
+    "outset": "outset"
+};
+
+var borderSides = ["top", "right", "bottom", "left"];
+
+// The outer borders of a table are drawn on the table, with collapsed borders
+// so that they meet the borders of the cells.
+function tableDeclarations(table) {
+    var borders = table.effectiveBorders || {};
+    return [["border-collapse", "collapse"]].concat(_.compact(borderSides.map(function(side) {
+        return borderDeclaration(side, borders[side]);
+    })));
+}
+
+// Cells use their own borders, falling back to the inside borders of the
+// table for edges that aren't on the outside of the table.
+function tableCellDeclarations(table, cell, position) {
+    var tableBorders = table.effectiveBorders || {};
+    var cellBorders = cell.borders || {};
+    var insideBorders = {
+        top: position.isFirstRow ? null : tableBorders.insideH,
+        bottom: position.isLastRow ? null : tableBorders.insideH,
+        left: position.isFirstColumn ? null : tableBorders.insideV,
+        right: position.isLastColumn ? null : tableBorders.insideV
+    };
+    var declarations = _.compact(borderSides.map(function(side) {
+        return borderDeclaration(side, cellBorders[side] || insideBorders[side]);
+    }));
+    var backgroundColor = hexColor(cell.bgColor);
+    if (backgroundColor) {
+        declarations.push(["background-color", backgroundColor]);
+    }
+    return declarations;
+}
+
+function columnDeclarations(width) {
+    return width === null || width === undefined ? [] : [["width", formatPoints(twipsToPoints(width))]];
+}
+
+// Border widths are in eighths of a point. When the width is missing, the
+// default of a half point border is used.
+function borderDeclaration(side, border) {
+    if (!border) {
+        return null;
+    }
+    var style = _.has(borderStyles, border.style) ? borderStyles[border.style] : "solid";
+    var value = formatPoints((border.width || 4) / 8) + " " + style;
+    var color = hexColor(border.color);
+    return ["border-" + side, color ? value + " " + color : value];
+}
+
+// Describes how to display an image at its size in the document, with any
+// cropping, rotation and flipping applied. Cropped images are displayed in a
+// wrapper the size of the cropped image that hides the cropped edges. Crop
+// offsets are in thousandths of a percent.
+function imageLayout(image) {
+    var crop = image.isCropped && image.srcRect ? _.mapObject(image.srcRect, function(value) {
+        return Math.max(0, value || 0) / 100000;
+    }) : null;
+    var visibleWidth = crop ? 1 - crop.left - crop.right : 1;
+    var visibleHeight = crop ? 1 - crop.top - crop.bottom : 1;
+    if (visibleWidth <= 0 || visibleHeight <= 0) {
+        crop = null;
+    }
+    var hasSize = !!image.width && !!image.height;
+
+    var transforms = _.compact([
+        image.rotation ? "rotate(" + formatNumber(image.rotation) + "deg)" : null,
+        image.flipHorizontal ? "scaleX(-1)" : null,
+        image.flipVertical ? "scaleY(-1)" : null
+    ]);
+    var transformDeclarations = transforms.length > 0 ? [["transform", transforms.join(" ")]] : [];
+
+    if (crop && hasSize) {
+        var fullWidth = image.width / visibleWidth;
+        var fullHeight = image.height / visibleHeight;
+        return {
+            attributes: {width: String(Math.round(fullWidth)), height: String(Math.round(fullHeight))},
+            imageDeclarations: [
+                ["display", "block"],
+                ["max-width", "none"],
+                ["margin-left", formatPixels(-fullWidth * crop.left)],
+                ["margin-top", formatPixels(-fullHeight * crop.top)]
+            ],
+            wrapperDeclarations: [
+                ["display", "inline-block"],
+                ["overflow", "hidden"],
+                ["width", formatPixels(image.width)],
+                ["height", formatPixels(image.height)]
+            ].concat(transformDeclarations)
+        };
+    } else {
+        var cropDeclarations = crop ? [[
+            "clip-path",
+            "inset(" + [crop.top, crop.right, crop.bottom, crop.left].map(function(value) {
+                return formatNumber(value * 100) + "%";
+            }).join(" ") + ")"
+        ]] : [];
+        return {
+            attributes: hasSize ? {width: String(Math.round(image.width)), height: String(Math.round(image.height))} : {},
+            imageDeclarations: cropDeclarations.concat(transformDeclarations),
+            wrapperDeclarations: null
+        };
+    }
+}
+
+function formatPixels(value) {
+    return formatNumber(value) + "px";
+}
+
+var styleTypes = {
+    "paragraph": true,
+    "character": true,
+    "table": true
+};
+
+// Generates a CSS rule for each paragraph, character and table style, using
+// the properties read by the styles reader, which already include any
+// properties inherited through w:basedOn. Paragraph styles also include the
+// document defaults that they don't override.
+function wordStylesCss(customStyles, documentDefaults, classNamePrefix) {
+    var defaultDeclarations = documentDefaultDeclarations(documentDefaults || {});
+    return _.map(customStyles || {}, function(style, styleId) {
+        if (!_.has(styleTypes, style.type)) {
+            return "";
+        }
+        var declarations = styleDeclarations(style.properties || {});
+        if (style.type === "paragraph") {
+            declarations = mergeDeclarations(defaultDeclarations, declarations);
+        }
+        if (declarations.length === 0) {
+            return "";
+        }
+        var comment = style.name ? "/* " + style.name.replace(/\*\//g, "* /") + " */\n" : "";
+        return comment + "." + classNamePrefix + styleClassName(styleId) + " {" + declarationsToString(declarations) + "}\n";
+    }).join("");
+}
+
+function styleClassName(styleId) {
+    return "style-" + styleId.replace(/[^A-Za-z0-9_-]/g, "-");
+}
+
+function documentDefaultDeclarations(documentDefaults) {
+    var character = documentDefaults.character || {};
+    var fonts = character.font || {};
+    return paragraphDeclarations(documentDefaults.paragraph || {}).concat(runDeclarations({
+        font: character.primaryFont || fonts.ascii || fonts.hAnsi,
+        fontSize: character.fontSize
+    }));
+}
+
+function styleDeclarations(properties) {
+    var declarations = paragraphDeclarations(properties).concat(runDeclarations(properties));
+    if (properties.bold !== undefined) {
+        declarations.push(["font-weight", properties.bold ? "bold" : "normal"]);
+    }
+    if (properties.italic !== undefined) {
+        declarations.push(["font-style", properties.italic ? "italic" : "normal"]);
+    }
+    var textDecorations = _.compact([
+        properties.underline ? "underline" : null,
+        properties.strike ? "line-through" : null
+    ]);
+    if (textDecorations.length > 0) {
+        declarations.push(["text-decoration", textDecorations.join(" ")]);
+    } else if (properties.underline === false || properties.strike === false) {
+        declarations.push(["text-decoration", "none"]);
+    }
+    if (properties.isAllCaps) {
+        declarations.push(["text-transform", "uppercase"]);
+    }
+    if (properties.isSmallCaps) {
+        declarations.push(["font-variant", "small-caps"]);
+    }
+    if (properties.verticalAlignment === "superscript") {
+        declarations.push(["vertical-align", "super"]);
+    } else if (properties.verticalAlignment === "subscript") {
+        declarations.push(["vertical-align", "sub"]);
+    }
+    return declarations;
+}
+
+function mergeDeclarations(defaults, declarations) {
+    var properties = _.map(declarations, _.first);
+    return defaults.filter(function(declaration) {
+        return !_.contains(properties, declaration[0]);
+    }).concat(declarations);
+}
+
+function firstDefined(first, second) {
+    return first === undefined || first === null ? second : first;
+}
+
+function addTwipsDeclaration(declarations, property, value) {
+    if (isNumeric(value)) {
+        declarations.push([property, formatPoints(twipsToPoints(value))]);
+    }
+}
+
+function twipsToPoints(value) {
+    return parseFloat(value) / 20;
+}
+
+function formatPoints(value) {
+    return value === 0 ? "0" : formatNumber(value) + "pt";
+}
+
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function isNumeric(value) {
+    return value !== null && value !== undefined && !isNaN(parseFloat(value));
+}
+
+function declarationsToString(declarations) {
+    return declarations.map(function(declaration) {
+        return declaration[0] + ": " + declaration[1];
+    }).join("; ");
+}
+
+// Generates class names for lists of declarations, reusing the same class for
+// identical declarations.
+function stylesheet() {
+    var rules = [];
+    var classNamesByKey = {};
+    var counts = {};
+
+    function className(namePrefix, declarations) {
+        var body = declarationsToString(declarations);
+        var key = namePrefix + "{" + body + "}";
+        if (!_.has(classNamesByKey, key)) {
+            counts[namePrefix] = (counts[namePrefix] || 0) + 1;
+            var name = namePrefix + counts[namePrefix];
+            classNamesByKey[key] = name;
+            rules.push({className: name, body: body});
+        }
+        return classNamesByKey[key];
+    }
+
+    function toString() {
+        return rules.map(function(rule) {
+            return "." + rule.className + " {" + rule.body + "}\n";
+        }).join("");
+    }
+
+    return {
+        className: className,
+        toString: toString
+    };
+}
@@ -5,6 +5,10 @@ var documents = require("./documents");
 var htmlPaths = require("./styles/html-paths");
 var results = require("./results");
 var images = require("./images");
+var charts = require("./charts");
+var math = require("./math");
+var css = require("./css");
+var rawText = require("./raw-text");
 var Html = require("./html");
 var writers = require("./writers");
 
@@ -34,6 +38,21 @@ function DocumentConversion(options, comments) {
     options = _.extend({ignoreEmptyParagraphs: true}, options);
     var idPrefix = options.idPrefix === undefined ? "" : options.idPrefix;
     var ignoreEmptyParagraphs = options.ignoreEmptyParagraphs;
+    var numberingLabels = options.numberingLabels || "ignore";
+    var outputFormat = options.outputFormat;
+    var paragraphFormatting = options.paragraphFormatting || "ignore";
+    var runFormatting = options.runFormatting || "ignore";
+    var tableFormatting = options.tableFormatting || "ignore";
+    var tableStyleHeaders = options.tableStyleHeaders;
+    var imageFormatting = options.imageFormatting || "ignore";
+    var commentRanges = options.commentRanges || "ignore";
+    var ignoreResolvedComments = options.ignoreResolvedComments;
+    var headerFooterPlacement = options.headerFooterPlacement || "document";
+    var headerFooterTypes = options.headerFooterTypes || ["default", "first", "even"];
+    var headerFooterSections = options.headerFooterSections || "all";
+    var deduplicateHeaderFooters = options.deduplicateHeaderFooters;
+    var writtenHeaderFooterKeys = [];
+    var stylesheet = css.stylesheet();
 
     var defaultParagraphStyle = htmlPaths.topLevelElement("p");
 
@@ -43,6 +62,12 @@ function DocumentConversion(options, comments) {
         var messages = [];
 
         var html = elementToHtml(document, messages, {});
+        if (commentRanges === "mark") {
+            // The ranges in a document are marked separately in each part by
+            // the document converter, so this only marks the ranges when
+            // converting other elements.
+            html = markCommentRanges(html);
+        }
 
         var deferredNodes = [];
         walkHtml(html, function(node) {
@@ -73,10 +98,15 @@ function DocumentConversion(options, comments) {
             }
             var writer = writers.writer({
                 prettyPrint: options.prettyPrint,
-                outputFormat: options.outputFormat
+                outputFormat: outputFormat
             });
-            Html.write(writer, Html.simplify(replaceDeferred(html)));
-            return new results.Result(writer.asString(), messages);
+            Html.write(writer, writeListNumbering(Html.simplify(replaceDeferred(html))));
+            var result = new results.Result(writer.asString(), messages);
+            var styleCss = options.includeStyleCss
+                ? css.wordStylesCss(options.customStyles, options.documentDefaults, idPrefix)
+                : "";
+            result.css = styleCss + stylesheet.toString();
+            return result;
         });
     }
 
@@ -98,9 +128,106 @@ function DocumentConversion(options, comments) {
         }
     }
 
+    function convertSection(element, messages, options) {
+        return findHtmlPath(element, htmlPaths.empty).wrap(function() {
+            var children = convertElements(element.children, messages, options);
+            if (headerFooterPlacement === "section") {
+                return convertHeaderFooters(sectionHeaderFooters(element, element.headers), messages, options)
+                    .concat(children)
+                    .concat(convertHeaderFooters(sectionHeaderFooters(element, element.footers), messages, options));
+            } else {
+                return children;
+            }
+        });
+    }
+
+    // A section only uses its first page header and footer if it has a
+    // distinct title page. See 17.10.6 titlePg (Different First Page Headers
+    // and Footers) of ECMA-376 4th edition Part 1.
+    function sectionHeaderFooters(section, headerFootersByType) {
+        if (headerFooterSections === "first" && section.sectionIndex !== 0) {
+            return [];
+        }
+        return headerFooterTypes.filter(function(type) {
+            return type !== "first" || section.isTitlePage;
+        }).map(function(type) {
+            return headerFootersByType[type];
+        }).filter(function(headerFooter) {
+            return !!headerFooter;
+        });
+    }
+
+    function documentHeaderFooters(headerFooters) {
+        return headerFooters.filter(function(headerFooter) {
+            return _.contains(headerFooterTypes, headerFooterType(headerFooter)) &&
+                (headerFooterSections !== "first" || headerFooter.sectionIndex === 0);
+        });
+    }
+
+    function convertHeaderFooters(headerFooters, messages, options) {
+        return flatMap(headerFooters, function(headerFooter) {
+            if (deduplicateHeaderFooters) {
+                // Headers and footers read from the same part share their
+                // children, which are used when the part isn't known.
+                var key = headerFooter.partPath
+                    ? headerFooter.type + ":" + headerFooter.partPath
+                    : headerFooter.children;
+                if (_.contains(writtenHeaderFooterKeys, key)) {
+                    return [];
+                }
+                writtenHeaderFooterKeys.push(key);
+            }
+            return elementToHtml(headerFooter, messages, options);
+        });
+    }
+
+    function convertTextBox(element, messages, options) {
+        return findHtmlPath(element, htmlPaths.empty).wrap(function() {
+            return convertElements(element.children, messages, options);
+        });
+    }
+
+    function convertDiagram(element, messages, options) {
+        return convertDiagramNodes(element.nodes);
+    }
+
+    function convertDiagramNodes(nodes) {
+        if (nodes.length === 0) {
+            return [];
+        }
+        return [
+            Html.freshElement("ul", {}, nodes.map(function(node) {
+                var lines = node.text.split("\n");
+                var text = flatMap(lines, function(line, index) {
+                    return index === 0 ? [Html.text(line)] : [Html.freshElement("br"), Html.text(line)];
+                });
+                return Html.freshElement("li", {}, [Html.forceWrite].concat(text, convertDiagramNodes(node.children)));
+            }))
+        ];
+    }
+
+    // By default, embedded objects are converted to their preview.
+    var convertEmbeddedObject = options.convertEmbeddedObject
+        ? deferredConversion(recoveringConversion(options.convertEmbeddedObject))
+        : function(element, messages, options) {
+            return convertElements(element.children, messages, options);
+        };
+
     function convertParagraph(element, messages, options) {
-        return htmlPathForParagraph(element, messages).wrap(function() {
-            var content = convertElements(element.children, messages, options);
+        var style = findStyle(element);
+        var path = addParagraphFormatting(htmlPathForParagraph(element, style, messages), element);
+        var isListItem = element.numbering && path.innermostTagName() === "li";
+        if (isListItem) {
+            path = path.setInnermostNumbering(element.numbering);
+        }
+        return path.wrap(function() {
+            // When writing Markdown, the label of a list item is written as
+            // its list marker instead.
+            var label = isListItem && outputFormat === "markdown" ? [] : convertNumberingLabel(element);
+            var content = label.concat(
+                convertElements(removeMatchedTextPrefix(element, style).children, messages, options),
+                convertParagraphMarkChange(element)
+            );
             if (ignoreEmptyParagraphs) {
                 return content;
             } else {
@@ -109,9 +236,84 @@ function DocumentConversion(options, comments) {
         });
     }
 
-    function htmlPathForParagraph(element, messages) {
-        var style = findStyle(element);
+    // As in Word, an inserted or deleted paragraph mark is shown as a pilcrow.
+    function convertParagraphMarkChange(paragraph) {
+        if (paragraph.markDeletion) {
+            return [Html.nonFreshElement("del", {}, [Html.text("\u00b6")])];
+        } else if (paragraph.markInsertion) {
+            return [Html.nonFreshElement("ins", {}, [Html.text("\u00b6")])];
+        } else {
+            return [];
+        }
+    }
+
+    // Ordered lists are written with the start and type of their first item,
+    // so that lists that don't start from 1 or use letters or roman numerals
+    // are shown as in Word. Markdown list items are written using their
+    // label as the list marker.
+    function writeListNumbering(nodes) {
+        return nodes.map(function(node) {
+            if (node.type !== "element") {
+                return node;
+            }
+            var tag = node.tag;
+            if (tag.tagName === "ol") {
+                tag = tag.withAttributes(_.extend(orderedListAttributes(node), tag.attributes));
+            } else if (tag.numbering && tag.numbering.isOrdered && tag.numbering.label && outputFormat === "markdown") {
+                tag = tag.addAttributes({"data-numbering-label": tag.numbering.label});
+            }
+            return Html.elementWithTag(tag, writeListNumbering(node.children));
+        });
+    }
+
+    function orderedListAttributes(list) {
+        var firstItem = _.find(list.children, function(child) {
+            return child.type === "element" && child.tag.tagName === "li";
+        });
+        var numbering = firstItem && firstItem.tag.numbering;
+        var attributes = {};
+        if (numbering && numbering.isOrdered) {
+            if (_.isNumber(numbering.value) && numbering.value !== 1) {
+                attributes.start = String(numbering.value);
+            }
+            if (_.has(orderedListTypes, numbering.format)) {
+                attributes.type = orderedListTypes[numbering.format];
+            }
+        }
+        return attributes;
+    }
+
+    function convertNumberingLabel(paragraph) {
+        if (numberingLabels === "span" && paragraph.numbering && paragraph.numbering.label) {
+            var separator = paragraph.numbering.suffix === "nothing" ? "" : " ";
+            return [
+                Html.freshElement("span", {"class": "numbering-label"}, [Html.text(paragraph.numbering.label)]),
+                Html.text(separator)
+            ];
+        } else {
+            return [];
+        }
+    }
 
+    function addParagraphFormatting(path, paragraph) {
+        if (paragraphFormatting === "ignore") {
+            return path;
+        }
+        var attributes = formattingAttributes(paragraphFormatting, "paragraph-", css.paragraphDeclarations(paragraph));
+        return attributes ? path.addInnermostAttributes(attributes) : path;
+    }
+
+    function formattingAttributes(mode, namePrefix, declarations) {
+        if (declarations.length === 0) {
+            return null;
+        } else if (mode === "class") {
+            return {"class": stylesheet.className(idPrefix + namePrefix, declarations)};
+        } else {
+            return {style: css.declarationsToString(declarations)};
+        }
+    }
+
+    function htmlPathForParagraph(element, style, messages) {
         if (style) {
             return style.to;
         } else {
@@ -122,9 +324,17 @@ function DocumentConversion(options, comments) {
         }
     }
 
+    // Removes the text matched by :strip-prefix() in the style mapping of a
+    // paragraph or run.
+    function removeMatchedTextPrefix(element, style) {
+        var prefix = style && style.from.readTextPrefix ? style.from.readTextPrefix(element) : null;
+        return prefix ? rawText.removeRawTextPrefix(element, prefix.length) : element;
+    }
+
     function convertRun(run, messages, options) {
+        var style = findStyle(run);
         var nodes = function() {
-            return convertElements(run.children, messages, options);
+            return convertElements(removeMatchedTextPrefix(run, style).children, messages, options);
         };
         var paths = [];
         if (run.highlight !== null) {
@@ -161,7 +371,6 @@ function DocumentConversion(options, comments) {
             paths.push(findHtmlPathForRunProperty("color"));
         }
         var stylePath = htmlPaths.empty;
-        var style = findStyle(run);
         if (style) {
             stylePath = style.to;
         } else if (run.styleId) {
@@ -169,6 +378,15 @@ function DocumentConversion(options, comments) {
         }
         paths.push(stylePath);
 
+        // The span is non-fresh and outermost so that adjacent runs with the
+        // same formatting are collapsed into a single span.
+        if (runFormatting !== "ignore") {
+            var attributes = formattingAttributes(runFormatting, "run-", css.runDeclarations(run));
+            if (attributes) {
+                paths.push(htmlPaths.element("span", attributes, {fresh: false}));
+            }
+        }
+
         paths.forEach(function(path) {
             nodes = path.wrap.bind(path, nodes);
         });
@@ -194,16 +412,33 @@ function DocumentConversion(options, comments) {
 
     function findStyle(element) {
         for (var i = 0; i < styleMap.length; i++) {
-            if (styleMap[i].from.matches(element)) {
-                return styleMap[i];
+            var style = styleMap[i];
+            if (style.from.matches(element)) {
+                return {
+                    from: style.from,
+                    to: style.to.resolveAttributes(function(name) {
+                        return readTemplateVariable(style.from, element, name);
+                    })
+                };
             }
         }
     }
 
-    function recoveringConvertImage(convertImage) {
-        return function(image, messages) {
+    // Variables in attribute templates are either bound by the document
+    // matcher, such as $f in r[font-name=$f], or are properties of the
+    // matched element, such as $styleName.
+    function readTemplateVariable(matcher, element, name) {
+        var value = matcher.readVariable ? matcher.readVariable(element, name) : undefined;
+        if (value === undefined && _.has(element, name)) {
+            value = element[name];
+        }
+        return _.isString(value) || _.isNumber(value) ? String(value) : null;
+    }
+
+    function recoveringConversion(convert) {
+        return function(element, messages) {
             return promises.attempt(function() {
-                return convertImage(image, messages);
+                return convert(element, messages);
             }).caught(function(error) {
                 messages.push(results.error(error));
                 return [];
@@ -211,6 +446,74 @@ function DocumentConversion(options, comments) {
         };
     }
 
+    // When images are mapped to an img element, such as
+    // image => figure > img.photo, the attributes of the img element are added
+    // to the images written by the image converter.
+    function addImageStyleMapping(convertImage) {
+        return function(image, messages) {
+            var style = findStyle(image);
+            if (!style) {
+                return convertImage(image, messages);
+            }
+            return promises.when(convertImage(image, messages)).then(function(nodes) {
+                if (style.to.innermostTagName() === "img") {
+                    var attributes = style.to.innermostAttributes();
+                    return style.to.outerPath().wrap(function() {
+                        return addImgAttributes(nodes, attributes);
+                    });
+                } else {
+                    return style.to.wrap(function() {
+                        return nodes;
+                    });
+                }
+            });
+        };
+    }
+
+    function addImgAttributes(nodes, attributes) {
+        return nodes.map(function(node) {
+            if (node.type !== "element") {
+                return node;
+            } else if (node.tag.tagName === "img") {
+                return Html.elementWithTag(node.tag.addAttributes(attributes), node.children);
+            } else {
+                return Html.elementWithTag(node.tag, addImgAttributes(node.children, attributes));
+            }
+        });
+    }
+
+    function addImageFormatting(convertImage) {
+        if (imageFormatting === "ignore") {
+            return convertImage;
+        }
+        return function(image, messages) {
+            return promises.when(convertImage(image, messages)).then(function(nodes) {
+                return flatMap(nodes, function(node) {
+                    var isImg = node.type === "element" && node.tag.tagName === "img";
+                    return isImg ? formatImage(image, node) : [node];
+                });
+            });
+        };
+    }
+
+    function formatImage(image, node) {
+        var layout = css.imageLayout(image);
+        // Attributes set by the image converter take precedence over the size
+        // of the image in the document.
+        var tag = node.tag.withAttributes(_.extend({}, layout.attributes, node.tag.attributes));
+        var imageAttributes = formattingAttributes(imageFormatting, "image-", layout.imageDeclarations);
+        if (imageAttributes) {
+            tag = tag.addAttributes(imageAttributes);
+        }
+        var imageNode = Html.elementWithTag(tag, node.children);
+        if (layout.wrapperDeclarations) {
+            var wrapperAttributes = formattingAttributes(imageFormatting, "image-crop-", layout.wrapperDeclarations);
+            return [Html.freshElement("span", wrapperAttributes, [imageNode])];
+        } else {
+            return [imageNode];
+        }
+    }
+
     function noteHtmlId(note) {
         return referentHtmlId(note.noteType, note.noteId);
     }
@@ -231,19 +534,74 @@ function DocumentConversion(options, comments) {
         return idPrefix + suffix;
     }
 
+    // Fields that refer to a bookmark are converted to links to that
+    // bookmark by default.
+    var bookmarkReferenceFieldTypes = ["REF", "PAGEREF", "NOTEREF"];
+
+    function convertField(element, messages, options) {
+        var bookmarkName = element.arguments[0];
+        var defaultPath = _.contains(bookmarkReferenceFieldTypes, element.fieldType) && bookmarkName
+            ? htmlPaths.elements([
+                htmlPaths.element("a", {href: "#" + htmlId(bookmarkName)}, {fresh: false})
+            ])
+            : htmlPaths.empty;
+        return findHtmlPath(element, defaultPath).wrap(function() {
+            return convertElements(element.children, messages, options);
+        });
+    }
+
     var defaultTablePath = htmlPaths.elements([
         htmlPaths.element("table", {}, {fresh: true})
     ]);
 
     function convertTable(element, messages, options) {
-        return findHtmlPath(element, defaultTablePath).wrap(function() {
-            return convertTableChildren(element, messages, options);
+        var path = findHtmlPath(element, defaultTablePath);
+        // Tables with a single cell are often used as boxes around their
+        // contents, so mapping them to another element, such as div.callout,
+        // writes the contents of the cell without the table.
+        var singleCell = findSingleTableCell(element);
+        if (singleCell && path.innermostTagName() !== "table") {
+            return path.wrap(function() {
+                return convertElements(singleCell.children, messages, options);
+            });
+        }
+        if (tableFormatting !== "ignore") {
+            path = path.addInnermostAttributes(
+                formattingAttributes(tableFormatting, "table-", css.tableDeclarations(element))
+            );
+        }
+        return path.wrap(function() {
+            return convertColumnGroup(element).concat(
+                convertTableChildren(element, messages, _.extend({}, options, {
+                    table: element,
+                    tableGrid: tableFormatting === "ignore" ? null : tableGrid(element)
+                }))
+            );
         });
     }
 
+    function findSingleTableCell(table) {
+        var row = table.children.length === 1 ? table.children[0] : null;
+        return row && row.type === documents.types.tableRow && row.children.length === 1
+            ? row.children[0]
+            : null;
+    }
+
+    function convertColumnGroup(table) {
+        if (tableFormatting === "ignore" || table.columnWidths.length === 0) {
+            return [];
+        }
+        return [
+            Html.freshElement("colgroup", {}, table.columnWidths.map(function(width) {
+                var attributes = formattingAttributes(tableFormatting, "column-", css.columnDeclarations(width));
+                return Html.freshElement("col", attributes || {});
+            }))
+        ];
+    }
+
     function convertTableChildren(element, messages, options) {
         var bodyIndex = _.findIndex(element.children, function(child) {
-            return !child.type === documents.types.tableRow || !child.isHeader;
+            return child.type !== documents.types.tableRow || !isHeaderRow(child);
         });
         if (bodyIndex === -1) {
             bodyIndex = element.children.length;
@@ -274,17 +632,52 @@ function DocumentConversion(options, comments) {
         return [Html.forceWrite].concat(children);
     }
 
+    // Rows using the first row formatting of the table style are only
+    // treated as header rows when tableStyleHeaders is set, as are cells
+    // using the first column formatting.
+    function isHeaderRow(row) {
+        return row.isHeader || (tableStyleHeaders && row.isFirstRow);
+    }
+
+    var defaultTableRowPath = htmlPaths.topLevelElement("tr");
+
     function convertTableRow(element, messages, options) {
-        var children = convertElements(element.children, messages, options);
-        return [
-            Html.freshElement("tr", {}, [Html.forceWrite].concat(children))
-        ];
+        var rows = options.table ? options.table.children : [element];
+        var path = findHtmlPath(
+            tableElementToMatch(element, rows, options),
+            defaultTableRowPath
+        );
+        return path.wrap(function() {
+            var children = convertElements(element.children, messages, _.extend({}, options, {tableRow: element}));
+            return [Html.forceWrite].concat(children);
+        });
+    }
+
+    // Rows and cells are matched with the style of their table, whether
+    // they're written as part of the table head, and their position.
+    function tableElementToMatch(element, siblings, options) {
+        var index = siblings.indexOf(element);
+        return _.extend({}, element, {
+            styleId: options.table ? options.table.styleId : null,
+            styleName: options.table ? options.table.styleName : null,
+            isHeader: !!options.isTableHeader,
+            isFirst: index === 0,
+            isLast: index === siblings.length - 1
+        });
     }
 
     function convertTableCell(element, messages, options) {
-        var tagName = options.isTableHeader ? "th" : "td";
-        var children = convertElements(element.children, messages, options);
+        var isRowHeader = !options.isTableHeader && tableStyleHeaders && element.isFirstColumn;
+        var tagName = options.isTableHeader || isRowHeader ? "th" : "td";
+        var children = convertTableRowChange(options.tableRow, convertElements(element.children, messages, options));
         var attributes = {};
+        // Scopes are only needed to distinguish column headers from row
+        // headers when the table has both.
+        if (isRowHeader) {
+            attributes.scope = "row";
+        } else if (options.isTableHeader && options.table && hasRowHeaders(options.table)) {
+            attributes.scope = "col";
+        }
         if (element.colSpan !== 1) {
             attributes.colspan = element.colSpan.toString();
         }
@@ -294,13 +687,65 @@ function DocumentConversion(options, comments) {
         if (element.width) {
             attributes.style = "width: " + element.width + "px";
         }
+        if (tableFormatting !== "ignore" && options.table && options.tableRow) {
+            var formatting = formattingAttributes(
+                tableFormatting,
+                "cell-",
+                css.tableCellDeclarations(options.table, element, tableCellPosition(options, element))
+            );
+            if (formatting && formatting.style) {
+                attributes.style = attributes.style ? attributes.style + "; " + formatting.style : formatting.style;
+            } else if (formatting) {
+                attributes["class"] = formatting["class"];
+            }
+        }
 
-        return [
-            Html.freshElement(tagName, attributes, [Html.forceWrite].concat(children))
-        ];
+        var path = findHtmlPath(tableElementToMatch(element, options.tableRow ? options.tableRow.children : [element], options));
+        path = path
+            ? path.addInnermostAttributes(attributes)
+            : htmlPaths.topLevelElement(tagName, attributes);
+        return path.wrap(function() {
+            return [Html.forceWrite].concat(children);
+        });
+    }
+
+    // The contents of each cell of an inserted or deleted row are wrapped in
+    // ins or del elements, since rows can't be.
+    function convertTableRowChange(row, children) {
+        if (row && row.deletion) {
+            return [Html.nonFreshElement("del", {}, children)];
+        } else if (row && row.insertion) {
+            return [Html.nonFreshElement("ins", {}, children)];
+        } else {
+            return children;
+        }
+    }
+
+    function hasRowHeaders(table) {
+        return _.any(table.children, function(row) {
+            return !isHeaderRow(row) && _.any(row.children, function(cell) {
+                return cell.isFirstColumn;
+            });
+        });
+    }
+
+    function tableCellPosition(options, cell) {
+        var table = options.table;
+        var grid = options.tableGrid || tableGrid(table);
+        var rowIndex = table.children.indexOf(options.tableRow);
+        var column = grid.columns[rowIndex][options.tableRow.children.indexOf(cell)];
+        return {
+            isFirstRow: rowIndex === 0,
+            isLastRow: rowIndex + cell.rowSpan >= table.children.length,
+            isFirstColumn: column === 0,
+            isLastColumn: column + cell.colSpan >= grid.columnCount
+        };
     }
 
     function convertCommentReference(reference, messages, options) {
+        if (isIgnoredComment(reference.commentId)) {
+            return [];
+        }
         return findHtmlPath(reference, htmlPaths.ignore).wrap(function() {
             var comment = comments[reference.commentId];
             var count = referencedComments.length + 1;
@@ -316,7 +761,50 @@ function DocumentConversion(options, comments) {
         });
     }
 
-    function convertComment(referencedComment, messages, options) {
+    function isIgnoredComment(commentId) {
+        if (!ignoreResolvedComments) {
+            return false;
+        }
+        var comment = comments[commentId];
+        var visitedCommentIds = {};
+        while (comment && !visitedCommentIds[comment.commentId] && _.has(comments, comment.parentCommentId)) {
+            visitedCommentIds[comment.commentId] = true;
+            comment = comments[comment.parentCommentId];
+        }
+        return !!comment && comment.isResolved;
+    }
+
+    // Replies are nested under the comment they reply to, provided that
+    // comment is also referenced from the document.
+    function convertCommentThreads(messages, options) {
+        var referencedCommentIds = _.map(referencedComments, function(referencedComment) {
+            return referencedComment.comment.commentId;
+        });
+        function isReply(referencedComment) {
+            var parentCommentId = referencedComment.comment.parentCommentId;
+            return parentCommentId != null && _.contains(referencedCommentIds, parentCommentId);
+        }
+        var repliesByParentId = _.groupBy(referencedComments.filter(isReply), function(referencedComment) {
+            return referencedComment.comment.parentCommentId;
+        });
+
+        var converted = [];
+        function convertThread(referencedComment) {
+            if (_.contains(converted, referencedComment)) {
+                return [];
+            }
+            converted.push(referencedComment);
+            var replies = repliesByParentId[referencedComment.comment.commentId] || [];
+            return convertComment(referencedComment, messages, options, flatMap(replies, convertThread));
+        }
+
+        // Comments with cyclic parents aren't reachable from any thread, so are
+        // converted after the threads.
+        return flatMap(_.reject(referencedComments, isReply), convertThread)
+            .concat(flatMap(referencedComments, convertThread));
+    }
+
+    function convertComment(referencedComment, messages, options, replies) {
         // TODO: remove duplication with note references
 
         var label = referencedComment.label;
@@ -327,19 +815,81 @@ function DocumentConversion(options, comments) {
                 Html.freshElement("a", {"href": "#" + referenceHtmlId("comment", comment.commentId)}, [
                     Html.text("↑")
                 ])
-            ])
+            ]),
+            Html.freshElement("dl", {}, replies)
         ]);
 
+        // When comment ranges are written, the entries share the comment ID
+        // used by the ranges.
+        var dataAttributes = commentRanges === "ignore" ? {} : {"data-comment-id": comment.commentId};
         return [
             Html.freshElement(
                 "dt",
-                {"id": referentHtmlId("comment", comment.commentId)},
+                _.extend({"id": referentHtmlId("comment", comment.commentId)}, dataAttributes),
                 [Html.text("Comment " + label)]
             ),
-            Html.freshElement("dd", {}, body)
+            Html.freshElement("dd", dataAttributes, body)
         ];
     }
 
+    function convertCommentRangeBoundary(element, className) {
+        if (isIgnoredComment(element.commentId)) {
+            return [];
+        } else if (commentRanges === "span") {
+            return [
+                Html.freshElement("span", {
+                    "class": className,
+                    "data-comment-id": element.commentId
+                }, [Html.forceWrite])
+            ];
+        } else if (commentRanges === "mark") {
+            // Replaced by markCommentRanges once the whole document has been
+            // converted.
+            return [{type: element.type, commentId: element.commentId}];
+        } else {
+            return [];
+        }
+    }
+
+    // Wraps the text within each comment range in mark elements. Since the
+    // marks are non-fresh, the marks around adjacent text are collapsed into a
+    // single element, but a range spanning several paragraphs is still split
+    // into one mark per paragraph. Ranges that are still open at the end of
+    // the nodes are closed there, and the text of equations isn't marked.
+    function markCommentRanges(nodes) {
+        var openCommentIds = [];
+
+        function mark(nodes) {
+            return flatMap(nodes, function(node) {
+                if (node.type === documents.types.commentRangeStart) {
+                    openCommentIds.push(node.commentId);
+                    return [];
+                } else if (node.type === documents.types.commentRangeEnd) {
+                    openCommentIds = _.without(openCommentIds, node.commentId);
+                    return [];
+                } else if (node.type === "text" && openCommentIds.length > 0) {
+                    return _.reduceRight(openCommentIds, function(children, commentId) {
+                        return [Html.nonFreshElement("mark", {"data-comment-id": commentId}, children)];
+                    }, [node]);
+                } else if (node.type === "element" && node.tag.tagName === "math") {
+                    return [node];
+                } else if (node.children) {
+                    return [_.extend({}, node, {children: mark(node.children)})];
+                } else {
+                    return [node];
+                }
+            });
+        }
+
+        return mark(nodes);
+    }
+
+    function markCommentRangesInEach(nodes) {
+        return flatMap(nodes, function(node) {
+            return markCommentRanges([node]);
+        });
+    }
+
     function convertBreak(element, messages, options) {
         return htmlPathForBreak(element).wrap(function() {
             return [];
@@ -358,19 +908,25 @@ function DocumentConversion(options, comments) {
     }
 
     function convertHeader(header, messages, options) {
-        var children = convertElements(header.children, messages, options);
-        return [Html.freshElement("header", {
-            "data-header-type": header.headerType,
-            "data-section": header.sectionIndex.toString()
-        }, children)];
+        return findHtmlPath(header, htmlPaths.topLevelElement("header"))
+            .addInnermostAttributes({
+                "data-header-type": header.headerType,
+                "data-section": header.sectionIndex.toString()
+            })
+            .wrap(function() {
+                return convertElements(header.children, messages, options);
+            });
     }
 
     function convertFooter(footer, messages, options) {
-        var children = convertElements(footer.children, messages, options);
-        return [Html.freshElement("footer", {
-            "data-footer-type": footer.footerType,
-            "data-section": footer.sectionIndex.toString()
-        }, children)];
+        return findHtmlPath(footer, htmlPaths.topLevelElement("footer"))
+            .addInnermostAttributes({
+                "data-footer-type": footer.footerType,
+                "data-section": footer.sectionIndex.toString()
+            })
+            .wrap(function() {
+                return convertElements(footer.children, messages, options);
+            });
     }
 
     var elementConverters = {
@@ -381,15 +937,29 @@ function DocumentConversion(options, comments) {
             });
             var notesNodes = convertElements(notes, messages, options);
             
-            // Convert headers and footers
-            var headersNodes = document.headers ? convertElements(document.headers, messages, options) : [];
-            var footersNodes = document.footers ? convertElements(document.footers, messages, options) : [];
+            var headersNodes = headerFooterPlacement === "document"
+                ? convertHeaderFooters(documentHeaderFooters(document.headers || []), messages, options)
+                : [];
+            var footersNodes = headerFooterPlacement === "document"
+                ? convertHeaderFooters(documentHeaderFooters(document.footers || []), messages, options)
+                : [];
             
+            var commentsNodes = convertCommentThreads(messages, options);
+
+            // The body and each header, footer, note and comment are marked
+            // separately so that a range that isn't closed in the body doesn't
+            // continue into the notes and comments.
+            if (commentRanges === "mark") {
+                children = markCommentRanges(children);
+                headersNodes = markCommentRangesInEach(headersNodes);
+                notesNodes = markCommentRangesInEach(notesNodes);
+                commentsNodes = markCommentRangesInEach(commentsNodes);
+                footersNodes = markCommentRangesInEach(footersNodes);
+            }
+
             return headersNodes.concat(children).concat([
                 Html.freshElement("ol", {}, notesNodes),
-                Html.freshElement("dl", {}, flatMap(referencedComments, function(referencedComment) {
-                    return convertComment(referencedComment, messages, options);
-                }))
+                Html.freshElement("dl", {}, commentsNodes)
             ]).concat(footersNodes);
         },
         "ins": function(element, messages, options) {
@@ -400,6 +970,7 @@ function DocumentConversion(options, comments) {
             var children = convertElements(element.children, messages, options);
             return [Html.nonFreshElement("del", {}, children)];
         },
+        "section": convertSection,
         "paragraph": convertParagraph,
         "run": convertRun,
         "text": function(element, messages, options) {
@@ -418,6 +989,8 @@ function DocumentConversion(options, comments) {
             var children = convertElements(element.children, messages, options);
             return [Html.nonFreshElement("a", attributes, children)];
         },
+        "field": convertField,
+        "textBox": convertTextBox,
         "checkbox": function(element) {
             var attributes = {type: "checkbox"};
             if (element.checked) {
@@ -425,6 +998,9 @@ function DocumentConversion(options, comments) {
             }
             return [Html.freshElement("input", attributes)];
         },
+        "math": function(element, messages, options) {
+            return math.toMathMl(element);
+        },
         "bookmarkStart": function(element, messages, options) {
             var anchor = Html.freshElement("a", {
                 id: htmlId(element.name)
@@ -452,19 +1028,16 @@ function DocumentConversion(options, comments) {
         },
         "commentReference": convertCommentReference,
         "commentRangeStart": function(element) {
-            return Html.freshElement("span", {
-                "class": "comment-range-start",
-                "comment-id": "1"
-            });
+            return convertCommentRangeBoundary(element, "comment-range-start");
         },
         "commentRangeEnd": function(element) {
-            return Html.freshElement("span", {
-                "class": "comment-range-end",
-                "comment-id": "1"
-            });
+            return convertCommentRangeBoundary(element, "comment-range-end");
         },
         "comment": convertComment,
-        "image": deferredConversion(recoveringConvertImage(options.convertImage || images.dataUri)),
+        "image": deferredConversion(recoveringConversion(addImageStyleMapping(addImageFormatting(options.convertImage || images.dataUri)))),
+        "embeddedObject": convertEmbeddedObject,
+        "diagram": convertDiagram,
+        "chart": deferredConversion(recoveringConversion(options.convertChart || charts.table)),
         "table": convertTable,
         "tableRow": convertTableRow,
         "tableCell": convertTableCell,
@@ -479,6 +1052,42 @@ function DocumentConversion(options, comments) {
 
 var deferredId = 1;
 
+// Finds the grid column that each cell starts in, skipping columns that are
+// occupied by cells spanning rows from above, in the same way as HTML tables.
+function tableGrid(table) {
+    var occupied = table.children.map(function() {
+        return {};
+    });
+    var columnCount = (table.columnWidths || []).length;
+    var columns = table.children.map(function(row, rowIndex) {
+        var column = 0;
+        return (row.children || []).map(function(cell) {
+            while (occupied[rowIndex][column]) {
+                column++;
+            }
+            var start = column;
+            var rowSpan = cell.rowSpan || 1;
+            var colSpan = cell.colSpan || 1;
+            for (var rowOffset = 0; rowOffset < rowSpan && rowIndex + rowOffset < occupied.length; rowOffset++) {
+                for (var columnOffset = 0; columnOffset < colSpan; columnOffset++) {
+                    occupied[rowIndex + rowOffset][start + columnOffset] = true;
+                }
+            }
+            column = start + colSpan;
+            columnCount = Math.max(columnCount, column);
+            return start;
+        });
+    });
+    return {columns: columns, columnCount: columnCount};
+}
+
+var orderedListTypes = {
+    lowerLetter: "a",
+    upperLetter: "A",
+    lowerRoman: "i",
+    upperRoman: "I"
+};
+
 function deferredConversion(func) {
     return function(element, messages, options) {
         return [
@@ -513,6 +1122,10 @@ function walkHtml(nodes, callback) {
     });
 }
 
+function headerFooterType(headerFooter) {
+    return headerFooter.type === documents.types.header ? headerFooter.headerType : headerFooter.footerType;
+}
+
 var commentAuthorLabel = exports.commentAuthorLabel = function commentAuthorLabel(comment) {
     return comment.authorInitials || "";
 };
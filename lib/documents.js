@@ -2,6 +2,7 @@ var _ = require("underscore");
 
 var types = exports.types = {
     document: "document",
+    section: "section",
     paragraph: "paragraph",
     ins: "ins",
     del: "del",
@@ -10,6 +11,7 @@ var types = exports.types = {
     tab: "tab",
     checkbox: "checkbox",
     hyperlink: "hyperlink",
+    field: "field",
     noteReference: "noteReference",
     image: "image",
     note: "note",
@@ -22,6 +24,11 @@ var types = exports.types = {
     tableCell: "tableCell",
     "break": "break",
     bookmarkStart: "bookmarkStart",
+    math: "math",
+    textBox: "textBox",
+    chart: "chart",
+    embeddedObject: "embeddedObject",
+    diagram: "diagram",
     header: "header",
     footer: "footer"
 };
@@ -38,6 +45,22 @@ function Document(children, options) {
     };
 }
 
+function Section(children, properties) {
+    properties = properties || {};
+    return {
+        type: types.section,
+        children: children,
+        sectionIndex: properties.sectionIndex || 0,
+        sectionType: properties.sectionType || null,
+        pageSize: properties.pageSize || null,
+        pageMargins: properties.pageMargins || null,
+        columns: properties.columns || null,
+        isTitlePage: !!properties.isTitlePage,
+        headers: properties.headers || {},
+        footers: properties.footers || {}
+    };
+}
+
 function Paragraph(children, properties) {
     properties = properties || {};
     return {
@@ -48,7 +71,11 @@ function Paragraph(children, properties) {
         numbering: properties.numbering || null,
         alignment: properties.alignment || null,
         indent: properties.indent || null,
-        spacing: properties.spacing || null
+        spacing: properties.spacing || null,
+        outlineLevel: properties.outlineLevel === undefined ? null : properties.outlineLevel,
+        formattingChange: properties.formattingChange || null,
+        markInsertion: properties.markInsertion || null,
+        markDeletion: properties.markDeletion || null
     };
 }
 
@@ -59,7 +86,8 @@ function Ins(children, properties) {
         children: children,
         authorName: properties.authorName,
         changeId: properties.changeId,
-        date: properties.date
+        date: properties.date,
+        isMove: !!properties.isMove
     };
 }
 
@@ -70,7 +98,8 @@ function Del(children, properties) {
         children: children,
         authorName: properties.authorName,
         changeId: properties.changeId,
-        date: properties.date
+        date: properties.date,
+        isMove: !!properties.isMove
     };
 }
 
@@ -92,7 +121,8 @@ function Run(children, properties) {
         fontSize: properties.fontSize || null,
         color: properties.color || null,
         highlight: properties.highlight || null,
-        shading: properties.shading || null
+        shading: properties.shading || null,
+        formattingChange: properties.formattingChange || null
     };
 }
 
@@ -132,6 +162,17 @@ function Hyperlink(children, options) {
     };
 }
 
+function Field(children, options) {
+    return {
+        type: types.field,
+        children: children,
+        fieldType: options.fieldType,
+        instruction: options.instruction,
+        arguments: options.arguments || [],
+        switches: options.switches || []
+    };
+}
+
 function NoteReference(options) {
     return {
         type: types.noteReference,
@@ -154,6 +195,10 @@ Notes.prototype.findNoteByKey = function(key) {
     return this._notes[key] || null;
 };
 
+Notes.prototype.all = function() {
+    return _.values(this._notes);
+};
+
 function Note(options) {
     return {
         type: types.note,
@@ -191,7 +236,11 @@ function comment(options) {
         body: options.body,
         authorName: options.authorName,
         authorInitials: options.authorInitials,
-        date: options.date
+        authorIdentity: options.authorIdentity || null,
+        date: options.date,
+        parentCommentId: options.parentCommentId || null,
+        isResolved: options.isResolved || false,
+        durableId: options.durableId || null
     };
 }
 
@@ -230,7 +279,10 @@ function Image(options) {
         height: options.height,
         srcRect: options.srcRect,
         isCropped: options.isCropped,
-        imageProperties: options.imageProperties
+        imageProperties: options.imageProperties,
+        rotation: options.rotation || 0,
+        flipHorizontal: !!options.flipHorizontal,
+        flipVertical: !!options.flipVertical
     };
 }
 
@@ -242,7 +294,10 @@ function Table(children, properties) {
         styleId: properties.styleId || null,
         styleName: properties.styleName || null,
         isBordered: properties.isBordered || false,
-        borders: properties.borders || null
+        borders: properties.borders || null,
+        effectiveBorders: properties.effectiveBorders || properties.borders || null,
+        columnWidths: properties.columnWidths || [],
+        look: properties.look || null
     };
 }
 
@@ -251,7 +306,12 @@ function TableRow(children, options) {
     return {
         type: types.tableRow,
         children: children,
-        isHeader: options.isHeader || false
+        isHeader: options.isHeader || false,
+        isFirstRow: options.isFirstRow || false,
+        isLastRow: options.isLastRow || false,
+        isBandedRow: options.isBandedRow || false,
+        insertion: options.insertion || null,
+        deletion: options.deletion || null
     };
 }
 
@@ -264,7 +324,9 @@ function TableCell(children, options) {
         colSpan: options.colSpan == null ? 1 : options.colSpan,
         rowSpan: options.rowSpan == null ? 1 : options.rowSpan,
         bgColor: options.bgColor,
-        borders: options.borders || null
+        borders: options.borders || null,
+        isFirstColumn: options.isFirstColumn || false,
+        isLastColumn: options.isLastColumn || false
     };
 }
 
@@ -282,13 +344,90 @@ function BookmarkStart(options) {
     };
 }
 
+// The content of a math element is a tree of math nodes rather than document
+// elements, so it's deliberately not exposed as children.
+function MathElement(content, options) {
+    options = options || {};
+    return {
+        type: types.math,
+        content: content,
+        isDisplay: !!options.isDisplay
+    };
+}
+
+function TextBox(children, options) {
+    options = options || {};
+    return {
+        type: types.textBox,
+        children: children,
+        width: options.width || null,
+        height: options.height || null,
+        anchoring: options.anchoring || "inline",
+        wrapping: options.wrapping || null
+    };
+}
+
+// The values of a chart are the values cached in the chart part when the
+// document was last saved, rather than values read from the embedded workbook.
+function Chart(options) {
+    options = options || {};
+    return {
+        type: types.chart,
+        chartType: options.chartType || null,
+        title: options.title || null,
+        categories: options.categories || [],
+        series: options.series || [],
+        altText: options.altText || null,
+        width: options.width || null,
+        height: options.height || null
+    };
+}
+
+// Each node of a diagram has the properties text and children, where children
+// is an array of nodes. Like math elements, the nodes are deliberately not
+// exposed as children since they aren't document elements.
+function Diagram(nodes, options) {
+    options = options || {};
+    return {
+        type: types.diagram,
+        nodes: nodes,
+        layout: options.layout || null,
+        category: options.category || null
+    };
+}
+
+// The children of an embedded object are its preview, such as an image of the
+// object as last displayed by Word.
+function EmbeddedObject(children, options) {
+    options = options || {};
+    return {
+        type: types.embeddedObject,
+        children: children,
+        progId: options.progId || null,
+        contentType: options.contentType || null,
+        fileName: options.fileName || null,
+        readAsArrayBuffer: function() {
+            return options.readFile();
+        },
+        readAsBase64String: function() {
+            return options.readFile("base64");
+        },
+        readAsBuffer: function() {
+            return options.readFile().then(function(arrayBuffer) {
+                return Buffer.from(arrayBuffer);
+            });
+        }
+    };
+}
+
 function Header(children, properties) {
     properties = properties || {};
     return {
         type: types.header,
         children: children,
         headerType: properties.headerType || "default",
-        sectionIndex: properties.sectionIndex || 0
+        sectionIndex: properties.sectionIndex || 0,
+        partPath: properties.partPath || null
     };
 }
 
@@ -298,11 +437,13 @@ function Footer(children, properties) {
         type: types.footer,
         children: children,
         footerType: properties.footerType || "default",
-        sectionIndex: properties.sectionIndex || 0
+        sectionIndex: properties.sectionIndex || 0,
+        partPath: properties.partPath || null
     };
 }
 
 exports.document = exports.Document = Document;
+exports.section = exports.Section = Section;
 exports.paragraph = exports.Paragraph = Paragraph;
 exports.ins = exports.Ins = Ins;
 exports.del = exports.Del = Del;
@@ -311,6 +452,7 @@ exports.text = exports.Text = Text;
 exports.tab = exports.Tab = Tab;
 exports.checkbox = exports.Checkbox = Checkbox;
 exports.Hyperlink = Hyperlink;
+exports.field = exports.Field = Field;
 exports.noteReference = exports.NoteReference = NoteReference;
 exports.Notes = Notes;
 exports.Note = Note;
@@ -322,6 +464,11 @@ exports.Image = Image;
 exports.Table = Table;
 exports.TableRow = TableRow;
 exports.TableCell = TableCell;
+exports.math = exports.Math = MathElement;
+exports.textBox = exports.TextBox = TextBox;
+exports.chart = exports.Chart = Chart;
+exports.embeddedObject = exports.EmbeddedObject = EmbeddedObject;
+exports.diagram = exports.Diagram = Diagram;
 exports.lineBreak = Break("line");
 exports.pageBreak = Break("page");
 exports.columnBreak = Break("column");
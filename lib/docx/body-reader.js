@@ -11,6 +11,12 @@ var warning = require("../results").warning;
 var xml = require("../xml");
 var transforms = require("../transforms");
 var uris = require("./uris");
+var zipfile = require("../zipfile");
+var createMathReader = require("./math-reader").createMathReader;
+var parseFieldInstruction = require("./fields").parseFieldInstruction;
+var NumberingCounter = require("./numbering-labels").NumberingCounter;
+var readOutlineLevel = require("./styles-reader").readOutlineLevel;
+var readAlternateContent = require("./office-xml-reader").readAlternateContent;
 
 function createBodyReader(options) {
     return {
@@ -26,12 +32,12 @@ function createBodyReader(options) {
 function BodyReader(options) {
     var complexFieldStack = [];
     var currentInstrText = [];
-    var insertions = [];
-    var deletions = [];
+    var trackedChanges = options.trackedChanges || "show";
 
     // When a paragraph is marked as deleted, its contents should be combined
     // with the following paragraph. See 17.13.5.15 del (Deleted Paragraph) of
-    // ECMA-376 4th edition Part 1.
+    // ECMA-376 4th edition Part 1. When rejecting tracked changes, the same
+    // applies to paragraphs marked as inserted.
     var deletedParagraphContents = [];
 
     var relationships = options.relationships;
@@ -40,6 +46,10 @@ function BodyReader(options) {
     var files = options.files;
     var numbering = options.numbering;
     var styles = options.styles;
+    var charts = options.charts || {};
+    var diagrams = options.diagrams || {};
+    var mathReader = createMathReader();
+    var numberingCounter = new NumberingCounter(numbering);
 
     function readXmlElements(elements) {
         var results = elements.map(readXmlElement);
@@ -59,9 +69,17 @@ function BodyReader(options) {
         return emptyResult();
     }
 
+    function readMath(element, options) {
+        var result = mathReader.readMath(element, options);
+        return elementResultWithMessages(result.value, result.messages);
+    }
+
     function readParagraphProperties(element) {
         return readParagraphStyle(element).map(function(style) {
             var numberingAttrs = readNumberingProperties(style.styleId, element.firstOrEmpty("w:numPr"), numbering);
+            if (numberingAttrs) {
+                numberingAttrs = _.extend(numberingAttrs, numberingCounter.next(numberingAttrs));
+            }
             return {
                 type: "paragraphProperties",
                 styleId: style.styleId,
@@ -69,17 +87,27 @@ function BodyReader(options) {
                 alignment: element.firstOrEmpty("w:jc").attributes["w:val"],
                 numbering: numberingAttrs,
                 indent: readParagraphIndent(element.firstOrEmpty("w:ind")),
-                spacing: readSpacingProperties(element)
+                spacing: readSpacingProperties(element),
+                outlineLevel: readParagraphOutlineLevel(element, style.styleId)
             };
         });
     }
 
+    function readParagraphOutlineLevel(element, styleId) {
+        var outlineLevelElement = element.first("w:outlineLvl");
+        if (outlineLevelElement) {
+            return readOutlineLevel(outlineLevelElement);
+        }
+        var style = styleId ? styles.findParagraphStyleById(styleId) : null;
+        return style && style.outlineLevel !== undefined ? style.outlineLevel : null;
+    }
+
     function readParagraphIndent(element) {
         return {
             left: element.attributes["w:left"],
             right: element.attributes["w:right"],
-            start: element.attributes["w:start"],
-            end: element.attributes["w:end"],
+            start: element.attributes["w:start"] || element.attributes["w:left"],
+            end: element.attributes["w:end"] || element.attributes["w:right"],
             firstLine: element.attributes["w:firstLine"],
             hanging: element.attributes["w:hanging"]
         };
@@ -213,9 +241,29 @@ function BodyReader(options) {
             var dimensions = extractShapeDimensions(style);
             return readImageData(imageDataElement, dimensions);
         }
+        var textBoxElement = element.first("v:textbox");
+        if (textBoxElement) {
+            return readVmlTextBox(textBoxElement, style);
+        }
         return readChildElements(element);
     }
 
+    function readVmlTextBox(element, shapeStyle) {
+        var dimensions = extractShapeDimensions(shapeStyle);
+        var isFloating = /(^|;)\s*position\s*:\s*absolute/.test(shapeStyle);
+        return readTextBoxContent(element.firstOrEmpty("w:txbxContent"), {
+            width: dimensions.width,
+            height: dimensions.height,
+            anchoring: isFloating ? "floating" : "inline"
+        });
+    }
+
+    function readTextBoxContent(element, options) {
+        return readXmlElements(element.children).map(function(children) {
+            return new documents.TextBox(children, options);
+        });
+    }
+
     function readFldChar(element) {
         var type = element.attributes["w:fldCharType"];
         if (type === "begin") {
@@ -240,11 +288,20 @@ function BodyReader(options) {
         return emptyResult();
     }
 
-    function currentHyperlinkOptions() {
-        var topHyperlink = _.last(complexFieldStack.filter(function(complexField) {
-            return complexField.type === "hyperlink";
-        }));
-        return topHyperlink ? topHyperlink.options : null;
+    function wrapInComplexFields(children) {
+        // Only the innermost hyperlink is used, since hyperlinks can't be
+        // nested.
+        var hasHyperlink = false;
+        return complexFieldStack.reduceRight(function(children, complexField) {
+            if (complexField.type === "hyperlink" && !hasHyperlink) {
+                hasHyperlink = true;
+                return [new documents.Hyperlink(children, complexField.options)];
+            } else if (complexField.type === "field" && children.length > 0) {
+                return [new documents.Field(children, complexField.options)];
+            } else {
+                return children;
+            }
+        }, children);
     }
 
     function parseCurrentInstrText(complexField) {
@@ -279,9 +336,27 @@ function BodyReader(options) {
             return {type: "checkbox", checked: checked};
         }
 
+        var field = parseFieldInstruction(instrText);
+        if (field.fieldType) {
+            return {type: "field", options: field};
+        }
+
         return {type: "unknown"};
     }
 
+    function readSimpleField(element) {
+        var field = parseInstrText(element.attributes["w:instr"] || "", xml.emptyElement);
+        return readXmlElements(element.children).map(function(children) {
+            if (field.type === "hyperlink") {
+                return new documents.Hyperlink(children, field.options);
+            } else if (field.type === "field") {
+                return new documents.Field(children, field.options);
+            } else {
+                return children;
+            }
+        });
+    }
+
     function readInstrText(element) {
         currentInstrText.push(element.text());
         return emptyResult();
@@ -337,50 +412,285 @@ function BodyReader(options) {
         return readXmlElements(element.children);
     }
 
+    // The children of an object are its preview, such as a VML shape with an
+    // image of the first page of an embedded spreadsheet. See 17.3.3.19 object
+    // (Embedded Object) of ECMA-376 4th edition Part 1.
+    function readObject(element) {
+        var oleObject = element.first("o:OLEObject");
+        var objectEmbed = element.first("w:objectEmbed");
+        var relationshipId;
+        var progId;
+        if (oleObject && oleObject.attributes.Type !== "Link") {
+            relationshipId = oleObject.attributes["r:id"];
+            progId = oleObject.attributes.ProgID;
+        } else if (objectEmbed) {
+            relationshipId = objectEmbed.attributes["r:id"];
+            progId = objectEmbed.attributes["w:progId"];
+        }
+
+        var preview = readChildElements(element);
+        if (!relationshipId) {
+            return preview;
+        }
+
+        var path = uris.uriToZipEntryName("word", relationships.findTargetByRelationshipId(relationshipId));
+        if (!docxFile.exists(path)) {
+            return combineResults([
+                preview,
+                emptyResultWithMessages([warning("Could not find embedded object file: " + path)])
+            ]);
+        }
+        return preview.map(function(children) {
+            return new documents.EmbeddedObject(children, {
+                progId: progId,
+                contentType: contentTypes.findContentType(path),
+                fileName: zipfile.splitPath(path).basename,
+                readFile: docxFile.read.bind(docxFile, path)
+            });
+        });
+    }
+
+    function readSectionProperties(element) {
+        var pageSize = element.first("w:pgSz");
+        var pageMargins = element.first("w:pgMar");
+        var columns = element.first("w:cols");
+        var headerReferences = readHeaderFooterReferences(element, "w:headerReference");
+        var footerReferences = readHeaderFooterReferences(element, "w:footerReference");
+
+        return elementResultWithMessages({
+            type: "sectionProperties",
+            sectionType: element.firstOrEmpty("w:type").attributes["w:val"] || null,
+            pageSize: pageSize ? {
+                width: readIntegerAttribute(pageSize, "w:w"),
+                height: readIntegerAttribute(pageSize, "w:h"),
+                orientation: pageSize.attributes["w:orient"] || "portrait"
+            } : null,
+            pageMargins: pageMargins ? {
+                top: readIntegerAttribute(pageMargins, "w:top"),
+                right: readIntegerAttribute(pageMargins, "w:right"),
+                bottom: readIntegerAttribute(pageMargins, "w:bottom"),
+                left: readIntegerAttribute(pageMargins, "w:left"),
+                header: readIntegerAttribute(pageMargins, "w:header"),
+                footer: readIntegerAttribute(pageMargins, "w:footer"),
+                gutter: readIntegerAttribute(pageMargins, "w:gutter")
+            } : null,
+            columns: columns ? {
+                count: readIntegerAttribute(columns, "w:num") || 1,
+                space: readIntegerAttribute(columns, "w:space")
+            } : null,
+            isTitlePage: readBooleanElement(element.first("w:titlePg")),
+            headerReferences: headerReferences.value,
+            footerReferences: footerReferences.value
+        }, headerReferences.messages.concat(footerReferences.messages));
+    }
+
+    function readHeaderFooterReferences(element, tagName) {
+        var messages = [];
+        var references = [];
+        element.getElementsByTagName(tagName).forEach(function(referenceElement) {
+            var relationshipId = referenceElement.attributes["r:id"];
+            var target = relationships.findTargetByRelationshipId(relationshipId);
+            if (target) {
+                references.push({
+                    type: referenceElement.attributes["w:type"] || "default",
+                    path: uris.uriToZipEntryName("word", target)
+                });
+            } else {
+                messages.push(warning("A " + tagName + " element referenced a missing relationship: " + relationshipId));
+            }
+        });
+        return {value: references, messages: messages};
+    }
+
+    function readIntegerAttribute(element, name) {
+        var value = element.attributes[name];
+        return /^-?[0-9]+$/.test(value) ? parseInt(value, 10) : null;
+    }
+
+    // Moved content is treated as a deletion from its original location and an
+    // insertion at its new location. See 17.13.5 Revisions of ECMA-376 4th
+    // edition Part 1.
+    function readInsertion(element) {
+        if (trackedChanges === "accept") {
+            return readChildElements(element);
+        } else if (trackedChanges === "reject") {
+            return emptyResult();
+        } else {
+            return readShownRevision(element, documents.Ins);
+        }
+    }
+
+    function readDeletion(element) {
+        if (trackedChanges === "accept") {
+            return emptyResult();
+        } else if (trackedChanges === "reject") {
+            return readChildElements(element);
+        } else {
+            return readShownRevision(element, documents.Del);
+        }
+    }
+
+    function readShownRevision(element, Revision) {
+        var attributes = {};
+        if (element.attributes["w:author"]) {
+            attributes = Object.assign({}, {authorName: element.attributes["w:author"]}, attributes);
+        }
+        if (element.attributes["w:date"]) {
+            attributes = Object.assign({}, {date: element.attributes["w:date"]}, attributes);
+        }
+        if (element.attributes["w:id"]) {
+            attributes = Object.assign({}, {changeId: element.attributes["w:id"]}, attributes);
+        }
+        attributes.isMove = element.name === "w:moveTo" || element.name === "w:moveFrom";
+        if (element.children && element.children.length > 0) {
+            var propertiesHolder = element.children[0].first("w:rPr");
+            if (propertiesHolder) {
+                var attributesHolder = propertiesHolder.first("w:rPrChange");
+                if (attributesHolder) {
+                    var childAttributes = {
+                        authorName: attributesHolder.attributes["w:author"],
+                        date: attributesHolder.attributes["w:date"],
+                        changeId: attributesHolder.attributes["w:id"]
+                    };
+                    attributes = Object.assign({}, childAttributes, attributes);
+                }
+            }
+        }
+        return ReadResult.map(
+            readRunProperties(element.firstOrEmpty("w:rPr")),
+            readXmlElements(element.children),
+            function(properties, children) {
+                var revisionProperties = Object.assign({}, properties, attributes);
+                children = [new Revision(children, revisionProperties)];
+                return new documents.Run(children, properties);
+            }
+        );
+    }
+
+    // Formatting changes are only kept when tracked changes are shown, since
+    // accepting or rejecting the changes leaves nothing to track.
+    function readFormattingChange(propertiesElement, changeName) {
+        var change = trackedChanges === "show" ? propertiesElement.first(changeName) : null;
+        if (change) {
+            return {
+                authorName: change.attributes["w:author"],
+                date: change.attributes["w:date"],
+                changeId: change.attributes["w:id"]
+            };
+        } else {
+            return null;
+        }
+    }
+
+    // Paragraph marks and table rows record their insertion or deletion with
+    // an empty w:ins or w:del element in their properties.
+    function readPropertiesInsertion(propertiesElement) {
+        return readRevision(propertiesElement.first("w:ins") || propertiesElement.first("w:moveTo"));
+    }
+
+    function readPropertiesDeletion(propertiesElement) {
+        return readRevision(propertiesElement.first("w:del") || propertiesElement.first("w:moveFrom"));
+    }
+
+    function readRevision(element) {
+        if (element) {
+            return {
+                authorName: element.attributes["w:author"],
+                date: element.attributes["w:date"],
+                changeId: element.attributes["w:id"],
+                isMove: element.name === "w:moveTo" || element.name === "w:moveFrom"
+            };
+        } else {
+            return null;
+        }
+    }
+
+    // Whether an element whose properties hold the given insertion and
+    // deletion is removed by accepting or rejecting tracked changes.
+    function isRemovedRevision(insertion, deletion) {
+        if (trackedChanges === "accept") {
+            return !!deletion;
+        } else if (trackedChanges === "reject") {
+            return !!insertion;
+        } else {
+            return false;
+        }
+    }
+
+    // When rejecting tracked changes, formatting is read from the properties
+    // held by the change, which are the properties before the change was made.
+    function readOriginalProperties(propertiesElement, changeName) {
+        var change = trackedChanges === "reject" ? propertiesElement.first(changeName) : null;
+        return change ? change.firstOrEmpty(propertiesElement.name) : propertiesElement;
+    }
+
     var xmlElementReaders = {
         "w:p": function(element) {
             var paragraphPropertiesElement = element.firstOrEmpty("w:pPr");
 
-            var isDeleted = !!paragraphPropertiesElement
-                .firstOrEmpty("w:rPr")
-                .first("w:del");
+            // The last paragraph of each section other than the final
+            // section holds the properties of that section. See 17.6.17
+            // sectPr (Section Properties) of ECMA-376 4th edition Part 1.
+            var sectionPropertiesElement = paragraphPropertiesElement.first("w:sectPr");
+
+            // When tracked changes are shown, paragraphs with an inserted or
+            // deleted mark are kept separate, and record the change instead.
+            var markPropertiesElement = paragraphPropertiesElement.firstOrEmpty("w:rPr");
+            var markInsertion = readPropertiesInsertion(markPropertiesElement);
+            var markDeletion = readPropertiesDeletion(markPropertiesElement);
 
-            if (isDeleted) {
+            if (isRemovedRevision(markInsertion, markDeletion)) {
                 element.children.forEach(function(child) {
                     deletedParagraphContents.push(child);
                 });
-                return emptyResult();
+                return sectionPropertiesElement
+                    ? readSectionProperties(sectionPropertiesElement)
+                    : emptyResult();
             } else {
                 var childrenXml = element.children;
                 if (deletedParagraphContents.length > 0) {
                     childrenXml = deletedParagraphContents.concat(childrenXml);
                     deletedParagraphContents = [];
                 }
-                return ReadResult.map(
-                    readParagraphProperties(paragraphPropertiesElement),
+                var paragraphResult = ReadResult.map(
+                    readParagraphProperties(readOriginalProperties(paragraphPropertiesElement, "w:pPrChange")),
                     readXmlElements(childrenXml),
                     function(properties, children) {
-                        return new documents.Paragraph(children, properties);
+                        return new documents.Paragraph(children, _.extend({}, properties, {
+                            formattingChange: readFormattingChange(paragraphPropertiesElement, "w:pPrChange"),
+                            markInsertion: trackedChanges === "show" ? markInsertion : null,
+                            markDeletion: trackedChanges === "show" ? markDeletion : null
+                        }));
                     }
                 ).insertExtra();
+
+                if (sectionPropertiesElement) {
+                    return ReadResult.map(
+                        paragraphResult,
+                        readSectionProperties(sectionPropertiesElement),
+                        joinElements
+                    );
+                } else {
+                    return paragraphResult;
+                }
             }
         },
         "w:r": function(element) {
+            var runPropertiesElement = element.firstOrEmpty("w:rPr");
             return ReadResult.map(
-                readRunProperties(element.firstOrEmpty("w:rPr")),
+                readRunProperties(readOriginalProperties(runPropertiesElement, "w:rPrChange")),
                 readXmlElements(element.children),
                 function(properties, children) {
-                    var hyperlinkOptions = currentHyperlinkOptions();
-                    if (hyperlinkOptions !== null) {
-                        children = [new documents.Hyperlink(children, hyperlinkOptions)];
-                    }
-
-                    return new documents.Run(children, properties);
+                    return new documents.Run(wrapInComplexFields(children), _.extend({}, properties, {
+                        formattingChange: readFormattingChange(runPropertiesElement, "w:rPrChange")
+                    }));
                 }
             );
         },
+        "w:sectPr": readSectionProperties,
         "w:fldChar": readFldChar,
         "w:instrText": readInstrText,
+        "w:fldSimple": readSimpleField,
         "w:t": function(element) {
             return elementResult(new documents.Text(element.text()));
         },
@@ -453,7 +763,17 @@ function BodyReader(options) {
         },
 
         "mc:AlternateContent": function(element) {
-            return readChildElements(element.firstOrEmpty("mc:Fallback"));
+            return readXmlElements(readAlternateContent(element));
+        },
+
+        "m:oMathPara": function(element) {
+            return combineResults(element.getElementsByTagName("m:oMath").map(function(mathElement) {
+                return readMath(mathElement, {isDisplay: true});
+            }));
+        },
+
+        "m:oMath": function(element) {
+            return readMath(element, {isDisplay: false});
         },
 
         "w:sdt": function(element) {
@@ -505,93 +825,27 @@ function BodyReader(options) {
             });
         },
 
-        "w:ins": function(element) {
-            insertions.push(element);
-            var attributes = {};
-            if (element.attributes["w:author"]) {
-                attributes = Object.assign({}, {authorName: element.attributes["w:author"]}, attributes);
-            }
-            if (element.attributes["w:date"]) {
-                attributes = Object.assign({}, {date: element.attributes["w:date"]}, attributes);
-            }
-            if (element.attributes["w:id"]) {
-                attributes = Object.assign({}, {changeId: element.attributes["w:id"]}, attributes);
-            }
-            if (element.children && element.children.length > 0) {
-                var propertiesHolder = element.children[0].first("w:rPr");
-                if (propertiesHolder) {
-                    var attributesHolder = propertiesHolder.first("w:rPrChange");
-                    if (attributesHolder) {
-                        var childAttributes = {
-                            authorName: attributesHolder.attributes["w:author"],
-                            date: attributesHolder.attributes["w:date"],
-                            changeId: attributesHolder.attributes["w:id"]
-                        };
-                        attributes = Object.assign({}, childAttributes, attributes);
-                    }
-                }
-            }
-            return ReadResult.map(
-                readRunProperties(element.firstOrEmpty("w:rPr")),
-                readXmlElements(element.children),
-                function(properties, children) {
-                    var insProperties = Object.assign({}, properties, attributes);
-                    children = [new documents.Ins(children, insProperties)];
-                    return new documents.Run(children, properties);
-                }
-            );
-        },
-        "w:del": function(element) {
-            deletions.push(element);
-            var attributes = {};
-            if (element.attributes["w:author"]) {
-                attributes = Object.assign({}, {authorName: element.attributes["w:author"]}, attributes);
-            }
-            if (element.attributes["w:date"]) {
-                attributes = Object.assign({}, {date: element.attributes["w:date"]}, attributes);
-            }
-            if (element.attributes["w:id"]) {
-                attributes = Object.assign({}, {changeId: element.attributes["w:id"]}, attributes);
-            }
-            if (element.children && element.children.length > 0) {
-                var propertiesHolder = element.children[0].first("w:rPr");
-                if (propertiesHolder) {
-                    var attributesHolder = propertiesHolder.first("w:rPrChange");
-                    if (attributesHolder) {
-                        var childAttributes = {
-                            authorName: attributesHolder.attributes["w:author"],
-                            date: attributesHolder.attributes["w:date"],
-                            changeId: attributesHolder.attributes["w:id"]
-                        };
-                        attributes = Object.assign({}, childAttributes, attributes);
-                    }
-                }
-            }
-            return ReadResult.map(
-                readRunProperties(element.firstOrEmpty("w:rPr")),
-                readXmlElements(element.children),
-                function(properties, children) {
-                    var delProperties = Object.assign({}, properties, attributes);
-                    children = [new documents.Del(children, delProperties)];
-                    return new documents.Run(children, properties);
-                }
-            );
-        },
-        "w:object": readChildElements,
+        "w:ins": readInsertion,
+        "w:del": readDeletion,
+        "w:moveTo": readInsertion,
+        "w:moveFrom": readDeletion,
+        "w:object": readObject,
         "w:smartTag": readChildElements,
         "w:drawing": readChildElements,
         "w:pict": function(element) {
             return readChildElements(element).toExtra();
         },
-        "v:roundrect": readChildElements,
+        "v:roundrect": readShapeElement,
         "v:shape": readShapeElement,
-        "v:textbox": readChildElements,
+        "v:textbox": function(element) {
+            return readVmlTextBox(element, "");
+        },
         "w:txbxContent": readChildElements,
         "wp:inline": readDrawingElement,
         "wp:anchor": readDrawingElement,
         "v:imagedata": readImageData,
         "v:group": readChildElements,
-        "v:rect": readChildElements
+        "v:rect": readShapeElement
     };
 
     return {
@@ -601,7 +855,13 @@ function BodyReader(options) {
 
 
     function readTable(element) {
-        var propertiesResult = readTableProperties(element.firstOrEmpty("w:tblPr"));
+        var tablePropertiesElement = element.firstOrEmpty("w:tblPr");
+        var propertiesResult = readTableProperties(tablePropertiesElement).map(function(properties) {
+            return _.extend(properties, {
+                columnWidths: readTableGrid(element.firstOrEmpty("w:tblGrid")),
+                look: readTableLook(tablePropertiesElement.first("w:tblLook"))
+            });
+        });
         return readXmlElements(element.children)
             .flatMap(calculateRowSpans)
             .flatMap(function(children) {
@@ -614,6 +874,8 @@ function BodyReader(options) {
                     if (!properties.isBordered && hasAnyCellBorders) {
                         properties.isBordered = true;
                     }
+
+                    applyConditionalFormatting(children, properties);
                     
                     return documents.Table(children, properties);
                 });
@@ -636,6 +898,15 @@ function BodyReader(options) {
         return false;
     }
 
+    // See 17.4.48 gridCol (Grid Column Definition) of ECMA-376 4th edition
+    // Part 1. Widths are in twentieths of a point.
+    function readTableGrid(element) {
+        return element.getElementsByTagName("w:gridCol").map(function(column) {
+            var width = parseInt(column.attributes["w:w"], 10);
+            return isNaN(width) ? null : width;
+        });
+    }
+
     function readTableProperties(element) {
         var returnValue = Object.assign({});
         var borderOptions = element.firstOrEmpty("w:tblBorders");
@@ -664,11 +935,112 @@ function BodyReader(options) {
                 styleId: style.styleId,
                 styleName: style.name,
                 isBordered: returnValue.isBordered,
-                borders: returnValue.borders
+                borders: returnValue.borders,
+                effectiveBorders: readEffectiveTableBorders(element)
             };
         });
     }
 
+    // Each side of the table uses the border set directly on the table,
+    // falling back to the border set by the table style or the styles it is
+    // based on.
+    function readEffectiveTableBorders(tablePropertiesElement) {
+        var styleId = tablePropertiesElement.firstOrEmpty("w:tblStyle").attributes["w:val"];
+        var bordersElements = [tablePropertiesElement.firstOrEmpty("w:tblBorders")].concat(
+            findTableStyleChain(styleId).map(function(style) {
+                return style.element
+                    ? style.element.firstOrEmpty("w:tblPr").firstOrEmpty("w:tblBorders")
+                    : null;
+            })
+        );
+        var borders = bordersElements.reduceRight(function(borders, bordersElement) {
+            return _.extend(borders, readBorderSides(bordersElement));
+        }, emptyBorders());
+        return hasAnyBorder(borders) ? borders : null;
+    }
+
+    // Returns the table style with the given ID followed by the styles it is
+    // based on.
+    function findTableStyleChain(styleId) {
+        var chain = [];
+        var visitedStyleIds = {};
+        while (styleId && !visitedStyleIds[styleId]) {
+            visitedStyleIds[styleId] = true;
+            var style = styles.findTableStyleById(styleId);
+            if (!style) {
+                break;
+            }
+            chain.push(style);
+            styleId = style.basedOn;
+        }
+        return chain;
+    }
+
+    // See 17.4.56 tblLook (Table Style Conditional Formatting Settings) of
+    // ECMA-376 4th edition Part 1. Older documents use a bitmask in w:val.
+    function readTableLook(element) {
+        if (!element) {
+            return null;
+        }
+        var mask = parseInt(element.attributes["w:val"], 16) || 0;
+        function readFlag(name, bit) {
+            var value = element.attributes["w:" + name];
+            return value === undefined ? (mask & bit) !== 0 : readBooleanAttributeValue(value);
+        }
+        return {
+            firstRow: readFlag("firstRow", 0x0020),
+            lastRow: readFlag("lastRow", 0x0040),
+            firstColumn: readFlag("firstColumn", 0x0080),
+            lastColumn: readFlag("lastColumn", 0x0100),
+            noHBand: readFlag("noHBand", 0x0200),
+            noVBand: readFlag("noVBand", 0x0400)
+        };
+    }
+
+    // Sets the flags on rows and cells for the conditional formatting that is
+    // both enabled by w:tblLook and defined by the table style.
+    function applyConditionalFormatting(rows, properties) {
+        var styleChain = findTableStyleChain(properties.styleId);
+        var types = _.flatten(_.map(styleChain, function(style) {
+            return style.conditionalFormattingTypes || [];
+        }));
+        var look = properties.look || {noHBand: true, noVBand: true};
+        function isActive(type, lookFlag) {
+            return !!lookFlag && _.contains(types, type);
+        }
+        var hasFirstRow = isActive("firstRow", look.firstRow);
+        var hasLastRow = isActive("lastRow", look.lastRow);
+        var hasBandedRows = isActive("band1Horz", !look.noHBand);
+        var rowBandSize = _.find(_.pluck(styleChain, "rowBandSize"), function(size) {
+            return size > 0;
+        }) || 1;
+
+        var tableRows = rows.filter(function(row) {
+            return row.type === documents.types.tableRow;
+        });
+        var tableCells = _.flatten(tableRows.map(function(row) {
+            return row.children.filter(function(cell) {
+                return cell.type === documents.types.tableCell;
+            });
+        }), true);
+        var gridColumnCount = _.reduce(tableCells, function(count, cell) {
+            return Math.max(count, cell._gridColumn + cell.colSpan);
+        }, (properties.columnWidths || []).length);
+        var bodyRows = tableRows.slice(hasFirstRow ? 1 : 0, hasLastRow ? -1 : tableRows.length);
+        tableRows.forEach(function(row, rowIndex) {
+            row.isFirstRow = hasFirstRow && rowIndex === 0;
+            row.isLastRow = hasLastRow && rowIndex === tableRows.length - 1;
+            var bodyIndex = bodyRows.indexOf(row);
+            row.isBandedRow = hasBandedRows && bodyIndex !== -1 && Math.floor(bodyIndex / rowBandSize) % 2 === 0;
+        });
+        tableCells.forEach(function(cell) {
+            cell.isFirstColumn = isActive("firstCol", look.firstColumn) && cell._gridColumn === 0;
+            cell.isLastColumn = isActive("lastCol", look.lastColumn) &&
+                cell._gridColumn + cell.colSpan === gridColumnCount;
+            delete cell._gridColumn;
+        });
+    }
+
     function readTableBorders(element) {
         var isBordered = false;
         if (element.attributes.length && element.attributes["w:val"] !== "nil" && element.attributes["w:val"] !== "none") {
@@ -679,11 +1051,14 @@ function BodyReader(options) {
 
     // Read detailed border information from a borders container element
     function readDetailedBorders(bordersElement) {
-        if (!bordersElement || !bordersElement.children || bordersElement.children.length === 0) {
-            return null;
-        }
+        var borders = _.extend(emptyBorders(), readBorderSides(bordersElement));
 
-        var borders = {
+        // Return null if no borders are found, otherwise return the borders object
+        return hasAnyBorder(borders) ? borders : null;
+    }
+
+    function emptyBorders() {
+        return {
             top: null,
             right: null,
             bottom: null,
@@ -691,6 +1066,19 @@ function BodyReader(options) {
             insideV: null,
             insideH: null
         };
+    }
+
+    function hasAnyBorder(borders) {
+        return !!(borders.top || borders.right || borders.bottom || borders.left || borders.insideV || borders.insideH);
+    }
+
+    // Reads the sides that are set by the borders element. Sides set to nil
+    // or none are read as null, so that they override inherited borders.
+    function readBorderSides(bordersElement) {
+        var borders = {};
+        if (!bordersElement || !bordersElement.children) {
+            return borders;
+        }
 
         bordersElement.children.forEach(function(borderElement) {
             if (!borderElement || borderElement.type !== 'element') {
@@ -698,6 +1086,9 @@ function BodyReader(options) {
             }
             
             var side = borderElement.name ? borderElement.name.replace('w:', '') : '';
+            // w:start and w:end are used in place of w:left and w:right in
+            // newer documents.
+            side = {start: "left", end: "right"}[side] || side;
             var border = readSingleBorder(borderElement);
             
             if (side && (side === 'top' || side === 'bottom' || side === 'left' || side === 'right' || side === 'insideV' || side === 'insideH')) {
@@ -705,10 +1096,7 @@ function BodyReader(options) {
             }
         });
 
-        // Return null if no borders are found, otherwise return the borders object
-        var hasBorders = borders.top || borders.right || borders.bottom || borders.left || borders.insideV || borders.insideH;
-
-        return hasBorders ? borders : null;
+        return borders;
     }
 
     // Read a single border element and extract its properties
@@ -735,15 +1123,38 @@ function BodyReader(options) {
     function readTableRow(element) {
         var properties = element.firstOrEmpty("w:trPr");
 
-        // See 17.13.5.12 del (Deleted Table Row) of ECMA-376 4th edition Part 1
-        var isDeleted = !!properties.first("w:del");
-        if (isDeleted) {
+        // See 17.13.5.12 del (Deleted Table Row) of ECMA-376 4th edition Part 1.
+        // Inserted table rows are marked in the same way using w:ins.
+        var insertion = readPropertiesInsertion(properties);
+        var deletion = readPropertiesDeletion(properties);
+        if (isRemovedRevision(insertion, deletion)) {
             return emptyResult();
         }
 
         var isHeader = !!properties.first("w:tblHeader");
+        var gridBefore = parseInt(properties.firstOrEmpty("w:gridBefore").attributes["w:val"], 10) || 0;
         return readXmlElements(element.children).map(function(children) {
-            return documents.TableRow(children, {isHeader: isHeader});
+            assignGridColumns(children, gridBefore);
+            return documents.TableRow(children, {
+                isHeader: isHeader,
+                insertion: trackedChanges === "show" ? insertion : null,
+                deletion: trackedChanges === "show" ? deletion : null
+            });
+        });
+    }
+
+    // Records the index of the grid column that each cell starts in, before
+    // vertically merged cells are removed, so that the position of cells can
+    // be found once rows have fewer cells than the grid has columns. See
+    // 17.4.14 gridBefore (Grid Columns Before First Cell) of ECMA-376 4th
+    // edition Part 1.
+    function assignGridColumns(cells, gridBefore) {
+        var gridColumn = gridBefore;
+        cells.forEach(function(cell) {
+            if (cell.type === documents.types.tableCell) {
+                cell._gridColumn = gridColumn;
+                gridColumn += cell.colSpan;
+            }
         });
     }
 
@@ -837,23 +1248,105 @@ function BodyReader(options) {
     }
 
     function readDrawingElement(element) {
-        var blipFills = element
+        var graphicData = element
             .getElementsByTagName("a:graphic")
-            .getElementsByTagName("a:graphicData")
-            .getElementsByTagName("pic:pic")
-            .getElementsByTagName("pic:blipFill");
-
+            .getElementsByTagName("a:graphicData");
         var results = [];
-        blipFills.forEach(function(blipFill) {
-            var blips = blipFill.getElementsByTagName("a:blip");
-            blips.forEach(function(blip) {
-                results.push(readBlip(element, blip, blipFill));
+        graphicData.getElementsByTagName("pic:pic").forEach(function(picture) {
+            var transform = readTransform(picture.firstOrEmpty("pic:spPr").firstOrEmpty("a:xfrm"));
+            picture.getElementsByTagName("pic:blipFill").forEach(function(blipFill) {
+                var blips = blipFill.getElementsByTagName("a:blip");
+                blips.forEach(function(blip) {
+                    results.push(readBlip(element, blip, blipFill, transform));
+                });
             });
         });
 
+        graphicData
+            .getElementsByTagName("wps:wsp")
+            .getElementsByTagName("wps:txbx")
+            .forEach(function(textBox) {
+                results.push(readDrawingTextBox(element, textBox));
+            });
+
+        graphicData
+            .getElementsByTagName("c:chart")
+            .forEach(function(chart) {
+                results.push(readChart(element, chart));
+            });
+
+        graphicData
+            .getElementsByTagName("dgm:relIds")
+            .forEach(function(relIds) {
+                results.push(readDiagram(relIds));
+            });
+
         return combineResults(results);
     }
 
+    function readDrawingTextBox(element, textBox) {
+        var extent = element.firstOrEmpty("wp:extent").attributes;
+        var imageProperties = parseImageProperties(element);
+        // Text boxes can't be placed within the text of a paragraph, so they
+        // are placed after the paragraph that anchors them.
+        return readTextBoxContent(textBox.firstOrEmpty("w:txbxContent"), {
+            width: extent.cx ? convertToPixels(extent.cx, "EMU") : null,
+            height: extent.cy ? convertToPixels(extent.cy, "EMU") : null,
+            anchoring: imageProperties.floating,
+            wrapping: imageProperties.wrappingStyle
+        }).toExtra();
+    }
+
+    function readChart(element, chartElement) {
+        var relationshipId = chartElement.attributes["r:id"];
+        var target = relationshipId ? relationships.findTargetByRelationshipId(relationshipId) : null;
+        var chart = target ? charts[target] : null;
+        if (!chart) {
+            return emptyResultWithMessages([warning("Could not find chart part for c:chart element")]);
+        }
+
+        var properties = element.firstOrEmpty("wp:docPr").attributes;
+        var altText = isBlank(properties.descr) ? properties.title : properties.descr;
+        if (chart.error) {
+            // The alt text of the chart is written in its place, in the same
+            // way that an image's alt text is shown when it can't be loaded.
+            var messages = [warning("Could not read chart part " + target + ": " + chart.error.message)];
+            return isBlank(altText)
+                ? emptyResultWithMessages(messages)
+                : elementResultWithMessages(
+                    new documents.Paragraph([new documents.Run([new documents.Text(altText)])]),
+                    messages
+                ).toExtra();
+        }
+        var extent = element.firstOrEmpty("wp:extent").attributes;
+        // Like text boxes, charts are rendered as block content, so they are
+        // placed after the paragraph that anchors them.
+        return elementResult(new documents.Chart(_.extend({}, chart, {
+            altText: altText,
+            width: extent.cx ? convertToPixels(extent.cx, "EMU") : null,
+            height: extent.cy ? convertToPixels(extent.cy, "EMU") : null
+        }))).toExtra();
+    }
+
+    function readDiagram(relIds) {
+        var relationshipId = relIds.attributes["r:dm"];
+        var target = relationshipId ? relationships.findTargetByRelationshipId(relationshipId) : null;
+        var diagram = target ? diagrams[target] : null;
+        if (!diagram) {
+            return emptyResultWithMessages([warning("Could not find diagram data part for dgm:relIds element")]);
+        }
+        if (diagram.error) {
+            return elementResultWithMessages(
+                new documents.Diagram([]),
+                [warning("Could not read diagram data part " + target + ": " + diagram.error.message)]
+            ).toExtra();
+        }
+        return elementResult(new documents.Diagram(diagram.nodes, {
+            layout: diagram.layout,
+            category: diagram.category
+        })).toExtra();
+    }
+
     function getUnitType(element) {
         var namespace = element.name.split(":")[0];
         if (namespace === "wp") {
@@ -902,7 +1395,18 @@ function BodyReader(options) {
       }; */
     }
 
-    function readBlip(element, blip, blipFill) {
+    // See 20.1.7.6 xfrm (2D Transform for Individual Objects) of ECMA-376 4th
+    // edition Part 1. Rotation is in 60,000ths of a degree.
+    function readTransform(xfrm) {
+        var rotation = parseInt(xfrm.attributes.rot, 10);
+        return {
+            rotation: isNaN(rotation) ? 0 : rotation / 60000,
+            flipHorizontal: readBooleanAttributeValue(xfrm.attributes.flipH || "0"),
+            flipVertical: readBooleanAttributeValue(xfrm.attributes.flipV || "0")
+        };
+    }
+
+    function readBlip(element, blip, blipFill, transform) {
         var properties = element.first("wp:docPr").attributes;
         var altText = isBlank(properties.descr) ? properties.title : properties.descr;
         var blipImageFile = findBlipImageFile(blip);
@@ -956,7 +1460,7 @@ function BodyReader(options) {
         if (blipImageFile === null) {
             return emptyResultWithMessages([warning("Could not find image file for a:blip element")]);
         } else {
-            return readImage(blipImageFile, altText, width, height, imageProperties, cropping, isCropped);
+            return readImage(blipImageFile, altText, width, height, imageProperties, cropping, isCropped, transform);
         }
     }
 
@@ -1076,10 +1580,10 @@ function BodyReader(options) {
         };
     }
 
-    function readImage(imageFile, altText, width, height, imageProperties, srcRect, isCropped) {
+    function readImage(imageFile, altText, width, height, imageProperties, srcRect, isCropped, transform) {
         var contentType = contentTypes.findContentType(imageFile.path);
 
-        var image = documents.Image({
+        var image = documents.Image(_.extend({}, transform, {
             readImage: imageFile.read,
             altText: altText,
             contentType: contentType,
@@ -1088,7 +1592,7 @@ function BodyReader(options) {
             imageProperties: imageProperties,
             srcRect: srcRect,
             isCropped: isCropped
-        });
+        }));
         var warnings = supportedImageTypes[contentType] ?
             [] : warning("Image of type " + contentType + " is unlikely to display in web browsers");
         return elementResultWithMessages(image, warnings);
@@ -1153,11 +1657,17 @@ var supportedImageTypes = {
 
 var ignoreElements = {
     "office-word:wrap": true,
+    "o:OLEObject": true,
+    "w:objectEmbed": true,
+    "w:objectLink": true,
     "v:shadow": true,
     "v:shapetype": true,
     "w:annotationRef": true,
     "w:bookmarkEnd": true,
-    "w:sectPr": true,
+    "w:moveFromRangeStart": true,
+    "w:moveFromRangeEnd": true,
+    "w:moveToRangeStart": true,
+    "w:moveToRangeEnd": true,
     "w:proofErr": true,
     "w:lastRenderedPageBreak": true,
     // "w:commentRangeStart": true,
@@ -0,0 +1,149 @@
+var _ = require("underscore");
+
+exports.readChartXml = readChartXml;
+
+
+// Reads the chart type, title, categories and series from a chart part, such as
+// word/charts/chart1.xml. Only the values cached in the chart part are read.
+// See 21.2 DrawingML - Charts of ECMA-376 4th edition Part 1.
+function readChartXml(element) {
+    var chart = element.firstOrEmpty("c:chart");
+    var plotArea = chart.firstOrEmpty("c:plotArea");
+
+    var series = _.flatten(plotArea.children.filter(isPlot).map(readPlot), true);
+    var seriesWithCategories = _.find(series, function(item) {
+        return item.categories.length > 0;
+    });
+
+    return {
+        chartType: series.length > 0 ? series[0].chartType : readPlotType(_.find(plotArea.children, isPlot)),
+        title: readChartTitle(chart, series),
+        categories: seriesWithCategories ? seriesWithCategories.categories : [],
+        series: series
+    };
+}
+
+function isPlot(element) {
+    return element.type === "element" && /^c:.+Chart$/.test(element.name);
+}
+
+function readPlot(plot) {
+    var chartType = readPlotType(plot);
+    return plot.getElementsByTagName("c:ser").map(function(series) {
+        return readSeries(series, chartType);
+    });
+}
+
+function readPlotType(plot) {
+    if (!plot) {
+        return null;
+    }
+    var chartType = plot.name.replace(/^c:/, "").replace(/(3D)?Chart$/, "");
+    if (chartType === "bar" && plot.firstOrEmpty("c:barDir").attributes.val === "col") {
+        return "column";
+    } else {
+        return chartType;
+    }
+}
+
+function readSeries(series, chartType) {
+    // Scatter and bubble charts have x and y values instead of categories and
+    // values.
+    var categories = series.first("c:cat") || series.firstOrEmpty("c:xVal");
+    var values = series.first("c:val") || series.firstOrEmpty("c:yVal");
+    return {
+        name: readText(series.firstOrEmpty("c:tx")),
+        chartType: chartType,
+        categories: readDataSource(categories).map(function(value) {
+            return value === null ? "" : value;
+        }),
+        values: readDataSource(values).map(function(value) {
+            var number = value === null ? NaN : parseFloat(value);
+            return isNaN(number) ? null : number;
+        })
+    };
+}
+
+function readDataSource(element) {
+    return readCache(findCache(element));
+}
+
+function readCache(cache) {
+    if (!cache) {
+        return [];
+    }
+    var ptCount = cache.first("c:ptCount");
+    var points = cache.getElementsByTagName("c:pt");
+    var count = ptCount
+        ? parseInt(ptCount.attributes.val, 10)
+        : _.max(points.map(function(point) {
+            return parseInt(point.attributes.idx, 10) + 1;
+        }).concat([0]));
+    var values = _.range(count).map(function() {
+        return null;
+    });
+    points.forEach(function(point) {
+        var index = parseInt(point.attributes.idx, 10);
+        if (index >= 0 && index < count) {
+            values[index] = readPointValue(point);
+        }
+    });
+    return values;
+}
+
+function findCache(element) {
+    var reference = element.first("c:strRef") || element.first("c:numRef");
+    if (reference) {
+        return reference.first("c:strCache") || reference.first("c:numCache");
+    }
+    var multiLevelReference = element.first("c:multiLvlStrRef");
+    if (multiLevelReference) {
+        // The first level holds the innermost categories, which are the ones
+        // that each value belongs to.
+        return multiLevelReference
+            .firstOrEmpty("c:multiLvlStrCache")
+            .first("c:lvl");
+    }
+    return element.first("c:strLit") || element.first("c:numLit") || null;
+}
+
+function readPointValue(point) {
+    var value = point.first("c:v");
+    return value ? value.text() : null;
+}
+
+function readChartTitle(chart, series) {
+    var title = chart.first("c:title");
+    if (title) {
+        var text = readText(title.firstOrEmpty("c:tx"));
+        if (text !== null) {
+            return text;
+        }
+    }
+    // When a chart with a single series has an automatic title, Word uses the
+    // name of the series as the title.
+    var autoTitleDeleted = chart.firstOrEmpty("c:autoTitleDeleted").attributes.val;
+    var hasAutoTitle = title ? true : autoTitleDeleted === "0" || autoTitleDeleted === "false";
+    if (hasAutoTitle && series.length === 1) {
+        return series[0].name;
+    } else {
+        return null;
+    }
+}
+
+function readText(element) {
+    var rich = element.first("c:rich");
+    if (rich) {
+        return rich.getElementsByTagName("a:p").map(function(paragraph) {
+            return paragraph.getElementsByTagName("a:r").getElementsByTagName("a:t").map(function(text) {
+                return text.text();
+            }).join("");
+        }).join(" ");
+    }
+    var cache = findCache(element);
+    if (cache) {
+        return _.compact(readCache(cache)).join(" ") || null;
+    }
+    var value = element.first("c:v");
+    return value ? value.text() : null;
+}
@@ -1,32 +1,119 @@
+var _ = require("underscore");
+
 var documents = require("../documents");
 var Result = require("../results").Result;
 
-function createCommentsReader(bodyReader) {
+// The threads of comments, and whether they've been resolved, are stored in
+// word/commentsExtended.xml, keyed by the paragraph ID of the last paragraph of
+// each comment. See 2.5.3 of [MS-DOCX].
+function createCommentsReader(bodyReader, options) {
+    options = options || {};
+    var commentsExtended = options.commentsExtended || {};
+    var commentsIds = options.commentsIds || {};
+    var people = options.people || {};
+
     function readCommentsXml(element) {
-        return Result.combine(element.getElementsByTagName("w:comment")
-            .map(readCommentElement));
+        var commentElements = element.getElementsByTagName("w:comment");
+        var commentIdsByParaId = {};
+        commentElements.forEach(function(commentElement) {
+            var paraId = readParaId(commentElement);
+            if (paraId !== null) {
+                commentIdsByParaId[paraId] = commentElement.attributes["w:id"];
+            }
+        });
+
+        return Result.combine(commentElements.map(function(commentElement) {
+            return readCommentElement(commentElement, commentIdsByParaId);
+        }));
     }
 
-    function readCommentElement(element) {
+    function readCommentElement(element, commentIdsByParaId) {
         var id = element.attributes["w:id"];
+        var paraId = readParaId(element);
+        var extended = paraId === null ? null : commentsExtended[paraId];
 
         function readOptionalAttribute(name) {
             return (element.attributes[name] || "").trim() || null;
         }
 
+        var authorName = readOptionalAttribute("w:author");
+        var parentCommentId = extended && extended.parentParaId !== null
+            ? commentIdsByParaId[extended.parentParaId]
+            : null;
+
         return bodyReader.readXmlElements(element.children)
             .map(function(body) {
                 return documents.comment({
                     commentId: id,
                     body: body,
-                    authorName: readOptionalAttribute("w:author"),
+                    authorName: authorName,
                     authorInitials: readOptionalAttribute("w:initials"),
-                    date: readOptionalAttribute("w:date")
+                    authorIdentity: authorName !== null && _.has(people, authorName) ? people[authorName] : null,
+                    date: readOptionalAttribute("w:date"),
+                    parentCommentId: parentCommentId === undefined || parentCommentId === id ? null : parentCommentId,
+                    isResolved: extended ? extended.isResolved : false,
+                    durableId: paraId !== null && _.has(commentsIds, paraId) ? commentsIds[paraId] : null
                 });
             });
     }
-    
+
     return readCommentsXml;
 }
 
+function readParaId(commentElement) {
+    var paragraphs = commentElement.getElementsByTagName("w:p");
+    if (paragraphs.length === 0) {
+        return null;
+    }
+    return paragraphs[paragraphs.length - 1].attributes["wordml:paraId"] || null;
+}
+
+function readCommentsExtendedXml(element) {
+    var commentsExtended = {};
+    element.getElementsByTagName("w15:commentEx").forEach(function(commentEx) {
+        var paraId = commentEx.attributes["w15:paraId"];
+        if (paraId) {
+            commentsExtended[paraId] = {
+                parentParaId: commentEx.attributes["w15:paraIdParent"] || null,
+                isResolved: readBooleanAttribute(commentEx.attributes["w15:done"])
+            };
+        }
+    });
+    return commentsExtended;
+}
+
+function readCommentsIdsXml(element) {
+    var commentsIds = {};
+    element.getElementsByTagName("w16cid:commentId").forEach(function(commentId) {
+        var paraId = commentId.attributes["w16cid:paraId"];
+        var durableId = commentId.attributes["w16cid:durableId"];
+        if (paraId && durableId) {
+            commentsIds[paraId] = durableId;
+        }
+    });
+    return commentsIds;
+}
+
+function readPeopleXml(element) {
+    var people = {};
+    element.getElementsByTagName("w15:person").forEach(function(person) {
+        var author = person.attributes["w15:author"];
+        var presenceInfo = person.first("w15:presenceInfo");
+        if (author && presenceInfo) {
+            people[author] = {
+                providerId: presenceInfo.attributes["w15:providerId"] || null,
+                userId: presenceInfo.attributes["w15:userId"] || null
+            };
+        }
+    });
+    return people;
+}
+
+function readBooleanAttribute(value) {
+    return value === "1" || value === "true" || value === "on";
+}
+
 exports.createCommentsReader = createCommentsReader;
+exports.readCommentsExtendedXml = readCommentsExtendedXml;
+exports.readCommentsIdsXml = readCommentsIdsXml;
+exports.readPeopleXml = readPeopleXml;
@@ -0,0 +1,83 @@
+var _ = require("underscore");
+
+exports.readDiagramDataXml = readDiagramDataXml;
+
+
+// Reads the text of a SmartArt diagram from its data part, such as
+// word/diagrams/data1.xml. The hierarchy of nodes is described by parent-of
+// connections between points, with the document point as the root. See 21.4
+// DrawingML - Diagrams of ECMA-376 4th edition Part 1.
+function readDiagramDataXml(element) {
+    var points = childrenNamed(element.firstOrEmpty("dgm:ptLst"), "dgm:pt");
+    var pointsById = _.indexBy(points, function(point) {
+        return point.attributes.modelId;
+    });
+
+    var connections = childrenNamed(element.firstOrEmpty("dgm:cxnLst"), "dgm:cxn").filter(function(connection) {
+        var type = connection.attributes.type || "parOf";
+        return type === "parOf";
+    });
+    var connectionsBySourceId = _.groupBy(connections, function(connection) {
+        return connection.attributes.srcId;
+    });
+
+    var documentPoint = _.find(points, function(point) {
+        return point.attributes.type === "doc";
+    });
+    var properties = documentPoint ? documentPoint.firstOrEmpty("dgm:prSet").attributes : {};
+
+    // Guard against cycles in malformed documents.
+    var visited = {};
+
+    function readChildNodes(pointId) {
+        visited[pointId] = true;
+        var childConnections = _.sortBy(connectionsBySourceId[pointId] || [], function(connection) {
+            return parseInt(connection.attributes.srcOrd, 10) || 0;
+        });
+        return _.flatten(childConnections.map(function(connection) {
+            var point = pointsById[connection.attributes.destId];
+            if (!point || visited[connection.attributes.destId] || !isNodePoint(point)) {
+                return [];
+            }
+            var node = {
+                text: readPointText(point),
+                children: readChildNodes(connection.attributes.destId)
+            };
+            return node.text || node.children.length > 0 ? [node] : [];
+        }), true);
+    }
+
+    return {
+        layout: properties.loTypeId || null,
+        category: properties.loCatId || null,
+        nodes: documentPoint ? readChildNodes(documentPoint.attributes.modelId) : []
+    };
+}
+
+function isNodePoint(point) {
+    var type = point.attributes.type || "node";
+    return type === "node" || type === "asst";
+}
+
+function readPointText(point) {
+    return childrenNamed(point.firstOrEmpty("dgm:t"), "a:p").map(function(paragraph) {
+        return paragraph.children.map(function(child) {
+            var isText = child.name === "a:r" || child.name === "a:fld";
+            return isText ? childrenNamed(child, "a:t").map(elementText).join("") : "";
+        }).join("");
+    }).filter(function(text) {
+        return text.length > 0;
+    }).join("\n");
+}
+
+function childrenNamed(element, name) {
+    return element.children.filter(function(child) {
+        return child.name === name;
+    });
+}
+
+function elementText(element) {
+    return element.children.map(function(child) {
+        return child.type === "text" ? child.value : "";
+    }).join("");
+}
@@ -1,11 +1,15 @@
 exports.DocumentXmlReader = DocumentXmlReader;
 
+var _ = require("underscore");
+
 var documents = require("../documents");
 var Result = require("../results").Result;
 
 
 function DocumentXmlReader(options) {
     var bodyReader = options.bodyReader;
+    var headerParts = options.headerParts || {};
+    var footerParts = options.footerParts || {};
 
     function convertXmlToDocument(element) {
         var body = element.first("w:body");
@@ -14,19 +18,111 @@ function DocumentXmlReader(options) {
             throw new Error("Could not find the body element: are you sure this is a docx file?");
         }
 
-        var result = bodyReader.readXmlElements(body.children)
-            .map(function(children) {
-                return new documents.Document(children, {
-                    notes: options.notes,
-                    comments: options.comments,
-                    headers: options.headers,
-                    footers: options.footers
-                });
+        // The properties of the final section are held by the w:sectPr
+        // element that is a direct child of the body, rather than by the last
+        // paragraph of the section.
+        var contentXml = body.children.filter(function(child) {
+            return child.name !== "w:sectPr";
+        });
+        var finalSectionPropertiesXml = body.first("w:sectPr");
+
+        var contentResult = bodyReader.readXmlElements(contentXml);
+        var finalSectionPropertiesResult = finalSectionPropertiesXml
+            ? bodyReader.readXmlElement(finalSectionPropertiesXml)
+            : new Result(defaultSectionProperties);
+
+        var sections = readSections(contentResult.value, finalSectionPropertiesResult.value);
+        var document = new documents.Document(sections.sections, {
+            notes: options.notes,
+            comments: options.comments,
+            headers: sections.headers,
+            footers: sections.footers
+        });
+        return new Result(document, contentResult.messages.concat(finalSectionPropertiesResult.messages));
+    }
+
+    function readSections(children, finalSectionProperties) {
+        var sectionsProperties = [];
+        var sectionsChildren = [];
+        var currentChildren = [];
+        children.forEach(function(child) {
+            if (child.type === "sectionProperties") {
+                sectionsProperties.push(child);
+                sectionsChildren.push(currentChildren);
+                currentChildren = [];
+            } else {
+                currentChildren.push(child);
+            }
+        });
+        sectionsProperties.push(finalSectionProperties);
+        sectionsChildren.push(currentChildren);
+
+        // A section that doesn't reference a header or footer of a given type
+        // inherits it from the previous section. See 17.10.5 headerReference
+        // (Header Reference) of ECMA-376 4th edition Part 1.
+        var headers = new HeaderFooterResolver(headerParts, function(children, headerType, sectionIndex, partPath) {
+            return new documents.Header(children, {headerType: headerType, sectionIndex: sectionIndex, partPath: partPath});
+        });
+        var footers = new HeaderFooterResolver(footerParts, function(children, footerType, sectionIndex, partPath) {
+            return new documents.Footer(children, {footerType: footerType, sectionIndex: sectionIndex, partPath: partPath});
+        });
+
+        var sections = sectionsProperties.map(function(properties, sectionIndex) {
+            return new documents.Section(sectionsChildren[sectionIndex], {
+                sectionIndex: sectionIndex,
+                sectionType: properties.sectionType,
+                pageSize: properties.pageSize,
+                pageMargins: properties.pageMargins,
+                columns: properties.columns,
+                isTitlePage: properties.isTitlePage,
+                headers: headers.resolve(properties.headerReferences, sectionIndex),
+                footers: footers.resolve(properties.footerReferences, sectionIndex)
             });
-        return new Result(result.value, result.messages);
+        });
+
+        return {
+            sections: sections,
+            headers: headers.defined,
+            footers: footers.defined
+        };
     }
 
     return {
         convertXmlToDocument: convertXmlToDocument
     };
 }
+
+function HeaderFooterResolver(parts, create) {
+    var inherited = {};
+    var defined = [];
+
+    function resolve(references, sectionIndex) {
+        var resolved = _.clone(inherited);
+        references.forEach(function(reference) {
+            var children = parts[reference.path];
+            if (children) {
+                var headerFooter = create(children, reference.type, sectionIndex, reference.path);
+                resolved[reference.type] = headerFooter;
+                defined.push(headerFooter);
+            }
+        });
+        inherited = resolved;
+        return resolved;
+    }
+
+    return {
+        resolve: resolve,
+        defined: defined
+    };
+}
+
+var defaultSectionProperties = {
+    type: "sectionProperties",
+    sectionType: null,
+    pageSize: null,
+    pageMargins: null,
+    columns: null,
+    isTitlePage: false,
+    headerReferences: [],
+    footerReferences: []
+};
@@ -1,9 +1,13 @@
 exports.read = read;
+exports.readMetadata = readMetadata;
 exports._findPartPaths = findPartPaths;
 
+var _ = require("underscore");
+
 var promises = require("../promises");
 var documents = require("../documents");
 var Result = require("../results").Result;
+var warning = require("../results").warning;
 var zipfile = require("../zipfile");
 
 var readXmlFromZipFile = require("./office-xml-reader").readXmlFromZipFile;
@@ -16,20 +20,42 @@ var stylesReader = require("./styles-reader");
 var notesReader = require("./notes-reader");
 var commentsReader = require("./comments-reader");
 var headersFootersReader = require("./headers-footers-reader");
+var chartReader = require("./chart-reader");
+var diagramReader = require("./diagram-reader");
+var metadataReader = require("./metadata-reader");
+var xml = require("../xml");
 var Files = require("./files").Files;
 
 
-function read(docxFile, input) {
+function read(docxFile, input, options) {
     input = input || {};
+    options = options || {};
 
     return promises.props({
+        trackedChanges: options.trackedChanges,
         contentTypes: readContentTypesFromZipFile(docxFile),
         partPaths: findPartPaths(docxFile),
         docxFile: docxFile,
         files: input.path ? Files.relativeToFile(input.path) : new Files(null)
     }).also(function(result) {
         return {
-            theme: readThemeFromZipFile(docxFile, result.partPaths.theme)
+            theme: readThemeFromZipFile(docxFile, result.partPaths.theme),
+            metadata: readMetadataResultFromZipFile(docxFile, result.partPaths),
+            commentsExtended: xmlFileReader({
+                filename: result.partPaths.commentsExtended,
+                readElement: commentsReader.readCommentsExtendedXml,
+                defaultValue: {}
+            })(docxFile),
+            commentsIds: xmlFileReader({
+                filename: result.partPaths.commentsIds,
+                readElement: commentsReader.readCommentsIdsXml,
+                defaultValue: {}
+            })(docxFile),
+            people: xmlFileReader({
+                filename: result.partPaths.people,
+                readElement: commentsReader.readPeopleXml,
+                defaultValue: {}
+            })(docxFile)
         };
     }).also(function(result) {
         return {
@@ -57,7 +83,11 @@ function read(docxFile, input) {
             }),
             comments: readXmlFileWithBody(result.partPaths.comments, result, function(bodyReader, xml) {
                 if (xml) {
-                    return commentsReader.createCommentsReader(bodyReader)(xml);
+                    return commentsReader.createCommentsReader(bodyReader, {
+                        commentsExtended: result.commentsExtended,
+                        commentsIds: result.commentsIds,
+                        people: result.people
+                    })(xml);
                 } else {
                     return new Result([]);
                 }
@@ -73,21 +103,21 @@ function read(docxFile, input) {
         };
     }).also(function(result) {
         return {
-            headers: parseHeadersFooters(result.partPaths.headers, result, "header"),
-            footers: parseHeadersFooters(result.partPaths.footers, result, "footer")
+            headers: readHeaderFooterParts(result.partPaths.headers, result),
+            footers: readHeaderFooterParts(result.partPaths.footers, result)
         };
     }).then(function(result) {
         return readXmlFileWithBody(result.partPaths.mainDocument, result, function(bodyReader, xml) {
             return result.notes.flatMap(function(notes) {
                 return result.comments.flatMap(function(comments) {
-                    return result.headers.flatMap(function(headers) {
-                        return result.footers.flatMap(function(footers) {
+                    return result.headers.flatMap(function(headerParts) {
+                        return result.footers.flatMap(function(footerParts) {
                             var reader = new DocumentXmlReader({
                                 bodyReader: bodyReader,
                                 notes: notes,
                                 comments: comments,
-                                headers: headers,
-                                footers: footers
+                                headerParts: headerParts,
+                                footerParts: footerParts
                             });
                             return reader.convertXmlToDocument(xml);
                         });
@@ -99,17 +129,37 @@ function read(docxFile, input) {
             var numberingStyles = result.numbering.getNumberingStyles(); // Get the numbering styles
             var customStyles = result.styles.getCustomStyles(); // Get the custom styles
             var documentDefaults = result.styles.getDocumentDefaults(); // Get the document defaults
-            return Object.assign(finalDocument, {
+            var documentResult = finalDocument.flatMap(function(document) {
+                return new Result(document, result.metadata.messages);
+            });
+            return Object.assign(documentResult, {
                 customStyles: customStyles,
                 numberingStyles: numberingStyles,
-                documentDefaults: documentDefaults
+                documentDefaults: documentDefaults,
+                metadata: result.metadata.value
             });
         });
     });
 }
 
+function readMetadata(docxFile) {
+    return findPartPaths(docxFile).then(function(partPaths) {
+        return readMetadataFromZipFile(docxFile, partPaths);
+    });
+}
+
 function findPartPaths(docxFile) {
     return readPackageRelationships(docxFile).then(function(packageRelationships) {
+        function findPackagePart(relationshipType, fallbackPath) {
+            return findPartPath({
+                docxFile: docxFile,
+                relationships: packageRelationships,
+                relationshipType: relationshipType,
+                basePath: "",
+                fallbackPath: fallbackPath
+            });
+        }
+
         var mainDocumentPath = findPartPath({
             docxFile: docxFile,
             relationships: packageRelationships,
@@ -127,11 +177,11 @@ function findPartPaths(docxFile) {
             readElement: relationshipsReader.readRelationships,
             defaultValue: relationshipsReader.defaultValue
         })(docxFile).then(function(documentRelationships) {
-            function findPartRelatedToMainDocument(name) {
+            function findPartRelatedToMainDocument(name, relationshipType) {
                 return findPartPath({
                     docxFile: docxFile,
                     relationships: documentRelationships,
-                    relationshipType: "http://schemas.openxmlformats.org/officeDocument/2006/relationships/" + name,
+                    relationshipType: relationshipType || "http://schemas.openxmlformats.org/officeDocument/2006/relationships/" + name,
                     basePath: zipfile.splitPath(mainDocumentPath).dirname,
                     fallbackPath: "word/" + name + ".xml"
                 });
@@ -140,13 +190,37 @@ function findPartPaths(docxFile) {
             return {
                 mainDocument: mainDocumentPath,
                 comments: findPartRelatedToMainDocument("comments"),
+                commentsExtended: findPartRelatedToMainDocument(
+                    "commentsExtended",
+                    "http://schemas.microsoft.com/office/2011/relationships/commentsExtended"
+                ),
+                commentsIds: findPartRelatedToMainDocument(
+                    "commentsIds",
+                    "http://schemas.microsoft.com/office/2016/09/relationships/commentsIds"
+                ),
+                people: findPartRelatedToMainDocument(
+                    "people",
+                    "http://schemas.microsoft.com/office/2011/relationships/people"
+                ),
                 endnotes: findPartRelatedToMainDocument("endnotes"),
                 footnotes: findPartRelatedToMainDocument("footnotes"),
                 numbering: findPartRelatedToMainDocument("numbering"),
                 styles: findPartRelatedToMainDocument("styles"),
                 theme: findPartRelatedToMainDocument("theme"),
                 headers: findPartsByTypeWithBasePath(documentRelationships, "header", zipfile.splitPath(mainDocumentPath).dirname),
-                footers: findPartsByTypeWithBasePath(documentRelationships, "footer", zipfile.splitPath(mainDocumentPath).dirname)
+                footers: findPartsByTypeWithBasePath(documentRelationships, "footer", zipfile.splitPath(mainDocumentPath).dirname),
+                coreProperties: findPackagePart(
+                    "http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties",
+                    "docProps/core.xml"
+                ),
+                extendedProperties: findPackagePart(
+                    "http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties",
+                    "docProps/app.xml"
+                ),
+                customProperties: findPackagePart(
+                    "http://schemas.openxmlformats.org/officeDocument/2006/relationships/custom-properties",
+                    "docProps/custom.xml"
+                )
             };
         });
     });
@@ -208,22 +282,59 @@ function readXmlFileWithBody(filename, options, func) {
     });
 
     return readRelationshipsFromZipFile(options.docxFile).then(function(relationships) {
-        var bodyReader = new createBodyReader({
-            relationships: relationships,
-            contentTypes: options.contentTypes,
-            docxFile: options.docxFile,
-            numbering: options.numbering,
-            styles: options.styles,
-            files: options.files
-        });
-        
-        return readXmlFromZipFile(options.docxFile, filename)
-            .then(function(xml) {
-                return func(bodyReader, xml);
+        // The body reader is synchronous, so charts and diagrams are read
+        // before the body.
+        var basePath = zipfile.splitPath(filename).dirname;
+        return promises.props({
+            charts: readRelatedParts(options.docxFile, relationships, basePath, chartRelationshipTypes, chartReader.readChartXml),
+            diagrams: readRelatedParts(options.docxFile, relationships, basePath, diagramDataRelationshipTypes, diagramReader.readDiagramDataXml)
+        }).then(function(relatedParts) {
+            var bodyReader = new createBodyReader({
+                relationships: relationships,
+                contentTypes: options.contentTypes,
+                docxFile: options.docxFile,
+                numbering: options.numbering,
+                styles: options.styles,
+                files: options.files,
+                charts: relatedParts.charts,
+                diagrams: relatedParts.diagrams,
+                trackedChanges: options.trackedChanges
             });
+
+            return readXmlFromZipFile(options.docxFile, filename)
+                .then(function(xml) {
+                    return func(bodyReader, xml);
+                });
+        });
     });
 }
 
+var chartRelationshipTypes = [
+    "http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart",
+    "http://purl.oclc.org/ooxml/officeDocument/relationships/chart"
+];
+
+var diagramDataRelationshipTypes = [
+    "http://schemas.openxmlformats.org/officeDocument/2006/relationships/diagramData",
+    "http://purl.oclc.org/ooxml/officeDocument/relationships/diagramData"
+];
+
+// Returns the parts of the given relationship types related to a part, read
+// using readElement and keyed by relationship target.
+// A part that can't be read is recorded as {error: error} rather than failing
+// the conversion, so that the element referencing it can give a warning.
+function readRelatedParts(docxFile, relationships, basePath, relationshipTypes, readElement) {
+    var targets = _.flatten(relationshipTypes.map(relationships.findTargetsByType), true);
+    return promises.all(targets.map(function(target) {
+        var path = stripPrefix(zipfile.joinPath(basePath, target), "/");
+        return readXmlFromZipFile(docxFile, path).then(function(element) {
+            return [target, element ? readElement(element) : null];
+        }).caught(function(error) {
+            return [target, {error: error}];
+        });
+    })).then(_.object);
+}
+
 function relationshipsFilename(filename) {
     var split = zipfile.splitPath(filename);
     return zipfile.joinPath(split.dirname, "_rels", split.basename + ".rels");
@@ -263,6 +374,55 @@ function readStylesFromZipFileWithTheme(zipFile, path, theme) {
     })(zipFile);
 }
 
+// Metadata is read from the core, extended and custom properties parts, which
+// are conventionally docProps/core.xml, docProps/app.xml and docProps/custom.xml.
+function readMetadataFromZipFile(zipFile, partPaths) {
+    return promises.props({
+        core: xmlFileReader({
+            filename: partPaths.coreProperties,
+            readElement: metadataReader.readCorePropertiesXml,
+            defaultValue: metadataReader.readCorePropertiesXml(xml.emptyElement)
+        })(zipFile),
+        extended: xmlFileReader({
+            filename: partPaths.extendedProperties,
+            readElement: metadataReader.readExtendedPropertiesXml,
+            defaultValue: metadataReader.readExtendedPropertiesXml(xml.emptyElement)
+        })(zipFile),
+        customProperties: xmlFileReader({
+            filename: partPaths.customProperties,
+            readElement: metadataReader.readCustomPropertiesXml,
+            defaultValue: {}
+        })(zipFile)
+    }).then(combineMetadata);
+}
+
+function emptyMetadata() {
+    return combineMetadata({
+        core: metadataReader.readCorePropertiesXml(xml.emptyElement),
+        extended: metadataReader.readExtendedPropertiesXml(xml.emptyElement),
+        customProperties: {}
+    });
+}
+
+function combineMetadata(properties) {
+    return _.extend({}, properties.core, properties.extended, {
+        customProperties: properties.customProperties
+    });
+}
+
+// The metadata isn't needed to convert the document, so a part that can't be
+// read gives a warning and empty metadata rather than failing the conversion.
+function readMetadataResultFromZipFile(zipFile, partPaths) {
+    return readMetadataFromZipFile(zipFile, partPaths).then(function(metadata) {
+        return new Result(metadata);
+    }).caught(function(error) {
+        return new Result(
+            emptyMetadata(),
+            [warning("Could not read document properties: " + error.message)]
+        );
+    });
+}
+
 function readThemeFromZipFile(zipFile, path) {
     return xmlFileReader({
         filename: path,
@@ -309,48 +469,21 @@ var readPackageRelationships = xmlFileReader({
     defaultValue: relationshipsReader.defaultValue
 });
 
-function parseHeadersFooters(partPaths, result, type) {
-    if (!partPaths || partPaths.length === 0) {
-        return promises.resolve(new Result([]));
-    }
-
-    var reader = type === "header" ?
-        headersFootersReader.createHeadersReader :
-        headersFootersReader.createFootersReader;
-    
-    return promises.all(partPaths.map(function(path, index) {
+function readHeaderFooterParts(partPaths, result) {
+    return promises.all(partPaths.map(function(path) {
         return readXmlFileWithBody(path, result, function(bodyReader, xml) {
             if (xml) {
-                var headerFooterType = determineHeaderFooterType(path);
-                return reader(bodyReader)(xml, headerFooterType, index);
+                return headersFootersReader.createHeaderFooterReader(bodyReader)(xml)
+                    .map(function(children) {
+                        return {path: path, children: children};
+                    });
             } else {
                 return new Result([]);
             }
         });
     })).then(function(results) {
-        // Combine all results into a single result with all items
-        var allItems = [];
-        var allMessages = [];
-        results.forEach(function(res) {
-            if (res.value) {
-                allItems.push(res.value);
-            }
-            allMessages = allMessages.concat(res.messages || []);
+        return Result.combine(results).map(function(parts) {
+            return _.object(_.pluck(parts, "path"), _.pluck(parts, "children"));
         });
-        
-        return new Result(allItems, allMessages);
     });
 }
-
-function determineHeaderFooterType(path) {
-    if (path.includes("header1.xml") || path.includes("footer1.xml")) {
-        return "first";
-    }
-    if (path.includes("header2.xml") || path.includes("footer2.xml")) {
-        return "even";
-    }
-    if (path.includes("header3.xml") || path.includes("footer3.xml")) {
-        return "odd";
-    }
-    return "default";
-}
@@ -0,0 +1,58 @@
+exports.parseFieldInstruction = parseFieldInstruction;
+
+
+// Parses field instructions, such as `REF _Ref123 \h`, into the field type,
+// the arguments and the switches. See 17.16 Fields and Hyperlinks of ECMA-376
+// 4th edition Part 1.
+//
+// Whether a switch takes an argument depends on the field type and the switch,
+// so a switch is assumed to take an argument whenever it's followed by a value
+// that isn't itself a switch.
+function parseFieldInstruction(instruction) {
+    var tokens = tokenise(instruction);
+    var fieldType = tokens.length > 0 && !tokens[0].isQuoted ? tokens.shift().value.toUpperCase() : "";
+    var args = [];
+    var switches = [];
+
+    var index = 0;
+    while (index < tokens.length) {
+        var token = tokens[index];
+        if (isSwitch(token)) {
+            var next = tokens[index + 1];
+            var hasArgument = next !== undefined && !isSwitch(next);
+            switches.push({
+                name: token.value.substring(1),
+                argument: hasArgument ? next.value : null
+            });
+            index += hasArgument ? 2 : 1;
+        } else {
+            args.push(token.value);
+            index++;
+        }
+    }
+
+    return {
+        fieldType: fieldType,
+        instruction: instruction.trim(),
+        arguments: args,
+        switches: switches
+    };
+}
+
+function isSwitch(token) {
+    return !token.isQuoted && /^\\./.test(token.value);
+}
+
+function tokenise(instruction) {
+    var tokens = [];
+    var pattern = /"((?:[^"\\]|\\.)*)"|(\\[*#@]|\\[A-Za-z!]|[^\s"]+)/g;
+    var match;
+    while ((match = pattern.exec(instruction)) !== null) {
+        if (match[1] !== undefined) {
+            tokens.push({value: match[1].replace(/\\(["\\])/g, "$1"), isQuoted: true});
+        } else {
+            tokens.push({value: match[2], isQuoted: false});
+        }
+    }
+    return tokens;
+}
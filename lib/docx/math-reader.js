@@ -0,0 +1,284 @@
+exports.createMathReader = createMathReader;
+
+var _ = require("underscore");
+
+var documents = require("../documents");
+var Result = require("../results").Result;
+var warning = require("../results").warning;
+
+
+// Reads Office Math Markup Language (OMML). See 22.1 Math of ECMA-376 4th
+// edition Part 1.
+function createMathReader() {
+    return {
+        readMath: function(element, options) {
+            return new MathReader().readMath(element, options);
+        }
+    };
+}
+
+function MathReader() {
+    var messages = [];
+
+    function readMath(element, options) {
+        var math = documents.Math(readElements(element.children), {
+            isDisplay: options.isDisplay
+        });
+        return new Result(math, messages);
+    }
+
+    function readElements(elements) {
+        return _.flatten(elements.map(readElement), true);
+    }
+
+    function readElement(element) {
+        if (element.type !== "element") {
+            return [];
+        }
+        var handler = mathElementReaders[element.name];
+        if (handler) {
+            return handler(element);
+        } else if (isIgnoredElement(element.name)) {
+            return [];
+        } else {
+            messages.push(warning("An unsupported math element was replaced by its content: " + element.name));
+            return readElements(element.children);
+        }
+    }
+
+    function readArgument(element, name) {
+        return readElements(element.firstOrEmpty(name).children);
+    }
+
+    function readOptionalArgument(element, name, hideName) {
+        var properties = element.firstOrEmpty(element.name + "Pr");
+        if (hideName && readOnOffElement(properties.first(hideName))) {
+            return null;
+        }
+        var argument = readArgument(element, name);
+        return argument.length === 0 ? null : argument;
+    }
+
+    function readRun(element) {
+        var text = element.getElementsByTagName("m:t").map(function(textElement) {
+            return textElement.text();
+        }).join("");
+        var properties = element.firstOrEmpty("m:rPr");
+        if (readOnOffElement(properties.first("m:nor"))) {
+            return [{type: "normalText", value: text}];
+        } else {
+            var isPlain = properties.firstOrEmpty("m:sty").attributes["m:val"] === "p";
+            return tokenise(text, isPlain);
+        }
+    }
+
+    function readCharacter(properties, name, defaultValue) {
+        var element = properties.first(name);
+        if (element) {
+            var value = element.attributes["m:val"];
+            return value === undefined ? defaultValue : value;
+        } else {
+            return defaultValue;
+        }
+    }
+
+    var mathElementReaders = {
+        "m:r": readRun,
+        "m:f": function(element) {
+            var properties = element.firstOrEmpty("m:fPr");
+            return [{
+                type: "fraction",
+                fractionType: properties.firstOrEmpty("m:type").attributes["m:val"] || "bar",
+                numerator: readArgument(element, "m:num"),
+                denominator: readArgument(element, "m:den")
+            }];
+        },
+        "m:sSup": function(element) {
+            return [scripts(element, null, readArgument(element, "m:sup"))];
+        },
+        "m:sSub": function(element) {
+            return [scripts(element, readArgument(element, "m:sub"), null)];
+        },
+        "m:sSubSup": function(element) {
+            return [scripts(element, readArgument(element, "m:sub"), readArgument(element, "m:sup"))];
+        },
+        "m:sPre": function(element) {
+            var node = scripts(element, readArgument(element, "m:sub"), readArgument(element, "m:sup"));
+            node.isPrescript = true;
+            return [node];
+        },
+        "m:rad": function(element) {
+            return [{
+                type: "radical",
+                degree: readOptionalArgument(element, "m:deg", "m:degHide"),
+                base: readArgument(element, "m:e")
+            }];
+        },
+        "m:d": function(element) {
+            var properties = element.firstOrEmpty("m:dPr");
+            return [{
+                type: "delimiter",
+                open: readCharacter(properties, "m:begChr", "("),
+                close: readCharacter(properties, "m:endChr", ")"),
+                separator: readCharacter(properties, "m:sepChr", "|"),
+                items: element.getElementsByTagName("m:e").map(function(item) {
+                    return readElements(item.children);
+                })
+            }];
+        },
+        "m:nary": function(element) {
+            var properties = element.firstOrEmpty("m:naryPr");
+            var operator = readCharacter(properties, "m:chr", "∫");
+            var limitLocation = properties.firstOrEmpty("m:limLoc").attributes["m:val"] ||
+                (isIntegral(operator) ? "subSup" : "undOvr");
+            return [{
+                type: "nary",
+                operator: operator,
+                hasLimitsUnderOver: limitLocation === "undOvr",
+                lower: readOptionalArgument(element, "m:sub", "m:subHide"),
+                upper: readOptionalArgument(element, "m:sup", "m:supHide"),
+                base: readArgument(element, "m:e")
+            }];
+        },
+        "m:func": function(element) {
+            return [{
+                type: "function",
+                name: readArgument(element, "m:fName"),
+                base: readArgument(element, "m:e")
+            }];
+        },
+        "m:acc": function(element) {
+            var properties = element.firstOrEmpty("m:accPr");
+            return [{
+                type: "accent",
+                accent: readCharacter(properties, "m:chr", "̂"),
+                base: readArgument(element, "m:e")
+            }];
+        },
+        "m:bar": function(element) {
+            var properties = element.firstOrEmpty("m:barPr");
+            return [{
+                type: "bar",
+                position: properties.firstOrEmpty("m:pos").attributes["m:val"] === "top" ? "top" : "bottom",
+                base: readArgument(element, "m:e")
+            }];
+        },
+        "m:limLow": function(element) {
+            return [limit(element, "lower")];
+        },
+        "m:limUpp": function(element) {
+            return [limit(element, "upper")];
+        },
+        "m:groupChr": function(element) {
+            var properties = element.firstOrEmpty("m:groupChrPr");
+            return [{
+                type: "groupCharacter",
+                character: readCharacter(properties, "m:chr", "⏟"),
+                position: properties.firstOrEmpty("m:pos").attributes["m:val"] === "top" ? "top" : "bottom",
+                base: readArgument(element, "m:e")
+            }];
+        },
+        "m:m": function(element) {
+            return [{
+                type: "matrix",
+                rows: element.getElementsByTagName("m:mr").map(function(row) {
+                    return row.getElementsByTagName("m:e").map(function(cell) {
+                        return readElements(cell.children);
+                    });
+                })
+            }];
+        },
+        "m:eqArr": function(element) {
+            return [{
+                type: "equationArray",
+                rows: element.getElementsByTagName("m:e").map(function(row) {
+                    return readElements(row.children);
+                })
+            }];
+        },
+        "m:box": readBase,
+        "m:borderBox": readBase,
+        "m:phant": readBase,
+        "m:e": readChildElements,
+        "w:ins": readChildElements,
+        "w:del": function() {
+            return [];
+        },
+        "w:sdt": function(element) {
+            return readElements(element.firstOrEmpty("w:sdtContent").children);
+        }
+    };
+
+    function readBase(element) {
+        return readArgument(element, "m:e");
+    }
+
+    function readChildElements(element) {
+        return readElements(element.children);
+    }
+
+    function scripts(element, subscript, superscript) {
+        return {
+            type: "scripts",
+            base: readArgument(element, "m:e"),
+            subscript: subscript,
+            superscript: superscript,
+            isPrescript: false
+        };
+    }
+
+    function limit(element, position) {
+        return {
+            type: "limit",
+            position: position,
+            base: readArgument(element, "m:e"),
+            limit: readArgument(element, "m:lim")
+        };
+    }
+
+    return {
+        readMath: readMath
+    };
+}
+
+function readOnOffElement(element) {
+    if (element) {
+        var value = element.attributes["m:val"];
+        return value !== "off" && value !== "0" && value !== "false";
+    } else {
+        return false;
+    }
+}
+
+function isIgnoredElement(name) {
+    return /Pr$/.test(name) ||
+        name === "w:bookmarkStart" ||
+        name === "w:bookmarkEnd" ||
+        name === "w:proofErr";
+}
+
+function isIntegral(operator) {
+    return /^[∫-∳]$/.test(operator);
+}
+
+function tokenise(text, isPlain) {
+    var tokens = [];
+    var pattern = /([0-9]+(?:\.[0-9]+)?)|([A-Za-zÀ-ɏͰ-Ͽ]+)|(\s+)|(.)/g;
+    var match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[1]) {
+            tokens.push({type: "number", value: match[1]});
+        } else if (match[2]) {
+            if (isPlain) {
+                tokens.push({type: "identifier", value: match[2], isNormal: true});
+            } else {
+                match[2].split("").forEach(function(character) {
+                    tokens.push({type: "identifier", value: character, isNormal: false});
+                });
+            }
+        } else if (match[4]) {
+            tokens.push({type: "operator", value: match[4]});
+        }
+    }
+    return tokens;
+}
@@ -0,0 +1,117 @@
+var _ = require("underscore");
+
+exports.readCorePropertiesXml = readCorePropertiesXml;
+exports.readExtendedPropertiesXml = readExtendedPropertiesXml;
+exports.readCustomPropertiesXml = readCustomPropertiesXml;
+
+
+// See 11 Core Properties of ECMA-376 4th edition Part 2.
+function readCorePropertiesXml(element) {
+    return {
+        title: readString(element, "dc:title"),
+        subject: readString(element, "dc:subject"),
+        author: readString(element, "dc:creator"),
+        keywords: readString(element, "cp:keywords"),
+        description: readString(element, "dc:description"),
+        category: readString(element, "cp:category"),
+        contentStatus: readString(element, "cp:contentStatus"),
+        language: readString(element, "dc:language"),
+        lastModifiedBy: readString(element, "cp:lastModifiedBy"),
+        revision: readInteger(element, "cp:revision"),
+        created: readDate(element, "dcterms:created"),
+        modified: readDate(element, "dcterms:modified"),
+        lastPrinted: readDate(element, "cp:lastPrinted")
+    };
+}
+
+// See 22.2 Extended Properties of ECMA-376 4th edition Part 1.
+function readExtendedPropertiesXml(element) {
+    return {
+        application: readString(element, "extended-properties:Application"),
+        appVersion: readString(element, "extended-properties:AppVersion"),
+        company: readString(element, "extended-properties:Company"),
+        manager: readString(element, "extended-properties:Manager"),
+        template: readString(element, "extended-properties:Template"),
+        totalTime: readInteger(element, "extended-properties:TotalTime"),
+        pages: readInteger(element, "extended-properties:Pages"),
+        words: readInteger(element, "extended-properties:Words"),
+        characters: readInteger(element, "extended-properties:Characters"),
+        charactersWithSpaces: readInteger(element, "extended-properties:CharactersWithSpaces"),
+        lines: readInteger(element, "extended-properties:Lines"),
+        paragraphs: readInteger(element, "extended-properties:Paragraphs")
+    };
+}
+
+// See 22.3 Custom Properties of ECMA-376 4th edition Part 1.
+function readCustomPropertiesXml(element) {
+    var properties = {};
+    element.getElementsByTagName("custom-properties:property").forEach(function(property) {
+        var name = property.attributes.name;
+        var value = _.find(property.children, function(child) {
+            return child.type === "element";
+        });
+        if (name !== undefined && value) {
+            properties[name] = readVariant(value);
+        }
+    });
+    return properties;
+}
+
+// See 22.4 Variant Types of ECMA-376 4th edition Part 1.
+function readVariant(element) {
+    var text = elementText(element);
+    switch (element.name) {
+    case "vt:i1":
+    case "vt:i2":
+    case "vt:i4":
+    case "vt:i8":
+    case "vt:int":
+    case "vt:ui1":
+    case "vt:ui2":
+    case "vt:ui4":
+    case "vt:ui8":
+    case "vt:uint":
+    case "vt:r4":
+    case "vt:r8":
+    case "vt:decimal":
+        return parseNumber(text);
+    case "vt:bool":
+        return text === "true" || text === "1";
+    case "vt:date":
+    case "vt:filetime":
+        return parseDate(text);
+    default:
+        return text;
+    }
+}
+
+function readString(element, name) {
+    var child = element.first(name);
+    return child ? elementText(child) || null : null;
+}
+
+function readInteger(element, name) {
+    var value = readString(element, name);
+    return value === null ? null : parseNumber(value);
+}
+
+function readDate(element, name) {
+    var value = readString(element, name);
+    return value === null ? null : parseDate(value);
+}
+
+function parseNumber(value) {
+    var number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+function parseDate(value) {
+    var date = new Date(value.trim());
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function elementText(element) {
+    return element.children.map(function(child) {
+        return child.type === "text" ? child.value : "";
+    }).join("");
+}
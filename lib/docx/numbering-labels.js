@@ -0,0 +1,153 @@
+var dingbatToUnicode = require("dingbat-to-unicode");
+
+exports.NumberingCounter = NumberingCounter;
+exports.formatNumber = formatNumber;
+
+
+// Counts numbered paragraphs in document order to compute the labels that Word
+// shows, such as "2.1." or "Article IV". Paragraphs using the same abstract
+// numbering definition share counters, as in Word. See 17.9 Numbering of
+// ECMA-376 4th edition Part 1.
+function NumberingCounter(numbering) {
+    var countsByAbstractNumId = {};
+    var usedStartOverrides = {};
+
+    function next(numberingProperties) {
+        var levelIndex = parseInt(numberingProperties.level, 10);
+        var abstractNumId = numberingProperties.abstractNumId;
+        if (abstractNumId === undefined || isNaN(levelIndex)) {
+            return {value: null, label: null};
+        }
+
+        var numId = numberingProperties.numId;
+        var findLevel = function(index) {
+            return numId === undefined
+                ? numbering.findAbstractNumLevel(abstractNumId, String(index))
+                : numbering.findLevel(numId, String(index));
+        };
+
+        var counts = countsByAbstractNumId[abstractNumId] = countsByAbstractNumId[abstractNumId] || {};
+        var startOverride = numId === undefined ? null : numbering.findStartOverride(numId, String(levelIndex));
+        var startOverrideKey = numId + ":" + levelIndex;
+        if (startOverride !== null && !usedStartOverrides[startOverrideKey]) {
+            usedStartOverrides[startOverrideKey] = true;
+            counts[levelIndex] = startOverride;
+        } else if (counts[levelIndex] === undefined) {
+            counts[levelIndex] = numberingProperties.startValue;
+        } else {
+            counts[levelIndex]++;
+        }
+
+        Object.keys(counts).forEach(function(key) {
+            var deeperLevelIndex = parseInt(key, 10);
+            if (deeperLevelIndex > levelIndex) {
+                var deeperLevel = findLevel(deeperLevelIndex);
+                var restart = deeperLevel ? deeperLevel.restart : null;
+                // See 17.9.10 lvlRestart (Restart Numbering Level Symbol)
+                if (restart === null || (restart !== 0 && levelIndex < restart)) {
+                    delete counts[key];
+                }
+            }
+        });
+
+        var label = numberingProperties.isBullet
+            ? bulletLabel(numberingProperties)
+            : (numberingProperties.delimiter || "").replace(/%([1-9])/g, function(match, levelNumber) {
+                var index = parseInt(levelNumber, 10) - 1;
+                var level = index === levelIndex ? numberingProperties : findLevel(index);
+                if (!level) {
+                    return "";
+                }
+                var count = counts[index] === undefined ? level.startValue : counts[index];
+                var format = numberingProperties.isLegal && index < levelIndex ? "decimal" : level.format;
+                return formatNumber(count, format);
+            });
+
+        return {value: counts[levelIndex], label: label};
+    }
+
+    return {
+        next: next
+    };
+}
+
+function bulletLabel(numberingProperties) {
+    var text = numberingProperties.delimiter || "•";
+    var font = numberingProperties.bulletFont &&
+        (numberingProperties.bulletFont.ascii || numberingProperties.bulletFont.hAnsi);
+    if (font && text.length === 1) {
+        var hex = text.charCodeAt(0).toString(16).toUpperCase();
+        var unicodeCharacter = dingbatToUnicode.hex(font, hex);
+        if (unicodeCharacter == null && /^F0..$/.test(hex)) {
+            unicodeCharacter = dingbatToUnicode.hex(font, hex.substring(2));
+        }
+        if (unicodeCharacter != null) {
+            return unicodeCharacter.string;
+        }
+    }
+    return text;
+}
+
+function formatNumber(value, format) {
+    switch (format) {
+    case "none":
+        return "";
+    case "decimalZero":
+        return value < 10 ? "0" + value : String(value);
+    case "upperRoman":
+        return toRoman(value);
+    case "lowerRoman":
+        return toRoman(value).toLowerCase();
+    case "upperLetter":
+        return toLetters(value);
+    case "lowerLetter":
+        return toLetters(value).toLowerCase();
+    case "ordinal":
+        return value + ordinalSuffix(value);
+    default:
+        return String(value);
+    }
+}
+
+var romanNumerals = [
+    [1000, "M"], [900, "CM"], [500, "D"], [400, "CD"],
+    [100, "C"], [90, "XC"], [50, "L"], [40, "XL"],
+    [10, "X"], [9, "IX"], [5, "V"], [4, "IV"], [1, "I"]
+];
+
+function toRoman(value) {
+    var result = "";
+    romanNumerals.forEach(function(numeral) {
+        while (value >= numeral[0]) {
+            result += numeral[1];
+            value -= numeral[0];
+        }
+    });
+    return result;
+}
+
+// Word continues letter numbering with repeated letters: Z, AA, BB, and so on.
+function toLetters(value) {
+    if (value < 1) {
+        return "";
+    }
+    var letter = String.fromCharCode("A".charCodeAt(0) + (value - 1) % 26);
+    return new Array(Math.floor((value - 1) / 26) + 2).join(letter);
+}
+
+function ordinalSuffix(value) {
+    var lastTwoDigits = value % 100;
+    if (lastTwoDigits >= 11 && lastTwoDigits <= 13) {
+        return "th";
+    }
+    switch (value % 10) {
+    case 1:
+        return "st";
+    case 2:
+        return "nd";
+    case 3:
+        return "rd";
+    default:
+        return "th";
+    }
+}
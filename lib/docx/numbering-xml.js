@@ -19,8 +19,11 @@ function Numbering(nums, abstractNums, styles) {
     function findLevel(numId, level) {
         var num = nums[numId];
         if (num) {
+            var levelOverride = num.levelOverrides[level];
             var abstractNum = abstractNums[num.abstractNumId];
-            if (!abstractNum) {
+            if (levelOverride && levelOverride.level) {
+                return levelOverride.level;
+            } else if (!abstractNum) {
                 return null;
             } else if (abstractNum.numStyleLink == null) {
                 var levelInfo = abstractNums[num.abstractNumId].levels[level];
@@ -34,6 +37,17 @@ function Numbering(nums, abstractNums, styles) {
         }
     }
 
+    function findAbstractNumLevel(abstractNumId, level) {
+        var abstractNum = abstractNums[abstractNumId];
+        return (abstractNum && abstractNum.levels[level]) || null;
+    }
+
+    function findStartOverride(numId, level) {
+        var num = nums[numId];
+        var levelOverride = num ? num.levelOverrides[level] : null;
+        return levelOverride ? levelOverride.startOverride : null;
+    }
+
     function findLevelByParagraphStyleId(styleId) {
         return levelsByParagraphStyleId[styleId] || null;
     }
@@ -93,6 +107,8 @@ function Numbering(nums, abstractNums, styles) {
     return {
         findLevel: findLevel,
         findLevelByParagraphStyleId: findLevelByParagraphStyleId,
+        findAbstractNumLevel: findAbstractNumLevel,
+        findStartOverride: findStartOverride,
         isVisibleBulletList: isVisibleBulletList,
         getBulletCharacter: getBulletCharacter,
         getNumberingStyles: function() {
@@ -115,71 +131,16 @@ function readAbstractNums(root) {
     var abstractNums = {};
     root.getElementsByTagName("w:abstractNum").forEach(function(element) {
         var id = element.attributes["w:abstractNumId"];
-        abstractNums[id] = readAbstractNum(element);
+        abstractNums[id] = readAbstractNum(element, id);
     });
     return abstractNums;
 }
 
-function readAbstractNum(element) {
+function readAbstractNum(element, abstractNumId) {
     var levels = {};
     element.getElementsByTagName("w:lvl").forEach(function(levelElement) {
         var levelIndex = levelElement.attributes["w:ilvl"];
-        var numFmt = levelElement.firstOrEmpty("w:numFmt").attributes["w:val"];
-        var lvlText = levelElement.firstOrEmpty("w:lvlText").attributes["w:val"];
-        var paragraphStyleId = levelElement.firstOrEmpty("w:pStyle").attributes["w:val"];
-        var lvlJc = levelElement.firstOrEmpty("w:lvlJc").attributes["w:val"];
-        var suff = levelElement.firstOrEmpty("w:suff").attributes["w:val"];
-        var tentative = levelElement.attributes["w:tentative"];
-        var start = levelElement.firstOrEmpty("w:start").attributes["w:val"];
-        
-        // Read font information for bullet characters
-        var rPr = levelElement.firstOrEmpty("w:rPr");
-        var bulletFont = null;
-        if (rPr) {
-            var rFonts = rPr.firstOrEmpty("w:rFonts");
-            if (rFonts) {
-                bulletFont = {
-                    ascii: rFonts.attributes["w:ascii"],
-                    hAnsi: rFonts.attributes["w:hAnsi"],
-                    cs: rFonts.attributes["w:cs"],
-                    hint: rFonts.attributes["w:hint"]
-                };
-            }
-        }
-        
-        // Read indentation information
-        var pPr = levelElement.firstOrEmpty("w:pPr");
-        var indentation = null;
-        if (pPr) {
-            var ind = pPr.firstOrEmpty("w:ind");
-            if (ind) {
-                indentation = {
-                    left: ind.attributes["w:left"],
-                    hanging: ind.attributes["w:hanging"],
-                    firstLine: ind.attributes["w:firstLine"]
-                };
-            }
-        }
-        
-        // Determine if this is a visually displayed bullet list
-        var isBullet = numFmt === "bullet";
-        var isVisibleBullet = isBullet && !tentative && lvlText !== undefined;
-        
-        levels[levelIndex] = {
-            isOrdered: numFmt !== "bullet",
-            format: numFmt,
-            delimiter: lvlText,
-            level: levelIndex,
-            paragraphStyleId: paragraphStyleId,
-            justification: lvlJc,
-            suffix: suff,
-            isTentative: tentative === "1" || tentative === "true",
-            startValue: start ? parseInt(start, 10) : 1,
-            bulletFont: bulletFont,
-            indentation: indentation,
-            isBullet: isBullet,
-            isVisibleBullet: isVisibleBullet
-        };
+        levels[levelIndex] = readLevel(levelElement, abstractNumId);
     });
 
     var numStyleLink = element.firstOrEmpty("w:numStyleLink").attributes["w:val"];
@@ -187,12 +148,104 @@ function readAbstractNum(element) {
     return {levels: levels, numStyleLink: numStyleLink};
 }
 
+function readLevel(levelElement, abstractNumId) {
+    var levelIndex = levelElement.attributes["w:ilvl"];
+    var numFmt = levelElement.firstOrEmpty("w:numFmt").attributes["w:val"];
+    var lvlText = levelElement.firstOrEmpty("w:lvlText").attributes["w:val"];
+    var paragraphStyleId = levelElement.firstOrEmpty("w:pStyle").attributes["w:val"];
+    var lvlJc = levelElement.firstOrEmpty("w:lvlJc").attributes["w:val"];
+    var suff = levelElement.firstOrEmpty("w:suff").attributes["w:val"];
+    var tentative = levelElement.attributes["w:tentative"];
+    var start = levelElement.firstOrEmpty("w:start").attributes["w:val"];
+    
+    // Read font information for bullet characters
+    var rPr = levelElement.firstOrEmpty("w:rPr");
+    var bulletFont = null;
+    if (rPr) {
+        var rFonts = rPr.firstOrEmpty("w:rFonts");
+        if (rFonts) {
+            bulletFont = {
+                ascii: rFonts.attributes["w:ascii"],
+                hAnsi: rFonts.attributes["w:hAnsi"],
+                cs: rFonts.attributes["w:cs"],
+                hint: rFonts.attributes["w:hint"]
+            };
+        }
+    }
+    
+    // Read indentation information
+    var pPr = levelElement.firstOrEmpty("w:pPr");
+    var indentation = null;
+    if (pPr) {
+        var ind = pPr.firstOrEmpty("w:ind");
+        if (ind) {
+            indentation = {
+                left: ind.attributes["w:left"],
+                hanging: ind.attributes["w:hanging"],
+                firstLine: ind.attributes["w:firstLine"]
+            };
+        }
+    }
+    
+    // Determine if this is a visually displayed bullet list
+    var isBullet = numFmt === "bullet";
+    var isVisibleBullet = isBullet && !tentative && lvlText !== undefined;
+    
+    var restart = levelElement.firstOrEmpty("w:lvlRestart").attributes["w:val"];
+
+    return {
+        abstractNumId: abstractNumId,
+        isOrdered: numFmt !== "bullet",
+        format: numFmt,
+        delimiter: lvlText,
+        level: levelIndex,
+        paragraphStyleId: paragraphStyleId,
+        justification: lvlJc,
+        suffix: suff,
+        isTentative: tentative === "1" || tentative === "true",
+        startValue: start ? parseInt(start, 10) : 1,
+        bulletFont: bulletFont,
+        indentation: indentation,
+        isBullet: isBullet,
+        isVisibleBullet: isVisibleBullet,
+        restart: restart ? parseInt(restart, 10) : null,
+        isLegal: readBooleanElement(levelElement.first("w:isLgl"))
+    };
+}
+
 function readNums(root) {
     var nums = {};
     root.getElementsByTagName("w:num").forEach(function(element) {
         var numId = element.attributes["w:numId"];
         var abstractNumId = element.first("w:abstractNumId").attributes["w:val"];
-        nums[numId] = {abstractNumId: abstractNumId};
+        nums[numId] = {
+            abstractNumId: abstractNumId,
+            levelOverrides: readLevelOverrides(element, abstractNumId)
+        };
     });
     return nums;
 }
+
+// See 17.9.8 lvlOverride (Numbering Level Definition Override) of ECMA-376
+// 4th edition Part 1.
+function readLevelOverrides(element, abstractNumId) {
+    var levelOverrides = {};
+    element.getElementsByTagName("w:lvlOverride").forEach(function(overrideElement) {
+        var startOverride = overrideElement.firstOrEmpty("w:startOverride").attributes["w:val"];
+        var levelElement = overrideElement.first("w:lvl");
+        levelOverrides[overrideElement.attributes["w:ilvl"]] = {
+            startOverride: startOverride ? parseInt(startOverride, 10) : null,
+            level: levelElement ? readLevel(levelElement, abstractNumId) : null
+        };
+    });
+    return levelOverrides;
+}
+
+function readBooleanElement(element) {
+    if (element) {
+        var value = element.attributes["w:val"];
+        return value !== "false" && value !== "0" && value !== "off";
+    } else {
+        return false;
+    }
+}
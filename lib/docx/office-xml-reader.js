@@ -6,6 +6,7 @@ var xml = require("../xml");
 
 exports.read = read;
 exports.readXmlFromZipFile = readXmlFromZipFile;
+exports.readAlternateContent = readAlternateContent;
 
 var xmlNamespaceMap = {
     // Transitional format
@@ -14,6 +15,12 @@ var xmlNamespaceMap = {
     "http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing": "wp",
     "http://schemas.openxmlformats.org/drawingml/2006/main": "a",
     "http://schemas.openxmlformats.org/drawingml/2006/picture": "pic",
+    "http://schemas.openxmlformats.org/drawingml/2006/chart": "c",
+    "http://schemas.openxmlformats.org/drawingml/2006/diagram": "dgm",
+    "http://schemas.openxmlformats.org/officeDocument/2006/math": "m",
+    "http://schemas.openxmlformats.org/officeDocument/2006/extended-properties": "extended-properties",
+    "http://schemas.openxmlformats.org/officeDocument/2006/custom-properties": "custom-properties",
+    "http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes": "vt",
 
     // Strict format
     "http://purl.oclc.org/ooxml/wordprocessingml/main": "w",
@@ -21,17 +28,30 @@ var xmlNamespaceMap = {
     "http://purl.oclc.org/ooxml/drawingml/wordprocessingDrawing": "wp",
     "http://purl.oclc.org/ooxml/drawingml/main": "a",
     "http://purl.oclc.org/ooxml/drawingml/picture": "pic",
+    "http://purl.oclc.org/ooxml/drawingml/chart": "c",
+    "http://purl.oclc.org/ooxml/drawingml/diagram": "dgm",
+    "http://purl.oclc.org/ooxml/officeDocument/math": "m",
+    "http://purl.oclc.org/ooxml/officeDocument/extendedProperties": "extended-properties",
+    "http://purl.oclc.org/ooxml/officeDocument/customProperties": "custom-properties",
+    "http://purl.oclc.org/ooxml/officeDocument/docPropsVTypes": "vt",
 
     // Common
     "http://schemas.openxmlformats.org/package/2006/content-types": "content-types",
     "http://schemas.openxmlformats.org/package/2006/relationships": "relationships",
     "http://schemas.openxmlformats.org/markup-compatibility/2006": "mc",
+    "http://schemas.openxmlformats.org/package/2006/metadata/core-properties": "cp",
+    "http://purl.org/dc/elements/1.1/": "dc",
+    "http://purl.org/dc/terms/": "dcterms",
     "urn:schemas-microsoft-com:vml": "v",
     "urn:schemas-microsoft-com:office:word": "office-word",
+    "urn:schemas-microsoft-com:office:office": "o",
 
     // [MS-DOCX]: Word Extensions to the Office Open XML (.docx) File Format
     // https://learn.microsoft.com/en-us/openspecs/office_standards/ms-docx/b839fe1f-e1ca-4fa6-8c26-5954d0abbccd
-    "http://schemas.microsoft.com/office/word/2010/wordml": "wordml"
+    "http://schemas.microsoft.com/office/word/2010/wordml": "wordml",
+    "http://schemas.microsoft.com/office/word/2012/wordml": "w15",
+    "http://schemas.microsoft.com/office/word/2016/wordml/cid": "w16cid",
+    "http://schemas.microsoft.com/office/word/2010/wordprocessingShape": "wps"
 
 };
 
@@ -60,10 +80,29 @@ function stripUtf8Bom(xmlString) {
 }
 
 
+// The namespaces that mc:Choice may require for its content to be read in
+// place of mc:Fallback. Word writes DrawingML text boxes in an mc:Choice
+// requiring wps, with a VML fallback. The prefixes in Requires aren't resolved
+// to namespaces, so this relies on the prefixes used by Word.
+var supportedRequirements = ["wps"];
+
+// See 7 Markup Compatibility Elements of ECMA-376 4th edition Part 3.
+function readAlternateContent(element) {
+    var choice = _.find(element.children, function(child) {
+        return child.name === "mc:Choice" && isSupportedChoice(child);
+    });
+    return (choice || element.firstOrEmpty("mc:Fallback")).children;
+}
+
+function isSupportedChoice(choice) {
+    var requirements = (choice.attributes.Requires || "").split(/\s+/).filter(Boolean);
+    return requirements.length > 0 && _.difference(requirements, supportedRequirements).length === 0;
+}
+
 function collapseAlternateContent(node) {
     if (node.type === "element") {
         if (node.name === "mc:AlternateContent") {
-            return node.firstOrEmpty("mc:Fallback").children;
+            return _.flatten(readAlternateContent(node).map(collapseAlternateContent), true);
         } else {
             node.children = _.flatten(node.children.map(collapseAlternateContent, true));
             return [node];
@@ -1,6 +1,9 @@
+var _ = require("underscore");
+
 exports.readStylesXml = readStylesXml;
 exports.readStylesXmlWithTheme = readStylesXmlWithTheme;
 exports.Styles = Styles;
+exports.readOutlineLevel = readOutlineLevel;
 exports.defaultStyles = new Styles({}, {}, {}, {}, {}, null);
 
 function Styles(paragraphStyles, characterStyles, tableStyles, numberingStyles, customStyles, docDefaults) {
@@ -33,7 +36,6 @@ function readStylesXml(root) {
     var characterStyles = {};
     var tableStyles = {};
     var numberingStyles = {};
-    var customStyles = {};
 
     var styles = {
         "paragraph": paragraphStyles,
@@ -47,25 +49,25 @@ function readStylesXml(root) {
 
         if (style.type === "numbering") {
             numberingStyles[style.styleId] = readNumberingStyleElement(styleElement);
+        } else if (style.type === "table") {
+            tableStyles[style.styleId] = _.extend(style, readTableStyleElement(styleElement));
         } else {
             var styleSet = styles[style.type];
             if (styleSet) {
                 styleSet[style.styleId] = style;
             }
         }
+    });
 
-        if (isCustomStyle(styleElement)) {
-            customStyles[style.styleId] = {
-                name: style.name,
-                type: style.type,
-                properties: extractStyleProperties(styleElement, {
-                    paragraph: paragraphStyles,
-                    character: characterStyles,
-                    table: tableStyles,
-                    numbering: numberingStyles
-                })
-            };
-        }
+    readOutlineLevels(paragraphStyles);
+
+    // Styles may be based on styles defined later in the part, so properties
+    // are only extracted once all styles have been read.
+    var customStyles = readCustomStyles(root, {
+        paragraph: paragraphStyles,
+        character: characterStyles,
+        table: tableStyles,
+        numbering: numberingStyles
     });
 
     // Read document defaults
@@ -81,7 +83,6 @@ function readStylesXmlWithTheme(root, theme) {
     var characterStyles = {};
     var tableStyles = {};
     var numberingStyles = {};
-    var customStyles = {};
 
     var styles = {
         "paragraph": paragraphStyles,
@@ -95,25 +96,25 @@ function readStylesXmlWithTheme(root, theme) {
 
         if (style.type === "numbering") {
             numberingStyles[style.styleId] = readNumberingStyleElement(styleElement);
+        } else if (style.type === "table") {
+            tableStyles[style.styleId] = _.extend(style, readTableStyleElement(styleElement));
         } else {
             var styleSet = styles[style.type];
             if (styleSet) {
                 styleSet[style.styleId] = style;
             }
         }
+    });
 
-        if (isCustomStyle(styleElement)) {
-            customStyles[style.styleId] = {
-                name: style.name,
-                type: style.type,
-                properties: extractStyleProperties(styleElement, {
-                    paragraph: paragraphStyles,
-                    character: characterStyles,
-                    table: tableStyles,
-                    numbering: numberingStyles
-                })
-            };
-        }
+    readOutlineLevels(paragraphStyles);
+
+    // Styles may be based on styles defined later in the part, so properties
+    // are only extracted once all styles have been read.
+    var customStyles = readCustomStyles(root, {
+        paragraph: paragraphStyles,
+        character: characterStyles,
+        table: tableStyles,
+        numbering: numberingStyles
     });
 
     // Read document defaults with theme information
@@ -130,6 +131,21 @@ function readStylesXmlWithTheme(root, theme) {
     return returnObject;
 }
 
+function readCustomStyles(root, styles) {
+    var customStyles = {};
+    root.getElementsByTagName("w:style").forEach(function(styleElement) {
+        if (isCustomStyle(styleElement)) {
+            var style = readStyleElement(styleElement);
+            customStyles[style.styleId] = {
+                name: style.name,
+                type: style.type,
+                properties: extractStyleProperties(styleElement, styles)
+            };
+        }
+    });
+    return customStyles;
+}
+
 function readStyleElement(styleElement) {
     var type = styleElement.attributes["w:type"];
     var styleId = styleElement.attributes["w:styleId"];
@@ -141,11 +157,57 @@ function readStyleElement(styleElement) {
     };
 }
 
+// Paragraph styles inherit the outline level of the style they're based on.
+function readOutlineLevels(paragraphStyles) {
+    function findOutlineLevel(style, visitedStyleIds) {
+        var outlineLevelElement = style.element.firstOrEmpty("w:pPr").first("w:outlineLvl");
+        if (outlineLevelElement) {
+            return readOutlineLevel(outlineLevelElement);
+        }
+        var baseStyleId = style.element.firstOrEmpty("w:basedOn").attributes["w:val"];
+        var baseStyle = baseStyleId ? paragraphStyles[baseStyleId] : null;
+        if (baseStyle && visitedStyleIds.indexOf(baseStyleId) === -1) {
+            return findOutlineLevel(baseStyle, visitedStyleIds.concat([baseStyleId]));
+        } else {
+            return null;
+        }
+    }
+
+    _.each(paragraphStyles, function(style, styleId) {
+        style.outlineLevel = findOutlineLevel(style, [styleId]);
+    });
+}
+
+// Outline levels run from 0 to 8. Level 9 is body text, so isn't treated as
+// an outline level. See 17.3.1.20 of ECMA-376 4th edition Part 1.
+function readOutlineLevel(element) {
+    var value = element.attributes["w:val"];
+    var level = /^[0-9]+$/.test(value) ? parseInt(value, 10) : null;
+    return level !== null && level < 9 ? level : null;
+}
+
 function styleName(styleElement) {
     var nameElement = styleElement.first("w:name");
     return nameElement ? nameElement.attributes["w:val"] : null;
 }
 
+// See 17.7.6 Table Styles of ECMA-376 4th edition Part 1. The conditional
+// formatting types are those with w:tblStylePr elements, such as firstRow and
+// band1Horz. They don't include types defined by styles this style is based on.
+function readTableStyleElement(styleElement) {
+    var conditionalFormattingTypes = styleElement.getElementsByTagName("w:tblStylePr").map(function(element) {
+        return element.attributes["w:type"];
+    }).filter(function(type) {
+        return !!type;
+    });
+    var rowBandSize = styleElement.firstOrEmpty("w:tblPr").firstOrEmpty("w:tblStyleRowBandSize").attributes["w:val"];
+    return {
+        basedOn: styleElement.firstOrEmpty("w:basedOn").attributes["w:val"] || null,
+        conditionalFormattingTypes: conditionalFormattingTypes,
+        rowBandSize: rowBandSize ? parseInt(rowBandSize, 10) : null
+    };
+}
+
 function readNumberingStyleElement(styleElement) {
     var numberingElement = styleElement.firstOrEmpty("w:pPr").firstOrEmpty("w:numPr");
     var numId = numberingElement
@@ -178,7 +240,9 @@ function findStyleById(styleId, styles) {
 }
 
 // Helper function to extract properties of a style (e.g., font size, color, etc.)
-function extractStyleProperties(styleElement, styles) {
+function extractStyleProperties(styleElement, styles, visitedStyleIds) {
+    visitedStyleIds = (visitedStyleIds || []).concat([styleElement.attributes["w:styleId"]]);
+
     // Start with an empty properties object for each call
     var properties = {};
 
@@ -191,8 +255,8 @@ function extractStyleProperties(styleElement, styles) {
     if (basedOnElement) {
         var baseStyleId = basedOnElement.attributes["w:val"];
         var baseStyle = findStyleById(baseStyleId, styles);
-        if (baseStyle && baseStyle.element) {
-            var baseProperties = extractStyleProperties(baseStyle.element, styles);
+        if (baseStyle && baseStyle.element && visitedStyleIds.indexOf(baseStyleId) === -1) {
+            var baseProperties = extractStyleProperties(baseStyle.element, styles, visitedStyleIds);
             for (var key in baseProperties) {
                 if (baseProperties.hasOwnProperty(key) && properties[key] === undefined) {
                     properties[key] = baseProperties[key];
@@ -223,23 +287,17 @@ function extractStyleProperties(styleElement, styles) {
             properties.color = colorElement.attributes["w:val"];
         }
 
+        // Toggle properties are only set when present so that a style without
+        // them keeps the values of the style it is based on.
         var underlineElement = rPr.first("w:u");
-        properties.underline = underlineElement && underlineElement.attributes["w:val"] !== "none" && underlineElement.attributes["w:val"] !== "0" ? true : undefined;
-
-        var boldElement = rPr.first("w:b");
-        properties.bold = boldElement && boldElement.attributes["w:val"] !== "false" && boldElement.attributes["w:val"] !== "0" ? true : undefined;
-
-        var italicElement = rPr.first("w:i");
-        properties.italic = italicElement && italicElement.attributes["w:val"] !== "false" && italicElement.attributes["w:val"] !== "0" ? true : undefined;
-
-        var strikeElement = rPr.first("w:strike");
-        properties.strike = strikeElement && strikeElement.attributes["w:val"] !== "false" && strikeElement.attributes["w:val"] !== "0" ? true : undefined;
-
-        var capsElement = rPr.first("w:caps");
-        properties.isAllCaps = capsElement && capsElement.attributes["w:val"] !== "false" && capsElement.attributes["w:val"] !== "0" ? true : undefined;
-
-        var smallCapsElement = rPr.first("w:smallCaps");
-        properties.isSmallCaps = smallCapsElement && smallCapsElement.attributes["w:val"] !== "false" && smallCapsElement.attributes["w:val"] !== "0" ? true : undefined;
+        if (underlineElement) {
+            properties.underline = underlineElement.attributes["w:val"] !== "none" && underlineElement.attributes["w:val"] !== "0";
+        }
+        properties.bold = readToggleProperty(rPr, "w:b", properties.bold);
+        properties.italic = readToggleProperty(rPr, "w:i", properties.italic);
+        properties.strike = readToggleProperty(rPr, "w:strike", properties.strike);
+        properties.isAllCaps = readToggleProperty(rPr, "w:caps", properties.isAllCaps);
+        properties.isSmallCaps = readToggleProperty(rPr, "w:smallCaps", properties.isSmallCaps);
 
         var verticalAlignmentElement = rPr.first("w:vertAlign");
         if (verticalAlignmentElement) {
@@ -268,12 +326,12 @@ function extractStyleProperties(styleElement, styles) {
     if (pPr) {
         var spacingElement = pPr.first("w:spacing");
         if (spacingElement) {
-            properties.spacing = {
+            properties.spacing = mergeDefinedValues(properties.spacing, {
                 before: spacingElement.attributes["w:before"],
                 after: spacingElement.attributes["w:after"],
                 line: spacingElement.attributes["w:line"],
                 lineRule: spacingElement.attributes["w:lineRule"]
-            };
+            });
         }
 
         var alignmentElement = pPr.first("w:jc");
@@ -283,14 +341,14 @@ function extractStyleProperties(styleElement, styles) {
 
         var indElement = pPr.first("w:ind");
         if (indElement) {
-            properties.indent = {
+            properties.indent = mergeDefinedValues(properties.indent, {
                 left: indElement.attributes["w:left"],
                 right: indElement.attributes["w:right"],
                 start: indElement.attributes["w:start"],
                 end: indElement.attributes["w:end"],
                 hanging: indElement.attributes["w:hanging"],
                 firstLine: indElement.attributes["w:firstLine"]
-            };
+            });
         }
     }
 
@@ -304,6 +362,25 @@ function extractStyleProperties(styleElement, styles) {
     return cleanedProperties;
 }
 
+// Each attribute of spacing and indentation is inherited separately.
+function mergeDefinedValues(inherited, values) {
+    var merged = {};
+    Object.keys(values).forEach(function(key) {
+        merged[key] = values[key] !== undefined ? values[key] : (inherited || {})[key];
+    });
+    return merged;
+}
+
+function readToggleProperty(rPr, name, inheritedValue) {
+    var element = rPr.first(name);
+    if (element) {
+        var value = element.attributes["w:val"];
+        return value !== "false" && value !== "0";
+    } else {
+        return inheritedValue;
+    }
+}
+
 function readDocumentDefaults(root) {
     var docDefaultsElement = root.first("w:docDefaults");
     if (!docDefaultsElement) {
@@ -0,0 +1,18 @@
+var _ = require("underscore");
+
+var promises = require("./promises");
+var Html = require("./html");
+
+exports.link = link;
+
+
+// Converts each embedded object to a link, with the file name of the embedded
+// object as the text of the link.
+function link(func) {
+    return function(element, messages) {
+        return promises.when(func(element)).then(function(result) {
+            var attributes = _.extend({}, result);
+            return [Html.freshElement("a", attributes, [Html.text(element.fileName || "")])];
+        });
+    };
+}
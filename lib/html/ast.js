@@ -27,6 +27,13 @@ function text(value) {
     };
 }
 
+function raw(value) {
+    return {
+        type: "raw",
+        value: value
+    };
+}
+
 var forceWrite = {
     type: "forceWrite"
 };
@@ -35,10 +42,12 @@ exports.freshElement = freshElement;
 exports.nonFreshElement = nonFreshElement;
 exports.elementWithTag = elementWithTag;
 exports.text = text;
+exports.raw = raw;
 exports.forceWrite = forceWrite;
 
 var voidTagNames = {
     "br": true,
+    "col": true,
     "hr": true,
     "img": true,
     "input": true
@@ -4,6 +4,7 @@ exports.freshElement = ast.freshElement;
 exports.nonFreshElement = ast.nonFreshElement;
 exports.elementWithTag = ast.elementWithTag;
 exports.text = ast.text;
+exports.raw = ast.raw;
 exports.forceWrite = ast.forceWrite;
 
 exports.simplify = require("./simplify");
@@ -21,6 +22,7 @@ function writeNode(writer, node) {
 var toStrings = {
     element: generateElementString,
     text: generateTextString,
+    raw: generateRawString,
     forceWrite: function() { }
 };
 
@@ -38,4 +40,8 @@ function generateTextString(writer, node) {
     writer.text(node.value);
 }
 
+function generateRawString(writer, node) {
+    writer.raw(node.value);
+}
+
 exports.write = write;
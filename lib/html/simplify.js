@@ -22,6 +22,7 @@ function collapseNode(node) {
 var collapsers = {
     element: collapseElement,
     text: identity,
+    raw: identity,
     forceWrite: identity
 };
 
@@ -61,6 +62,7 @@ function flatMap(values, func) {
 var emptiers = {
     element: elementEmptier,
     text: textEmptier,
+    raw: textEmptier,
     forceWrite: neverEmpty
 };
 
@@ -1,11 +1,15 @@
 interface Mammoth {
     convertToHtml: (input: Input, options?: Options) => Promise<Result>;
-    extractRawText: (input: Input) => Promise<Result>;
+    extractRawText: (input: Input, options?: ExtractRawTextOptions) => Promise<Result>;
+    extractRevisions: (input: Input) => Promise<RevisionsResult>;
+    readMetadata: (input: Input) => Promise<Metadata>;
     embedStyleMap: (input: Input, styleMap: string) => Promise<{
         toArrayBuffer: () => ArrayBuffer,
         toBuffer: () => Buffer,
     }>;
     images: Images;
+    charts: Charts;
+    embeddedObjects: EmbeddedObjects;
 }
 
 type Input = NodeJsInput | BrowserInput;
@@ -31,11 +35,31 @@ interface Options {
     includeEmbeddedStyleMap?: boolean;
     includeDefaultStyleMap?: boolean;
     convertImage?: ImageConverter;
+    convertChart?: ChartConverter;
+    convertEmbeddedObject?: EmbeddedObjectConverter;
     ignoreEmptyParagraphs?: boolean;
     idPrefix?: string;
+    numberingLabels?: "ignore" | "span";
+    paragraphFormatting?: "ignore" | "inline-style" | "class";
+    runFormatting?: "ignore" | "inline-style" | "class";
+    tableFormatting?: "ignore" | "inline-style" | "class";
+    tableStyleHeaders?: boolean;
+    imageFormatting?: "ignore" | "inline-style" | "class";
+    commentRanges?: "ignore" | "span" | "mark";
+    ignoreResolvedComments?: boolean;
+    trackedChanges?: "show" | "accept" | "reject";
+    headerFooterPlacement?: "document" | "section" | "none";
+    headerFooterTypes?: Array<"default" | "first" | "even">;
+    headerFooterSections?: "all" | "first";
+    deduplicateHeaderFooters?: boolean;
+    includeStyleCss?: boolean;
     transformDocument?: (element: any) => any;
 }
 
+interface ExtractRawTextOptions {
+    trackedChanges?: "show" | "accept" | "reject";
+}
+
 interface ImageConverter {
     __mammothBrand: "ImageConverter";
 }
@@ -55,6 +79,9 @@ interface Image {
         bottom: number;
     };
     isCropped?: boolean;
+    rotation: number;
+    flipHorizontal: boolean;
+    flipVertical: boolean;
     altText?: string;
     imageProperties?: any;
 }
@@ -74,9 +101,106 @@ interface Images {
     imgElement: (f: (image: Image) => Promise<ImageAttributes>) => ImageConverter;
 }
 
+interface ChartConverter {
+    __mammothBrand: "ChartConverter";
+}
+
+interface Chart {
+    chartType: string | null;
+    title: string | null;
+    altText: string | null;
+    categories: Array<string>;
+    series: Array<ChartSeries>;
+    width: number | null;
+    height: number | null;
+}
+
+interface ChartSeries {
+    name: string | null;
+    chartType: string | null;
+    categories: Array<string>;
+    values: Array<number | null>;
+}
+
+interface Charts {
+    table: ChartConverter;
+    inline: (f: (chart: Chart) => string | Promise<string>) => ChartConverter;
+    tableRows: (chart: Chart) => Array<Array<string>>;
+}
+
+interface EmbeddedObjectConverter {
+    __mammothBrand: "EmbeddedObjectConverter";
+}
+
+interface EmbeddedObject {
+    progId: string | null;
+    contentType: string | null;
+    fileName: string | null;
+    readAsArrayBuffer: () => Promise<ArrayBuffer>;
+    readAsBase64String: () => Promise<string>;
+    readAsBuffer: () => Promise<Buffer>;
+}
+
+interface EmbeddedObjectAttributes {
+    href: string;
+    [name: string]: string;
+}
+
+interface EmbeddedObjects {
+    link: (f: (embeddedObject: EmbeddedObject) => EmbeddedObjectAttributes | Promise<EmbeddedObjectAttributes>) => EmbeddedObjectConverter;
+}
+
 interface Result {
     value: string;
     messages: Array<Message>;
+    css?: string;
+    metadata?: Metadata;
+}
+
+interface RevisionsResult {
+    value: Array<Revision>;
+    messages: Array<Message>;
+}
+
+interface Revision {
+    type: "insertion" | "deletion" | "moveFrom" | "moveTo" | "formatting";
+    target: "text" | "paragraphMark" | "tableRow" | "paragraph" | "run";
+    authorName: string | null;
+    date: string | null;
+    changeId: string | null;
+    text: string;
+    location: "body" | "header" | "footer" | "footnote" | "endnote" | "comment";
+    paragraph: string | null;
+    headings: Array<string>;
+}
+
+interface Metadata {
+    title: string | null;
+    subject: string | null;
+    author: string | null;
+    keywords: string | null;
+    description: string | null;
+    category: string | null;
+    contentStatus: string | null;
+    language: string | null;
+    lastModifiedBy: string | null;
+    revision: number | null;
+    created: Date | null;
+    modified: Date | null;
+    lastPrinted: Date | null;
+    application: string | null;
+    appVersion: string | null;
+    company: string | null;
+    manager: string | null;
+    template: string | null;
+    totalTime: number | null;
+    pages: number | null;
+    words: number | null;
+    characters: number | null;
+    charactersWithSpaces: number | null;
+    lines: number | null;
+    paragraphs: number | null;
+    customProperties: {[name: string]: string | number | boolean | Date};
 }
 
 type Message = Warning | Error;
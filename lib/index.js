@@ -4,6 +4,7 @@ var docxReader = require("./docx/docx-reader");
 var docxStyleMap = require("./docx/style-map");
 var DocumentConverter = require("./document-to-html").DocumentConverter;
 var convertElementToRawText = require("./raw-text").convertElementToRawText;
+var revisions = require("./revisions");
 var readStyle = require("./style-reader").readStyle;
 var readOptions = require("./options-reader").readOptions;
 var unzip = require("./unzip");
@@ -15,7 +16,11 @@ exports.convertToHtml = convertToHtml;
 exports.convertToMarkdown = convertToMarkdown;
 exports.convert = convert;
 exports.extractRawText = extractRawText;
+exports.extractRevisions = extractRevisions;
+exports.readMetadata = readMetadata;
 exports.images = require("./images");
+exports.charts = require("./charts");
+exports.embeddedObjects = require("./embedded-objects");
 exports.transforms = require("./transforms");
 exports.underline = require("./underline");
 exports.embedStyleMap = embedStyleMap;
@@ -49,19 +54,23 @@ function convert(input, options) {
             });
         })
         .then(function(docxFile) {
-            return docxReader.read(docxFile, input)
+            return docxReader.read(docxFile, input, {trackedChanges: options.trackedChanges})
                 .then(function(documentResult) {
                     options.customStyles = documentResult.customStyles;
                     options.numberingStyles = documentResult.numberingStyles;
                     options.documentDefaults = documentResult.documentDefaults;
+                    options.metadata = documentResult.metadata;
                     return documentResult.map(options.transformDocument);
                 })
                 .then(function(documentResult) {
-                    var returnObject = convertDocumentToHtml(documentResult, options);
-                    return Object.assign({}, returnObject, {
+                    return convertDocumentToHtml(documentResult, options);
+                })
+                .then(function(result) {
+                    return _.extend(result, {
                         customStyles: options.customStyles,
                         numberingStyles: options.numberingStyles,
-                        documentDefaults: options.documentDefaults
+                        documentDefaults: options.documentDefaults,
+                        metadata: options.metadata
                     });
                 });
         });
@@ -78,18 +87,16 @@ function convertDocumentToHtml(documentResult, options) {
         styleMap: styleMapResult.value
     });
     var documentConverter = new DocumentConverter(parsedOptions);
+    var css = "";
 
     return documentResult.flatMapThen(function(document) {
         return styleMapResult.flatMapThen(function(styleMap) {
-            return documentConverter.convertToHtml(document)
-                .then(function(htmlResult) {
-                    return {
-                        value: htmlResult.value,
-                        customStyles: options.customStyles,
-                        numberingStyles: options.numberingStyles
-                    };
-                });
+            return documentConverter.convertToHtml(document).tap(function(htmlResult) {
+                css = htmlResult.css;
+            });
         });
+    }).then(function(result) {
+        return _.extend(result, {css: css});
     });
 }
 
@@ -102,14 +109,32 @@ function parseStyleMap(styleMap) {
         });
 }
 
-function extractRawText(input) {
+function extractRawText(input, options) {
+    options = options || {};
     return unzip.openZip(input)
-        .then(docxReader.read)
+        .then(function(docxFile) {
+            return docxReader.read(docxFile, input, {trackedChanges: options.trackedChanges});
+        })
         .then(function(documentResult) {
             return documentResult.map(convertElementToRawText);
         });
 }
 
+function extractRevisions(input) {
+    return unzip.openZip(input)
+        .then(function(docxFile) {
+            return docxReader.read(docxFile, input, {trackedChanges: "show"});
+        })
+        .then(function(documentResult) {
+            return documentResult.map(revisions.extractRevisions);
+        });
+}
+
+function readMetadata(input) {
+    return unzip.openZip(input)
+        .then(docxReader.readMetadata);
+}
+
 function embedStyleMap(input, styleMap) {
     return unzip.openZip(input)
         .tap(function(docxFile) {
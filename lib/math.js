@@ -0,0 +1,369 @@
+var Html = require("./html");
+
+
+exports.toMathMl = toMathMl;
+exports.toLatex = toLatex;
+
+
+function toMathMl(math) {
+    var attributes = {};
+    if (math.isDisplay) {
+        attributes.display = "block";
+    }
+    attributes.alttext = toLatex(math);
+    return [Html.freshElement("math", attributes, [row(math.content)])];
+}
+
+function row(nodes) {
+    // Force empty rows to be written so that elements such as mfrac always
+    // have the number of arguments that MathML requires.
+    return Html.freshElement("mrow", {}, [Html.forceWrite].concat(convertNodes(nodes)));
+}
+
+function optionalRow(nodes) {
+    return nodes === null ? none() : row(nodes);
+}
+
+function none() {
+    return Html.freshElement("none", {}, [Html.forceWrite]);
+}
+
+function token(tagName, value, attributes) {
+    return Html.freshElement(tagName, attributes || {}, [Html.text(value)]);
+}
+
+function element(tagName, children, attributes) {
+    return Html.freshElement(tagName, attributes || {}, children);
+}
+
+function convertNodes(nodes) {
+    return nodes.map(function(node) {
+        return mathMlConverters[node.type](node);
+    });
+}
+
+var mathMlConverters = {
+    identifier: function(node) {
+        var attributes = node.isNormal && node.value.length === 1 ? {mathvariant: "normal"} : {};
+        return token("mi", node.value, attributes);
+    },
+    number: function(node) {
+        return token("mn", node.value);
+    },
+    operator: function(node) {
+        return token("mo", node.value);
+    },
+    normalText: function(node) {
+        return token("mtext", node.value);
+    },
+    fraction: function(node) {
+        if (node.fractionType === "lin") {
+            return element("mrow", [row(node.numerator), token("mo", "/"), row(node.denominator)]);
+        } else {
+            var attributes = {};
+            if (node.fractionType === "noBar") {
+                attributes.linethickness = "0";
+            } else if (node.fractionType === "skw") {
+                attributes.bevelled = "true";
+            }
+            return element("mfrac", [row(node.numerator), row(node.denominator)], attributes);
+        }
+    },
+    scripts: function(node) {
+        if (node.isPrescript) {
+            return element("mmultiscripts", [
+                row(node.base),
+                element("mprescripts", [Html.forceWrite]),
+                optionalRow(node.subscript),
+                optionalRow(node.superscript)
+            ]);
+        } else {
+            return scripts(row(node.base), node.subscript, node.superscript, false);
+        }
+    },
+    radical: function(node) {
+        if (node.degree === null) {
+            return element("msqrt", [row(node.base)]);
+        } else {
+            return element("mroot", [row(node.base), row(node.degree)]);
+        }
+    },
+    delimiter: function(node) {
+        var children = [];
+        if (node.open) {
+            children.push(token("mo", node.open));
+        }
+        node.items.forEach(function(item, index) {
+            if (index > 0 && node.separator) {
+                children.push(token("mo", node.separator));
+            }
+            children.push(row(item));
+        });
+        if (node.close) {
+            children.push(token("mo", node.close));
+        }
+        return element("mrow", children);
+    },
+    nary: function(node) {
+        var operator = scripts(
+            token("mo", node.operator, {largeop: "true"}),
+            node.lower,
+            node.upper,
+            node.hasLimitsUnderOver
+        );
+        return element("mrow", [operator, row(node.base)]);
+    },
+    "function": function(node) {
+        return element("mrow", [row(node.name), token("mo", "⁡"), row(node.base)]);
+    },
+    accent: function(node) {
+        return element("mover", [row(node.base), token("mo", spacingAccent(node.accent))], {accent: "true"});
+    },
+    bar: function(node) {
+        if (node.position === "top") {
+            return element("mover", [row(node.base), token("mo", "¯")], {accent: "true"});
+        } else {
+            return element("munder", [row(node.base), token("mo", "_")], {accentunder: "true"});
+        }
+    },
+    limit: function(node) {
+        var tagName = node.position === "upper" ? "mover" : "munder";
+        return element(tagName, [row(node.base), row(node.limit)]);
+    },
+    groupCharacter: function(node) {
+        var tagName = node.position === "top" ? "mover" : "munder";
+        return element(tagName, [row(node.base), token("mo", node.character)]);
+    },
+    matrix: function(node) {
+        return element("mtable", node.rows.map(function(cells) {
+            return element("mtr", cells.map(function(cell) {
+                return element("mtd", [row(cell)]);
+            }));
+        }));
+    },
+    equationArray: function(node) {
+        return element("mtable", node.rows.map(function(equation) {
+            return element("mtr", [element("mtd", [row(equation)])]);
+        }), {columnalign: "left"});
+    }
+};
+
+function scripts(base, subscript, superscript, isUnderOver) {
+    if (subscript !== null && superscript !== null) {
+        return element(isUnderOver ? "munderover" : "msubsup", [base, row(subscript), row(superscript)]);
+    } else if (subscript !== null) {
+        return element(isUnderOver ? "munder" : "msub", [base, row(subscript)]);
+    } else if (superscript !== null) {
+        return element(isUnderOver ? "mover" : "msup", [base, row(superscript)]);
+    } else {
+        return base;
+    }
+}
+
+// Word stores accents as combining characters, whereas MathML expects the
+// spacing equivalents.
+var spacingAccents = {
+    "̀": "`",
+    "́": "´",
+    "̂": "^",
+    "̃": "~",
+    "̄": "¯",
+    "̅": "¯",
+    "̆": "˘",
+    "̇": "˙",
+    "̈": "¨",
+    "̌": "ˇ",
+    "⃗": "→"
+};
+
+function spacingAccent(accent) {
+    return spacingAccents[accent] || accent;
+}
+
+
+function toLatex(math) {
+    return latexNodes(math.content);
+}
+
+function latexNodes(nodes) {
+    var result = "";
+    nodes.forEach(function(node) {
+        var value = latexConverters[node.type](node);
+        // Separate control words from following letters, so that "\alpha x"
+        // isn't read as "\alphax".
+        if (/\\[A-Za-z]+$/.test(result) && /^[A-Za-z]/.test(value)) {
+            result += " ";
+        }
+        result += value;
+    });
+    return result;
+}
+
+function group(nodes) {
+    return "{" + latexNodes(nodes) + "}";
+}
+
+var latexSymbols = {
+    "±": "\\pm",
+    "×": "\\times",
+    "÷": "\\div",
+    "∑": "\\sum",
+    "∏": "\\prod",
+    "∐": "\\coprod",
+    "∫": "\\int",
+    "∬": "\\iint",
+    "∭": "\\iiint",
+    "∮": "\\oint",
+    "⋃": "\\bigcup",
+    "⋂": "\\bigcap",
+    "≤": "\\le",
+    "≥": "\\ge",
+    "≠": "\\ne",
+    "≈": "\\approx",
+    "∞": "\\infty",
+    "→": "\\to",
+    "∂": "\\partial",
+    "∇": "\\nabla",
+    "⋅": "\\cdot",
+    "α": "\\alpha",
+    "β": "\\beta",
+    "γ": "\\gamma",
+    "δ": "\\delta",
+    "ε": "\\epsilon",
+    "θ": "\\theta",
+    "λ": "\\lambda",
+    "μ": "\\mu",
+    "π": "\\pi",
+    "σ": "\\sigma",
+    "φ": "\\phi",
+    "ω": "\\omega",
+    "Δ": "\\Delta",
+    "Σ": "\\Sigma",
+    "Ω": "\\Omega"
+};
+
+var latexFunctions = [
+    "sin", "cos", "tan", "cot", "sec", "csc",
+    "sinh", "cosh", "tanh", "arcsin", "arccos", "arctan",
+    "log", "ln", "exp", "lim", "max", "min", "sup", "inf", "det", "gcd"
+];
+
+var latexAccents = {
+    "^": "\\hat",
+    "~": "\\tilde",
+    "¯": "\\bar",
+    "˙": "\\dot",
+    "¨": "\\ddot",
+    "ˇ": "\\check",
+    "˘": "\\breve",
+    "→": "\\vec"
+};
+
+function latexSymbol(value) {
+    return latexSymbols[value] || value;
+}
+
+var latexConverters = {
+    identifier: function(node) {
+        if (node.value.length > 1) {
+            return latexFunctions.indexOf(node.value) === -1
+                ? "\\mathrm{" + node.value + "}"
+                : "\\" + node.value;
+        } else {
+            return latexSymbol(node.value);
+        }
+    },
+    number: function(node) {
+        return node.value;
+    },
+    operator: function(node) {
+        return latexSymbol(node.value);
+    },
+    normalText: function(node) {
+        return "\\text{" + node.value + "}";
+    },
+    fraction: function(node) {
+        if (node.fractionType === "lin" || node.fractionType === "skw") {
+            return group(node.numerator) + "/" + group(node.denominator);
+        } else if (node.fractionType === "noBar") {
+            return "\\binom" + group(node.numerator) + group(node.denominator);
+        } else {
+            return "\\frac" + group(node.numerator) + group(node.denominator);
+        }
+    },
+    scripts: function(node) {
+        var scriptsLatex = latexScripts(node.subscript, node.superscript);
+        return node.isPrescript
+            ? "{}" + scriptsLatex + group(node.base)
+            : group(node.base) + scriptsLatex;
+    },
+    radical: function(node) {
+        var degree = node.degree === null ? "" : "[" + latexNodes(node.degree) + "]";
+        return "\\sqrt" + degree + group(node.base);
+    },
+    delimiter: function(node) {
+        var separator = node.separator === "|" ? "\\mid " : latexSymbol(node.separator);
+        return latexSymbol(node.open) +
+            node.items.map(latexNodes).join(separator) +
+            latexSymbol(node.close);
+    },
+    nary: function(node) {
+        return latexSymbol(node.operator) +
+            latexScripts(node.lower, node.upper) +
+            group(node.base);
+    },
+    "function": function(node) {
+        return latexNodes(node.name) + group(node.base);
+    },
+    accent: function(node) {
+        var accent = spacingAccent(node.accent);
+        var command = latexAccents[accent];
+        return command
+            ? command + group(node.base)
+            : "\\overset{" + accent + "}" + group(node.base);
+    },
+    bar: function(node) {
+        return (node.position === "top" ? "\\overline" : "\\underline") + group(node.base);
+    },
+    limit: function(node) {
+        if (node.position === "lower" && isFunctionName(node.base)) {
+            return latexNodes(node.base) + "_" + group(node.limit);
+        } else {
+            var command = node.position === "upper" ? "\\overset" : "\\underset";
+            return command + group(node.limit) + group(node.base);
+        }
+    },
+    groupCharacter: function(node) {
+        if (node.character === "⏟") {
+            return "\\underbrace" + group(node.base);
+        } else if (node.character === "⏞") {
+            return "\\overbrace" + group(node.base);
+        } else {
+            var command = node.position === "top" ? "\\overset" : "\\underset";
+            return command + "{" + node.character + "}" + group(node.base);
+        }
+    },
+    matrix: function(node) {
+        return "\\begin{matrix}" +
+            node.rows.map(function(cells) {
+                return cells.map(latexNodes).join(" & ");
+            }).join(" \\\\ ") +
+            "\\end{matrix}";
+    },
+    equationArray: function(node) {
+        return "\\begin{aligned}" +
+            node.rows.map(latexNodes).join(" \\\\ ") +
+            "\\end{aligned}";
+    }
+};
+
+function latexScripts(subscript, superscript) {
+    return (subscript === null ? "" : "_" + group(subscript)) +
+        (superscript === null ? "" : "^" + group(superscript));
+}
+
+function isFunctionName(nodes) {
+    return nodes.length === 1 &&
+        nodes[0].type === "identifier" &&
+        latexFunctions.indexOf(nodes[0].value) !== -1;
+}
@@ -1,14 +1,129 @@
+var _ = require("underscore");
+
 var documents = require("./documents");
+var math = require("./math");
+var charts = require("./charts");
 
 function convertElementToRawText(element) {
+    return convertElement(element, null);
+}
+
+// Text boxes found within a paragraph are collected into textBoxes so that
+// they can be written after the paragraph, rather than in the middle of it.
+function convertElement(element, textBoxes) {
     if (element.type === "text") {
         return element.value;
     } else if (element.type === documents.types.tab) {
         return "\t";
+    } else if (element.type === documents.types.math) {
+        return math.toLatex(element);
+    } else if (element.type === documents.types.textBox && textBoxes !== null) {
+        textBoxes.push(element);
+        return "";
+    } else if (element.type === documents.types.chart) {
+        return convertChart(element);
+    } else if (element.type === documents.types.diagram) {
+        return convertDiagram(element);
+    } else if (element.type === documents.types.paragraph) {
+        return convertParagraph(element);
+    } else {
+        return convertChildren(element, textBoxes);
+    }
+}
+
+function convertParagraph(paragraph) {
+    var textBoxes = [];
+    var text = numberingLabel(paragraph) + convertChildren(paragraph, textBoxes) + "\n\n";
+    return text + textBoxes.map(convertElementToRawText).join("");
+}
+
+// The text of the children of an element, excluding any text boxes.
+function convertChildrenToRawText(element) {
+    return convertChildren(element, []);
+}
+
+// Removes the first length characters of the text of the children of an
+// element. Elements such as equations are either removed entirely or kept.
+function removeRawTextPrefix(element, length) {
+    var remaining = length;
+
+    function removeFromElements(elements) {
+        return _.compact(elements.map(removeFromElement));
+    }
+
+    function removeFromElement(element) {
+        if (remaining === 0 || element.type === documents.types.textBox) {
+            return element;
+        } else if (element.type === "text") {
+            var removed = Math.min(remaining, element.value.length);
+            remaining -= removed;
+            return documents.Text(element.value.substring(removed));
+        } else if (element.children && !isAtomic(element)) {
+            return _.extend({}, element, {children: removeFromElements(element.children)});
+        } else {
+            var textLength = convertElement(element, []).length;
+            if (textLength <= remaining) {
+                remaining -= textLength;
+                return textLength === 0 ? element : null;
+            } else {
+                remaining = 0;
+                return element;
+            }
+        }
+    }
+
+    return _.extend({}, element, {children: removeFromElements(element.children)});
+}
+
+function isAtomic(element) {
+    return element.type === documents.types.math ||
+        element.type === documents.types.chart ||
+        element.type === documents.types.diagram;
+}
+
+function convertChildren(element, textBoxes) {
+    return (element.children || []).map(function(child) {
+        return convertElement(child, textBoxes);
+    }).join("");
+}
+
+// Charts are written as their title followed by their values, with a line for
+// each category and a tab between each value.
+function convertChart(chart) {
+    var title = chart.title || chart.altText;
+    return (title ? title + "\n\n" : "") + charts.tableRows(chart).map(function(row) {
+        return row.join("\t") + "\n";
+    }).join("") + "\n";
+}
+
+// Diagrams are written with a line for each node, indented using tabs to show
+// the hierarchy of nodes.
+function convertDiagram(diagram) {
+    function convertNodes(nodes, depth) {
+        return nodes.map(function(node) {
+            var indent = new Array(depth + 1).join("\t");
+            return indent + node.text.replace(/\n/g, " ") + "\n" + convertNodes(node.children, depth + 1);
+        }).join("");
+    }
+    return convertNodes(diagram.nodes, 0) + "\n";
+}
+
+function numberingLabel(paragraph) {
+    if (paragraph.numbering && paragraph.numbering.label) {
+        var suffix = numberingSuffixes[paragraph.numbering.suffix];
+        return paragraph.numbering.label + (suffix === undefined ? "\t" : suffix);
     } else {
-        var tail = element.type === "paragraph" ? "\n\n" : "";
-        return (element.children || []).map(convertElementToRawText).join("") + tail;
+        return "";
     }
 }
 
+// See 17.9.28 suff (Content Between Numbering Symbol and Paragraph Text) of
+// ECMA-376 4th edition Part 1.
+var numberingSuffixes = {
+    space: " ",
+    nothing: ""
+};
+
 exports.convertElementToRawText = convertElementToRawText;
+exports.convertChildrenToRawText = convertChildrenToRawText;
+exports.removeRawTextPrefix = removeRawTextPrefix;
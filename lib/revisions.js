@@ -0,0 +1,138 @@
+var _ = require("underscore");
+
+var documents = require("./documents");
+var convertElementToRawText = require("./raw-text").convertElementToRawText;
+
+exports.extractRevisions = extractRevisions;
+
+// Lists the tracked changes in a document read with tracked changes shown. Each
+// revision includes the text of the paragraph it's in and, for the main body,
+// the text of the headings it's under. Changes to paragraph marks and table
+// rows are recorded on the paragraph or row rather than as separate elements.
+function extractRevisions(document) {
+    var revisions = [];
+    var headings = [];
+
+    function readElements(elements, context) {
+        elements.forEach(function(element) {
+            if (element.type === documents.types.paragraph) {
+                readParagraph(element, context);
+            } else {
+                if (element.type === documents.types.ins || element.type === documents.types.del) {
+                    addRevision(revisionType(element), "text", element, element, context);
+                } else if (element.type === documents.types.tableRow) {
+                    readRowChanges(element, context);
+                } else if (element.formattingChange) {
+                    addRevision("formatting", element.type, element.formattingChange, element, context);
+                }
+                readElements(element.children || [], context);
+            }
+        });
+    }
+
+    function readParagraph(paragraph, context) {
+        var level = headingLevel(paragraph);
+        if (context.location === "body" && level !== null) {
+            headings = headings.filter(function(heading) {
+                return heading.level < level;
+            }).concat([{level: level, text: paragraphText(paragraph)}]);
+        }
+        var paragraphContext = _.extend({}, context, {paragraph: paragraph});
+        if (paragraph.formattingChange) {
+            addRevision("formatting", "paragraph", paragraph.formattingChange, paragraph, paragraphContext);
+        }
+        readElements(paragraph.children, paragraphContext);
+        if (paragraph.markInsertion) {
+            addRevision(changeType(true, paragraph.markInsertion), "paragraphMark", paragraph.markInsertion, null, paragraphContext);
+        }
+        if (paragraph.markDeletion) {
+            addRevision(changeType(false, paragraph.markDeletion), "paragraphMark", paragraph.markDeletion, null, paragraphContext);
+        }
+    }
+
+    function readRowChanges(row, context) {
+        if (row.insertion) {
+            addRevision(changeType(true, row.insertion), "tableRow", row.insertion, row, context);
+        }
+        if (row.deletion) {
+            addRevision(changeType(false, row.deletion), "tableRow", row.deletion, row, context);
+        }
+    }
+
+    function addRevision(type, target, change, element, context) {
+        revisions.push({
+            type: type,
+            target: target,
+            authorName: change.authorName || null,
+            date: change.date || null,
+            changeId: change.changeId || null,
+            text: elementText(element),
+            location: context.location,
+            paragraph: context.paragraph ? paragraphText(context.paragraph) : null,
+            headings: context.location === "body" ? _.pluck(headings, "text") : []
+        });
+    }
+
+    readElements(document.children, {location: "body"});
+    uniqueHeaderFooters(document.headers).forEach(function(header) {
+        readElements(header.children, {location: "header"});
+    });
+    uniqueHeaderFooters(document.footers).forEach(function(footer) {
+        readElements(footer.children, {location: "footer"});
+    });
+    document.notes.all().forEach(function(note) {
+        readElements(note.body, {location: note.noteType});
+    });
+    document.comments.forEach(function(comment) {
+        readElements(comment.body, {location: "comment"});
+    });
+
+    return revisions;
+}
+
+// Several sections may reference the same header or footer part, in which
+// case the headers and footers read from that part share their children.
+function uniqueHeaderFooters(headerFooters) {
+    var keys = [];
+    return headerFooters.filter(function(headerFooter) {
+        var key = headerFooter.partPath || headerFooter.children;
+        if (_.contains(keys, key)) {
+            return false;
+        } else {
+            keys.push(key);
+            return true;
+        }
+    });
+}
+
+function revisionType(element) {
+    return changeType(element.type === documents.types.ins, element);
+}
+
+function changeType(isInsertion, change) {
+    if (isInsertion) {
+        return change.isMove ? "moveTo" : "insertion";
+    } else {
+        return change.isMove ? "moveFrom" : "deletion";
+    }
+}
+
+// Paragraph marks have no text.
+function elementText(element) {
+    if (element === null) {
+        return "";
+    } else if (element.type === documents.types.paragraph) {
+        return paragraphText(element);
+    } else {
+        return convertElementToRawText(element);
+    }
+}
+
+function headingLevel(paragraph) {
+    var match = /^heading ([1-9])$/i.exec(paragraph.styleName || "");
+    return match ? parseInt(match[1], 10) : null;
+}
+
+function paragraphText(paragraph) {
+    return paragraph.children.map(convertElementToRawText).join("");
+}
@@ -52,11 +52,6 @@ function documentMatcherRule() {
     var paragraphRule = identifierToConstant("p", documentMatchers.paragraph);
     var runRule = identifierToConstant("r", documentMatchers.run);
 
-    var elementTypeRule = lop.rules.firstOf("p or r or table",
-        paragraphRule,
-        runRule
-    );
-
     var styleIdRule = lop.rules.sequence(
         lop.rules.tokenOfType("dot"),
         lop.rules.sequence.cut(),
@@ -90,8 +85,8 @@ function documentMatcherRule() {
 
     var styleNameRule = lop.rules.sequence(
         lop.rules.tokenOfType("open-square-bracket"),
-        lop.rules.sequence.cut(),
         lop.rules.token("identifier", "style-name"),
+        lop.rules.sequence.cut(),
         lop.rules.sequence.capture(styleNameMatcherRule),
         lop.rules.tokenOfType("close-square-bracket")
     ).head();
@@ -117,6 +112,58 @@ function documentMatcherRule() {
         };
     });
 
+    function operatorRule(tokenType, createPredicate) {
+        return sequence(lop.rules.tokenOfType(tokenType)).map(function() {
+            return createPredicate;
+        });
+    }
+
+    var comparisonOperatorRule = lop.rules.firstOf("comparison operator",
+        operatorRule("equals", documentMatchers.equalTo),
+        operatorRule("not-equals", documentMatchers.notEqualTo),
+        operatorRule("gte", documentMatchers.greaterThanOrEqualTo),
+        operatorRule("gt", documentMatchers.greaterThan),
+        operatorRule("lte", documentMatchers.lessThanOrEqualTo),
+        operatorRule("lt", documentMatchers.lessThan)
+    );
+
+    var stringOperatorRule = lop.rules.firstOf("string operator",
+        operatorRule("equals", documentMatchers.equalTo),
+        operatorRule("not-equals", documentMatchers.notEqualTo),
+        operatorRule("startsWith", documentMatchers.startsWith)
+    );
+
+    var variableBindingRule = sequence(
+        lop.rules.tokenOfType("equals"),
+        sequence.capture(variableRule)
+    ).map(documentMatchers.variable);
+
+    // Matches a value of an element, such as [font-size>=16]. Numbers can be
+    // compared using any comparison operator, while strings can be compared
+    // using =, != or ^=. Any value can be bound to a variable for use in the
+    // HTML path, such as [font-name=$f].
+    function valueRule(name, propertyName, isNumber) {
+        var comparisonRule = sequence(
+            sequence.capture(isNumber ? comparisonOperatorRule : stringOperatorRule),
+            sequence.capture(isNumber ? numberRule : stringRule)
+        ).map(function(createPredicate, value) {
+            return createPredicate(value);
+        });
+        return sequence(
+            lop.rules.tokenOfType("open-square-bracket"),
+            lop.rules.token("identifier", name),
+            sequence.cut(),
+            sequence.capture(lop.rules.firstOf("value", variableBindingRule, comparisonRule)),
+            lop.rules.tokenOfType("close-square-bracket")
+        ).map(function(predicate) {
+            var options = {};
+            options[propertyName] = predicate;
+            return options;
+        });
+    }
+
+    // When the same value is matched more than once, such as
+    // [font-size>=10][font-size<=12], the element must match all of them.
     function createMatcherSuffixesRule(rules) {
         var matcherSuffix = lop.rules.firstOf.apply(
             lop.rules.firstOf,
@@ -126,33 +173,151 @@ function documentMatcherRule() {
         return lop.rules.then(matcherSuffixes, function(suffixes) {
             var matcherOptions = {};
             suffixes.forEach(function(suffix) {
-                _.extend(matcherOptions, suffix);
+                _.each(suffix, function(value, name) {
+                    matcherOptions[name] = _.has(matcherOptions, name) && value.operator
+                        ? documentMatchers.allOf(matcherOptions[name], value)
+                        : value;
+                });
             });
             return matcherOptions;
         });
     }
 
-    var paragraphOrRun = sequence(
-        sequence.capture(elementTypeRule),
+    // Matches the text of an element, such as :contains('Note') or
+    // :matches(/^WHEREAS/).
+    function textRule(name, argumentRule, createPredicate) {
+        return sequence(
+            lop.rules.tokenOfType("colon"),
+            lop.rules.token("identifier", name),
+            sequence.cut(),
+            lop.rules.tokenOfType("open-paren"),
+            sequence.capture(argumentRule),
+            lop.rules.tokenOfType("close-paren")
+        ).map(function(value) {
+            return {text: createPredicate(value)};
+        });
+    }
+
+    var stripPrefixRule = sequence(
+        lop.rules.tokenOfType("colon"),
+        lop.rules.token("identifier", "strip-prefix"),
+        sequence.cut(),
+        lop.rules.tokenOfType("open-paren"),
+        sequence.capture(lop.rules.firstOf("string or regular expression", stringRule, regexRule)),
+        lop.rules.tokenOfType("close-paren")
+    ).map(function(prefix) {
+        return {textPrefix: prefix};
+    });
+
+    var textRules = [
+        textRule("contains", stringRule, documentMatchers.contains),
+        textRule("starts-with-text", stringRule, documentMatchers.startsWithText),
+        textRule("matches", regexRule, documentMatchers.matchesRegex),
+        stripPrefixRule
+    ];
+
+    var paragraph = sequence(
+        sequence.capture(paragraphRule),
         sequence.capture(createMatcherSuffixesRule([
             styleIdRule,
             styleNameRule,
-            listRule
-        ]))
+            listRule,
+            valueRule("alignment", "alignment", false),
+            valueRule("indent-left", "indentLeft", true),
+            valueRule("indent-right", "indentRight", true),
+            valueRule("indent-first-line", "indentFirstLine", true),
+            valueRule("indent-hanging", "indentHanging", true),
+            valueRule("spacing-before", "spacingBefore", true),
+            valueRule("spacing-after", "spacingAfter", true),
+            valueRule("outline-level", "outlineLevel", true)
+        ].concat(textRules)))
+    ).map(function(createMatcher, matcherOptions) {
+        return createMatcher(matcherOptions);
+    });
+
+    var run = sequence(
+        sequence.capture(runRule),
+        sequence.capture(createMatcherSuffixesRule([
+            styleIdRule,
+            styleNameRule,
+            listRule,
+            valueRule("font-name", "font", false),
+            valueRule("font-size", "fontSize", true),
+            valueRule("color", "color", false),
+            valueRule("highlight", "highlight", false)
+        ].concat(textRules)))
     ).map(function(createMatcher, matcherOptions) {
         return createMatcher(matcherOptions);
     });
 
+    // Matches a flag of an element, such as [header].
+    function flagRule(name, propertyName) {
+        return sequence(
+            lop.rules.tokenOfType("open-square-bracket"),
+            lop.rules.token("identifier", name),
+            sequence.cut(),
+            lop.rules.tokenOfType("close-square-bracket")
+        ).map(function() {
+            var options = {};
+            options[propertyName] = true;
+            return options;
+        });
+    }
+
+    // Matches a pseudo-class of an element, such as :first.
+    function pseudoClassRule(name, propertyName) {
+        return sequence(
+            lop.rules.tokenOfType("colon"),
+            lop.rules.token("identifier", name),
+            sequence.cut()
+        ).map(function() {
+            var options = {};
+            options[propertyName] = true;
+            return options;
+        });
+    }
+
     var table = sequence(
         lop.rules.token("identifier", "table"),
         sequence.capture(createMatcherSuffixesRule([
             styleIdRule,
-            styleNameRule
+            styleNameRule,
+            pseudoClassRule("single-cell", "isSingleCell")
         ]))
     ).map(function(options) {
         return documentMatchers.table(options);
     });
 
+    var tableRow = sequence(
+        lop.rules.token("identifier", "tr"),
+        sequence.capture(createMatcherSuffixesRule([
+            styleIdRule,
+            styleNameRule,
+            flagRule("header", "isHeader"),
+            flagRule("first-row", "isFirstRow"),
+            flagRule("banded", "isBandedRow"),
+            pseudoClassRule("first", "isFirst"),
+            pseudoClassRule("last", "isLast")
+        ]))
+    ).map(function(options) {
+        return documentMatchers.tableRow(options);
+    });
+
+    var tableCell = sequence(
+        lop.rules.token("identifier", "td"),
+        sequence.capture(createMatcherSuffixesRule([
+            styleIdRule,
+            styleNameRule,
+            flagRule("header", "isHeader"),
+            flagRule("first-column", "isFirstColumn"),
+            valueRule("shading", "shading", false),
+            pseudoClassRule("first", "isFirst"),
+            pseudoClassRule("last", "isLast")
+        ]))
+    ).map(function(options) {
+        return documentMatchers.tableCell(options);
+    });
+
     var bold = identifierToConstant("b", documentMatchers.bold);
     var italic = identifierToConstant("i", documentMatchers.italic);
     var underline = identifierToConstant("u", documentMatchers.underline);
@@ -177,6 +342,62 @@ function documentMatcherRule() {
         });
     });
 
+    var section = sequence(
+        lop.rules.token("identifier", "section"),
+        lop.rules.sequence.capture(lop.rules.optional(lop.rules.sequence(
+            lop.rules.tokenOfType("open-square-bracket"),
+            lop.rules.sequence.cut(),
+            lop.rules.token("identifier", "orientation"),
+            lop.rules.tokenOfType("equals"),
+            lop.rules.sequence.capture(stringRule),
+            lop.rules.tokenOfType("close-square-bracket")
+        ).head()))
+    ).map(function(orientation) {
+        return documentMatchers.section({
+            orientation: orientation.valueOrElse(undefined)
+        });
+    });
+
+    var field = sequence(
+        lop.rules.token("identifier", "field"),
+        lop.rules.sequence.capture(lop.rules.optional(lop.rules.sequence(
+            lop.rules.tokenOfType("open-square-bracket"),
+            lop.rules.sequence.cut(),
+            lop.rules.token("identifier", "type"),
+            lop.rules.tokenOfType("equals"),
+            lop.rules.sequence.capture(stringRule),
+            lop.rules.tokenOfType("close-square-bracket")
+        ).head()))
+    ).map(function(fieldType) {
+        return documentMatchers.field({
+            fieldType: fieldType.valueOrElse(undefined)
+        });
+    });
+
+    function headerFooterRule(name, createMatcher) {
+        return sequence(
+            lop.rules.token("identifier", name),
+            lop.rules.sequence.capture(lop.rules.optional(lop.rules.sequence(
+                lop.rules.tokenOfType("open-square-bracket"),
+                lop.rules.sequence.cut(),
+                lop.rules.token("identifier", "type"),
+                lop.rules.tokenOfType("equals"),
+                lop.rules.sequence.capture(stringRule),
+                lop.rules.tokenOfType("close-square-bracket")
+            ).head()))
+        ).map(function(type) {
+            return createMatcher({
+                type: type.valueOrElse(undefined)
+            });
+        });
+    }
+
+    var header = headerFooterRule("header", documentMatchers.header);
+    var footer = headerFooterRule("footer", documentMatchers.footer);
+
+    var textBox = identifierToConstant("textbox", documentMatchers.textBox);
+    var image = identifierToConstant("image", documentMatchers.image);
+
     var commentReference = identifierToConstant("comment-reference", documentMatchers.commentReference);
     var commentRangeStart = identifierToConstant("comment-range-start", documentMatchers.commentRangeStart);
     var commentRangeEnd = identifierToConstant("comment-range-end", documentMatchers.commentRangeEnd);
@@ -203,8 +424,12 @@ function documentMatcherRule() {
     });
 
     return lop.rules.firstOf("element type",
-        paragraphOrRun,
+        paragraph,
+        run,
         table,
+        tableRow,
+        tableCell,
+        section,
         bold,
         italic,
         underline,
@@ -213,6 +438,11 @@ function documentMatcherRule() {
         smallCaps,
         color,
         highlight,
+        field,
+        header,
+        footer,
+        textBox,
+        image,
         commentReference,
         commentRangeStart,
         commentRangeEnd,
@@ -267,7 +497,7 @@ function htmlPathRule() {
         var options = {};
         attributesList.forEach(function(attribute) {
             if (attribute.append && attributes[attribute.name]) {
-                attributes[attribute.name] += " " + attribute.value;
+                attributes[attribute.name] = htmlPaths.appendAttributeValue(attributes[attribute.name], attribute.value);
             } else {
                 attributes[attribute.name] = attribute.value;
             }
@@ -304,12 +534,24 @@ var identifierRule = lop.rules.then(
     decodeEscapeSequences
 );
 var integerRule = lop.rules.tokenOfType("integer");
+var numberRule = lop.rules.then(
+    lop.rules.firstOf("number", lop.rules.tokenOfType("decimal"), integerRule),
+    parseFloat
+);
 
 var stringRule = lop.rules.then(
     lop.rules.tokenOfType("string"),
     decodeEscapeSequences
 );
 
+var regexRule = lop.rules.then(
+    lop.rules.tokenOfType("regex"),
+    function(value) {
+        var flagsIndex = value.lastIndexOf("/");
+        return new RegExp(value.substring(1, flagsIndex), value.substring(flagsIndex + 1));
+    }
+);
+
 var escapeSequences = {
     "n": "\n",
     "r": "\r",
@@ -322,12 +564,44 @@ function decodeEscapeSequences(value) {
     });
 }
 
+var variableRule = lop.rules.sequence(
+    lop.rules.tokenOfType("dollar"),
+    lop.rules.sequence.cut(),
+    lop.rules.sequence.capture(identifierRule)
+).head();
+
+// Attribute values can include variables, such as 'font-family: $f', which
+// are replaced by values from the matched element. A literal dollar sign can
+// be written as \$.
+function readAttributeTemplate(value) {
+    var parts = [];
+    var hasVariables = false;
+    var pattern = /\\(.)|\$([a-zA-Z_][a-zA-Z0-9_]*)|([^\\$]+|\$)/g;
+    var match;
+    while ((match = pattern.exec(value)) !== null) {
+        if (match[2] !== undefined) {
+            hasVariables = true;
+            parts.push({variable: match[2]});
+        } else {
+            parts.push(match[1] !== undefined ? decodeEscapeSequences(match[0]) : match[3]);
+        }
+    }
+    return hasVariables ? htmlPaths.attributeTemplate(parts) : parts.join("");
+}
+
+var attributeValueRule = lop.rules.firstOf("attribute value",
+    lop.rules.then(lop.rules.tokenOfType("string"), readAttributeTemplate),
+    lop.rules.then(variableRule, function(name) {
+        return htmlPaths.attributeTemplate([{variable: name}]);
+    })
+);
+
 var attributeRule = lop.rules.sequence(
     lop.rules.tokenOfType("open-square-bracket"),
     lop.rules.sequence.cut(),
     lop.rules.sequence.capture(identifierRule),
     lop.rules.tokenOfType("equals"),
-    lop.rules.sequence.capture(stringRule),
+    lop.rules.sequence.capture(attributeValueRule),
     lop.rules.tokenOfType("close-square-bracket")
 ).map(function(name, value) {
     return {name: name, value: value, append: false};
@@ -350,7 +624,15 @@ var attributeOrClassRule = lop.rules.firstOf(
 function parseString(rule, string) {
     var tokens = tokenise(string);
     var parser = lop.Parser();
-    var parseResult = parser.parseTokens(rule, tokens);
+    var parseResult;
+    try {
+        parseResult = parser.parseTokens(rule, tokens);
+    } catch (error) {
+        // Invalid regular expressions are only found when they're created.
+        return new results.Result(null, [results.warning(
+            "Did not understand this style mapping, so ignored it: " + string + "\n" + error.message
+        )]);
+    }
     if (parseResult.isSuccess()) {
         return results.success(parseResult.value());
     } else {
@@ -1,6 +1,13 @@
+var _ = require("underscore");
+
+var convertChildrenToRawText = require("../raw-text").convertChildrenToRawText;
+
+exports.section = section;
 exports.paragraph = paragraph;
 exports.run = run;
 exports.table = table;
+exports.tableRow = tableRow;
+exports.tableCell = tableCell;
 exports.bold = new Matcher("bold");
 exports.italic = new Matcher("italic");
 exports.underline = new Matcher("underline");
@@ -9,6 +16,11 @@ exports.allCaps = new Matcher("allCaps");
 exports.smallCaps = new Matcher("smallCaps");
 exports.color = new Matcher("color");
 exports.highlight = highlight;
+exports.field = field;
+exports.header = header;
+exports.footer = footer;
+exports.textBox = new Matcher("textBox");
+exports.image = new Matcher("image");
 exports.commentReference = new Matcher("commentReference");
 exports.commentRangeStart = new Matcher("commentRangeStart");
 exports.commentRangeEnd = new Matcher("commentRangeEnd");
@@ -16,10 +28,24 @@ exports.lineBreak = new BreakMatcher({breakType: "line"});
 exports.pageBreak = new BreakMatcher({breakType: "page"});
 exports.columnBreak = new BreakMatcher({breakType: "column"});
 exports.equalTo = equalTo;
+exports.notEqualTo = notEqualTo;
 exports.startsWith = startsWith;
+exports.greaterThan = greaterThan;
+exports.greaterThanOrEqualTo = greaterThanOrEqualTo;
+exports.lessThan = lessThan;
+exports.lessThanOrEqualTo = lessThanOrEqualTo;
+exports.allOf = allOf;
+exports.variable = variable;
+exports.contains = contains;
+exports.startsWithText = startsWithText;
+exports.matchesRegex = matchesRegex;
 exports.isVisibleBulletList = isVisibleBulletList;
 
 
+function section(options) {
+    return new SectionMatcher(options);
+}
+
 function paragraph(options) {
     return new Matcher("paragraph", options);
 }
@@ -32,10 +58,110 @@ function table(options) {
     return new Matcher("table", options);
 }
 
+function tableRow(options) {
+    return new Matcher("tableRow", options);
+}
+
+function tableCell(options) {
+    return new Matcher("tableCell", options);
+}
+
 function highlight(options) {
     return new HighlightMatcher(options);
 }
 
+function field(options) {
+    return new FieldMatcher(options);
+}
+
+function header(options) {
+    return new HeaderFooterMatcher("header", options);
+}
+
+function footer(options) {
+    return new HeaderFooterMatcher("footer", options);
+}
+
+// Values of elements that can be compared with a value, such as
+// r[font-size>=16]. Indentation and spacing are in twentieths of a point.
+var elementValues = {
+    alignment: function(element) {
+        return element.alignment;
+    },
+    indentLeft: function(element) {
+        return element.indent && readNumber(element.indent.start);
+    },
+    indentRight: function(element) {
+        return element.indent && readNumber(element.indent.end);
+    },
+    indentFirstLine: function(element) {
+        return element.indent && readNumber(element.indent.firstLine);
+    },
+    indentHanging: function(element) {
+        return element.indent && readNumber(element.indent.hanging);
+    },
+    spacingBefore: function(element) {
+        return element.spacing && readNumber(element.spacing.before);
+    },
+    spacingAfter: function(element) {
+        return element.spacing && readNumber(element.spacing.after);
+    },
+    outlineLevel: function(element) {
+        return element.outlineLevel;
+    },
+    shading: function(element) {
+        return element.bgColor;
+    },
+    text: function(element) {
+        return convertChildrenToRawText(element);
+    },
+    font: function(element) {
+        return element.font;
+    },
+    fontSize: function(element) {
+        return element.fontSize;
+    },
+    color: function(element) {
+        return element.color;
+    },
+    highlight: function(element) {
+        return element.highlight;
+    }
+};
+
+// Flags of elements that are either set or not, such as tr[header] and
+// tr:first. Rows and cells are matched with their position in the table, and
+// the style of the table, already set.
+var elementFlags = {
+    isHeader: function(element) {
+        return element.isHeader;
+    },
+    isFirstRow: function(element) {
+        return element.isFirstRow;
+    },
+    isBandedRow: function(element) {
+        return element.isBandedRow;
+    },
+    isFirstColumn: function(element) {
+        return element.isFirstColumn;
+    },
+    isFirst: function(element) {
+        return element.isFirst;
+    },
+    isLast: function(element) {
+        return element.isLast;
+    },
+    isSingleCell: function(element) {
+        return element.children.length === 1 &&
+            element.children[0].type === "tableRow" &&
+            element.children[0].children.length === 1;
+    }
+};
+
+function readNumber(value) {
+    return value != null && /^-?[0-9]+$/.test(value) ? parseInt(value, 10) : null;
+}
+
 function Matcher(elementType, options) {
     options = options || {};
     this._elementType = elementType;
@@ -45,6 +171,9 @@ function Matcher(elementType, options) {
         this._listIndex = options.list.levelIndex;
         this._listIsOrdered = options.list.isOrdered;
     }
+    this._values = _.pick(options, _.keys(elementValues));
+    this._flags = _.pick(options, _.keys(elementFlags));
+    this._textPrefix = options.textPrefix;
 }
 
 Matcher.prototype.matches = function(element) {
@@ -52,7 +181,40 @@ Matcher.prototype.matches = function(element) {
         (this._styleId === undefined || element.styleId === this._styleId) &&
         (this._styleName === undefined || (element.styleName && this._styleName.operator(this._styleName.operand, element.styleName))) &&
         (this._listIndex === undefined || isList(element, this._listIndex, this._listIsOrdered)) &&
-        (this._breakType === undefined || this._breakType === element.breakType);
+        (this._breakType === undefined || this._breakType === element.breakType) &&
+        _.every(this._values, function(value, name) {
+            return value.operator(value.operand, elementValues[name](element));
+        }) &&
+        _.every(this._flags, function(value, name) {
+            return !!elementFlags[name](element) === value;
+        }) &&
+        (this._textPrefix === undefined || this.readTextPrefix(element) !== null);
+};
+
+// Reads the text that the element starts with to be removed when it's
+// converted, such as "Note: " for p:strip-prefix('Note: '). The prefix is
+// either a string or a regular expression that matches at the start of the
+// text.
+Matcher.prototype.readTextPrefix = function(element) {
+    if (this._textPrefix === undefined) {
+        return null;
+    }
+    var text = convertChildrenToRawText(element);
+    if (_.isString(this._textPrefix)) {
+        return text.indexOf(this._textPrefix) === 0 ? this._textPrefix : null;
+    } else {
+        var match = this._textPrefix.exec(text);
+        return match && match.index === 0 ? match[0] : null;
+    }
+};
+
+// Reads the value bound to a variable by this matcher, such as $f in
+// r[font-name=$f], or undefined if the variable isn't bound.
+Matcher.prototype.readVariable = function(element, variableName) {
+    var name = _.findKey(this._values, function(value) {
+        return value.operator === operatorVariable && value.operand === variableName;
+    });
+    return name === undefined ? undefined : elementValues[name](element);
 };
 
 function HighlightMatcher(options) {
@@ -75,6 +237,38 @@ BreakMatcher.prototype.matches = function(element) {
         (this._breakType === undefined || element.breakType === this._breakType);
 };
 
+function SectionMatcher(options) {
+    options = options || {};
+    this._orientation = options.orientation;
+}
+
+SectionMatcher.prototype.matches = function(element) {
+    return element.type === "section" &&
+        (this._orientation === undefined || (element.pageSize !== null && element.pageSize.orientation === this._orientation));
+};
+
+function FieldMatcher(options) {
+    options = options || {};
+    this._fieldType = options.fieldType;
+}
+
+FieldMatcher.prototype.matches = function(element) {
+    return element.type === "field" &&
+        (this._fieldType === undefined || operatorEqualTo(this._fieldType, element.fieldType));
+};
+
+function HeaderFooterMatcher(elementType, options) {
+    options = options || {};
+    this._elementType = elementType;
+    this._type = options.type;
+}
+
+HeaderFooterMatcher.prototype.matches = function(element) {
+    var type = element.type === "header" ? element.headerType : element.footerType;
+    return element.type === this._elementType &&
+        (this._type === undefined || operatorEqualTo(this._type, type));
+};
+
 function isList(element, levelIndex, isOrdered) {
     return element.numbering &&
         element.numbering.level == levelIndex &&
@@ -94,6 +288,13 @@ function equalTo(value) {
     };
 }
 
+function notEqualTo(value) {
+    return {
+        operator: operatorNotEqualTo,
+        operand: value
+    };
+}
+
 function startsWith(value) {
     return {
         operator: operatorStartsWith,
@@ -101,10 +302,121 @@ function startsWith(value) {
     };
 }
 
+function greaterThan(value) {
+    return {
+        operator: operatorGreaterThan,
+        operand: value
+    };
+}
+
+function greaterThanOrEqualTo(value) {
+    return {
+        operator: operatorGreaterThanOrEqualTo,
+        operand: value
+    };
+}
+
+function lessThan(value) {
+    return {
+        operator: operatorLessThan,
+        operand: value
+    };
+}
+
+function lessThanOrEqualTo(value) {
+    return {
+        operator: operatorLessThanOrEqualTo,
+        operand: value
+    };
+}
+
+function variable(name) {
+    return {
+        operator: operatorVariable,
+        operand: name
+    };
+}
+
+function contains(value) {
+    return {
+        operator: operatorContains,
+        operand: value
+    };
+}
+
+function startsWithText(value) {
+    return {
+        operator: operatorStartsWithText,
+        operand: value
+    };
+}
+
+function matchesRegex(regex) {
+    return {
+        operator: operatorMatchesRegex,
+        operand: regex
+    };
+}
+
+function allOf(first, second) {
+    return {
+        operator: operatorAllOf,
+        operand: [first, second]
+    };
+}
+
+// Strings are compared ignoring case. Missing values only match notEqualTo.
 function operatorEqualTo(first, second) {
-    return first.toUpperCase() === second.toUpperCase();
+    if (_.isString(first) && _.isString(second)) {
+        return first.toUpperCase() === second.toUpperCase();
+    } else {
+        return second != null && first === second;
+    }
+}
+
+function operatorNotEqualTo(first, second) {
+    return !operatorEqualTo(first, second);
 }
 
 function operatorStartsWith(first, second) {
-    return second.toUpperCase().indexOf(first.toUpperCase()) === 0;
+    return _.isString(second) && second.toUpperCase().indexOf(first.toUpperCase()) === 0;
+}
+
+function operatorGreaterThan(first, second) {
+    return second != null && second > first;
+}
+
+function operatorGreaterThanOrEqualTo(first, second) {
+    return second != null && second >= first;
+}
+
+function operatorLessThan(first, second) {
+    return second != null && second < first;
+}
+
+function operatorLessThanOrEqualTo(first, second) {
+    return second != null && second <= first;
+}
+
+// Unlike style names, text is compared with case.
+function operatorContains(first, second) {
+    return _.isString(second) && second.indexOf(first) !== -1;
+}
+
+function operatorStartsWithText(first, second) {
+    return _.isString(second) && second.indexOf(first) === 0;
+}
+
+function operatorMatchesRegex(regex, second) {
+    return _.isString(second) && regex.test(second);
+}
+
+function operatorVariable(name, second) {
+    return second != null;
+}
+
+function operatorAllOf(values, second) {
+    return _.every(values, function(value) {
+        return value.operator(value.operand, second);
+    });
 }
@@ -5,6 +5,8 @@ var html = require("../html");
 exports.topLevelElement = topLevelElement;
 exports.elements = elements;
 exports.element = element;
+exports.attributeTemplate = attributeTemplate;
+exports.appendAttributeValue = appendAttributeValue;
 
 function topLevelElement(tagName, attributes) {
     return elements([element(tagName, attributes, {fresh: true})]);
@@ -32,6 +34,101 @@ HtmlPath.prototype.wrap = function wrap(children) {
     return result;
 };
 
+// Adds attributes to the innermost element of the path, appending to any
+// existing class or style rather than replacing it.
+HtmlPath.prototype.addInnermostAttributes = function addInnermostAttributes(attributes) {
+    if (this._elements.length === 0) {
+        return this;
+    }
+    return new HtmlPath(_.initial(this._elements).concat([
+        _.last(this._elements).addAttributes(attributes)
+    ]));
+};
+
+// Records the numbering of the paragraph that the innermost element is
+// written for, such as a list item. The numbering isn't written as an
+// attribute, but is used to write the start of lists.
+HtmlPath.prototype.setInnermostNumbering = function setInnermostNumbering(numbering) {
+    if (this._elements.length === 0) {
+        return this;
+    }
+    var innermost = _.last(this._elements);
+    return new HtmlPath(_.initial(this._elements).concat([
+        _.extend(Object.create(Element.prototype), innermost, {numbering: numbering})
+    ]));
+};
+
+HtmlPath.prototype.innermostTagName = function innermostTagName() {
+    return this._elements.length === 0 ? null : _.last(this._elements).tagName;
+};
+
+HtmlPath.prototype.innermostAttributes = function innermostAttributes() {
+    return this._elements.length === 0 ? {} : _.last(this._elements).attributes;
+};
+
+HtmlPath.prototype.outerPath = function outerPath() {
+    return new HtmlPath(_.initial(this._elements));
+};
+
+// Replaces attribute templates, such as data-style=$styleName, with the values
+// read using readVariable. Attributes with a missing value are removed.
+HtmlPath.prototype.resolveAttributes = function resolveAttributes(readVariable) {
+    var hasTemplates = _.any(this._elements, function(element) {
+        return _.any(element.attributes, isAttributeTemplate);
+    });
+    if (!hasTemplates) {
+        return this;
+    }
+    return new HtmlPath(this._elements.map(function(element) {
+        return element.resolveAttributes(readVariable);
+    }));
+};
+
+function mergeAttributes(original, added) {
+    var merged = _.extend({}, original);
+    _.each(added, function(value, name) {
+        if (merged[name] && (name === "class" || name === "style")) {
+            merged[name] = merged[name] + (name === "class" ? " " : "; ") + value;
+        } else {
+            merged[name] = value;
+        }
+    });
+    return merged;
+}
+
+// An attribute value made of literal strings and variables, such as
+// 'font-family: $f'. Variables are represented as {variable: name}.
+function attributeTemplate(parts) {
+    return new AttributeTemplate(parts);
+}
+
+function AttributeTemplate(parts) {
+    this.parts = parts;
+}
+
+AttributeTemplate.prototype.resolve = function(readVariable) {
+    var values = this.parts.map(function(part) {
+        return _.isString(part) ? part : readVariable(part.variable);
+    });
+    return _.every(values, function(value) {
+        return value !== null;
+    }) ? values.join("") : null;
+};
+
+function isAttributeTemplate(value) {
+    return value instanceof AttributeTemplate;
+}
+
+function appendAttributeValue(value, suffix) {
+    if (!isAttributeTemplate(value) && !isAttributeTemplate(suffix)) {
+        return value + " " + suffix;
+    }
+    function parts(value) {
+        return isAttributeTemplate(value) ? value.parts : [value];
+    }
+    return attributeTemplate(parts(value).concat([" "], parts(suffix)));
+}
+
 function element(tagName, attributes, options) {
     options = options || {};
     return new Element(tagName, attributes, options);
@@ -59,6 +156,25 @@ Element.prototype.matchesElement = function(element) {
     return this.tagNames[element.tagName] && _.isEqual(this.attributes || {}, element.attributes || {});
 };
 
+Element.prototype.withAttributes = function(attributes) {
+    return _.extend(Object.create(Element.prototype), this, {attributes: attributes});
+};
+
+Element.prototype.addAttributes = function(attributes) {
+    return this.withAttributes(mergeAttributes(this.attributes, attributes));
+};
+
+Element.prototype.resolveAttributes = function(readVariable) {
+    var attributes = {};
+    _.each(this.attributes, function(value, name) {
+        var resolved = isAttributeTemplate(value) ? value.resolve(readVariable) : value;
+        if (resolved !== null) {
+            attributes[name] = resolved;
+        }
+    });
+    return this.withAttributes(attributes);
+};
+
 Element.prototype.wrap = function wrap(generateNodes) {
     return this.wrapNodes(generateNodes());
 };
@@ -71,5 +187,17 @@ exports.empty = elements([]);
 exports.ignore = {
     wrap: function() {
         return [];
+    },
+    addInnermostAttributes: function() {
+        return this;
+    },
+    setInnermostNumbering: function() {
+        return this;
+    },
+    innermostTagName: function() {
+        return null;
+    },
+    resolveAttributes: function() {
+        return this;
     }
 };
@@ -8,10 +8,17 @@ var stringPrefix = "'((?:\\\\.|[^'])*)";
 function tokenise(string) {
     var identifierCharacter = "(?:[a-zA-Z\\-_]|\\\\.)";
     var tokeniser = new RegexTokeniser([
+        // Numbers come before identifiers so that the leading minus sign of a
+        // negative number isn't read as the start of an identifier.
+        {name: "decimal", regex: /(-?[0-9]+\.[0-9]+)/},
+        {name: "integer", regex: /(-?[0-9]+)/},
         {name: "identifier", regex: new RegExp("(" + identifierCharacter + "(?:" + identifierCharacter + "|[0-9])*)")},
         {name: "dot", regex: /\./},
         {name: "colon", regex: /:/},
+        {name: "gte", regex: />=/},
         {name: "gt", regex: />/},
+        {name: "lte", regex: /<=/},
+        {name: "lt", regex: /</},
         {name: "whitespace", regex: /\s+/},
         {name: "arrow", regex: /=>/},
         {name: "equals", regex: /=/},
@@ -22,8 +29,10 @@ function tokenise(string) {
         {name: "close-square-bracket", regex: /\]/},
         {name: "string", regex: new RegExp(stringPrefix + "'")},
         {name: "unterminated-string", regex: new RegExp(stringPrefix)},
-        {name: "integer", regex: /([0-9]+)/},
+        {name: "regex", regex: /(\/(?:\\.|[^\/\\])+\/[imsu]*)/},
         {name: "choice", regex: /\|/},
+        {name: "dollar", regex: /\$/},
+        {name: "not-equals", regex: /!=/},
         {name: "bang", regex: /(!)/}
     ]);
     return tokeniser.tokenise(string);
@@ -61,6 +61,11 @@ function prettyWriter() {
         writer.selfClosing(tagName, attributes);
     }
 
+    function raw(html) {
+        startText();
+        writer.raw(html);
+    }
+
     function insideIndentedElement() {
         return stack.length === 0 || indentedElements[stack[stack.length - 1]];
     }
@@ -93,7 +98,8 @@ function prettyWriter() {
         open: open,
         close: close,
         text: text,
-        selfClosing: selfClosing
+        selfClosing: selfClosing,
+        raw: raw
     };
 }
 
@@ -139,6 +145,7 @@ function simpleWriter() {
         close: close,
         text: text,
         selfClosing: selfClosing,
+        raw: append,
         _append: append
     };
 }
@@ -36,13 +36,14 @@ function markdownImage(attributes) {
 
 function markdownList(options) {
     return function(attributes, list) {
+        var start = parseInt(attributes.start, 10);
         return {
             start: list ? "\n" : "",
             end: list ? "" : "\n",
             list: {
                 isOrdered: options.isOrdered,
                 indent: list ? list.indent + 1 : 0,
-                count: 0
+                count: options.isOrdered && !isNaN(start) ? start - 1 : 0
             }
         };
     };
@@ -53,7 +54,7 @@ function markdownListItem(attributes, list, listItem) {
     list.count++;
     listItem.hasClosed = false;
     
-    var bullet = list.isOrdered ? list.count + "." : "-";
+    var bullet = list.isOrdered ? orderedListMarker(attributes, list) : "-";
     var start = repeatString("\t", list.indent) + bullet + " ";
         
     return {
@@ -67,6 +68,30 @@ function markdownListItem(attributes, list, listItem) {
     };
 }
 
+// Labels written by Word, such as "a)" or "(iv)", are used as the marker when
+// present, and escaped unless they're already valid Markdown markers.
+function orderedListMarker(attributes, list) {
+    var label = attributes["data-numbering-label"];
+    if (!label) {
+        return list.count + ".";
+    } else if (/^[0-9]{1,9}[.)]$/.test(label)) {
+        return label;
+    } else {
+        return escapeMarkdown(label);
+    }
+}
+
+// The content of math elements is written using the alttext, which holds a
+// LaTeX-like representation, rather than the MathML.
+function markdownMath(attributes) {
+    var delimiter = attributes.display === "block" ? "$$" : "$";
+    return {
+        start: delimiter + (attributes.alttext || ""),
+        end: delimiter,
+        isOpaque: true
+    };
+}
+
 var htmlToMarkdown = {
     "p": markdownElement("", "\n\n"),
     "br": markdownElement("", "  \n"),
@@ -76,7 +101,8 @@ var htmlToMarkdown = {
     "strong": symmetricMarkdownElement("__"),
     "em": symmetricMarkdownElement("*"),
     "a": markdownLink,
-    "img": markdownImage
+    "img": markdownImage,
+    "math": markdownMath
 };
 
 (function() {
@@ -94,10 +120,17 @@ function markdownWriter() {
     var elementStack = [];
     var list = null;
     var listItem = {};
+    var opaqueDepth = 0;
     
     function open(tagName, attributes) {
         attributes = attributes || {};
         
+        if (opaqueDepth > 0) {
+            opaqueDepth++;
+            elementStack.push({list: list});
+            return;
+        }
+
         var createElement = htmlToMarkdown[tagName] || function() {
             return {};
         };
@@ -107,6 +140,9 @@ function markdownWriter() {
         if (element.list) {
             list = element.list;
         }
+        if (element.isOpaque) {
+            opaqueDepth++;
+        }
         
         var anchorBeforeStart = element.anchorPosition === "before";
         if (anchorBeforeStart) {
@@ -128,6 +164,12 @@ function markdownWriter() {
     function close(tagName) {
         var element = elementStack.pop();
         list = element.list;
+        if (opaqueDepth > 0) {
+            opaqueDepth--;
+            if (opaqueDepth > 0) {
+                return;
+            }
+        }
         var end = _.isFunction(element.end) ? element.end() : element.end;
         fragments.push(end || "");
     }
@@ -138,9 +180,20 @@ function markdownWriter() {
     }
     
     function text(value) {
+        if (opaqueDepth > 0) {
+            return;
+        }
         fragments.push(escapeMarkdown(value));
     }
     
+    // Markdown allows HTML to be written directly.
+    function raw(html) {
+        if (opaqueDepth > 0) {
+            return;
+        }
+        fragments.push(html);
+    }
+
     function asString() {
         return fragments.join("");
     }
@@ -150,7 +203,8 @@ function markdownWriter() {
         open: open,
         close: close,
         text: text,
-        selfClosing: selfClosing
+        selfClosing: selfClosing,
+        raw: raw
     };
 }
 
@@ -20,6 +20,9 @@ var emptyElement = exports.emptyElement = {
     firstOrEmpty: function() {
         return emptyElement;
     },
+    getElementsByTagName: function() {
+        return toElementList([]);
+    },
     attributes: {},
     children: []
 };
@@ -0,0 +1,232 @@
+var assert = require("assert");
+
+var css = require("../lib/css");
+var documents = require("../lib/documents");
+var test = require("./test")(module);
+
+
+test("paragraphDeclarations()", {
+    "paragraph without layout properties has no declarations": function() {
+        var paragraph = documents.paragraph([]);
+        assert.deepEqual(css.paragraphDeclarations(paragraph), []);
+    },
+
+    "alignment is converted to text-align": function() {
+        assert.deepEqual(declarations({alignment: "center"}), [["text-align", "center"]]);
+        assert.deepEqual(declarations({alignment: "end"}), [["text-align", "right"]]);
+        assert.deepEqual(declarations({alignment: "both"}), [["text-align", "justify"]]);
+    },
+
+    "unknown alignment is ignored": function() {
+        assert.deepEqual(declarations({alignment: "mediumKashida"}), []);
+    },
+
+    "indents are converted from twentieths of a point to points": function() {
+        assert.deepEqual(
+            declarations({indent: {start: "720", end: "0", firstLine: "360"}}),
+            [["margin-left", "36pt"], ["margin-right", "0"], ["text-indent", "18pt"]]
+        );
+    },
+
+    "hanging indent is converted to negative text-indent": function() {
+        assert.deepEqual(
+            declarations({indent: {firstLine: "360", hanging: "250"}}),
+            [["text-indent", "-12.5pt"]]
+        );
+    },
+
+    "spacing is converted to margins": function() {
+        assert.deepEqual(
+            declarations({spacing: {before: "240", after: "120"}}),
+            [["margin-top", "12pt"], ["margin-bottom", "6pt"]]
+        );
+    },
+
+    "auto line spacing is converted to unitless line-height": function() {
+        assert.deepEqual(declarations({spacing: {line: "360", lineRule: "auto"}}), [["line-height", "1.5"]]);
+        assert.deepEqual(declarations({spacing: {line: "276"}}), [["line-height", "1.15"]]);
+    },
+
+    "exact line spacing is converted to line-height in points": function() {
+        assert.deepEqual(declarations({spacing: {line: "280", lineRule: "exact"}}), [["line-height", "14pt"]]);
+    }
+});
+
+test("runDeclarations()", {
+    "run without typography has no declarations": function() {
+        assert.deepEqual(css.runDeclarations(documents.run([])), []);
+    },
+
+    "font, size and color are converted to declarations": function() {
+        var run = documents.run([], {font: "Times New Roman", fontSize: 10.5, color: "ff0000"});
+        assert.deepEqual(css.runDeclarations(run), [
+            ["font-family", "'Times New Roman'"],
+            ["font-size", "10.5pt"],
+            ["color", "#FF0000"]
+        ]);
+    },
+
+    "quotes in font names are escaped": function() {
+        var run = documents.run([], {font: "Bob's Font"});
+        assert.deepEqual(css.runDeclarations(run), [["font-family", "'Bob\\'s Font'"]]);
+    },
+
+    "automatic color is ignored": function() {
+        assert.deepEqual(css.runDeclarations(documents.run([], {color: "auto"})), []);
+    },
+
+    "shading is converted to background-color": function() {
+        var run = documents.run([], {shading: "D9D9D9"});
+        assert.deepEqual(css.runDeclarations(run), [["background-color", "#D9D9D9"]]);
+    },
+
+    "highlight is converted to background-color in preference to shading": function() {
+        var run = documents.run([], {highlight: "darkYellow", shading: "D9D9D9"});
+        assert.deepEqual(css.runDeclarations(run), [["background-color", "#808000"]]);
+    }
+});
+
+test("wordStylesCss()", {
+    "rule is generated for each style using its properties": function() {
+        var customStyles = {
+            "Heading1": {name: "Heading 1", type: "paragraph", properties: {fontSize: 16, bold: true, alignment: "center"}},
+            "Emphasis": {name: "Emphasis", type: "character", properties: {italic: true, underline: true, strike: true}}
+        };
+        assert.equal(
+            css.wordStylesCss(customStyles, null, ""),
+            "/* Heading 1 */\n" +
+            ".style-Heading1 {text-align: center; font-size: 16pt; font-weight: bold}\n" +
+            "/* Emphasis */\n" +
+            ".style-Emphasis {font-style: italic; text-decoration: underline line-through}\n"
+        );
+    },
+
+    "paragraph styles include document defaults that they don't override": function() {
+        var customStyles = {
+            "Heading1": {name: "Heading 1", type: "paragraph", properties: {fontSize: 16}},
+            "Strong": {name: "Strong", type: "character", properties: {bold: true}}
+        };
+        var documentDefaults = {
+            character: {fontSize: 11, primaryFont: "Calibri"},
+            paragraph: {spacing: {after: "160"}}
+        };
+        assert.equal(
+            css.wordStylesCss(customStyles, documentDefaults, ""),
+            "/* Heading 1 */\n" +
+            ".style-Heading1 {margin-bottom: 8pt; font-family: 'Calibri'; font-size: 16pt}\n" +
+            "/* Strong */\n" +
+            ".style-Strong {font-weight: bold}\n"
+        );
+    },
+
+    "styles without declarations and numbering styles are ignored": function() {
+        var customStyles = {
+            "Normal": {name: "Normal", type: "paragraph", properties: {}},
+            "List": {name: "List", type: "numbering", properties: {fontSize: 12}}
+        };
+        assert.equal(css.wordStylesCss(customStyles, null, ""), "");
+    },
+
+    "class names are prefixed and only use safe characters": function() {
+        var customStyles = {
+            "My Style.1": {name: null, type: "character", properties: {bold: true}}
+        };
+        assert.equal(css.wordStylesCss(customStyles, null, "doc-"), ".doc-style-My-Style-1 {font-weight: bold}\n");
+    }
+});
+
+test("imageLayout()", {
+    "image without size or transform has no layout": function() {
+        assert.deepEqual(css.imageLayout(documents.Image({})), {
+            attributes: {},
+            imageDeclarations: [],
+            wrapperDeclarations: null
+        });
+    },
+
+    "size is rounded to width and height attributes": function() {
+        var layout = css.imageLayout(documents.Image({width: 100.4, height: 49.6}));
+        assert.deepEqual(layout.attributes, {width: "100", height: "50"});
+    },
+
+    "rotation and flips are converted to transform": function() {
+        var layout = css.imageLayout(documents.Image({rotation: 90, flipHorizontal: true, flipVertical: true}));
+        assert.deepEqual(layout.imageDeclarations, [["transform", "rotate(90deg) scaleX(-1) scaleY(-1)"]]);
+    },
+
+    "cropped images with size are displayed in a wrapper the size of the cropped image": function() {
+        var layout = css.imageLayout(documents.Image({
+            width: 100,
+            height: 50,
+            isCropped: true,
+            srcRect: {left: 25000, top: 0, right: 25000, bottom: 50000},
+            rotation: 180
+        }));
+        assert.deepEqual(layout, {
+            attributes: {width: "200", height: "100"},
+            imageDeclarations: [
+                ["display", "block"],
+                ["max-width", "none"],
+                ["margin-left", "-50px"],
+                ["margin-top", "0px"]
+            ],
+            wrapperDeclarations: [
+                ["display", "inline-block"],
+                ["overflow", "hidden"],
+                ["width", "100px"],
+                ["height", "50px"],
+                ["transform", "rotate(180deg)"]
+            ]
+        });
+    },
+
+    "cropped images without size are clipped": function() {
+        var layout = css.imageLayout(documents.Image({
+            isCropped: true,
+            srcRect: {left: 10000, top: 0, right: 0, bottom: 0}
+        }));
+        assert.deepEqual(layout.imageDeclarations, [["clip-path", "inset(0% 0% 0% 10%)"]]);
+        assert.equal(layout.wrapperDeclarations, null);
+    }
+});
+
+test("declarationsToString() joins declarations with semicolons", function() {
+    assert.equal(
+        css.declarationsToString([["text-align", "center"], ["margin-left", "36pt"]]),
+        "text-align: center; margin-left: 36pt"
+    );
+});
+
+test("stylesheet()", {
+    "class names are numbered by prefix": function() {
+        var stylesheet = css.stylesheet();
+        assert.equal(stylesheet.className("paragraph-", [["text-align", "center"]]), "paragraph-1");
+        assert.equal(stylesheet.className("paragraph-", [["text-align", "right"]]), "paragraph-2");
+    },
+
+    "identical declarations share a class": function() {
+        var stylesheet = css.stylesheet();
+        stylesheet.className("paragraph-", [["text-align", "center"]]);
+        stylesheet.className("paragraph-", [["text-align", "right"]]);
+        assert.equal(stylesheet.className("paragraph-", [["text-align", "center"]]), "paragraph-1");
+    },
+
+    "rules are written for each class in order of creation": function() {
+        var stylesheet = css.stylesheet();
+        stylesheet.className("paragraph-", [["text-align", "center"]]);
+        stylesheet.className("paragraph-", [["text-align", "right"], ["margin-top", "0"]]);
+        assert.equal(
+            stylesheet.toString(),
+            ".paragraph-1 {text-align: center}\n" +
+            ".paragraph-2 {text-align: right; margin-top: 0}\n"
+        );
+    },
+
+    "stylesheet without rules is empty": function() {
+        assert.equal(css.stylesheet().toString(), "");
+    }
+});
+
+function declarations(properties) {
+    return css.paragraphDeclarations(documents.paragraph([], properties));
+}
@@ -11,6 +11,8 @@ var xml = require("../lib/xml");
 var results = require("../lib/results");
 var documentMatchers = require("../lib/styles/document-matchers");
 var Html = require("../lib/html");
+var charts = require("../lib/charts");
+var embeddedObjects = require("../lib/embedded-objects");
 
 
 test('should empty document to empty string', function() {
@@ -245,6 +247,31 @@ test('strikethrough runs can be configured with style mapping', function() {
     });
 });
 
+test('inserted and deleted paragraph marks are written as pilcrows in <ins> and <del>', function() {
+    var document = new documents.Document([
+        new documents.Paragraph([runOfText("One")], {markDeletion: {authorName: "Ned"}}),
+        new documents.Paragraph([runOfText("Two")], {markInsertion: {authorName: "Ned"}})
+    ]);
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, "<p>One<del>\u00b6</del></p><p>Two<ins>\u00b6</ins></p>");
+    });
+});
+
+test('contents of cells in inserted and deleted table rows are wrapped in <ins> and <del>', function() {
+    var table = new documents.Table([
+        new documents.TableRow([new documents.TableCell([paragraphOfText("One")])], {insertion: {authorName: "Ned"}}),
+        new documents.TableRow([new documents.TableCell([paragraphOfText("Two")])], {deletion: {authorName: "Ned"}})
+    ]);
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(table).then(function(result) {
+        assert.equal(
+            result.value,
+            "<table><tr><td><ins><p>One</p></ins></td></tr><tr><td><del><p>Two</p></del></td></tr></table>"
+        );
+    });
+});
+
 test('italic runs are wrapped in <em> tags', function() {
     var run = runOfText("Hello.", {isItalic: true});
     var converter = new DocumentConverter();
@@ -465,6 +492,46 @@ test('hyperlink target frame is used as anchor target', function() {
     });
 });
 
+test('REF and PAGEREF fields are converted to links to the bookmark', function() {
+    var document = new documents.Document([
+        new documents.Field([runOfText("Section ")], {fieldType: "REF", arguments: ["_Ref1"]}),
+        new documents.Field([runOfText("1")], {fieldType: "REF", arguments: ["_Ref1"]}),
+        new documents.Field([runOfText("4")], {fieldType: "PAGEREF", arguments: ["_Toc2"]})
+    ]);
+    var converter = new DocumentConverter({
+        idPrefix: "doc-42-"
+    });
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<a href="#doc-42-_Ref1">Section 1</a><a href="#doc-42-_Toc2">4</a>'
+        );
+    });
+});
+
+test('other fields are converted to their content', function() {
+    var field = new documents.Field([runOfText("2024-01-01")], {fieldType: "DATE"});
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(field).then(function(result) {
+        assert.equal(result.value, "2024-01-01");
+    });
+});
+
+test('fields can be mapped using style mappings', function() {
+    var field = new documents.Field([runOfText("Section 1")], {fieldType: "REF", arguments: ["_Ref1"]});
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.field({fieldType: "REF"}),
+                to: htmlPaths.elements([htmlPaths.element("span", {"class": "ref"})])
+            }
+        ]
+    });
+    return converter.convertToHtml(field).then(function(result) {
+        assert.equal(result.value, '<span class="ref">Section 1</span>');
+    });
+});
+
 test('unchecked checkbox is converted to unchecked checkbox input', function() {
     var checkbox = documents.checkbox({checked: false});
     var converter = new DocumentConverter();
@@ -492,6 +559,370 @@ test('bookmarks are converted to anchors', function() {
     });
 });
 
+test('math is converted to MathML with LaTeX-like alttext', function() {
+    var math = documents.Math([
+        {
+            type: "scripts",
+            base: [{type: "identifier", value: "x", isNormal: false}],
+            subscript: null,
+            superscript: [{type: "number", value: "2"}],
+            isPrescript: false
+        },
+        {type: "operator", value: "<"},
+        {
+            type: "radical",
+            degree: null,
+            base: [{type: "identifier", value: "y", isNormal: false}]
+        }
+    ], {isDisplay: true});
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(math).then(function(result) {
+        assert.equal(
+            result.value,
+            '<math display="block" alttext="{x}^{2}&lt;\\sqrt{y}"><mrow>' +
+            '<msup><mrow><mi>x</mi></mrow><mrow><mn>2</mn></mrow></msup>' +
+            '<mo>&lt;</mo>' +
+            '<msqrt><mrow><mi>y</mi></mrow></msqrt>' +
+            '</mrow></math>'
+        );
+    });
+});
+
+test('empty math arguments are written as empty rows', function() {
+    var math = documents.Math([
+        {type: "fraction", fractionType: "bar", numerator: [], denominator: []}
+    ]);
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(math).then(function(result) {
+        assert.equal(
+            result.value,
+            '<math alttext="\\frac{}{}"><mrow><mfrac><mrow></mrow><mrow></mrow></mfrac></mrow></math>'
+        );
+    });
+});
+
+test('math is converted to LaTeX-like text when output format is markdown', function() {
+    var math = documents.Math([{type: "identifier", value: "x", isNormal: false}]);
+    var converter = new DocumentConverter({outputFormat: "markdown"});
+    return converter.convertToHtml(documents.paragraph([math])).then(function(result) {
+        assert.equal(result.value, "$x$\n\n");
+    });
+});
+
+test('numbering labels are ignored by default', function() {
+    var paragraph = new documents.Paragraph([runOfText("Scope")], {
+        numbering: {level: "0", isOrdered: true, label: "1.1."}
+    });
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(result.value, "<p>Scope</p>");
+    });
+});
+
+test('numbering labels are written as spans when numberingLabels is span', function() {
+    var paragraph = new documents.Paragraph([runOfText("Scope")], {
+        numbering: {level: "0", isOrdered: true, label: "1.1."}
+    });
+    var converter = new DocumentConverter({numberingLabels: "span"});
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(result.value, '<p><span class="numbering-label">1.1.</span> Scope</p>');
+    });
+});
+
+test('numbering labels are written as text in markdown when numberingLabels is span', function() {
+    var paragraph = new documents.Paragraph([runOfText("Scope")], {
+        numbering: {level: "0", isOrdered: true, label: "Article 1"}
+    });
+    var converter = new DocumentConverter({numberingLabels: "span", outputFormat: "markdown"});
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(result.value, "Article 1 Scope\n\n");
+    });
+});
+
+test('ordered lists are written with start and type of first list item', function() {
+    var converter = new DocumentConverter({styleMap: [orderedListStyle]});
+    var document = new documents.Document([
+        numberedParagraph("Gamma", {format: "lowerLetter", value: 3, label: "c)"}),
+        numberedParagraph("Delta", {format: "lowerLetter", value: 4, label: "d)"})
+    ]);
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<ol start="3" type="a"><li>Gamma</li><li>Delta</li></ol>');
+    });
+});
+
+test('ordered lists starting from one with decimal numbering have no start or type', function() {
+    var converter = new DocumentConverter({styleMap: [orderedListStyle]});
+    var document = new documents.Document([
+        numberedParagraph("One", {format: "decimal", value: 1, label: "1."})
+    ]);
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, "<ol><li>One</li></ol>");
+    });
+});
+
+test('numbering labels are used as list markers in markdown', function() {
+    var converter = new DocumentConverter({
+        styleMap: [orderedListStyle],
+        numberingLabels: "span",
+        outputFormat: "markdown"
+    });
+    var document = new documents.Document([
+        numberedParagraph("Gamma", {format: "lowerLetter", value: 3, label: "c)"}),
+        numberedParagraph("Delta", {format: "lowerLetter", value: 4, label: "d)"})
+    ]);
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, "c\\) Gamma\nd\\) Delta\n\n");
+    });
+});
+
+var orderedListStyle = {
+    from: documentMatchers.paragraph({list: {isOrdered: true, levelIndex: 0}}),
+    to: htmlPaths.elements([
+        htmlPaths.element("ol"),
+        htmlPaths.element("li", {}, {fresh: true})
+    ])
+};
+
+function numberedParagraph(text, numbering) {
+    numbering.level = "0";
+    numbering.isOrdered = true;
+    return new documents.Paragraph([runOfText(text)], {numbering: numbering});
+}
+
+test('paragraph formatting is ignored by default', function() {
+    var paragraph = new documents.Paragraph([runOfText("Hello")], {alignment: "center"});
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(result.value, "<p>Hello</p>");
+        assert.equal(result.css, "");
+    });
+});
+
+test('paragraph formatting is written as inline styles when paragraphFormatting is inline-style', function() {
+    var paragraph = new documents.Paragraph([runOfText("Hello")], {
+        alignment: "center",
+        indent: {start: "720"}
+    });
+    var converter = new DocumentConverter({paragraphFormatting: "inline-style"});
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(result.value, '<p style="text-align: center; margin-left: 36pt">Hello</p>');
+    });
+});
+
+test('paragraph formatting is added to innermost element of style mapping', function() {
+    var paragraph = new documents.Paragraph([runOfText("Hello")], {
+        styleId: "Tip",
+        styleName: "Tip",
+        alignment: "right"
+    });
+    var converter = new DocumentConverter({
+        paragraphFormatting: "inline-style",
+        styleMap: [
+            {
+                from: documentMatchers.paragraph({styleName: documentMatchers.equalTo("Tip")}),
+                to: htmlPaths.elements([
+                    htmlPaths.element("div", {"class": "tip"}, {fresh: true}),
+                    htmlPaths.element("p", {"class": "tip-text"}, {fresh: true})
+                ])
+            }
+        ]
+    });
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(result.value, '<div class="tip"><p class="tip-text" style="text-align: right">Hello</p></div>');
+    });
+});
+
+test('paragraph formatting is written as generated classes when paragraphFormatting is class', function() {
+    var document = new documents.Document([
+        new documents.Paragraph([runOfText("One")], {alignment: "center"}),
+        new documents.Paragraph([runOfText("Two")], {alignment: "right"}),
+        new documents.Paragraph([runOfText("Three")], {alignment: "center"}),
+        new documents.Paragraph([runOfText("Four")])
+    ]);
+    var converter = new DocumentConverter({paragraphFormatting: "class", idPrefix: "doc-"});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p class="doc-paragraph-1">One</p>' +
+            '<p class="doc-paragraph-2">Two</p>' +
+            '<p class="doc-paragraph-1">Three</p>' +
+            '<p>Four</p>'
+        );
+        assert.equal(
+            result.css,
+            ".doc-paragraph-1 {text-align: center}\n" +
+            ".doc-paragraph-2 {text-align: right}\n"
+        );
+    });
+});
+
+test('run formatting is ignored by default', function() {
+    var run = runOfText("Hello", {color: "FF0000"});
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(run).then(function(result) {
+        assert.equal(result.value, "Hello");
+    });
+});
+
+test('run formatting is written as span with inline style when runFormatting is inline-style', function() {
+    var run = runOfText("Hello", {isBold: true, fontSize: 14, color: "FF0000"});
+    var converter = new DocumentConverter({runFormatting: "inline-style"});
+    return converter.convertToHtml(run).then(function(result) {
+        assert.equal(result.value, '<span style="font-size: 14pt; color: #FF0000"><strong>Hello</strong></span>');
+    });
+});
+
+test('adjacent runs with the same formatting share a span', function() {
+    var paragraph = new documents.Paragraph([
+        runOfText("One ", {color: "FF0000"}),
+        runOfText("two ", {color: "FF0000", isItalic: true}),
+        runOfText("three", {color: "0000FF"})
+    ]);
+    var converter = new DocumentConverter({runFormatting: "inline-style"});
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p><span style="color: #FF0000">One <em>two </em></span><span style="color: #0000FF">three</span></p>'
+        );
+    });
+});
+
+test('run formatting is written as generated classes when runFormatting is class', function() {
+    var paragraph = new documents.Paragraph([runOfText("Hello", {fontSize: 14})], {alignment: "center"});
+    var converter = new DocumentConverter({runFormatting: "class", paragraphFormatting: "class"});
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(result.value, '<p class="paragraph-1"><span class="run-1">Hello</span></p>');
+        assert.equal(
+            result.css,
+            ".paragraph-1 {text-align: center}\n" +
+            ".run-1 {font-size: 14pt}\n"
+        );
+    });
+});
+
+test('CSS for Word styles is generated when includeStyleCss is set', function() {
+    var paragraph = new documents.Paragraph([runOfText("Hello")], {styleId: "Quote", styleName: "Quote"});
+    var converter = new DocumentConverter({
+        includeStyleCss: true,
+        customStyles: {
+            "Quote": {name: "Quote", type: "paragraph", properties: {italic: true}}
+        },
+        styleMap: [
+            {
+                from: documentMatchers.paragraph({styleName: documentMatchers.equalTo("Quote")}),
+                to: htmlPaths.topLevelElement("blockquote", {"class": "style-Quote"})
+            }
+        ]
+    });
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(result.value, '<blockquote class="style-Quote">Hello</blockquote>');
+        assert.equal(result.css, "/* Quote */\n.style-Quote {font-style: italic}\n");
+    });
+});
+
+test('text boxes are converted to their content by default', function() {
+    var textBox = new documents.TextBox([paragraphOfText("Note")]);
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(textBox).then(function(result) {
+        assert.equal(result.value, "<p>Note</p>");
+    });
+});
+
+test('text boxes can be mapped using style mappings', function() {
+    var textBox = new documents.TextBox([paragraphOfText("Note")]);
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.textBox,
+                to: htmlPaths.topLevelElement("aside")
+            }
+        ]
+    });
+    return converter.convertToHtml(textBox).then(function(result) {
+        assert.equal(result.value, "<aside><p>Note</p></aside>");
+    });
+});
+
+function fruitChart() {
+    return new documents.Chart({
+        chartType: "column",
+        title: "Fruit sales",
+        categories: ["Q1", "Q2"],
+        series: [
+            {name: "Apples", categories: ["Q1", "Q2"], values: [1, 2.5]},
+            {name: null, categories: ["Q1", "Q2"], values: [3, null]}
+        ]
+    });
+}
+
+test('charts are converted to tables of their values by default', function() {
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(fruitChart()).then(function(result) {
+        assert.equal(result.value,
+            '<table><caption>Fruit sales</caption>' +
+            '<thead><tr><td></td><th scope="col">Apples</th><th scope="col">Series 2</th></tr></thead>' +
+            '<tbody>' +
+            '<tr><th scope="row">Q1</th><td>1</td><td>3</td></tr>' +
+            '<tr><th scope="row">Q2</th><td>2.5</td><td></td></tr>' +
+            '</tbody></table>'
+        );
+    });
+});
+
+test('charts can be converted using convertChart option', function() {
+    var converter = new DocumentConverter({
+        convertChart: charts.inline(function(chart) {
+            return '<svg role="img" aria-label="' + chart.title + '"></svg>';
+        })
+    });
+    return converter.convertToHtml(fruitChart()).then(function(result) {
+        assert.equal(result.value, '<svg role="img" aria-label="Fruit sales"></svg>');
+    });
+});
+
+function spreadsheetObject() {
+    return new documents.EmbeddedObject([runOfText("Preview")], {
+        progId: "Excel.Sheet.12",
+        fileName: "Book1.xlsx",
+        readFile: function() {
+            return promises.resolve(new Buffer("Not a spreadsheet at all!"));
+        }
+    });
+}
+
+test('embedded objects are converted to their preview by default', function() {
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(spreadsheetObject()).then(function(result) {
+        assert.equal(result.value, "Preview");
+    });
+});
+
+test('embedded objects can be converted using convertEmbeddedObject option', function() {
+    var converter = new DocumentConverter({
+        convertEmbeddedObject: embeddedObjects.link(function(element) {
+            return element.readAsBuffer().then(function(buffer) {
+                return {href: "attachments/" + element.fileName, "data-size": String(buffer.length)};
+            });
+        })
+    });
+    return converter.convertToHtml(spreadsheetObject()).then(function(result) {
+        assert.equal(result.value, '<a href="attachments/Book1.xlsx" data-size="25">Book1.xlsx</a>');
+    });
+});
+
+test('diagrams are converted to nested lists', function() {
+    var diagram = new documents.Diagram([
+        {text: "CEO", children: [
+            {text: "Ada\nCTO", children: []}
+        ]},
+        {text: "Board", children: []}
+    ]);
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(diagram).then(function(result) {
+        assert.equal(result.value, "<ul><li>CEO<ul><li>Ada<br />CTO</li></ul></li><li>Board</li></ul>");
+    });
+});
+
 test('docx tab is converted to tab in HTML', function() {
     var tab = new documents.Tab();
     var converter = new DocumentConverter();
@@ -539,6 +970,58 @@ test('table style mappings can be used to map tables', function() {
     });
 });
 
+test('table row and cell style mappings can be used to map rows and cells', function() {
+    var table = new documents.Table([
+        new documents.TableRow([new documents.TableCell([])], {isHeader: true}),
+        new documents.TableRow([
+            new documents.TableCell([], {colSpan: 2, bgColor: "FFFF00"}),
+            new documents.TableCell([])
+        ])
+    ], {styleName: "Pricing"});
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.tableRow({isHeader: true}),
+                to: htmlPaths.topLevelElement("tr", {"class": "header"})
+            },
+            {
+                from: documentMatchers.tableCell({shading: documentMatchers.equalTo("FFFF00")}),
+                to: htmlPaths.topLevelElement("td", {"class": "highlighted"})
+            },
+            {
+                from: documentMatchers.tableCell({styleName: documentMatchers.equalTo("Pricing"), isLast: true}),
+                to: htmlPaths.topLevelElement("td", {"class": "price"})
+            }
+        ]
+    });
+
+    return converter.convertToHtml(table).then(function(result) {
+        var expectedHtml = "<table>" +
+            '<thead><tr class="header"><td class="price"></td></tr></thead>' +
+            '<tbody><tr><td class="highlighted" colspan="2"></td><td class="price"></td></tr></tbody>' +
+            "</table>";
+        assert.equal(result.value, expectedHtml);
+    });
+});
+
+test('single-cell tables mapped to other elements are written as the contents of the cell', function() {
+    var table = new documents.Table([
+        new documents.TableRow([new documents.TableCell([paragraphOfText("Note")])])
+    ]);
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.table({isSingleCell: true}),
+                to: htmlPaths.topLevelElement("div", {"class": "callout"})
+            }
+        ]
+    });
+
+    return converter.convertToHtml(table).then(function(result) {
+        assert.equal(result.value, '<div class="callout"><p>Note</p></div>');
+    });
+});
+
 test('header rows are wrapped in thead', function() {
     var table = new documents.Table([
         new documents.TableRow([new documents.TableCell([])], {isHeader: true}),
@@ -556,6 +1039,99 @@ test('header rows are wrapped in thead', function() {
     });
 });
 
+test('first row and first column from table style conditional formatting are written as normal cells by default', function() {
+    var table = new documents.Table([
+        new documents.TableRow([
+            new documents.TableCell([], {isFirstColumn: true}),
+            new documents.TableCell([])
+        ], {isFirstRow: true}),
+        new documents.TableRow([
+            new documents.TableCell([], {isFirstColumn: true}),
+            new documents.TableCell([])
+        ])
+    ]);
+    var converter = new DocumentConverter();
+
+    return converter.convertToHtml(table).then(function(result) {
+        var expectedHtml = "<table>" +
+            "<tr><td></td><td></td></tr>" +
+            "<tr><td></td><td></td></tr>" +
+            "</table>";
+        assert.equal(result.value, expectedHtml);
+    });
+});
+
+test('first row and first column from table style conditional formatting can be matched by style mappings', function() {
+    var table = new documents.Table([
+        new documents.TableRow([
+            new documents.TableCell([], {isFirstColumn: true}),
+            new documents.TableCell([])
+        ], {isFirstRow: true}),
+        new documents.TableRow([
+            new documents.TableCell([], {isFirstColumn: true}),
+            new documents.TableCell([])
+        ])
+    ]);
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.tableRow({isFirstRow: true}),
+                to: htmlPaths.topLevelElement("tr", {"class": "first"})
+            },
+            {
+                from: documentMatchers.tableCell({isFirstColumn: true}),
+                to: htmlPaths.topLevelElement("th")
+            }
+        ]
+    });
+
+    return converter.convertToHtml(table).then(function(result) {
+        var expectedHtml = "<table>" +
+            '<tr class="first"><th></th><td></td></tr>' +
+            "<tr><th></th><td></td></tr>" +
+            "</table>";
+        assert.equal(result.value, expectedHtml);
+    });
+});
+
+test('first row from table style conditional formatting is wrapped in thead when tableStyleHeaders is set', function() {
+    var table = new documents.Table([
+        new documents.TableRow([new documents.TableCell([])], {isFirstRow: true}),
+        new documents.TableRow([new documents.TableCell([])])
+    ]);
+    var converter = new DocumentConverter({tableStyleHeaders: true});
+
+    return converter.convertToHtml(table).then(function(result) {
+        var expectedHtml = "<table>" +
+            "<thead><tr><th></th></tr></thead>" +
+            "<tbody><tr><td></td></tr></tbody>" +
+            "</table>";
+        assert.equal(result.value, expectedHtml);
+    });
+});
+
+test('first column cells are converted to row headers with scopes when tableStyleHeaders is set', function() {
+    var table = new documents.Table([
+        new documents.TableRow([
+            new documents.TableCell([], {isFirstColumn: true}),
+            new documents.TableCell([])
+        ], {isFirstRow: true}),
+        new documents.TableRow([
+            new documents.TableCell([], {isFirstColumn: true}),
+            new documents.TableCell([])
+        ])
+    ]);
+    var converter = new DocumentConverter({tableStyleHeaders: true});
+
+    return converter.convertToHtml(table).then(function(result) {
+        var expectedHtml = "<table>" +
+            '<thead><tr><th scope="col"></th><th scope="col"></th></tr></thead>' +
+            '<tbody><tr><th scope="row"></th><td></td></tr></tbody>' +
+            "</table>";
+        assert.equal(result.value, expectedHtml);
+    });
+});
+
 test('tbody is omitted if all rows are headers', function() {
     var table = new documents.Table([
         new documents.TableRow([new documents.TableCell([])], {isHeader: true})
@@ -649,6 +1225,111 @@ test('table cells are written with rowSpan if not equal to one', function() {
     });
 });
 
+test('table formatting is written as inline styles when tableFormatting is inline-style', function() {
+    var border = {style: "single", width: 4, color: "000000", space: 0};
+    var table = new documents.Table([
+        new documents.TableRow([
+            new documents.TableCell([paragraphOfText("Top left")], {bgColor: "D9D9D9"}),
+            new documents.TableCell([paragraphOfText("Top right")])
+        ]),
+        new documents.TableRow([
+            new documents.TableCell([paragraphOfText("Bottom left")]),
+            new documents.TableCell([paragraphOfText("Bottom right")], {borders: {left: {style: "double", width: 12, color: "auto"}}})
+        ])
+    ], {
+        borders: {top: border, bottom: border, insideH: border},
+        columnWidths: [1440, 2880]
+    });
+    var converter = new DocumentConverter({tableFormatting: "inline-style"});
+
+    return converter.convertToHtml(table).then(function(result) {
+        var expectedHtml = '<table style="border-collapse: collapse; border-top: 0.5pt solid #000000; border-bottom: 0.5pt solid #000000">' +
+            '<colgroup><col style="width: 72pt" /><col style="width: 144pt" /></colgroup>' +
+            '<tr>' +
+            '<td style="border-bottom: 0.5pt solid #000000; background-color: #D9D9D9"><p>Top left</p></td>' +
+            '<td style="border-bottom: 0.5pt solid #000000"><p>Top right</p></td>' +
+            '</tr>' +
+            '<tr>' +
+            '<td style="border-top: 0.5pt solid #000000"><p>Bottom left</p></td>' +
+            '<td style="border-top: 0.5pt solid #000000; border-left: 1.5pt double"><p>Bottom right</p></td>' +
+            '</tr>' +
+            '</table>';
+        assert.equal(result.value, expectedHtml);
+    });
+});
+
+test('inside vertical borders of table are not written on outer edges of cells after vertically merged cells', function() {
+    var border = {style: "single", width: 4, color: "000000", space: 0};
+    var table = new documents.Table([
+        new documents.TableRow([
+            new documents.TableCell([], {rowSpan: 2}),
+            new documents.TableCell([])
+        ]),
+        new documents.TableRow([
+            new documents.TableCell([])
+        ])
+    ], {
+        borders: {insideV: border},
+        columnWidths: [1440, 1440]
+    });
+    var converter = new DocumentConverter({tableFormatting: "inline-style"});
+
+    return converter.convertToHtml(table).then(function(result) {
+        var expectedHtml = '<table style="border-collapse: collapse">' +
+            '<colgroup><col style="width: 72pt" /><col style="width: 72pt" /></colgroup>' +
+            '<tr>' +
+            '<td rowspan="2" style="border-right: 0.5pt solid #000000"></td>' +
+            '<td style="border-left: 0.5pt solid #000000"></td>' +
+            '</tr>' +
+            '<tr>' +
+            '<td style="border-left: 0.5pt solid #000000"></td>' +
+            '</tr>' +
+            '</table>';
+        assert.equal(result.value, expectedHtml);
+    });
+});
+
+test('table formatting is added to table style mappings', function() {
+    var table = new documents.Table([], {styleName: "Normal Table"});
+    var converter = new DocumentConverter({
+        tableFormatting: "inline-style",
+        styleMap: [
+            {
+                from: documentMatchers.table({styleName: documentMatchers.equalTo("Normal Table")}),
+                to: htmlPaths.topLevelElement("table", {"class": "normal-table"})
+            }
+        ]
+    });
+
+    return converter.convertToHtml(table).then(function(result) {
+        assert.equal(result.value, '<table class="normal-table" style="border-collapse: collapse"></table>');
+    });
+});
+
+test('table formatting is written as generated classes when tableFormatting is class', function() {
+    var table = new documents.Table([
+        new documents.TableRow([
+            new documents.TableCell([], {bgColor: "FF0000", width: 100}),
+            new documents.TableCell([], {bgColor: "FF0000"})
+        ])
+    ], {columnWidths: [1440, 1440]});
+    var converter = new DocumentConverter({tableFormatting: "class"});
+
+    return converter.convertToHtml(table).then(function(result) {
+        var expectedHtml = '<table class="table-1">' +
+            '<colgroup><col class="column-1" /><col class="column-1" /></colgroup>' +
+            '<tr><td style="width: 100px" class="cell-1"></td><td class="cell-1"></td></tr>' +
+            '</table>';
+        assert.equal(result.value, expectedHtml);
+        assert.equal(
+            result.css,
+            ".table-1 {border-collapse: collapse}\n" +
+            ".column-1 {width: 72pt}\n" +
+            ".cell-1 {background-color: #FF0000}\n"
+        );
+    });
+});
+
 test('line break is converted to <br>', function() {
     var converter = new DocumentConverter();
 
@@ -781,6 +1462,325 @@ test('comment references are linked to comment after main body', function() {
     });
 });
 
+test("comment threads", {
+    "replies are nested under the comment they reply to": function() {
+        var comment = documents.comment({
+            commentId: "4",
+            body: [paragraphOfText("Who's there?")],
+            authorInitials: "TP"
+        });
+        var reply = documents.comment({
+            commentId: "5",
+            body: [paragraphOfText("Doctor.")],
+            authorInitials: "C",
+            parentCommentId: "4"
+        });
+        var document = documents.document([
+            documents.paragraph([
+                runOfText("Knock knock"),
+                documents.run([
+                    documents.commentReference({commentId: "4"}),
+                    documents.commentReference({commentId: "5"})
+                ])
+            ])
+        ], {comments: [comment, reply]});
+
+        var converter = new DocumentConverter({
+            idPrefix: "doc-42-",
+            styleMap: [
+                {from: documentMatchers.commentReference, to: htmlPaths.element("sup")}
+            ]
+        });
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(
+                result.value,
+                '<p>Knock knock<sup><a href="#doc-42-comment-4" id="doc-42-comment-ref-4">[TP1]</a>' +
+                '<a href="#doc-42-comment-5" id="doc-42-comment-ref-5">[C2]</a></sup></p>' +
+                '<dl><dt id="doc-42-comment-4">Comment [TP1]</dt><dd><p>Who\'s there? <a href="#doc-42-comment-ref-4">↑</a></p>' +
+                '<dl><dt id="doc-42-comment-5">Comment [C2]</dt><dd><p>Doctor. <a href="#doc-42-comment-ref-5">↑</a></p></dd></dl>' +
+                '</dd></dl>'
+            );
+        });
+    },
+
+    "replies to comments that aren't referenced are written as top-level comments": function() {
+        var reply = documents.comment({
+            commentId: "5",
+            body: [paragraphOfText("Doctor.")],
+            authorInitials: "C",
+            parentCommentId: "4"
+        });
+        var document = documents.document([
+            documents.paragraph([
+                runOfText("Knock knock"),
+                documents.run([documents.commentReference({commentId: "5"})])
+            ])
+        ], {comments: [reply]});
+
+        var converter = new DocumentConverter({
+            idPrefix: "doc-42-",
+            styleMap: [
+                {from: documentMatchers.commentReference, to: htmlPaths.element("sup")}
+            ]
+        });
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(
+                result.value,
+                '<p>Knock knock<sup><a href="#doc-42-comment-5" id="doc-42-comment-ref-5">[C1]</a></sup></p>' +
+                '<dl><dt id="doc-42-comment-5">Comment [C1]</dt><dd><p>Doctor. <a href="#doc-42-comment-ref-5">↑</a></p></dd></dl>'
+            );
+        });
+    },
+
+    "resolved threads are written by default": function() {
+        var comment = documents.comment({
+            commentId: "4",
+            body: [paragraphOfText("Who's there?")],
+            isResolved: true
+        });
+        var document = documents.document([
+            documents.paragraph([
+                runOfText("Knock knock"),
+                documents.run([documents.commentReference({commentId: "4"})])
+            ])
+        ], {comments: [comment]});
+
+        var converter = new DocumentConverter({
+            styleMap: [
+                {from: documentMatchers.commentReference, to: htmlPaths.element("sup")}
+            ]
+        });
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(
+                result.value,
+                '<p>Knock knock<sup><a href="#comment-4" id="comment-ref-4">[1]</a></sup></p>' +
+                '<dl><dt id="comment-4">Comment [1]</dt><dd><p>Who\'s there? <a href="#comment-ref-4">↑</a></p></dd></dl>'
+            );
+        });
+    },
+
+    "resolved threads including replies are ignored when ignoreResolvedComments is true": function() {
+        var resolvedComment = documents.comment({
+            commentId: "4",
+            body: [paragraphOfText("Who's there?")],
+            isResolved: true
+        });
+        var reply = documents.comment({
+            commentId: "5",
+            body: [paragraphOfText("Doctor.")],
+            parentCommentId: "4"
+        });
+        var unresolvedComment = documents.comment({
+            commentId: "6",
+            body: [paragraphOfText("Doctor who?")]
+        });
+        var document = documents.document([
+            documents.paragraph([
+                documents.commentRangeStart({commentId: "4"}),
+                runOfText("Knock knock"),
+                documents.commentRangeEnd({commentId: "4"}),
+                documents.run([
+                    documents.commentReference({commentId: "4"}),
+                    documents.commentReference({commentId: "5"}),
+                    documents.commentReference({commentId: "6"})
+                ])
+            ])
+        ], {comments: [resolvedComment, reply, unresolvedComment]});
+
+        var converter = new DocumentConverter({
+            ignoreResolvedComments: true,
+            commentRanges: "span",
+            styleMap: [
+                {from: documentMatchers.commentReference, to: htmlPaths.element("sup")}
+            ]
+        });
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(
+                result.value,
+                '<p>Knock knock<sup><a href="#comment-6" id="comment-ref-6">[1]</a></sup></p>' +
+                '<dl><dt id="comment-6" data-comment-id="6">Comment [1]</dt>' +
+                '<dd data-comment-id="6"><p>Doctor who? <a href="#comment-ref-6">↑</a></p></dd></dl>'
+            );
+        });
+    }
+});
+
+test("comment ranges", {
+    "are ignored by default": function() {
+        var document = documents.document([
+            documents.paragraph([
+                documents.commentRangeStart({commentId: "4"}),
+                runOfText("Knock knock"),
+                documents.commentRangeEnd({commentId: "4"})
+            ])
+        ]);
+        var converter = new DocumentConverter({});
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(result.value, '<p>Knock knock</p>');
+        });
+    },
+
+    "are written as empty spans when commentRanges is span": function() {
+        var document = documents.document([
+            documents.paragraph([
+                runOfText("Knock "),
+                documents.commentRangeStart({commentId: "4"}),
+                runOfText("knock"),
+                documents.commentRangeEnd({commentId: "4"})
+            ])
+        ]);
+        var converter = new DocumentConverter({commentRanges: "span"});
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(
+                result.value,
+                '<p>Knock <span class="comment-range-start" data-comment-id="4"></span>knock' +
+                '<span class="comment-range-end" data-comment-id="4"></span></p>'
+            );
+        });
+    },
+
+    "text within range is wrapped in single mark when commentRanges is mark": function() {
+        var document = documents.document([
+            documents.paragraph([
+                runOfText("Knock "),
+                documents.commentRangeStart({commentId: "4"}),
+                runOfText("knock, "),
+                runOfText("who's"),
+                documents.commentRangeEnd({commentId: "4"}),
+                runOfText(" there?")
+            ])
+        ]);
+        var converter = new DocumentConverter({commentRanges: "mark"});
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(result.value, '<p>Knock <mark data-comment-id="4">knock, who\'s</mark> there?</p>');
+        });
+    },
+
+    "range spanning paragraphs is marked in each paragraph": function() {
+        var document = documents.document([
+            documents.paragraph([
+                documents.commentRangeStart({commentId: "4"}),
+                runOfText("Knock")
+            ]),
+            documents.paragraph([
+                runOfText("knock"),
+                documents.commentRangeEnd({commentId: "4"})
+            ])
+        ]);
+        var converter = new DocumentConverter({commentRanges: "mark"});
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(
+                result.value,
+                '<p><mark data-comment-id="4">Knock</mark></p><p><mark data-comment-id="4">knock</mark></p>'
+            );
+        });
+    },
+
+    "overlapping ranges are nested with earliest range outermost": function() {
+        var document = documents.document([
+            documents.paragraph([
+                documents.commentRangeStart({commentId: "1"}),
+                runOfText("a"),
+                documents.commentRangeStart({commentId: "2"}),
+                runOfText("b"),
+                documents.commentRangeEnd({commentId: "1"}),
+                runOfText("c"),
+                documents.commentRangeEnd({commentId: "2"})
+            ])
+        ]);
+        var converter = new DocumentConverter({commentRanges: "mark"});
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(
+                result.value,
+                '<p><mark data-comment-id="1">a<mark data-comment-id="2">b</mark></mark>' +
+                '<mark data-comment-id="2">c</mark></p>'
+            );
+        });
+    },
+
+    "range that isn't closed is closed at end of body": function() {
+        var comment = documents.comment({
+            commentId: "4",
+            body: [paragraphOfText("Who's there?")],
+            authorName: "The Piemaker",
+            authorInitials: "TP"
+        });
+        var document = documents.document([
+            documents.paragraph([
+                documents.commentRangeStart({commentId: "4"}),
+                runOfText("Knock knock"),
+                documents.run([documents.commentReference({commentId: "4"})])
+            ])
+        ], {comments: [comment]});
+        var converter = new DocumentConverter({
+            commentRanges: "mark",
+            styleMap: [
+                {from: documentMatchers.commentReference, to: htmlPaths.element("sup")}
+            ]
+        });
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(
+                result.value,
+                '<p><mark data-comment-id="4">Knock knock</mark>' +
+                '<sup><a href="#comment-4" id="comment-ref-4"><mark data-comment-id="4">[TP1]</mark></a></sup></p>' +
+                '<dl><dt id="comment-4" data-comment-id="4">Comment [TP1]</dt>' +
+                '<dd data-comment-id="4"><p>Who\'s there? <a href="#comment-ref-4">↑</a></p></dd></dl>'
+            );
+        });
+    },
+
+    "text of equations in range is not marked": function() {
+        var math = documents.Math([{type: "identifier", value: "x", isNormal: false}]);
+        var document = documents.document([
+            documents.paragraph([
+                documents.commentRangeStart({commentId: "4"}),
+                runOfText("Let "),
+                math,
+                documents.commentRangeEnd({commentId: "4"})
+            ])
+        ]);
+        var converter = new DocumentConverter({commentRanges: "mark"});
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(
+                result.value,
+                '<p><mark data-comment-id="4">Let </mark><math alttext="x"><mrow><mi>x</mi></mrow></math></p>'
+            );
+        });
+    },
+
+    "comments are given comment ID when comment ranges are written": function() {
+        var comment = documents.comment({
+            commentId: "4",
+            body: [paragraphOfText("Who's there?")],
+            authorName: "The Piemaker",
+            authorInitials: "TP"
+        });
+        var document = documents.document([
+            documents.paragraph([
+                documents.commentRangeStart({commentId: "4"}),
+                runOfText("Knock knock"),
+                documents.commentRangeEnd({commentId: "4"}),
+                documents.run([documents.commentReference({commentId: "4"})])
+            ])
+        ], {comments: [comment]});
+        var converter = new DocumentConverter({
+            idPrefix: "doc-42-",
+            commentRanges: "mark",
+            styleMap: [
+                {from: documentMatchers.commentReference, to: htmlPaths.element("sup")}
+            ]
+        });
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(
+                result.value,
+                '<p><mark data-comment-id="4">Knock knock</mark><sup><a href="#doc-42-comment-4" id="doc-42-comment-ref-4">[TP1]</a></sup></p>' +
+                '<dl><dt id="doc-42-comment-4" data-comment-id="4">Comment [TP1]</dt>' +
+                '<dd data-comment-id="4"><p>Who\'s there? <a href="#doc-42-comment-ref-4">↑</a></p></dd></dl>'
+            );
+        });
+    }
+});
+
 test('images are written with data URIs', function() {
     var imageBuffer = new Buffer("Not an image at all!");
     var image = new documents.Image({
@@ -833,6 +1833,50 @@ test('can add custom handler for images', function() {
     });
 });
 
+test('images are written with size, cropping and transforms when imageFormatting is inline-style', function() {
+    var image = new documents.Image({
+        readImage: function(encoding) {
+            return promises.when("abc");
+        },
+        contentType: "image/png",
+        width: 100,
+        height: 50,
+        isCropped: true,
+        srcRect: {left: 50000, top: 0, right: 0, bottom: 0},
+        flipVertical: true
+    });
+    var converter = new DocumentConverter({imageFormatting: "inline-style"});
+    return converter.convertToHtml(image).then(function(result) {
+        assert.equal(
+            result.value,
+            '<span style="display: inline-block; overflow: hidden; width: 100px; height: 50px; transform: scaleY(-1)">' +
+            '<img width="200" height="50" src="data:image/png;base64,abc" style="display: block; max-width: none; margin-left: -100px; margin-top: 0px" />' +
+            '</span>'
+        );
+    });
+});
+
+test('image formatting is merged with attributes from custom image handler', function() {
+    var image = new documents.Image({
+        readImage: function() {
+            return promises.when("abc");
+        },
+        width: 100,
+        height: 50,
+        rotation: 90
+    });
+    var converter = new DocumentConverter({
+        imageFormatting: "class",
+        convertImage: function(element) {
+            return [Html.freshElement("img", {src: "hat.png", width: "10", "class": "image"})];
+        }
+    });
+    return converter.convertToHtml(image).then(function(result) {
+        assert.equal(result.value, '<img width="10" height="50" src="hat.png" class="image image-1" />');
+        assert.equal(result.css, ".image-1 {transform: rotate(90deg)}\n");
+    });
+});
+
 test('when custom image handler throws error then error is stored in error message', function() {
     var error = new Error("Failed to convert image");
     var image = new documents.Image({
@@ -856,6 +1900,265 @@ test('when custom image handler throws error then error is stored in error messa
     });
 });
 
+test('sections are converted to their contents by default', function() {
+    var document = new documents.Document([
+        new documents.Section([paragraphOfText("One")]),
+        new documents.Section([paragraphOfText("Two")], {sectionIndex: 1})
+    ]);
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, "<p>One</p><p>Two</p>");
+    });
+});
+
+test('sections can be mapped using style mappings', function() {
+    var document = new documents.Document([
+        new documents.Section([paragraphOfText("One")]),
+        new documents.Section([paragraphOfText("Two")], {
+            sectionIndex: 1,
+            pageSize: {width: 16838, height: 11906, orientation: "landscape"}
+        })
+    ]);
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.section({orientation: "landscape"}),
+                to: htmlPaths.topLevelElement("section", {"class": "landscape"})
+            }
+        ]
+    });
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<p>One</p><section class="landscape"><p>Two</p></section>');
+    });
+});
+
+test('attribute templates in style mappings are replaced with values from the matched element', function() {
+    var document = new documents.Document([
+        new documents.Paragraph([
+            runOfText("Courier", {font: "Courier New"})
+        ], {styleId: "Clause1", styleName: "Clause 1"}),
+        new documents.Paragraph([runOfText("Unnamed")], {styleId: "Clause2"})
+    ]);
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.paragraph({styleName: documentMatchers.startsWith("Clause")}),
+                to: htmlPaths.topLevelElement("p", {
+                    "class": "clause",
+                    "data-style": htmlPaths.attributeTemplate([{variable: "styleName"}])
+                })
+            },
+            {
+                from: documentMatchers.paragraph({styleId: "Clause2"}),
+                to: htmlPaths.topLevelElement("p", {
+                    "data-style": htmlPaths.attributeTemplate([{variable: "styleName"}])
+                })
+            },
+            {
+                from: documentMatchers.run({font: documentMatchers.variable("f")}),
+                to: htmlPaths.elements([
+                    htmlPaths.element("span", {
+                        "style": htmlPaths.attributeTemplate(["font-family: ", {variable: "f"}])
+                    })
+                ])
+            }
+        ]
+    });
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p class="clause" data-style="Clause 1"><span style="font-family: Courier New">Courier</span></p><p>Unnamed</p>'
+        );
+    });
+});
+
+test('text matched by strip-prefix in style mapping is removed', function() {
+    var document = new documents.Document([
+        new documents.Paragraph([
+            runOfText("Note"),
+            runOfText(":  Mind the gap.")
+        ]),
+        new documents.Paragraph([runOfText("Noted.")])
+    ]);
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.paragraph({textPrefix: /Note:\s*/}),
+                to: htmlPaths.topLevelElement("aside", {"class": "note"})
+            }
+        ]
+    });
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<aside class="note">Mind the gap.</aside><p>Noted.</p>');
+    });
+});
+
+test('images mapped to img elements have attributes added', function() {
+    var image = new documents.Image({
+        readImage: function() {
+            return promises.when("abc");
+        },
+        width: 100
+    });
+    var converter = new DocumentConverter({
+        imageFormatting: "ignore",
+        convertImage: function(element) {
+            return [Html.freshElement("img", {src: "hat.png"})];
+        },
+        styleMap: [
+            {
+                from: documentMatchers.image,
+                to: htmlPaths.elements([
+                    htmlPaths.element("figure", {}, {fresh: true}),
+                    htmlPaths.element("img", {"data-width": htmlPaths.attributeTemplate([{variable: "width"}])})
+                ])
+            }
+        ]
+    });
+    return converter.convertToHtml(image).then(function(result) {
+        assert.equal(result.value, '<figure><img src="hat.png" data-width="100" /></figure>');
+    });
+});
+
+test('headers are written with type and index of their section', function() {
+    var header = new documents.Header([paragraphOfText("Header")], {headerType: "first", sectionIndex: 1});
+    var document = new documents.Document([
+        new documents.Section([paragraphOfText("Body")], {sectionIndex: 1, headers: {first: header}})
+    ], {headers: [header]});
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<header data-header-type="first" data-section="1"><p>Header</p></header><p>Body</p>');
+    });
+});
+
+test("headers and footers", {
+    "are mapped using style map": function() {
+        var document = headersAndFootersDocument();
+        var converter = new DocumentConverter({
+            styleMap: [
+                {from: documentMatchers.header({type: "first"}), to: htmlPaths.ignore},
+                {from: documentMatchers.footer(), to: htmlPaths.topLevelElement("footer", {"class": "page-footer"})}
+            ]
+        });
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(
+                result.value,
+                '<header data-header-type="default" data-section="0"><p>Header</p></header>' +
+                '<p>One</p><p>Two</p>' +
+                '<footer class="page-footer" data-footer-type="default" data-section="0"><p>Footer</p></footer>' +
+                '<footer class="page-footer" data-footer-type="default" data-section="1"><p>Footer</p></footer>'
+            );
+        });
+    },
+
+    "are ignored when placement is none": function() {
+        var converter = new DocumentConverter({headerFooterPlacement: "none"});
+        return converter.convertToHtml(headersAndFootersDocument()).then(function(result) {
+            assert.equal(result.value, '<p>One</p><p>Two</p>');
+        });
+    },
+
+    "can be limited to types and first section": function() {
+        var converter = new DocumentConverter({
+            headerFooterTypes: ["default"],
+            headerFooterSections: "first"
+        });
+        return converter.convertToHtml(headersAndFootersDocument()).then(function(result) {
+            assert.equal(
+                result.value,
+                '<header data-header-type="default" data-section="0"><p>Header</p></header>' +
+                '<p>One</p><p>Two</p>' +
+                '<footer data-footer-type="default" data-section="0"><p>Footer</p></footer>'
+            );
+        });
+    },
+
+    "identical headers and footers are written once when deduplicating": function() {
+        var converter = new DocumentConverter({deduplicateHeaderFooters: true});
+        return converter.convertToHtml(headersAndFootersDocument()).then(function(result) {
+            assert.equal(
+                result.value,
+                '<header data-header-type="default" data-section="0"><p>Header</p></header>' +
+                '<header data-header-type="first" data-section="1"><p>First</p></header>' +
+                '<p>One</p><p>Two</p>' +
+                '<footer data-footer-type="default" data-section="0"><p>Footer</p></footer>'
+            );
+        });
+    },
+
+    "headers and footers from different parts are written when deduplicating": function() {
+        var firstFooter = new documents.Footer([paragraphOfText("Footer")], {
+            footerType: "default",
+            sectionIndex: 0,
+            partPath: "word/footer1.xml"
+        });
+        var secondFooter = new documents.Footer([paragraphOfText("Footer")], {
+            footerType: "default",
+            sectionIndex: 1,
+            partPath: "word/footer2.xml"
+        });
+        var document = new documents.Document([], {footers: [firstFooter, secondFooter]});
+        var converter = new DocumentConverter({deduplicateHeaderFooters: true});
+        return converter.convertToHtml(document).then(function(result) {
+            assert.equal(
+                result.value,
+                '<footer data-footer-type="default" data-section="0"><p>Footer</p></footer>' +
+                '<footer data-footer-type="default" data-section="1"><p>Footer</p></footer>'
+            );
+        });
+    },
+
+    "are written in each section when placement is section": function() {
+        var converter = new DocumentConverter({headerFooterPlacement: "section"});
+        return converter.convertToHtml(headersAndFootersDocument()).then(function(result) {
+            assert.equal(
+                result.value,
+                '<header data-header-type="default" data-section="0"><p>Header</p></header>' +
+                '<p>One</p>' +
+                '<footer data-footer-type="default" data-section="0"><p>Footer</p></footer>' +
+                '<header data-header-type="default" data-section="0"><p>Header</p></header>' +
+                '<header data-header-type="first" data-section="1"><p>First</p></header>' +
+                '<p>Two</p>' +
+                '<footer data-footer-type="default" data-section="1"><p>Footer</p></footer>'
+            );
+        });
+    }
+});
+
+// The second section inherits the default header of the first section, has a
+// distinct title page, and references the default footer of the first section
+// again.
+function headersAndFootersDocument() {
+    var defaultHeader = new documents.Header([paragraphOfText("Header")], {headerType: "default", sectionIndex: 0});
+    var firstHeader = new documents.Header([paragraphOfText("First")], {headerType: "first", sectionIndex: 1});
+    var firstFooter = new documents.Footer([paragraphOfText("Footer")], {
+        footerType: "default",
+        sectionIndex: 0,
+        partPath: "word/footer1.xml"
+    });
+    var secondFooter = new documents.Footer([paragraphOfText("Footer")], {
+        footerType: "default",
+        sectionIndex: 1,
+        partPath: "word/footer1.xml"
+    });
+    return new documents.Document([
+        new documents.Section([paragraphOfText("One")], {
+            sectionIndex: 0,
+            headers: {"default": defaultHeader},
+            footers: {"default": firstFooter}
+        }),
+        new documents.Section([paragraphOfText("Two")], {
+            sectionIndex: 1,
+            isTitlePage: true,
+            headers: {"default": defaultHeader, first: firstHeader},
+            footers: {"default": secondFooter}
+        })
+    ], {
+        headers: [defaultHeader, firstHeader],
+        footers: [firstFooter, secondFooter]
+    });
+}
+
 test('long documents do not cause stack overflow', function() {
     var paragraphs = [];
     for (var i = 0; i < 1000; i++) {
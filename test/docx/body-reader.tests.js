@@ -16,6 +16,7 @@ var documentMatchers = require("./document-matchers");
 var isEmptyRun = documentMatchers.isEmptyRun;
 var isCheckbox = documentMatchers.isCheckbox;
 var isHyperlink = documentMatchers.isHyperlink;
+var isField = documentMatchers.isField;
 var isRun = documentMatchers.isRun;
 var isText = documentMatchers.isText;
 var isTable = documentMatchers.isTable;
@@ -27,6 +28,7 @@ var xml = require("../../lib/xml");
 var XmlElement = xml.Element;
 var Relationships = require("../../lib/docx/relationships-reader").Relationships;
 var Styles = require("../../lib/docx/styles-reader").Styles;
+var readNumberingXml = require("../../lib/docx/numbering-xml").readNumberingXml;
 var warning = require("../../lib/results").warning;
 
 var testing = require("../testing");
@@ -151,6 +153,40 @@ test("paragraph indent", {
     }
 });
 
+test("paragraph outline level", {
+    "outline level is read from paragraph properties if present": function() {
+        var paragraphXml = paragraphWithOutlineLevel("2");
+        var paragraph = readXmlElementValue(paragraphXml);
+        assert.equal(paragraph.outlineLevel, 2);
+    },
+
+    "outline level is read from paragraph style if not in paragraph properties": function() {
+        var paragraphXml = new XmlElement("w:p", {}, [
+            new XmlElement("w:pPr", {}, [new XmlElement("w:pStyle", {"w:val": "Heading2"})])
+        ]);
+        var styles = new Styles({"Heading2": {name: "Heading 2", outlineLevel: 1}}, {});
+        var paragraph = readXmlElementValue(paragraphXml, {styles: styles});
+        assert.equal(paragraph.outlineLevel, 1);
+    },
+
+    "outline level of body text is null": function() {
+        var paragraphXml = paragraphWithOutlineLevel("9");
+        var paragraph = readXmlElementValue(paragraphXml);
+        assert.equal(paragraph.outlineLevel, null);
+    },
+
+    "paragraph without outline level has null outline level": function() {
+        var paragraph = readXmlElementValue(new XmlElement("w:p", {}, []));
+        assert.equal(paragraph.outlineLevel, null);
+    }
+});
+
+function paragraphWithOutlineLevel(outlineLevel) {
+    var outlineLevelXml = new XmlElement("w:outlineLvl", {"w:val": outlineLevel}, []);
+    var propertiesXml = new XmlElement("w:pPr", {}, [outlineLevelXml]);
+    return new XmlElement("w:p", {}, [propertiesXml]);
+}
+
 function paragraphWithIndent(indentAttributes) {
     var indentXml = new XmlElement("w:ind", indentAttributes, []);
     var propertiesXml = new XmlElement("w:pPr", {}, [indentXml]);
@@ -209,6 +245,36 @@ test("numbering properties in paragraph properties takes precedence over numberi
     assert.deepEqual(paragraph.numbering, {level: "1", isOrdered: true});
 });
 
+test("numbered paragraphs are given labels in document order", function() {
+    var numbering = readNumberingXml(
+        xml.element("w:numbering", {}, [
+            xml.element("w:abstractNum", {"w:abstractNumId": "1"}, [
+                xml.element("w:lvl", {"w:ilvl": "0"}, [
+                    xml.element("w:numFmt", {"w:val": "decimal"}),
+                    xml.element("w:lvlText", {"w:val": "%1."})
+                ])
+            ]),
+            xml.element("w:num", {"w:numId": "10"}, [
+                xml.element("w:abstractNumId", {"w:val": "1"})
+            ])
+        ]),
+        {styles: Styles.EMPTY}
+    );
+    var numberedParagraphXml = xml.element("w:p", {}, [
+        xml.element("w:pPr", {}, [
+            xml.element("w:numPr", {}, [
+                xml.element("w:ilvl", {"w:val": "0"}),
+                xml.element("w:numId", {"w:val": "10"})
+            ])
+        ])
+    ]);
+
+    var paragraphs = readXmlElementsValue([numberedParagraphXml, numberedParagraphXml], {numbering: numbering});
+
+    assert.deepEqual(_.pluck(_.pluck(paragraphs, "numbering"), "label"), ["1.", "2."]);
+    assert.deepEqual(_.pluck(_.pluck(paragraphs, "numbering"), "value"), [1, 2]);
+});
+
 test("numbering properties are converted to numbering at specified level", function() {
     var numberingPropertiesXml = new XmlElement("w:numPr", {}, [
         new XmlElement("w:ilvl", {"w:val": "1"}),
@@ -249,7 +315,7 @@ test("numbering properties are ignored if w:numId is missing", function() {
     assert.equal(numberingLevel, null);
 });
 
-test("content of deleted paragraph is prepended to next paragraph", function() {
+test("content of deleted paragraph is prepended to next paragraph when accepting changes", function() {
     var styles = new Styles(
         {
             "Heading1": {name: "Heading 1"},
@@ -280,7 +346,7 @@ test("content of deleted paragraph is prepended to next paragraph", function() {
         ])
     ];
 
-    var result = readXmlElementsValue(bodyXml, {styles: styles});
+    var result = readXmlElementsValue(bodyXml, {styles: styles, trackedChanges: "accept"});
 
     assertThat(result, contains(
         hasProperties({
@@ -493,7 +559,10 @@ test("complex fields", (function() {
                 isHyperlinkedRun({
                     href: uri,
                     children: contains(
-                        isText("John Doe")
+                        isField({
+                            fieldType: "AUTHOR",
+                            children: contains(isText("John Doe"))
+                        })
                     )
                 }),
                 isEmptyHyperlinkedRun,
@@ -501,6 +570,39 @@ test("complex fields", (function() {
           ));
         },
 
+        "runs in a complex field other than a hyperlink are wrapped in a field": function() {
+            var paragraphXml = new XmlElement("w:p", {}, [
+                beginXml,
+                new XmlElement("w:r", {}, [
+                    new XmlElement("w:instrText", {}, [xml.text(" REF _Ref123 \\h ")])
+                ]),
+                separateXml,
+                runOfText("Section 1"),
+                endXml,
+                runOfText("after")
+            ]);
+            var paragraph = readXmlElementValue(paragraphXml);
+
+            assertThat(paragraph.children, contains(
+                isEmptyRun,
+                isEmptyRun,
+                isEmptyRun,
+                isRun({
+                    children: contains(
+                        isField({
+                            fieldType: "REF",
+                            instruction: "REF _Ref123 \\h",
+                            arguments: ["_Ref123"],
+                            switches: [{name: "h", argument: null}],
+                            children: contains(isText("Section 1"))
+                        })
+                    )
+                }),
+                isEmptyRun,
+                isRun({children: contains(isText("after"))})
+            ));
+        },
+
         "field without separate w:fldChar is ignored": function() {
             var hyperlinkRunXml = runOfText("this is a hyperlink");
             var paragraphXml = new XmlElement("w:p", {}, [
@@ -531,6 +633,32 @@ test("complex fields", (function() {
     };
 })());
 
+test("simple fields", {
+    "w:fldSimple is read as a field wrapping its content": function() {
+        var fieldXml = xml.element("w:fldSimple", {"w:instr": " PAGEREF _Toc1 \\h "}, [
+            runOfText("4")
+        ]);
+        var result = readXmlElementValue(fieldXml);
+        assert.deepEqual(result, documents.field([documents.run([documents.text("4")])], {
+            fieldType: "PAGEREF",
+            instruction: "PAGEREF _Toc1 \\h",
+            arguments: ["_Toc1"],
+            switches: [{name: "h", argument: null}]
+        }));
+    },
+
+    "w:fldSimple for hyperlink is read as a hyperlink": function() {
+        var fieldXml = xml.element("w:fldSimple", {"w:instr": ' HYPERLINK "http://example.com" '}, [
+            runOfText("link")
+        ]);
+        var result = readXmlElementValue(fieldXml);
+        assertThat(result, isHyperlink({
+            href: "http://example.com",
+            children: contains(isRun({children: contains(isText("link"))}))
+        }));
+    }
+});
+
 test("checkboxes", {
     "complex field checkbox without separate is read": function() {
         var paragraphXml = xml.element("w:p", {}, [
@@ -1158,6 +1286,84 @@ test("table has style ID and name read from table properties if present", functi
     assert.deepEqual(table.styleName, "Normal Table");
 });
 
+test("effective table borders are read from table style if not set on table", function() {
+    var styleElement = new XmlElement("w:style", {"w:type": "table", "w:styleId": "TableGrid"}, [
+        new XmlElement("w:basedOn", {"w:val": "TableNormal"}),
+        new XmlElement("w:tblPr", {}, [
+            new XmlElement("w:tblBorders", {}, [
+                new XmlElement("w:top", {"w:val": "single", "w:sz": "4", "w:color": "auto"}),
+                new XmlElement("w:insideH", {"w:val": "nil"})
+            ])
+        ])
+    ]);
+    var styles = new Styles({}, {}, {"TableGrid": {name: "Table Grid", element: styleElement}});
+    var tableXml = new XmlElement("w:tbl", {}, [
+        new XmlElement("w:tblPr", {}, [new XmlElement("w:tblStyle", {"w:val": "TableGrid"})])
+    ]);
+
+    var table = readXmlElementValue(tableXml, {styles: styles});
+    assert.deepEqual(table.effectiveBorders.top, {style: "single", width: 4, color: "auto", space: 0});
+    assert.equal(table.effectiveBorders.insideH, null);
+    assert.equal(table.borders, null);
+    assert.equal(table.isBordered, false);
+});
+
+test("effective table borders merge each side set on table with borders of table style", function() {
+    var styleElement = new XmlElement("w:style", {"w:type": "table", "w:styleId": "TableGrid"}, [
+        new XmlElement("w:tblPr", {}, [
+            new XmlElement("w:tblBorders", {}, [
+                new XmlElement("w:top", {"w:val": "single", "w:sz": "4"}),
+                new XmlElement("w:bottom", {"w:val": "single", "w:sz": "4"}),
+                new XmlElement("w:insideH", {"w:val": "single", "w:sz": "4"})
+            ])
+        ])
+    ]);
+    var styles = new Styles({}, {}, {"TableGrid": {name: "Table Grid", element: styleElement}});
+    var tableXml = new XmlElement("w:tbl", {}, [
+        new XmlElement("w:tblPr", {}, [
+            new XmlElement("w:tblStyle", {"w:val": "TableGrid"}),
+            new XmlElement("w:tblBorders", {}, [
+                new XmlElement("w:top", {"w:val": "double", "w:sz": "12"}),
+                new XmlElement("w:insideH", {"w:val": "nil"})
+            ])
+        ])
+    ]);
+
+    var table = readXmlElementValue(tableXml, {styles: styles});
+    assert.equal(table.effectiveBorders.top.style, "double");
+    assert.equal(table.effectiveBorders.bottom.style, "single");
+    assert.equal(table.effectiveBorders.insideH, null);
+    assert.equal(table.borders.top.style, "double");
+    assert.equal(table.borders.bottom, null);
+});
+
+test("table borders can use w:start and w:end for left and right", function() {
+    var tableXml = new XmlElement("w:tbl", {}, [
+        new XmlElement("w:tblPr", {}, [
+            new XmlElement("w:tblBorders", {}, [
+                new XmlElement("w:start", {"w:val": "single", "w:sz": "8"}),
+                new XmlElement("w:end", {"w:val": "dotted", "w:sz": "8"})
+            ])
+        ])
+    ]);
+
+    var table = readXmlElementValue(tableXml);
+    assert.equal(table.borders.left.style, "single");
+    assert.equal(table.borders.right.style, "dotted");
+});
+
+test("table column widths are read from w:tblGrid", function() {
+    var tableXml = new XmlElement("w:tbl", {}, [
+        new XmlElement("w:tblGrid", {}, [
+            new XmlElement("w:gridCol", {"w:w": "2880"}),
+            new XmlElement("w:gridCol", {"w:w": "1440"})
+        ])
+    ]);
+
+    var table = readXmlElementValue(tableXml);
+    assert.deepEqual(table.columnWidths, [2880, 1440]);
+});
+
 test("warning is emitted when table style cannot be found", function() {
     var styleXml = new XmlElement("w:tblStyle", {"w:val": "TableNormal"}, []);
     var propertiesXml = new XmlElement("w:tblPr", {}, [styleXml]);
@@ -1267,7 +1473,7 @@ test("no vertical cell merging if merged cells do not line up", function() {
     ]));
 });
 
-test("when row is marked as deleted in row properties then row is ignored", function() {
+test("when row is marked as deleted in row properties then row is ignored when accepting changes", function() {
     var tableXml = xml.element("w:tbl", {}, [
         xml.element("w:tr", {}, [
             xml.element("w:tc", {}, [
@@ -1289,7 +1495,7 @@ test("when row is marked as deleted in row properties then row is ignored", func
         ])
     ]);
 
-    var result = readXmlElement(tableXml);
+    var result = readXmlElement(tableXml, {trackedChanges: "accept"});
 
     assert.deepEqual(result.value, new documents.Table([
         new documents.TableRow([
@@ -1346,6 +1552,121 @@ function docEmptyCell(properties) {
     return new documents.TableCell([], properties);
 }
 
+test("table conditional formatting", {
+    "first row, last row and first column are flagged when enabled by w:tblLook and defined by table style": function() {
+        var styles = new Styles({}, {}, {
+            "GridTable": {name: "Grid Table", conditionalFormattingTypes: ["firstRow", "lastRow", "firstCol"]}
+        });
+        var tableXml = conditionalFormattingTable(
+            {"w:firstRow": "1", "w:lastRow": "0", "w:firstColumn": "1", "w:lastColumn": "1"},
+            3
+        );
+
+        var table = readXmlElementValue(tableXml, {styles: styles});
+        assert.deepEqual(_.pluck(table.children, "isFirstRow"), [true, false, false]);
+        assert.deepEqual(_.pluck(table.children, "isLastRow"), [false, false, false]);
+        assert.deepEqual(_.pluck(table.children[1].children, "isFirstColumn"), [true, false]);
+        assert.deepEqual(_.pluck(table.children[1].children, "isLastColumn"), [false, false]);
+    },
+
+    "first and last columns are found using grid columns when first column is vertically merged": function() {
+        var styles = new Styles({}, {}, {
+            "GridTable": {name: "Grid Table", conditionalFormattingTypes: ["firstCol", "lastCol"]}
+        });
+        var tableXml = new XmlElement("w:tbl", {}, [
+            new XmlElement("w:tblPr", {}, [
+                new XmlElement("w:tblStyle", {"w:val": "GridTable"}),
+                new XmlElement("w:tblLook", {"w:firstColumn": "1", "w:lastColumn": "1"})
+            ]),
+            row(emptyCell(vMerge("restart")), emptyCell(), emptyCell()),
+            row(emptyCell(vMerge("continue")), emptyCell(), emptyCell()),
+            new XmlElement("w:tr", {}, [
+                new XmlElement("w:trPr", {}, [new XmlElement("w:gridBefore", {"w:val": "1"})]),
+                emptyCell(gridSpan("2"))
+            ])
+        ]);
+
+        var table = readXmlElementValue(tableXml, {styles: styles});
+        assert.deepEqual(_.pluck(table.children[0].children, "isFirstColumn"), [true, false, false]);
+        assert.deepEqual(_.pluck(table.children[0].children, "isLastColumn"), [false, false, true]);
+        assert.deepEqual(_.pluck(table.children[1].children, "isFirstColumn"), [false, false]);
+        assert.deepEqual(_.pluck(table.children[1].children, "isLastColumn"), [false, true]);
+        assert.deepEqual(_.pluck(table.children[2].children, "isFirstColumn"), [false]);
+        assert.deepEqual(_.pluck(table.children[2].children, "isLastColumn"), [true]);
+    },
+
+    "conditional formatting is not applied when not defined by table style": function() {
+        var styles = new Styles({}, {}, {
+            "PlainTable": {name: "Plain Table", conditionalFormattingTypes: []}
+        });
+        var tableXml = conditionalFormattingTable({"w:firstRow": "1"}, 2, "PlainTable");
+
+        var table = readXmlElementValue(tableXml, {styles: styles});
+        assert.deepEqual(_.pluck(table.children, "isFirstRow"), [false, false]);
+    },
+
+    "conditional formatting types are inherited from base table styles": function() {
+        var styles = new Styles({}, {}, {
+            "GridTable": {name: "Grid Table", basedOn: "BaseTable", conditionalFormattingTypes: []},
+            "BaseTable": {name: "Base Table", conditionalFormattingTypes: ["firstRow"]}
+        });
+        var tableXml = conditionalFormattingTable({"w:firstRow": "1"}, 2);
+
+        var table = readXmlElementValue(tableXml, {styles: styles});
+        assert.deepEqual(_.pluck(table.children, "isFirstRow"), [true, false]);
+    },
+
+    "w:tblLook can be read from legacy bitmask": function() {
+        var styles = new Styles({}, {}, {
+            "GridTable": {name: "Grid Table", conditionalFormattingTypes: ["firstRow", "firstCol"]}
+        });
+        var tableXml = conditionalFormattingTable({"w:val": "04A0"}, 2);
+
+        var table = readXmlElementValue(tableXml, {styles: styles});
+        assert.deepEqual(table.look, {
+            firstRow: true,
+            lastRow: false,
+            firstColumn: true,
+            lastColumn: false,
+            noHBand: false,
+            noVBand: true
+        });
+        assert.deepEqual(_.pluck(table.children, "isFirstRow"), [true, false]);
+    },
+
+    "banded rows exclude the first row and use the row band size of the table style": function() {
+        var styles = new Styles({}, {}, {
+            "GridTable": {name: "Grid Table", conditionalFormattingTypes: ["firstRow", "band1Horz"], rowBandSize: 2}
+        });
+        var tableXml = conditionalFormattingTable({"w:firstRow": "1", "w:noHBand": "0"}, 6);
+
+        var table = readXmlElementValue(tableXml, {styles: styles});
+        assert.deepEqual(_.pluck(table.children, "isBandedRow"), [false, true, true, false, false, true]);
+    },
+
+    "rows are not banded when w:noHBand is set": function() {
+        var styles = new Styles({}, {}, {
+            "GridTable": {name: "Grid Table", conditionalFormattingTypes: ["band1Horz"]}
+        });
+        var tableXml = conditionalFormattingTable({"w:noHBand": "1"}, 3);
+
+        var table = readXmlElementValue(tableXml, {styles: styles});
+        assert.deepEqual(_.pluck(table.children, "isBandedRow"), [false, false, false]);
+    }
+});
+
+function conditionalFormattingTable(lookAttributes, rowCount, styleId) {
+    var rows = _.range(rowCount).map(function() {
+        return row(emptyCell(), emptyCell());
+    });
+    return new XmlElement("w:tbl", {}, [
+        new XmlElement("w:tblPr", {}, [
+            new XmlElement("w:tblStyle", {"w:val": styleId || "GridTable"}),
+            new XmlElement("w:tblLook", lookAttributes)
+        ])
+    ].concat(rows));
+}
+
 test("w:bookmarkStart is read as a bookmarkStart", function() {
     var bookmarkStart = new XmlElement("w:bookmarkStart", {"w:name": "_Peter", "w:id": "42"});
     var result = readXmlElement(bookmarkStart);
@@ -1359,6 +1680,34 @@ test('_GoBack bookmark is ignored', function() {
     assert.deepEqual(result.value, []);
 });
 
+test("m:oMath is read as an inline math element", function() {
+    var mathXml = new XmlElement("m:oMath", {}, [
+        new XmlElement("m:r", {}, [new XmlElement("m:t", {}, [xml.text("x")])])
+    ]);
+    var result = readXmlElement(mathXml);
+    assert.deepEqual(result.value, documents.Math(
+        [{type: "identifier", value: "x", isNormal: false}],
+        {isDisplay: false}
+    ));
+    assert.deepEqual(result.messages, []);
+});
+
+test("each m:oMath in m:oMathPara is read as a display math element", function() {
+    var mathParaXml = new XmlElement("m:oMathPara", {}, [
+        new XmlElement("m:oMathParaPr"),
+        new XmlElement("m:oMath", {}, []),
+        new XmlElement("m:oMath", {}, [new XmlElement("m:unknown")])
+    ]);
+    var result = readXmlElement(mathParaXml);
+    assert.deepEqual(result.value, [
+        documents.Math([], {isDisplay: true}),
+        documents.Math([], {isDisplay: true})
+    ]);
+    assert.deepEqual(result.messages, [
+        warning("An unsupported math element was replaced by its content: m:unknown")
+    ]);
+});
+
 var IMAGE_BUFFER = new Buffer("Not an image at all!");
 var IMAGE_RELATIONSHIP_ID = "rId5";
 
@@ -1434,6 +1783,37 @@ test("can read inline pictures", function() {
     }))));
 });
 
+test("rotation and flips of inline pictures are read from shape properties", function() {
+    var drawing = createInlineImage({
+        blip: createEmbeddedBlip(IMAGE_RELATIONSHIP_ID),
+        shapeProperties: new XmlElement("pic:spPr", {}, [
+            new XmlElement("a:xfrm", {rot: "5400000", flipH: "1"})
+        ])
+    });
+
+    var result = readEmbeddedImage(drawing);
+
+    return promiseThat(result, isSuccess(contains(isImage({
+        rotation: 90,
+        flipHorizontal: true,
+        flipVertical: false
+    }))));
+});
+
+test("inline pictures without transform are not rotated or flipped", function() {
+    var drawing = createInlineImage({
+        blip: createEmbeddedBlip(IMAGE_RELATIONSHIP_ID)
+    });
+
+    var result = readEmbeddedImage(drawing);
+
+    return promiseThat(result, isSuccess(contains(isImage({
+        rotation: 0,
+        flipHorizontal: false,
+        flipVertical: false
+    }))));
+});
+
 test("alt text title is used if alt text description is missing", function() {
     var drawing = createInlineImage({
         blip: createEmbeddedBlip(IMAGE_RELATIONSHIP_ID),
@@ -1574,10 +1954,281 @@ test("children of w:ins are converted normally", function() {
     assertChildrenAreConvertedNormally("w:ins");
 });
 
+test("tracked changes", {
+    "insertions and deletions are wrapped in run by default": function() {
+        var paragraph = readXmlElementValue(trackedChangesParagraphXml("w:ins", "w:del"));
+        assert.deepEqual(_.pluck(paragraph.children, "type"), ["run", "run", "run"]);
+        assert.equal(paragraph.children[1].children[0].type, documents.types.ins);
+        assert.equal(paragraph.children[2].children[0].type, documents.types.del);
+    },
+
+    "moves are read as deletions and insertions": function() {
+        var paragraph = readXmlElementValue(trackedChangesParagraphXml("w:moveTo", "w:moveFrom"));
+        assert.equal(paragraph.children[1].children[0].type, documents.types.ins);
+        assert.equal(paragraph.children[1].children[0].isMove, true);
+        assert.equal(paragraph.children[2].children[0].type, documents.types.del);
+        assert.equal(paragraph.children[2].children[0].isMove, true);
+    },
+
+    "formatting changes to paragraphs and runs are read when changes are shown": function() {
+        var paragraphXml = xml.element("w:p", {}, [
+            xml.element("w:pPr", {}, [
+                xml.element("w:pPrChange", {"w:id": "1", "w:author": "Ned", "w:date": "2024-01-02T03:04:00Z"})
+            ]),
+            xml.element("w:r", {}, [
+                xml.element("w:rPr", {}, [
+                    xml.element("w:rPrChange", {"w:id": "2", "w:author": "Chuck"})
+                ])
+            ])
+        ]);
+        var paragraph = readXmlElementValue(paragraphXml);
+        assert.deepEqual(paragraph.formattingChange, {authorName: "Ned", date: "2024-01-02T03:04:00Z", changeId: "1"});
+        assert.deepEqual(paragraph.children[0].formattingChange, {authorName: "Chuck", date: undefined, changeId: "2"});
+
+        var accepted = readXmlElementValue(paragraphXml, {trackedChanges: "accept"});
+        assert.strictEqual(accepted.formattingChange, null);
+        assert.strictEqual(accepted.children[0].formattingChange, null);
+    },
+
+    "when accepting changes then insertions are kept and deletions are removed": function() {
+        var paragraph = readXmlElementValue(
+            trackedChangesParagraphXml("w:ins", "w:del"),
+            {trackedChanges: "accept"}
+        );
+        assert.deepEqual(paragraph.children, [
+            documents.run([documents.text("Knock ")]),
+            documents.run([documents.text("knock")])
+        ]);
+    },
+
+    "when rejecting changes then deletions are kept and insertions are removed": function() {
+        var paragraph = readXmlElementValue(
+            trackedChangesParagraphXml("w:moveTo", "w:moveFrom"),
+            {trackedChanges: "reject"}
+        );
+        assert.deepEqual(paragraph.children, [
+            documents.run([documents.text("Knock ")]),
+            documents.run([documents.text("who's there")])
+        ]);
+    },
+
+    "when rejecting changes then paragraph with inserted mark is combined with next paragraph": function() {
+        var result = readXmlElementsValue([
+            paragraphWithMarkChange("w:ins", "One"),
+            paragraphWithMarkChange(null, "Two")
+        ], {trackedChanges: "reject"});
+        assert.equal(result.length, 1);
+        assert.deepEqual(result[0].children, [
+            documents.run([documents.text("One")]),
+            documents.run([documents.text("Two")])
+        ]);
+    },
+
+    "when rejecting changes then paragraph with deleted mark is kept": function() {
+        var result = readXmlElementsValue([
+            paragraphWithMarkChange("w:del", "One"),
+            paragraphWithMarkChange(null, "Two")
+        ], {trackedChanges: "reject"});
+        assert.equal(result.length, 2);
+    },
+
+    "when accepting changes then paragraph with deleted mark is combined with next paragraph": function() {
+        var result = readXmlElementsValue([
+            paragraphWithMarkChange("w:del", "One"),
+            paragraphWithMarkChange(null, "Two")
+        ], {trackedChanges: "accept"});
+        assert.equal(result.length, 1);
+    },
+
+    "when rejecting changes then run properties are read from before the change": function() {
+        var runXml = xml.element("w:r", {}, [
+            xml.element("w:rPr", {}, [
+                xml.element("w:b"),
+                xml.element("w:rPrChange", {"w:id": "1"}, [
+                    xml.element("w:rPr", {}, [xml.element("w:i")])
+                ])
+            ])
+        ]);
+        var rejected = readXmlElementValue(runXml, {trackedChanges: "reject"});
+        assert.equal(rejected.isBold, false);
+        assert.equal(rejected.isItalic, true);
+        var accepted = readXmlElementValue(runXml, {trackedChanges: "accept"});
+        assert.equal(accepted.isBold, true);
+        assert.equal(accepted.isItalic, false);
+    },
+
+    "when rejecting changes then paragraph properties are read from before the change": function() {
+        var paragraphXml = xml.element("w:p", {}, [
+            xml.element("w:pPr", {}, [
+                xml.element("w:jc", {"w:val": "center"}),
+                xml.element("w:pPrChange", {"w:id": "1"}, [
+                    xml.element("w:pPr", {}, [xml.element("w:jc", {"w:val": "right"})])
+                ])
+            ])
+        ]);
+        assert.equal(readXmlElementValue(paragraphXml, {trackedChanges: "reject"}).alignment, "right");
+        assert.equal(readXmlElementValue(paragraphXml).alignment, "center");
+    },
+
+    "when showing changes then paragraphs with inserted or deleted marks are kept and record the change": function() {
+        var deletedMarkXml = xml.element("w:p", {}, [
+            xml.element("w:pPr", {}, [
+                xml.element("w:rPr", {}, [
+                    xml.element("w:del", {"w:id": "3", "w:author": "Ned", "w:date": "2024-01-02T03:04:00Z"})
+                ])
+            ]),
+            runOfText("One")
+        ]);
+        var result = readXmlElementsValue([
+            deletedMarkXml,
+            paragraphWithMarkChange("w:ins", "Two"),
+            paragraphWithMarkChange(null, "Three")
+        ]);
+        assert.equal(result.length, 3);
+        assert.deepEqual(result[0].markDeletion, {
+            authorName: "Ned",
+            date: "2024-01-02T03:04:00Z",
+            changeId: "3",
+            isMove: false
+        });
+        assert.equal(result[0].markInsertion, null);
+        assert.equal(result[1].markInsertion.isMove, false);
+        assert.equal(result[2].markInsertion, null);
+        assert.equal(result[2].markDeletion, null);
+    },
+
+    "when showing changes then inserted and deleted table rows are kept and record the change": function() {
+        var tableXml = xml.element("w:tbl", {}, [
+            tableRowWithChange("w:ins", "Inserted"),
+            tableRowWithChange("w:del", "Deleted"),
+            tableRowWithChange("w:tblHeader", "Unchanged")
+        ]);
+        var table = readXmlElementValue(tableXml);
+        assert.equal(table.children.length, 3);
+        assert.notEqual(table.children[0].insertion, null);
+        assert.equal(table.children[0].deletion, null);
+        assert.notEqual(table.children[1].deletion, null);
+        assert.equal(table.children[2].insertion, null);
+        assert.equal(table.children[2].deletion, null);
+    },
+
+    "table rows are kept or removed according to whether they were inserted or deleted": function() {
+        var tableXml = xml.element("w:tbl", {}, [
+            tableRowWithChange("w:ins", "Inserted"),
+            tableRowWithChange("w:del", "Deleted")
+        ]);
+        function rowTexts(table) {
+            return table.children.map(function(row) {
+                return row.children[0].children[0].children[0].children[0].value;
+            });
+        }
+        assert.deepEqual(rowTexts(readXmlElementValue(tableXml, {trackedChanges: "accept"})), ["Inserted"]);
+        assert.deepEqual(rowTexts(readXmlElementValue(tableXml, {trackedChanges: "reject"})), ["Deleted"]);
+    }
+});
+
+function trackedChangesParagraphXml(insertionName, deletionName) {
+    return xml.element("w:p", {}, [
+        runOfText("Knock "),
+        xml.element(insertionName, {"w:id": "1"}, [runOfText("knock")]),
+        xml.element(deletionName, {"w:id": "2"}, [
+            xml.element("w:r", {}, [xml.element("w:delText", {}, [xml.text("who's there")])])
+        ])
+    ]);
+}
+
+function paragraphWithMarkChange(changeName, text) {
+    var markProperties = changeName ? [xml.element("w:rPr", {}, [xml.element(changeName)])] : [];
+    return xml.element("w:p", {}, [
+        xml.element("w:pPr", {}, markProperties),
+        runOfText(text)
+    ]);
+}
+
+function tableRowWithChange(changeName, text) {
+    return xml.element("w:tr", {}, [
+        xml.element("w:trPr", {}, [xml.element(changeName)]),
+        xml.element("w:tc", {}, [xml.element("w:p", {}, [runOfText(text)])])
+    ]);
+}
+
 test("children of w:object are converted normally", function() {
     assertChildrenAreConvertedNormally("w:object");
 });
 
+var OBJECT_BUFFER = new Buffer("Not a spreadsheet at all!");
+
+function oleObjectXml(attributes) {
+    return new XmlElement("w:object", {}, [
+        new XmlElement("w:r", {}, []),
+        new XmlElement("o:OLEObject", attributes)
+    ]);
+}
+
+function readEmbeddedObject(element) {
+    return readXmlElement(element, {
+        relationships: new Relationships([
+            {relationshipId: "rId6", target: "embeddings/Book1.xlsx", type: "http://schemas.openxmlformats.org/officeDocument/2006/relationships/package"}
+        ]),
+        contentTypes: {
+            findContentType: function() {
+                return "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+            }
+        },
+        docxFile: createFakeDocxFile({
+            "word/embeddings/Book1.xlsx": OBJECT_BUFFER
+        })
+    });
+}
+
+test("embedded OLE objects are read with their preview as children", function() {
+    var result = readEmbeddedObject(oleObjectXml({Type: "Embed", ProgID: "Excel.Sheet.12", "r:id": "rId6"}));
+
+    assert.deepEqual(result.messages, []);
+    return promiseThat(result.value, allOf(
+        hasProperties({
+            type: "embeddedObject",
+            progId: "Excel.Sheet.12",
+            contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+            fileName: "Book1.xlsx",
+            children: contains(isEmptyRun)
+        }),
+        new FeatureMatcher(willBe(OBJECT_BUFFER), "buffer", "buffer", function(element) {
+            return element.readAsBuffer();
+        })
+    ));
+});
+
+test("embedded objects using w:objectEmbed are read", function() {
+    var objectXml = new XmlElement("w:object", {}, [
+        new XmlElement("w:objectEmbed", {"w:progId": "Excel.Sheet.12", "r:id": "rId6"})
+    ]);
+
+    var result = readEmbeddedObject(objectXml);
+
+    assert.deepEqual(result.messages, []);
+    assertThat(result.value, hasProperties({type: "embeddedObject", progId: "Excel.Sheet.12", children: []}));
+});
+
+test("linked OLE objects are read as their preview", function() {
+    var result = readEmbeddedObject(oleObjectXml({Type: "Link", ProgID: "Excel.Sheet.12", "r:id": "rId6"}));
+
+    assert.deepEqual(result.messages, []);
+    assertThat(result.value, contains(isEmptyRun));
+});
+
+test("warning if embedded object file cannot be found", function() {
+    var result = readXmlElement(oleObjectXml({Type: "Embed", ProgID: "Package", "r:id": "rId6"}), {
+        relationships: new Relationships([
+            {relationshipId: "rId6", target: "embeddings/oleObject1.bin", type: "http://schemas.openxmlformats.org/officeDocument/2006/relationships/oleObject"}
+        ]),
+        docxFile: createFakeDocxFile({})
+    });
+
+    assertThat(result.value, contains(isEmptyRun));
+    assert.deepEqual(result.messages, [warning("Could not find embedded object file: word/embeddings/oleObject1.bin")]);
+});
+
 test("children of w:smartTag are converted normally", function() {
     assertChildrenAreConvertedNormally("w:smartTag");
 });
@@ -1735,7 +2386,7 @@ test("w:bookmarkEnd is ignored without warning", function() {
     assert.deepEqual([], result.value);
 });
 
-test("text boxes have content appended after containing paragraph", function() {
+test("text boxes are appended after containing paragraph", function() {
     var textbox = new XmlElement("w:pict", {}, [
         new XmlElement("v:shape", {}, [
             new XmlElement("v:textbox", {}, [
@@ -1749,14 +2400,199 @@ test("text boxes have content appended after containing paragraph", function() {
         new XmlElement("w:r", {}, [textbox])
     ]);
     var result = readXmlElement(paragraph);
-    assert.deepEqual(result.value[1].styleId, "textbox-content");
+    assert.deepEqual(result.value[1].type, "textBox");
+    assert.deepEqual(result.value[1].children[0].styleId, "textbox-content");
+});
+
+test("VML text box size and anchoring are read from the style of the shape", function() {
+    var textbox = new XmlElement("v:rect", {"style": "position:absolute;width:120pt;height:60pt"}, [
+        new XmlElement("v:textbox", {}, [
+            new XmlElement("w:txbxContent", {}, [])
+        ])
+    ]);
+    var result = readXmlElement(textbox);
+    assert.deepEqual(result.value, new documents.TextBox([], {
+        width: 160,
+        height: 80,
+        anchoring: "floating"
+    }));
+});
+
+test("DrawingML text boxes are read with size and anchoring and appended after containing paragraph", function() {
+    var drawing = new XmlElement("w:drawing", {}, [
+        new XmlElement("wp:anchor", {}, [
+            new XmlElement("wp:extent", {"cx": "1905000", "cy": "952500"}),
+            new XmlElement("wp:wrapSquare"),
+            new XmlElement("a:graphic", {}, [
+                new XmlElement("a:graphicData", {}, [
+                    new XmlElement("wps:wsp", {}, [
+                        new XmlElement("wps:txbx", {}, [
+                            new XmlElement("w:txbxContent", {}, [
+                                paragraphWithStyleId("textbox-content")
+                            ])
+                        ])
+                    ])
+                ])
+            ])
+        ])
+    ]);
+    var paragraph = new XmlElement("w:p", {}, [
+        new XmlElement("w:r", {}, [drawing])
+    ]);
+    var result = readXmlElement(paragraph);
+    assertThat(result.value, contains(
+        hasProperties({type: "paragraph", children: contains(isEmptyRun)}),
+        hasProperties({
+            type: "textBox",
+            width: 200,
+            height: 100,
+            anchoring: "floating",
+            wrapping: "wrapSquare",
+            children: contains(hasProperties({styleId: "textbox-content"}))
+        })
+    ));
+});
+
+function createInlineChart(relationshipId) {
+    return new XmlElement("w:drawing", {}, [
+        new XmlElement("wp:inline", {}, [
+            new XmlElement("wp:extent", {"cx": "1905000", "cy": "952500"}),
+            new XmlElement("wp:docPr", {descr: "Fruit sales by quarter"}),
+            new XmlElement("a:graphic", {}, [
+                new XmlElement("a:graphicData", {}, [
+                    new XmlElement("c:chart", {"r:id": relationshipId})
+                ])
+            ])
+        ])
+    ]);
+}
+
+test("DrawingML charts are read from chart parts and appended after containing paragraph", function() {
+    var relationships = new Relationships([
+        {relationshipId: "rId5", target: "charts/chart1.xml", type: "http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart"}
+    ]);
+    var charts = {
+        "charts/chart1.xml": {
+            chartType: "pie",
+            title: "Fruit sales",
+            categories: ["Q1"],
+            series: [{name: "Apples", chartType: "pie", categories: ["Q1"], values: [1]}]
+        }
+    };
+    var paragraph = new XmlElement("w:p", {}, [
+        new XmlElement("w:r", {}, [createInlineChart("rId5")])
+    ]);
+    var result = readXmlElement(paragraph, {relationships: relationships, charts: charts});
+    assertThat(result.value, contains(
+        hasProperties({type: "paragraph", children: contains(isEmptyRun)}),
+        hasProperties({
+            type: "chart",
+            chartType: "pie",
+            title: "Fruit sales",
+            categories: ["Q1"],
+            series: [{name: "Apples", chartType: "pie", categories: ["Q1"], values: [1]}],
+            altText: "Fruit sales by quarter",
+            width: 200,
+            height: 100
+        })
+    ));
+});
+
+test("warning if chart part cannot be found", function() {
+    var result = readXmlElement(createInlineChart("rId5"), {relationships: new Relationships([])});
+    assert.deepEqual(result.value, []);
+    assert.deepEqual(result.messages, [warning("Could not find chart part for c:chart element")]);
+});
+
+test("alt text of chart is appended after containing paragraph with warning if chart part cannot be read", function() {
+    var relationships = new Relationships([
+        {relationshipId: "rId5", target: "charts/chart1.xml", type: "http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart"}
+    ]);
+    var charts = {
+        "charts/chart1.xml": {error: new Error("Unclosed tag")}
+    };
+    var paragraph = new XmlElement("w:p", {}, [
+        new XmlElement("w:r", {}, [createInlineChart("rId5")])
+    ]);
+    var result = readXmlElement(paragraph, {relationships: relationships, charts: charts});
+    assert.deepEqual(result.messages, [warning("Could not read chart part charts/chart1.xml: Unclosed tag")]);
+    assertThat(result.value, contains(
+        hasProperties({type: "paragraph", children: contains(isEmptyRun)}),
+        hasProperties({
+            type: "paragraph",
+            children: contains(isRun({children: contains(isText("Fruit sales by quarter"))}))
+        })
+    ));
+});
+
+test("SmartArt diagrams are read from diagram data parts and appended after containing paragraph", function() {
+    var relationships = new Relationships([
+        {relationshipId: "rId4", target: "diagrams/data1.xml", type: "http://schemas.openxmlformats.org/officeDocument/2006/relationships/diagramData"}
+    ]);
+    var diagrams = {
+        "diagrams/data1.xml": {
+            layout: "urn:microsoft.com/office/officeart/2005/8/layout/process1",
+            category: "process",
+            nodes: [{text: "Plan", children: []}]
+        }
+    };
+    var drawing = new XmlElement("w:drawing", {}, [
+        new XmlElement("wp:inline", {}, [
+            new XmlElement("a:graphic", {}, [
+                new XmlElement("a:graphicData", {}, [
+                    new XmlElement("dgm:relIds", {"r:dm": "rId4", "r:lo": "rId5", "r:qs": "rId6", "r:cs": "rId7"})
+                ])
+            ])
+        ])
+    ]);
+    var paragraph = new XmlElement("w:p", {}, [
+        new XmlElement("w:r", {}, [drawing])
+    ]);
+    var result = readXmlElement(paragraph, {relationships: relationships, diagrams: diagrams});
+    assert.deepEqual(result.messages, []);
+    assertThat(result.value, contains(
+        hasProperties({type: "paragraph", children: contains(isEmptyRun)}),
+        hasProperties({
+            type: "diagram",
+            layout: "urn:microsoft.com/office/officeart/2005/8/layout/process1",
+            category: "process",
+            nodes: [{text: "Plan", children: []}]
+        })
+    ));
+});
+
+test("empty diagram is appended after containing paragraph with warning if diagram data part cannot be read", function() {
+    var relationships = new Relationships([
+        {relationshipId: "rId4", target: "diagrams/data1.xml", type: "http://schemas.openxmlformats.org/officeDocument/2006/relationships/diagramData"}
+    ]);
+    var diagrams = {
+        "diagrams/data1.xml": {error: new Error("Unclosed tag")}
+    };
+    var drawing = new XmlElement("w:drawing", {}, [
+        new XmlElement("wp:inline", {}, [
+            new XmlElement("a:graphic", {}, [
+                new XmlElement("a:graphicData", {}, [
+                    new XmlElement("dgm:relIds", {"r:dm": "rId4"})
+                ])
+            ])
+        ])
+    ]);
+    var paragraph = new XmlElement("w:p", {}, [
+        new XmlElement("w:r", {}, [drawing])
+    ]);
+    var result = readXmlElement(paragraph, {relationships: relationships, diagrams: diagrams});
+    assert.deepEqual(result.messages, [warning("Could not read diagram data part diagrams/data1.xml: Unclosed tag")]);
+    assertThat(result.value, contains(
+        hasProperties({type: "paragraph", children: contains(isEmptyRun)}),
+        hasProperties({type: "diagram", nodes: []})
+    ));
 });
 
 test("mc:AlternateContent", {
     "when mc:Fallback is present then mc:Fallback is read": function() {
         var styles = new Styles({"first": {name: "First"}, "second": {name: "Second"}}, {});
         var textbox = new XmlElement("mc:AlternateContent", {}, [
-            new XmlElement("mc:Choice", {"Requires": "wps"}, [
+            new XmlElement("mc:Choice", {"Requires": "wpg"}, [
                 paragraphWithStyleId("first")
             ]),
             new XmlElement("mc:Fallback", {}, [
@@ -1767,10 +2603,25 @@ test("mc:AlternateContent", {
         assert.deepEqual(result.value[0].styleId, "second");
     },
 
-    "when mc:Fallback is not present then element is ignored": function() {
+    "when mc:Choice requires wps then mc:Choice is read": function() {
+        var styles = new Styles({"first": {name: "First"}, "second": {name: "Second"}}, {});
         var textbox = new XmlElement("mc:AlternateContent", {}, [
             new XmlElement("mc:Choice", {"Requires": "wps"}, [
                 paragraphWithStyleId("first")
+            ]),
+            new XmlElement("mc:Fallback", {}, [
+                paragraphWithStyleId("second")
+            ])
+        ]);
+        var result = readXmlElement(textbox, {styles: styles});
+        assert.deepEqual(result.value.length, 1);
+        assert.deepEqual(result.value[0].styleId, "first");
+    },
+
+    "when mc:Fallback is not present then element is ignored": function() {
+        var textbox = new XmlElement("mc:AlternateContent", {}, [
+            new XmlElement("mc:Choice", {"Requires": "wpg"}, [
+                paragraphWithStyleId("first")
             ])
         ]);
         var result = readXmlElement(textbox);
@@ -1794,6 +2645,91 @@ test("text nodes are ignored when reading children", function() {
     assert.deepEqual(run, new documents.Run([]));
 });
 
+test("section properties", {
+    "paragraph with section properties is followed by section properties": function() {
+        var paragraphXml = new XmlElement("w:p", {}, [
+            new XmlElement("w:pPr", {}, [
+                new XmlElement("w:sectPr", {}, [])
+            ])
+        ]);
+        var result = readXmlElementsValue([paragraphXml]);
+        assert.deepEqual(_.pluck(result, "type"), ["paragraph", "sectionProperties"]);
+    },
+
+    "section properties are kept when paragraph mark is removed": function() {
+        function paragraphXml(markChangeName) {
+            return xml.element("w:p", {}, [
+                xml.element("w:pPr", {}, [
+                    xml.element("w:rPr", {}, [xml.element(markChangeName)]),
+                    xml.element("w:sectPr", {}, [
+                        xml.element("w:pgSz", {"w:w": "16838", "w:h": "11906", "w:orient": "landscape"})
+                    ])
+                ]),
+                runOfText("One")
+            ]);
+        }
+        [
+            {markChangeName: "w:del", trackedChanges: "accept"},
+            {markChangeName: "w:ins", trackedChanges: "reject"}
+        ].forEach(function(options) {
+            var result = readXmlElementsValue(
+                [paragraphXml(options.markChangeName), paragraphWithMarkChange(null, "Two")],
+                {trackedChanges: options.trackedChanges}
+            );
+            assert.deepEqual(_.pluck(result, "type"), ["sectionProperties", "paragraph"]);
+            assert.equal(result[0].pageSize.orientation, "landscape");
+            assert.deepEqual(result[1].children, [
+                documents.run([documents.text("One")]),
+                documents.run([documents.text("Two")])
+            ]);
+        });
+    },
+
+    "page size, margins and columns are read": function() {
+        var sectionPropertiesXml = new XmlElement("w:sectPr", {}, [
+            new XmlElement("w:type", {"w:val": "evenPage"}),
+            new XmlElement("w:pgSz", {"w:w": "11906", "w:h": "16838"}),
+            new XmlElement("w:pgMar", {
+                "w:top": "1440", "w:right": "1134", "w:bottom": "1440", "w:left": "1134",
+                "w:header": "708", "w:footer": "708", "w:gutter": "0"
+            }),
+            new XmlElement("w:cols", {"w:num": "2", "w:space": "720"})
+        ]);
+        var sectionProperties = readXmlElementValue(sectionPropertiesXml);
+        assert.equal(sectionProperties.sectionType, "evenPage");
+        assert.deepEqual(sectionProperties.pageSize, {width: 11906, height: 16838, orientation: "portrait"});
+        assert.deepEqual(sectionProperties.pageMargins, {
+            top: 1440, right: 1134, bottom: 1440, left: 1134,
+            header: 708, footer: 708, gutter: 0
+        });
+        assert.deepEqual(sectionProperties.columns, {count: 2, space: 720});
+        assert.equal(sectionProperties.isTitlePage, false);
+    },
+
+    "header and footer references are resolved using relationships": function() {
+        var sectionPropertiesXml = new XmlElement("w:sectPr", {}, [
+            new XmlElement("w:headerReference", {"w:type": "first", "r:id": "rId1"}),
+            new XmlElement("w:footerReference", {"w:type": "default", "r:id": "rId2"})
+        ]);
+        var relationships = new Relationships([
+            {relationshipId: "rId1", target: "header1.xml", type: "header"},
+            {relationshipId: "rId2", target: "/word/footer1.xml", type: "footer"}
+        ]);
+        var sectionProperties = readXmlElementValue(sectionPropertiesXml, {relationships: relationships});
+        assert.deepEqual(sectionProperties.headerReferences, [{type: "first", path: "word/header1.xml"}]);
+        assert.deepEqual(sectionProperties.footerReferences, [{type: "default", path: "word/footer1.xml"}]);
+    },
+
+    "warning if header reference has no relationship": function() {
+        var sectionPropertiesXml = new XmlElement("w:sectPr", {}, [
+            new XmlElement("w:headerReference", {"w:type": "default", "r:id": "rId1"})
+        ]);
+        var result = readXmlElement(sectionPropertiesXml, {relationships: new Relationships([])});
+        assert.deepEqual(result.value.headerReferences, []);
+        assert.deepEqual(result.messages, [warning("A w:headerReference element referenced a missing relationship: rId1")]);
+    }
+});
+
 function paragraphWithStyleId(styleId) {
     return new XmlElement("w:p", {}, [
         new XmlElement("w:pPr", {}, [
@@ -1828,7 +2764,7 @@ function createInlineImage(options) {
                         new XmlElement("pic:blipFill", {}, [
                             options.blip
                         ])
-                    ])
+                    ].concat(options.shapeProperties ? [options.shapeProperties] : []))
                 ])
             ])
         ])
@@ -0,0 +1,179 @@
+var assert = require("assert");
+
+var readChartXml = require("../../lib/docx/chart-reader").readChartXml;
+var xml = require("../../lib/xml");
+var test = require("../test")(module);
+
+
+function chartSpace(chartChildren) {
+    return xml.element("c:chartSpace", {}, [
+        xml.element("c:chart", {}, chartChildren)
+    ]);
+}
+
+function plotArea(plots) {
+    return xml.element("c:plotArea", {}, plots);
+}
+
+function point(index, value) {
+    return xml.element("c:pt", {idx: String(index)}, [
+        xml.element("c:v", {}, [xml.text(value)])
+    ]);
+}
+
+function cache(name, values) {
+    return xml.element(name, {}, [
+        xml.element("c:ptCount", {val: String(values.length)})
+    ].concat(values.map(function(value, index) {
+        return value === null ? null : point(index, value);
+    }).filter(function(element) {
+        return element !== null;
+    })));
+}
+
+function stringReference(values) {
+    return xml.element("c:strRef", {}, [
+        xml.element("c:f", {}, [xml.text("Sheet1!$A$2:$A$4")]),
+        cache("c:strCache", values)
+    ]);
+}
+
+function numberReference(values) {
+    return xml.element("c:numRef", {}, [
+        xml.element("c:f", {}, [xml.text("Sheet1!$B$2:$B$4")]),
+        cache("c:numCache", values)
+    ]);
+}
+
+function series(name, categories, values) {
+    return xml.element("c:ser", {}, [
+        xml.element("c:idx", {val: "0"}),
+        xml.element("c:tx", {}, [stringReference([name])]),
+        xml.element("c:cat", {}, [stringReference(categories)]),
+        xml.element("c:val", {}, [numberReference(values)])
+    ]);
+}
+
+function richTitle(text) {
+    return xml.element("c:title", {}, [
+        xml.element("c:tx", {}, [
+            xml.element("c:rich", {}, [
+                xml.element("a:bodyPr"),
+                xml.element("a:p", {}, [
+                    xml.element("a:r", {}, [
+                        xml.element("a:t", {}, [xml.text(text)])
+                    ])
+                ])
+            ])
+        ])
+    ]);
+}
+
+test("series names, categories and values are read from caches", function() {
+    var chart = readChartXml(chartSpace([
+        plotArea([
+            xml.element("c:lineChart", {}, [
+                series("Apples", ["Q1", "Q2"], ["1", "2.5"]),
+                series("Pears", ["Q1", "Q2"], ["3", "4"])
+            ])
+        ])
+    ]));
+
+    assert.deepEqual(chart, {
+        chartType: "line",
+        title: null,
+        categories: ["Q1", "Q2"],
+        series: [
+            {name: "Apples", chartType: "line", categories: ["Q1", "Q2"], values: [1, 2.5]},
+            {name: "Pears", chartType: "line", categories: ["Q1", "Q2"], values: [3, 4]}
+        ]
+    });
+});
+
+test("missing points are read as null", function() {
+    var chart = readChartXml(chartSpace([
+        plotArea([
+            xml.element("c:lineChart", {}, [
+                series("Apples", ["Q1", "Q2", "Q3"], ["1", null, "3"])
+            ])
+        ])
+    ]));
+
+    assert.deepEqual(chart.series[0].values, [1, null, 3]);
+});
+
+test("title is read from rich text", function() {
+    var chart = readChartXml(chartSpace([
+        richTitle("Fruit sales"),
+        plotArea([])
+    ]));
+
+    assert.equal(chart.title, "Fruit sales");
+});
+
+test("automatic title of chart with single series is name of series", function() {
+    var chart = readChartXml(chartSpace([
+        xml.element("c:title"),
+        plotArea([
+            xml.element("c:pieChart", {}, [
+                series("Apples", ["Q1"], ["1"])
+            ])
+        ])
+    ]));
+
+    assert.equal(chart.title, "Apples");
+});
+
+test("chart type of bar chart depends on bar direction", function() {
+    function readBarChartType(barDirection) {
+        return readChartXml(chartSpace([
+            plotArea([
+                xml.element("c:bar3DChart", {}, [
+                    xml.element("c:barDir", {val: barDirection})
+                ])
+            ])
+        ])).chartType;
+    }
+
+    assert.equal(readBarChartType("bar"), "bar");
+    assert.equal(readBarChartType("col"), "column");
+});
+
+test("x and y values of scatter chart are read as categories and values", function() {
+    var chart = readChartXml(chartSpace([
+        plotArea([
+            xml.element("c:scatterChart", {}, [
+                xml.element("c:ser", {}, [
+                    xml.element("c:xVal", {}, [numberReference(["1", "2"])]),
+                    xml.element("c:yVal", {}, [numberReference(["10", "20"])])
+                ])
+            ])
+        ])
+    ]));
+
+    assert.deepEqual(chart.categories, ["1", "2"]);
+    assert.deepEqual(chart.series[0].values, [10, 20]);
+    assert.equal(chart.series[0].name, null);
+});
+
+test("innermost level of multi-level categories is read", function() {
+    var chart = readChartXml(chartSpace([
+        plotArea([
+            xml.element("c:areaChart", {}, [
+                xml.element("c:ser", {}, [
+                    xml.element("c:cat", {}, [
+                        xml.element("c:multiLvlStrRef", {}, [
+                            xml.element("c:multiLvlStrCache", {}, [
+                                xml.element("c:ptCount", {val: "2"}),
+                                xml.element("c:lvl", {}, [point(0, "Jan"), point(1, "Feb")]),
+                                xml.element("c:lvl", {}, [point(0, "2024")])
+                            ])
+                        ])
+                    ])
+                ])
+            ])
+        ])
+    ]));
+
+    assert.deepEqual(chart.categories, ["Jan", "Feb"]);
+});
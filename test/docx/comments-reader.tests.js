@@ -1,6 +1,7 @@
 var assert = require("assert");
 
-var createCommentsReader = require("../../lib/docx/comments-reader").createCommentsReader;
+var commentsReader = require("../../lib/docx/comments-reader");
+var createCommentsReader = commentsReader.createCommentsReader;
 var createBodyReader = require("../../lib/docx/body-reader").createBodyReader;
 var stylesReader = require("../../lib/docx/styles-reader");
 var documents = require("../../lib/documents");
@@ -51,3 +52,73 @@ test('when optional attributes of comment are not blank then they are read', fun
     assert.strictEqual(comment.authorName, "The Piemaker");
     assert.strictEqual(comment.authorInitials, "TP");
 });
+
+
+test("comment threads", {
+    "reply is linked to parent comment using paragraph IDs from commentsExtended": function() {
+        var comments = readComments(commentsXml(), {
+            commentsExtended: commentsReader.readCommentsExtendedXml(xml.element("w15:commentsEx", {}, [
+                xml.element("w15:commentEx", {"w15:paraId": "0000000A", "w15:done": "0"}),
+                xml.element("w15:commentEx", {"w15:paraId": "0000000B", "w15:paraIdParent": "0000000A", "w15:done": "0"})
+            ]))
+        });
+        assert.strictEqual(comments[0].parentCommentId, null);
+        assert.strictEqual(comments[1].parentCommentId, "1");
+    },
+
+    "comment is resolved when marked as done": function() {
+        var comments = readComments(commentsXml(), {
+            commentsExtended: commentsReader.readCommentsExtendedXml(xml.element("w15:commentsEx", {}, [
+                xml.element("w15:commentEx", {"w15:paraId": "0000000A", "w15:done": "1"})
+            ]))
+        });
+        assert.strictEqual(comments[0].isResolved, true);
+        assert.strictEqual(comments[1].isResolved, false);
+    },
+
+    "when comments have no extended properties then comments are unresolved and have no parent": function() {
+        var comments = readComments(commentsXml());
+        assert.strictEqual(comments[1].parentCommentId, null);
+        assert.strictEqual(comments[1].isResolved, false);
+        assert.strictEqual(comments[1].durableId, null);
+    },
+
+    "durable ID is read from commentsIds": function() {
+        var comments = readComments(commentsXml(), {
+            commentsIds: commentsReader.readCommentsIdsXml(xml.element("w16cid:commentsIds", {}, [
+                xml.element("w16cid:commentId", {"w16cid:paraId": "0000000B", "w16cid:durableId": "4E1F2A3B"})
+            ]))
+        });
+        assert.strictEqual(comments[0].durableId, null);
+        assert.strictEqual(comments[1].durableId, "4E1F2A3B");
+    }
+});
+
+test("author identity is read from people", function() {
+    var comments = readComments(commentsXml(), {
+        people: commentsReader.readPeopleXml(xml.element("w15:people", {}, [
+            xml.element("w15:person", {"w15:author": "The Piemaker"}, [
+                xml.element("w15:presenceInfo", {"w15:providerId": "AD", "w15:userId": "S::piemaker@example.com::1234"})
+            ])
+        ]))
+    });
+    assert.deepEqual(comments[0].authorIdentity, {providerId: "AD", userId: "S::piemaker@example.com::1234"});
+    assert.strictEqual(comments[1].authorIdentity, null);
+});
+
+function commentsXml() {
+    return xml.element("w:comments", {}, [
+        xml.element("w:comment", {"w:id": "1", "w:author": "The Piemaker"}, [
+            xml.element("w:p", {"wordml:paraId": "0000000A"})
+        ]),
+        xml.element("w:comment", {"w:id": "2", "w:author": "Chuck"}, [
+            xml.element("w:p", {"wordml:paraId": "0000000C"}),
+            xml.element("w:p", {"wordml:paraId": "0000000B"})
+        ])
+    ]);
+}
+
+function readComments(element, options) {
+    var bodyReader = createBodyReader({styles: stylesReader.defaultStyles});
+    return createCommentsReader(bodyReader, options)(element).value;
+}
@@ -0,0 +1,110 @@
+var assert = require("assert");
+var _ = require("underscore");
+
+var readDiagramDataXml = require("../../lib/docx/diagram-reader").readDiagramDataXml;
+var xml = require("../../lib/xml");
+var test = require("../test")(module);
+
+
+function dataModel(points, connections) {
+    return xml.element("dgm:dataModel", {}, [
+        xml.element("dgm:ptLst", {}, points),
+        xml.element("dgm:cxnLst", {}, connections)
+    ]);
+}
+
+function documentPoint(modelId, properties) {
+    return xml.element("dgm:pt", {modelId: modelId, type: "doc"}, [
+        xml.element("dgm:prSet", properties || {})
+    ]);
+}
+
+function nodePoint(modelId, paragraphs, attributes) {
+    return xml.element("dgm:pt", _.extend({modelId: modelId}, attributes), [
+        xml.element("dgm:prSet"),
+        xml.element("dgm:t", {}, [xml.element("a:bodyPr")].concat(paragraphs.map(function(text) {
+            return xml.element("a:p", {}, [
+                xml.element("a:r", {}, [
+                    xml.element("a:t", {}, [xml.text(text)])
+                ])
+            ]);
+        })))
+    ]);
+}
+
+function connection(sourceId, destinationId, sourceOrder, attributes) {
+    return xml.element("dgm:cxn", _.extend({
+        modelId: sourceId + "-" + destinationId,
+        srcId: sourceId,
+        destId: destinationId,
+        srcOrd: String(sourceOrder),
+        destOrd: "0"
+    }, attributes));
+}
+
+test("nodes are read in order using parent-of connections", function() {
+    var diagram = readDiagramDataXml(dataModel([
+        documentPoint("0", {loTypeId: "urn:microsoft.com/office/officeart/2005/8/layout/orgChart1", loCatId: "hierarchy"}),
+        nodePoint("1", ["CEO"]),
+        nodePoint("2", ["CTO"]),
+        nodePoint("3", ["CFO"])
+    ], [
+        connection("0", "1", 0),
+        connection("1", "3", 1),
+        connection("1", "2", 0)
+    ]));
+
+    assert.deepEqual(diagram, {
+        layout: "urn:microsoft.com/office/officeart/2005/8/layout/orgChart1",
+        category: "hierarchy",
+        nodes: [
+            {
+                text: "CEO",
+                children: [
+                    {text: "CTO", children: []},
+                    {text: "CFO", children: []}
+                ]
+            }
+        ]
+    });
+});
+
+test("paragraphs of node text are separated by newlines", function() {
+    var diagram = readDiagramDataXml(dataModel([
+        documentPoint("0"),
+        nodePoint("1", ["Ada Lovelace", "Analyst"])
+    ], [
+        connection("0", "1", 0)
+    ]));
+
+    assert.equal(diagram.nodes[0].text, "Ada Lovelace\nAnalyst");
+});
+
+test("presentation points, transitions and other connections are ignored", function() {
+    var diagram = readDiagramDataXml(dataModel([
+        documentPoint("0"),
+        nodePoint("1", ["Plan"]),
+        nodePoint("2", ["Ignored"], {type: "pres"}),
+        nodePoint("3", ["Ignored"], {type: "sibTrans"})
+    ], [
+        connection("0", "1", 0),
+        connection("0", "2", 1),
+        connection("0", "3", 2),
+        connection("1", "2", 0, {type: "presOf"})
+    ]));
+
+    assert.deepEqual(diagram.nodes, [{text: "Plan", children: []}]);
+});
+
+test("nodes without text or children are ignored", function() {
+    var diagram = readDiagramDataXml(dataModel([
+        documentPoint("0"),
+        nodePoint("1", []),
+        nodePoint("2", ["Do"])
+    ], [
+        connection("0", "1", 0),
+        connection("0", "2", 1)
+    ]));
+
+    assert.deepEqual(diagram.nodes, [{text: "Do", children: []}]);
+});
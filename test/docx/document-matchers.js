@@ -9,6 +9,7 @@ exports.isRun = isRun;
 exports.isText = isText;
 exports.isCheckbox = isCheckbox;
 exports.isHyperlink = isHyperlink;
+exports.isField = isField;
 exports.isTable = isTable;
 exports.isRow = isRow;
 
@@ -29,6 +30,10 @@ function isHyperlink(properties) {
     return isDocumentElement(documents.types.hyperlink, properties);
 }
 
+function isField(properties) {
+    return isDocumentElement(documents.types.field, properties);
+}
+
 function isTable(options) {
     return isDocumentElement(documents.types.table, options);
 }
@@ -1,7 +1,10 @@
 var assert = require("assert");
+var _ = require("underscore");
 
 var documents = require("../../lib/documents");
 var DocumentXmlReader = require("../../lib/docx/document-xml-reader").DocumentXmlReader;
+var Relationships = require("../../lib/docx/relationships-reader").Relationships;
+var Styles = require("../../lib/docx/styles-reader").Styles;
 var xml = require("../../lib/xml");
 var test = require("../test")(module);
 var createBodyReaderForTests = require("./testing").createBodyReaderForTests;
@@ -21,11 +24,155 @@ test("when body element is present then body is read", function() {
 
     assert.deepEqual(result.messages, []);
     assert.deepEqual(result.value, documents.document(
-        [documents.paragraph([documents.run([documents.text("Hello!")])])],
+        [documents.section([documents.paragraph([documents.run([documents.text("Hello!")])])])],
         {}
     ));
 });
 
+test("body is split into sections at paragraphs with section properties", function() {
+    var bodyReader = createBodyReaderForTests({});
+    var documentXmlReader = new DocumentXmlReader({
+        bodyReader: bodyReader
+    });
+    var bodyXml = xml.element("w:body", {}, [
+        paragraphWithSectionProperties("first", [
+            xml.element("w:pgSz", {"w:w": "16838", "w:h": "11906", "w:orient": "landscape"})
+        ]),
+        paragraphWithStyleId("second"),
+        paragraphWithStyleId("third"),
+        xml.element("w:sectPr", {}, [
+            xml.element("w:type", {"w:val": "continuous"})
+        ])
+    ]);
+    var documentXml = xml.element("w:document", {}, [bodyXml]);
+
+    var result = documentXmlReader.convertXmlToDocument(documentXml);
+
+    var sections = result.value.children;
+    assert.equal(sections.length, 2);
+    assert.equal(sections[0].sectionIndex, 0);
+    assert.deepEqual(_.pluck(sections[0].children, "styleId"), ["first"]);
+    assert.deepEqual(sections[0].pageSize, {width: 16838, height: 11906, orientation: "landscape"});
+    assert.equal(sections[1].sectionIndex, 1);
+    assert.deepEqual(_.pluck(sections[1].children, "styleId"), ["second", "third"]);
+    assert.equal(sections[1].sectionType, "continuous");
+});
+
+test("final section properties are read from body even if not last child of body", function() {
+    var bodyReader = createBodyReaderForTests({});
+    var documentXmlReader = new DocumentXmlReader({
+        bodyReader: bodyReader
+    });
+    var bodyXml = xml.element("w:body", {}, [
+        xml.element("w:sectPr", {}, [
+            xml.element("w:titlePg")
+        ]),
+        paragraphWithStyleId("first")
+    ]);
+    var documentXml = xml.element("w:document", {}, [bodyXml]);
+
+    var result = documentXmlReader.convertXmlToDocument(documentXml);
+
+    var sections = result.value.children;
+    assert.equal(sections.length, 1);
+    assert.deepEqual(_.pluck(sections[0].children, "styleId"), ["first"]);
+    assert.equal(sections[0].isTitlePage, true);
+});
+
+test("section headers and footers", {
+    "are read from referenced parts": function() {
+        var result = readDocumentWithHeaderParts([
+            xml.element("w:sectPr", {}, [
+                headerReference("first", "rId1"),
+                headerReference("default", "rId2"),
+                footerReference("default", "rId3")
+            ])
+        ]);
+
+        var section = result.value.children[0];
+        assert.deepEqual(section.headers.first, documents.Header([paragraphContent("header1")], {headerType: "first", sectionIndex: 0, partPath: "word/header1.xml"}));
+        assert.deepEqual(section.headers.default, documents.Header([paragraphContent("header2")], {headerType: "default", sectionIndex: 0, partPath: "word/header2.xml"}));
+        assert.equal(section.headers.even, undefined);
+        assert.deepEqual(section.footers.default, documents.Footer([paragraphContent("footer1")], {footerType: "default", sectionIndex: 0, partPath: "word/footer1.xml"}));
+        assert.deepEqual(_.pluck(result.value.headers, "headerType"), ["first", "default"]);
+        assert.deepEqual(_.pluck(result.value.footers, "footerType"), ["default"]);
+    },
+
+    "are inherited from previous section if not referenced": function() {
+        var result = readDocumentWithHeaderParts([
+            paragraphWithSectionProperties("first", [
+                headerReference("default", "rId1")
+            ]),
+            paragraphWithStyleId("second"),
+            xml.element("w:sectPr", {}, [
+                headerReference("first", "rId2")
+            ])
+        ]);
+
+        var sections = result.value.children;
+        assert.equal(sections[1].headers.default, sections[0].headers.default);
+        assert.equal(sections[1].headers.default.sectionIndex, 0);
+        assert.equal(sections[1].headers.first.sectionIndex, 1);
+        assert.equal(result.value.headers.length, 2);
+    }
+});
+
+function readDocumentWithHeaderParts(bodyChildren) {
+    var bodyReader = createBodyReaderForTests({
+        styles: new Styles({"first": {name: "First"}, "second": {name: "Second"}}, {}),
+        relationships: new Relationships([
+            {relationshipId: "rId1", target: "header1.xml", type: "header"},
+            {relationshipId: "rId2", target: "header2.xml", type: "header"},
+            {relationshipId: "rId3", target: "footer1.xml", type: "footer"}
+        ])
+    });
+    var documentXmlReader = new DocumentXmlReader({
+        bodyReader: bodyReader,
+        headerParts: {
+            "word/header1.xml": [paragraphContent("header1")],
+            "word/header2.xml": [paragraphContent("header2")]
+        },
+        footerParts: {
+            "word/footer1.xml": [paragraphContent("footer1")]
+        }
+    });
+    var documentXml = xml.element("w:document", {}, [
+        xml.element("w:body", {}, bodyChildren)
+    ]);
+    var result = documentXmlReader.convertXmlToDocument(documentXml);
+    assert.deepEqual(result.messages, []);
+    return result;
+}
+
+function paragraphContent(styleId) {
+    return documents.paragraph([], {styleId: styleId});
+}
+
+function headerReference(type, relationshipId) {
+    return xml.element("w:headerReference", {"w:type": type, "r:id": relationshipId});
+}
+
+function footerReference(type, relationshipId) {
+    return xml.element("w:footerReference", {"w:type": type, "r:id": relationshipId});
+}
+
+function paragraphWithStyleId(styleId) {
+    return xml.element("w:p", {}, [
+        xml.element("w:pPr", {}, [
+            xml.element("w:pStyle", {"w:val": styleId})
+        ])
+    ]);
+}
+
+function paragraphWithSectionProperties(styleId, sectionPropertiesChildren) {
+    return xml.element("w:p", {}, [
+        xml.element("w:pPr", {}, [
+            xml.element("w:pStyle", {"w:val": styleId}),
+            xml.element("w:sectPr", {}, sectionPropertiesChildren)
+        ])
+    ]);
+}
+
 test("when body element is not present then error is thrown", function() {
     var bodyReader = createBodyReaderForTests({});
     var documentXmlReader = new DocumentXmlReader({
@@ -2,6 +2,7 @@ var assert = require("assert");
 
 var docxReader = require("../../lib/docx/docx-reader");
 var documents = require("../../lib/documents");
+var unzip = require("../../lib/unzip");
 var xml = require("../../lib/xml");
 
 var testing = require("../testing");
@@ -12,9 +13,11 @@ var createFakeDocxFile = testing.createFakeDocxFile;
 
 test("can read document with single paragraph with single run of text", function() {
     var expectedDocument = documents.Document([
-        documents.Paragraph([
-            documents.Run([
-                documents.Text("Hello.")
+        documents.Section([
+            documents.Paragraph([
+                documents.Run([
+                    documents.Text("Hello.")
+                ])
             ])
         ])
     ]);
@@ -32,7 +35,7 @@ test("hyperlink hrefs are read from relationships file", function() {
         "word/_rels/document.xml.rels": testData("hyperlinks/word/_rels/document.xml.rels")
     });
     return docxReader.read(docxFile).then(function(result) {
-        var paragraph = result.value.children[0];
+        var paragraph = result.value.children[0].children[0];
         assert.equal(1, paragraph.children.length);
         var hyperlink = paragraph.children[0];
         assert.equal(hyperlink.href, "http://www.example.com");
@@ -40,6 +43,18 @@ test("hyperlink hrefs are read from relationships file", function() {
     });
 });
 
+test("headers and footers are read from parts referenced by section properties", function() {
+    var docxPath = testing.testPath("headers-footers-test.docx");
+    return unzip.openZip({path: docxPath}).then(docxReader.read).then(function(result) {
+        var section = result.value.children[0];
+        assert.equal(section.headers.default.headerType, "default");
+        assert.equal(section.headers.default.sectionIndex, 0);
+        assert.equal(section.footers.default.footerType, "default");
+        assert.deepEqual(result.value.headers, [section.headers.default]);
+        assert.deepEqual(result.value.footers, [section.footers.default]);
+    });
+});
+
 var relationshipNamespaces = {
     "r": "http://schemas.openxmlformats.org/package/2006/relationships"
 };
@@ -57,9 +72,11 @@ test("main document is found using _rels/.rels", function() {
         "_rels/.rels": xml.writeString(relationships, relationshipNamespaces)
     });
     var expectedDocument = documents.Document([
-        documents.Paragraph([
-            documents.Run([
-                documents.Text("Hello.")
+        documents.Section([
+            documents.Paragraph([
+                documents.Run([
+                    documents.Text("Hello.")
+                ])
             ])
         ])
     ]);
@@ -69,6 +86,128 @@ test("main document is found using _rels/.rels", function() {
 });
 
 
+test("charts are read from chart parts related to the part containing them", function() {
+    var chartXml = xml.element("c:chartSpace", {}, [
+        xml.element("c:chart", {}, [
+            xml.element("c:plotArea", {}, [
+                xml.element("c:pieChart", {}, [
+                    xml.element("c:ser", {}, [
+                        xml.element("c:tx", {}, [xml.element("c:v", {}, [xml.text("Apples")])])
+                    ])
+                ])
+            ])
+        ])
+    ]);
+
+    var docxFile = createFakeDocxFile(createDocumentWithChartFiles(xml.writeString(chartXml, {
+        "c": "http://schemas.openxmlformats.org/drawingml/2006/chart"
+    })));
+    return docxReader.read(docxFile).then(function(result) {
+        var chart = result.value.children[0].children[1];
+        assert.equal(chart.type, "chart");
+        assert.equal(chart.chartType, "pie");
+        assert.equal(chart.series[0].name, "Apples");
+    });
+});
+
+test("alt text is used in place of chart with warning when chart part cannot be read", function() {
+    var docxFile = createFakeDocxFile(createDocumentWithChartFiles("<c:chartSpace"));
+    return docxReader.read(docxFile).then(function(result) {
+        var paragraph = result.value.children[0].children[1];
+        assert.equal(paragraph.type, "paragraph");
+        assert.equal(paragraph.children[0].children[0].value, "Fruit sales");
+        assert.equal(result.messages.length, 1);
+        assert.equal(result.messages[0].type, "warning");
+        assert.ok(/^Could not read chart part charts\/chart1.xml: /.test(result.messages[0].message));
+    });
+});
+
+function createDocumentWithChartFiles(chartXml) {
+    var documentXml = xml.element("w:document", {}, [
+        xml.element("w:body", {}, [
+            xml.element("w:p", {}, [
+                xml.element("w:r", {}, [
+                    xml.element("w:drawing", {}, [
+                        xml.element("wp:inline", {}, [
+                            xml.element("wp:docPr", {"descr": "Fruit sales"}),
+                            xml.element("a:graphic", {}, [
+                                xml.element("a:graphicData", {}, [
+                                    xml.element("c:chart", {"r:id": "rId1"})
+                                ])
+                            ])
+                        ])
+                    ])
+                ])
+            ])
+        ])
+    ]);
+    var documentRelationships = xml.element("r:Relationships", {}, [
+        xml.element("r:Relationship", {
+            "Id": "rId1",
+            "Type": "http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart",
+            "Target": "charts/chart1.xml"
+        })
+    ]);
+    return {
+        "word/document.xml": xml.writeString(documentXml, {
+            "w": "http://schemas.openxmlformats.org/wordprocessingml/2006/main",
+            "wp": "http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing",
+            "a": "http://schemas.openxmlformats.org/drawingml/2006/main",
+            "c": "http://schemas.openxmlformats.org/drawingml/2006/chart",
+            "r": "http://schemas.openxmlformats.org/officeDocument/2006/relationships"
+        }),
+        "word/_rels/document.xml.rels": xml.writeString(documentRelationships, relationshipNamespaces),
+        "word/charts/chart1.xml": chartXml
+    };
+}
+
+test("comment threads are read from commentsExtended part", function() {
+    var wordNamespaces = {
+        "w": "http://schemas.openxmlformats.org/wordprocessingml/2006/main",
+        "wordml": "http://schemas.microsoft.com/office/word/2010/wordml",
+        "w15": "http://schemas.microsoft.com/office/word/2012/wordml"
+    };
+    var commentsXml = xml.element("w:comments", {}, [
+        xml.element("w:comment", {"w:id": "1"}, [xml.element("w:p", {"wordml:paraId": "0000000A"})]),
+        xml.element("w:comment", {"w:id": "2"}, [xml.element("w:p", {"wordml:paraId": "0000000B"})])
+    ]);
+    var commentsExtendedXml = xml.element("w15:commentsEx", {}, [
+        xml.element("w15:commentEx", {"w15:paraId": "0000000A", "w15:done": "1"}),
+        xml.element("w15:commentEx", {"w15:paraId": "0000000B", "w15:paraIdParent": "0000000A", "w15:done": "0"})
+    ]);
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": testData("simple/word/document.xml"),
+        "word/comments.xml": xml.writeString(commentsXml, wordNamespaces),
+        "word/commentsExtended.xml": xml.writeString(commentsExtendedXml, wordNamespaces)
+    });
+    return docxReader.read(docxFile).then(function(result) {
+        var comments = result.value.comments;
+        assert.strictEqual(comments[0].isResolved, true);
+        assert.strictEqual(comments[1].parentCommentId, "1");
+    });
+});
+
+test("tracked changes option is used when reading main document", function() {
+    var documentXml = xml.element("w:document", {}, [
+        xml.element("w:body", {}, [
+            xml.element("w:p", {}, [
+                xml.element("w:ins", {}, [
+                    xml.element("w:r", {}, [xml.element("w:t", {}, [xml.text("Hello.")])])
+                ])
+            ])
+        ])
+    ]);
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": xml.writeString(documentXml, {
+            "w": "http://schemas.openxmlformats.org/wordprocessingml/2006/main"
+        })
+    });
+    return docxReader.read(docxFile, {}, {trackedChanges: "reject"}).then(function(result) {
+        var paragraph = result.value.children[0].children[0];
+        assert.deepEqual(paragraph.children, []);
+    });
+});
+
 test("error is thrown when main document part does not exist", function() {
     var relationships = xml.element("r:Relationships", {}, [
         xml.element("r:Relationship", {
@@ -169,6 +308,80 @@ test("part paths", {
 });
 
 
+[
+    {
+        name: "coreProperties",
+        type: "http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties",
+        fallbackPath: "docProps/core.xml"
+    },
+    {
+        name: "extendedProperties",
+        type: "http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties",
+        fallbackPath: "docProps/app.xml"
+    },
+    {
+        name: "customProperties",
+        type: "http://schemas.openxmlformats.org/officeDocument/2006/relationships/custom-properties",
+        fallbackPath: "docProps/custom.xml"
+    }
+].forEach(function(options) {
+    test(options.name + " part is found using package relationships", function() {
+        var docxFile = createFakeDocxFile({
+            "_rels/.rels": xml.writeString(xml.element("r:Relationships", {}, [
+                xml.element("r:Relationship", {
+                    "Type": "http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument",
+                    "Target": "word/document.xml"
+                }),
+                xml.element("r:Relationship", {
+                    "Type": options.type,
+                    "Target": "properties/target-path.xml"
+                })
+            ]), relationshipNamespaces),
+            "word/document.xml": " ",
+            "properties/target-path.xml": " "
+        });
+        return docxReader._findPartPaths(docxFile).then(function(partPaths) {
+            assert.equal(partPaths[options.name], "properties/target-path.xml");
+        });
+    });
+
+    test(options.fallbackPath + " is used as fallback location for " + options.name + " part", function() {
+        var docxFile = createFakeDocxFile({
+            "_rels/.rels": createPackageRelationships("word/document.xml"),
+            "word/document.xml": " "
+        });
+        return docxReader._findPartPaths(docxFile).then(function(partPaths) {
+            assert.equal(partPaths[options.name], options.fallbackPath);
+        });
+    });
+});
+
+test("metadata is empty when document has no properties parts", function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": " "
+    });
+    return docxReader.readMetadata(docxFile).then(function(metadata) {
+        assert.strictEqual(metadata.title, null);
+        assert.strictEqual(metadata.pages, null);
+        assert.deepEqual(metadata.customProperties, {});
+    });
+});
+
+test("metadata is empty with warning when properties part cannot be read", function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": testData("simple/word/document.xml"),
+        "docProps/core.xml": "<cp:coreProperties"
+    });
+    return docxReader.read(docxFile).then(function(result) {
+        assert.strictEqual(result.metadata.title, null);
+        assert.deepEqual(result.metadata.customProperties, {});
+        assert.equal(result.messages.length, 1);
+        assert.equal(result.messages[0].type, "warning");
+        assert.ok(/^Could not read document properties: /.test(result.messages[0].message));
+    });
+});
+
+
 function createPackageRelationships(mainDocumentPath) {
     return xml.writeString(xml.element("r:Relationships", {}, [
         xml.element("r:Relationship", {
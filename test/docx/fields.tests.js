@@ -0,0 +1,45 @@
+var assert = require("assert");
+
+var parseFieldInstruction = require("../../lib/docx/fields").parseFieldInstruction;
+var test = require("../test")(module);
+
+
+test("field type is read in upper case", function() {
+    var field = parseFieldInstruction(" date ");
+    assert.equal(field.fieldType, "DATE");
+    assert.equal(field.instruction, "date");
+    assert.deepEqual(field.arguments, []);
+    assert.deepEqual(field.switches, []);
+});
+
+test("arguments are read with quotes removed", function() {
+    var field = parseFieldInstruction('DOCPROPERTY "Contract Title" ');
+    assert.equal(field.fieldType, "DOCPROPERTY");
+    assert.deepEqual(field.arguments, ["Contract Title"]);
+});
+
+test("escaped quotes and backslashes in quoted arguments are unescaped", function() {
+    var field = parseFieldInstruction('INCLUDETEXT "C:\\\\docs\\\\a \\"b\\".docx"');
+    assert.deepEqual(field.arguments, ['C:\\docs\\a "b".docx']);
+});
+
+test("switches are read with arguments when followed by a value", function() {
+    var field = parseFieldInstruction('TOC \\o "1-3" \\h \\z \\u');
+    assert.equal(field.fieldType, "TOC");
+    assert.deepEqual(field.arguments, []);
+    assert.deepEqual(field.switches, [
+        {name: "o", argument: "1-3"},
+        {name: "h", argument: null},
+        {name: "z", argument: null},
+        {name: "u", argument: null}
+    ]);
+});
+
+test("general formatting switches are read", function() {
+    var field = parseFieldInstruction('SEQ Figure \\* ARABIC \\@ "dd.MM.yyyy"');
+    assert.deepEqual(field.arguments, ["Figure"]);
+    assert.deepEqual(field.switches, [
+        {name: "*", argument: "ARABIC"},
+        {name: "@", argument: "dd.MM.yyyy"}
+    ]);
+});
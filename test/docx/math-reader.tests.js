@@ -0,0 +1,145 @@
+var assert = require("assert");
+
+var createMathReader = require("../../lib/docx/math-reader").createMathReader;
+var xml = require("../../lib/xml");
+var warning = require("../../lib/results").warning;
+var test = require("../test")(module);
+
+
+function readMath(children, options) {
+    return createMathReader().readMath(xml.element("m:oMath", {}, children), options || {});
+}
+
+function mathRun(text, properties) {
+    return xml.element("m:r", {}, (properties || []).concat([
+        xml.element("m:t", {}, [xml.text(text)])
+    ]));
+}
+
+function argument(name, children) {
+    return xml.element(name, {}, children);
+}
+
+test("math element is read with display flag", function() {
+    var result = readMath([], {isDisplay: true});
+    assert.deepEqual(result.value, {type: "math", content: [], isDisplay: true});
+    assert.deepEqual(result.messages, []);
+});
+
+test("math run text is split into identifiers, numbers and operators", function() {
+    var result = readMath([mathRun("xy+12.5")]);
+    assert.deepEqual(result.value.content, [
+        {type: "identifier", value: "x", isNormal: false},
+        {type: "identifier", value: "y", isNormal: false},
+        {type: "operator", value: "+"},
+        {type: "number", value: "12.5"}
+    ]);
+});
+
+test("plain style math run text is read as a single identifier", function() {
+    var result = readMath([mathRun("sin", [
+        xml.element("m:rPr", {}, [xml.element("m:sty", {"m:val": "p"})])
+    ])]);
+    assert.deepEqual(result.value.content, [
+        {type: "identifier", value: "sin", isNormal: true}
+    ]);
+});
+
+test("normal text math run is read as normal text", function() {
+    var result = readMath([mathRun("if x", [
+        xml.element("m:rPr", {}, [xml.element("m:nor")])
+    ])]);
+    assert.deepEqual(result.value.content, [
+        {type: "normalText", value: "if x"}
+    ]);
+});
+
+test("fraction is read with numerator and denominator", function() {
+    var result = readMath([xml.element("m:f", {}, [
+        argument("m:num", [mathRun("1")]),
+        argument("m:den", [mathRun("2")])
+    ])]);
+    assert.deepEqual(result.value.content, [{
+        type: "fraction",
+        fractionType: "bar",
+        numerator: [{type: "number", value: "1"}],
+        denominator: [{type: "number", value: "2"}]
+    }]);
+});
+
+test("superscript is read with base and superscript", function() {
+    var result = readMath([xml.element("m:sSup", {}, [
+        argument("m:e", [mathRun("2")]),
+        argument("m:sup", [mathRun("3")])
+    ])]);
+    assert.deepEqual(result.value.content, [{
+        type: "scripts",
+        base: [{type: "number", value: "2"}],
+        subscript: null,
+        superscript: [{type: "number", value: "3"}],
+        isPrescript: false
+    }]);
+});
+
+test("radical with hidden degree has no degree", function() {
+    var result = readMath([xml.element("m:rad", {}, [
+        xml.element("m:radPr", {}, [xml.element("m:degHide", {"m:val": "1"})]),
+        argument("m:deg", []),
+        argument("m:e", [mathRun("2")])
+    ])]);
+    assert.deepEqual(result.value.content, [{
+        type: "radical",
+        degree: null,
+        base: [{type: "number", value: "2"}]
+    }]);
+});
+
+test("delimiter characters default to parentheses", function() {
+    var result = readMath([xml.element("m:d", {}, [
+        argument("m:e", [mathRun("1")]),
+        argument("m:e", [mathRun("2")])
+    ])]);
+    assert.deepEqual(result.value.content, [{
+        type: "delimiter",
+        open: "(",
+        close: ")",
+        separator: "|",
+        items: [[{type: "number", value: "1"}], [{type: "number", value: "2"}]]
+    }]);
+});
+
+test("n-ary operator limits are under and over unless operator is an integral", function() {
+    function readNary(operator) {
+        return readMath([xml.element("m:nary", {}, [
+            xml.element("m:naryPr", {}, [xml.element("m:chr", {"m:val": operator})]),
+            argument("m:sub", [mathRun("0")]),
+            argument("m:sup", []),
+            argument("m:e", [mathRun("x")])
+        ])]).value.content[0];
+    }
+
+    var sum = readNary("∑");
+    assert.equal(sum.hasLimitsUnderOver, true);
+    assert.deepEqual(sum.lower, [{type: "number", value: "0"}]);
+    assert.strictEqual(sum.upper, null);
+    assert.equal(readNary("∫").hasLimitsUnderOver, false);
+});
+
+test("properties, bookmarks and deleted runs are ignored without warnings", function() {
+    var result = readMath([
+        xml.element("m:ctrlPr"),
+        xml.element("w:bookmarkStart"),
+        xml.element("w:del", {}, [mathRun("1")]),
+        xml.element("w:ins", {}, [mathRun("2")])
+    ]);
+    assert.deepEqual(result.value.content, [{type: "number", value: "2"}]);
+    assert.deepEqual(result.messages, []);
+});
+
+test("unsupported math elements are replaced by their content with a warning", function() {
+    var result = readMath([xml.element("m:unknown", {}, [mathRun("1")])]);
+    assert.deepEqual(result.value.content, [{type: "number", value: "1"}]);
+    assert.deepEqual(result.messages, [
+        warning("An unsupported math element was replaced by its content: m:unknown")
+    ]);
+});
@@ -0,0 +1,90 @@
+var assert = require("assert");
+
+var metadataReader = require("../../lib/docx/metadata-reader");
+var xml = require("../../lib/xml");
+var test = require("../test")(module);
+
+
+function textElement(name, value) {
+    return xml.element(name, {}, [xml.text(value)]);
+}
+
+test("core properties are read", function() {
+    var element = xml.element("cp:coreProperties", {}, [
+        textElement("dc:title", "Annual report"),
+        textElement("dc:subject", "Finances"),
+        textElement("dc:creator", "Ada"),
+        textElement("cp:keywords", "report; finances"),
+        textElement("cp:lastModifiedBy", "Bob"),
+        textElement("cp:revision", "7"),
+        textElement("dcterms:created", "2024-03-01T09:30:00Z"),
+        textElement("dcterms:modified", "2024-03-02T10:00:00Z")
+    ]);
+
+    var properties = metadataReader.readCorePropertiesXml(element);
+
+    assert.equal(properties.title, "Annual report");
+    assert.equal(properties.subject, "Finances");
+    assert.equal(properties.author, "Ada");
+    assert.equal(properties.keywords, "report; finances");
+    assert.equal(properties.lastModifiedBy, "Bob");
+    assert.strictEqual(properties.revision, 7);
+    assert.deepEqual(properties.created, new Date(Date.UTC(2024, 2, 1, 9, 30)));
+    assert.deepEqual(properties.modified, new Date(Date.UTC(2024, 2, 2, 10, 0)));
+});
+
+test("missing and empty core properties are read as null", function() {
+    var element = xml.element("cp:coreProperties", {}, [
+        xml.element("dc:title", {}, []),
+        textElement("dcterms:created", "not a date")
+    ]);
+
+    var properties = metadataReader.readCorePropertiesXml(element);
+
+    assert.strictEqual(properties.title, null);
+    assert.strictEqual(properties.author, null);
+    assert.strictEqual(properties.created, null);
+    assert.strictEqual(properties.revision, null);
+});
+
+test("extended properties are read", function() {
+    var element = xml.element("extended-properties:Properties", {}, [
+        textElement("extended-properties:Application", "Microsoft Office Word"),
+        textElement("extended-properties:Company", "Acme"),
+        textElement("extended-properties:Pages", "3"),
+        textElement("extended-properties:Words", "420"),
+        textElement("extended-properties:Characters", "2400")
+    ]);
+
+    var properties = metadataReader.readExtendedPropertiesXml(element);
+
+    assert.equal(properties.application, "Microsoft Office Word");
+    assert.equal(properties.company, "Acme");
+    assert.strictEqual(properties.pages, 3);
+    assert.strictEqual(properties.words, 420);
+    assert.strictEqual(properties.characters, 2400);
+    assert.strictEqual(properties.lines, null);
+});
+
+test("custom properties are read using their variant types", function() {
+    function property(name, value) {
+        return xml.element("custom-properties:property", {name: name}, [value]);
+    }
+    var element = xml.element("custom-properties:Properties", {}, [
+        property("Client", textElement("vt:lpwstr", "Acme")),
+        property("Version", textElement("vt:i4", "3")),
+        property("Rate", textElement("vt:r8", "1.5")),
+        property("Approved", textElement("vt:bool", "true")),
+        property("Due", textElement("vt:filetime", "2024-05-01T00:00:00Z"))
+    ]);
+
+    var properties = metadataReader.readCustomPropertiesXml(element);
+
+    assert.deepEqual(properties, {
+        Client: "Acme",
+        Version: 3,
+        Rate: 1.5,
+        Approved: true,
+        Due: new Date(Date.UTC(2024, 4, 1))
+    });
+});
@@ -0,0 +1,124 @@
+var assert = require("assert");
+
+var numberingLabels = require("../../lib/docx/numbering-labels");
+var NumberingCounter = numberingLabels.NumberingCounter;
+var formatNumber = numberingLabels.formatNumber;
+var readNumberingXml = require("../../lib/docx/numbering-xml").readNumberingXml;
+var stylesReader = require("../../lib/docx/styles-reader");
+var xml = require("../../lib/xml");
+var test = require("../test")(module);
+
+
+function level(levelIndex, format, text, children) {
+    return xml.element("w:lvl", {"w:ilvl": levelIndex}, [
+        xml.element("w:start", {"w:val": "1"}),
+        xml.element("w:numFmt", {"w:val": format}),
+        xml.element("w:lvlText", {"w:val": text})
+    ].concat(children || []));
+}
+
+function readNumbering(abstractNumChildren, numsChildren) {
+    return readNumberingXml(
+        xml.element("w:numbering", {}, [
+            xml.element("w:abstractNum", {"w:abstractNumId": "1"}, abstractNumChildren)
+        ].concat(numsChildren || [
+            xml.element("w:num", {"w:numId": "10"}, [
+                xml.element("w:abstractNumId", {"w:val": "1"})
+            ])
+        ])),
+        {styles: stylesReader.defaultStyles}
+    );
+}
+
+function labels(numbering, paragraphs) {
+    var counter = new NumberingCounter(numbering);
+    return paragraphs.map(function(paragraph) {
+        var numId = paragraph[0];
+        var levelIndex = paragraph[1];
+        var levelInfo = numbering.findLevel(numId, levelIndex);
+        var properties = Object.assign({}, levelInfo, {numId: numId});
+        return counter.next(properties).label;
+    });
+}
+
+test("multi-level labels use the counters of higher levels", function() {
+    var numbering = readNumbering([
+        level("0", "decimal", "%1."),
+        level("1", "lowerLetter", "%1.%2)")
+    ]);
+    assert.deepEqual(
+        labels(numbering, [["10", "0"], ["10", "1"], ["10", "1"], ["10", "0"], ["10", "1"]]),
+        ["1.", "1.a)", "1.b)", "2.", "2.a)"]
+    );
+});
+
+test("level text can include literal text", function() {
+    var numbering = readNumbering([
+        level("0", "upperRoman", "Article %1")
+    ]);
+    assert.deepEqual(
+        labels(numbering, [["10", "0"], ["10", "0"], ["10", "0"], ["10", "0"]]),
+        ["Article I", "Article II", "Article III", "Article IV"]
+    );
+});
+
+test("level with w:lvlRestart of zero is never restarted", function() {
+    var numbering = readNumbering([
+        level("0", "decimal", "%1."),
+        level("1", "decimal", "(%2)", [xml.element("w:lvlRestart", {"w:val": "0"})])
+    ]);
+    assert.deepEqual(
+        labels(numbering, [["10", "0"], ["10", "1"], ["10", "0"], ["10", "1"]]),
+        ["1.", "(1)", "2.", "(2)"]
+    );
+});
+
+test("nums sharing an abstract num continue numbering unless the start is overridden", function() {
+    var numbering = readNumbering([
+        level("0", "decimal", "%1.")
+    ], [
+        xml.element("w:num", {"w:numId": "10"}, [xml.element("w:abstractNumId", {"w:val": "1"})]),
+        xml.element("w:num", {"w:numId": "11"}, [xml.element("w:abstractNumId", {"w:val": "1"})]),
+        xml.element("w:num", {"w:numId": "12"}, [
+            xml.element("w:abstractNumId", {"w:val": "1"}),
+            xml.element("w:lvlOverride", {"w:ilvl": "0"}, [
+                xml.element("w:startOverride", {"w:val": "5"})
+            ])
+        ])
+    ]);
+    assert.deepEqual(
+        labels(numbering, [["10", "0"], ["11", "0"], ["12", "0"], ["12", "0"]]),
+        ["1.", "2.", "5.", "6."]
+    );
+});
+
+test("legal numbering formats higher levels as decimal numbers", function() {
+    var numbering = readNumbering([
+        level("0", "upperRoman", "%1."),
+        level("1", "decimal", "%1.%2", [xml.element("w:isLgl")])
+    ]);
+    assert.deepEqual(
+        labels(numbering, [["10", "0"], ["10", "0"], ["10", "1"]]),
+        ["I.", "II.", "2.1"]
+    );
+});
+
+test("bullet label uses the bullet character", function() {
+    var numbering = readNumbering([
+        level("0", "bullet", "", [
+            xml.element("w:rPr", {}, [xml.element("w:rFonts", {"w:ascii": "Symbol", "w:hAnsi": "Symbol"})])
+        ])
+    ]);
+    assert.deepEqual(labels(numbering, [["10", "0"]]), ["•"]);
+});
+
+test("numbers are formatted using the number format", function() {
+    assert.equal(formatNumber(4, "decimal"), "4");
+    assert.equal(formatNumber(4, "decimalZero"), "04");
+    assert.equal(formatNumber(14, "lowerRoman"), "xiv");
+    assert.equal(formatNumber(28, "upperLetter"), "BB");
+    assert.equal(formatNumber(12, "ordinal"), "12th");
+    assert.equal(formatNumber(22, "ordinal"), "22nd");
+    assert.equal(formatNumber(3, "none"), "");
+    assert.equal(formatNumber(3, "unknownFormat"), "3");
+});
@@ -113,6 +113,34 @@ test('numbering level can be found by paragraph style ID', function() {
     duck.assertThat(numbering.findLevelByParagraphStyleId("Paragraph"), duck.equalTo(null));
 });
 
+test('level in w:lvlOverride replaces level from w:abstractNum', function() {
+    var numbering = readNumberingXml(
+        new XmlElement("w:numbering", {}, [
+            new XmlElement("w:abstractNum", {"w:abstractNumId": "42"}, [
+                new XmlElement("w:lvl", {"w:ilvl": "0"}, [
+                    new XmlElement("w:numFmt", {"w:val": "decimal"})
+                ])
+            ]),
+            new XmlElement("w:num", {"w:numId": "47"}, [
+                new XmlElement("w:abstractNumId", {"w:val": "42"}),
+                new XmlElement("w:lvlOverride", {"w:ilvl": "0"}, [
+                    new XmlElement("w:startOverride", {"w:val": "3"}),
+                    new XmlElement("w:lvl", {"w:ilvl": "0"}, [
+                        new XmlElement("w:numFmt", {"w:val": "upperLetter"})
+                    ])
+                ])
+            ])
+        ]),
+        {styles: stylesReader.defaultStyles}
+    );
+    duck.assertThat(numbering.findLevel("47", "0"), duck.hasProperties({
+        format: "upperLetter",
+        abstractNumId: "42"
+    }));
+    assert.equal(numbering.findStartOverride("47", "0"), 3);
+    assert.equal(numbering.findStartOverride("47", "1"), null);
+});
+
 test('when styles is missing then error is thrown', function() {
     assert.throws(function() {
         readNumberingXml(new XmlElement("w:numbering", {}, []));
@@ -24,6 +24,31 @@ test("mc:AlternateContent", {
         });
     },
 
+    "when mc:Choice requires wps then mc:Choice is read": function() {
+        var xmlString =
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<numbering xmlns:mc="http://schemas.openxmlformats.org/markup-compatibility/2006">' +
+            '<mc:AlternateContent>' +
+            '<mc:Choice Requires="wps">' +
+            '<choice>' +
+            '<mc:AlternateContent>' +
+            '<mc:Choice Requires="w14"><nestedChoice/></mc:Choice>' +
+            '<mc:Fallback><nestedFallback/></mc:Fallback>' +
+            '</mc:AlternateContent>' +
+            '</choice>' +
+            '</mc:Choice>' +
+            '<mc:Fallback>' +
+            '<fallback/>' +
+            '</mc:Fallback>' +
+            '</mc:AlternateContent>' +
+            '</numbering>';
+        return officeXmlReader.read(xmlString).then(function(element) {
+            assert.deepEqual(element.children, [
+                xml.element("choice", {}, [xml.element("nestedFallback")])
+            ]);
+        });
+    },
+
     "when mc:Fallback is not present then element is ignored": function() {
         var xmlString =
             '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
@@ -110,6 +110,107 @@ test('numbering style has numId read from paragraph properties', function() {
     assert.equal(styles.findNumberingStyleById("List1").numId, "42");
 });
 
+test('custom styles include properties inherited from styles they are based on', function() {
+    var styles = readStylesXml(
+        new XmlElement("w:styles", {}, [
+            new XmlElement("w:style", {"w:type": "paragraph", "w:styleId": "Heading1"}, [
+                new XmlElement("w:basedOn", {"w:val": "Normal"}),
+                new XmlElement("w:pPr", {}, [
+                    new XmlElement("w:spacing", {"w:before": "240"})
+                ]),
+                new XmlElement("w:rPr", {}, [
+                    new XmlElement("w:sz", {"w:val": "32"})
+                ])
+            ]),
+            new XmlElement("w:style", {"w:type": "paragraph", "w:styleId": "Normal"}, [
+                new XmlElement("w:pPr", {}, [
+                    new XmlElement("w:spacing", {"w:after": "160", "w:line": "259", "w:lineRule": "auto"})
+                ]),
+                new XmlElement("w:rPr", {}, [
+                    new XmlElement("w:b"),
+                    new XmlElement("w:color", {"w:val": "2F5496"})
+                ])
+            ])
+        ])
+    );
+    assert.deepEqual(styles.getCustomStyles().Heading1.properties, {
+        bold: true,
+        color: "2F5496",
+        fontSize: 16,
+        spacing: {before: "240", after: "160", line: "259", lineRule: "auto"}
+    });
+});
+
+test('toggle properties of custom styles can be turned off', function() {
+    var styles = readStylesXml(
+        new XmlElement("w:styles", {}, [
+            new XmlElement("w:style", {"w:type": "character", "w:styleId": "Strong"}, [
+                new XmlElement("w:rPr", {}, [new XmlElement("w:b")])
+            ]),
+            new XmlElement("w:style", {"w:type": "character", "w:styleId": "NotStrong"}, [
+                new XmlElement("w:basedOn", {"w:val": "Strong"}),
+                new XmlElement("w:rPr", {}, [new XmlElement("w:b", {"w:val": "0"})])
+            ])
+        ])
+    );
+    assert.strictEqual(styles.getCustomStyles().NotStrong.properties.bold, false);
+});
+
+test('custom styles based on each other do not cause infinite recursion', function() {
+    var styles = readStylesXml(
+        new XmlElement("w:styles", {}, [
+            new XmlElement("w:style", {"w:type": "paragraph", "w:styleId": "A"}, [
+                new XmlElement("w:basedOn", {"w:val": "B"})
+            ]),
+            new XmlElement("w:style", {"w:type": "paragraph", "w:styleId": "B"}, [
+                new XmlElement("w:basedOn", {"w:val": "A"})
+            ])
+        ])
+    );
+    assert.deepEqual(styles.getCustomStyles().A.properties, {});
+});
+
+test('table styles include conditional formatting types and row band size', function() {
+    var styles = readStylesXml(
+        new XmlElement("w:styles", {}, [
+            new XmlElement("w:style", {"w:type": "table", "w:styleId": "GridTable"}, [
+                new XmlElement("w:basedOn", {"w:val": "TableNormal"}),
+                new XmlElement("w:tblPr", {}, [
+                    new XmlElement("w:tblStyleRowBandSize", {"w:val": "2"})
+                ]),
+                new XmlElement("w:tblStylePr", {"w:type": "firstRow"}),
+                new XmlElement("w:tblStylePr", {"w:type": "band1Horz"})
+            ])
+        ])
+    );
+    var style = styles.findTableStyleById("GridTable");
+    assert.equal(style.basedOn, "TableNormal");
+    assert.deepEqual(style.conditionalFormattingTypes, ["firstRow", "band1Horz"]);
+    assert.equal(style.rowBandSize, 2);
+});
+
+test('paragraph styles have outline level inherited from the style they are based on', function() {
+    var styles = readStylesXml(
+        new XmlElement("w:styles", {}, [
+            new XmlElement("w:style", {"w:type": "paragraph", "w:styleId": "Heading1"}, [
+                new XmlElement("w:pPr", {}, [new XmlElement("w:outlineLvl", {"w:val": "0"})])
+            ]),
+            new XmlElement("w:style", {"w:type": "paragraph", "w:styleId": "Title"}, [
+                new XmlElement("w:basedOn", {"w:val": "Heading1"})
+            ]),
+            new XmlElement("w:style", {"w:type": "paragraph", "w:styleId": "BodyText"}, [
+                new XmlElement("w:basedOn", {"w:val": "Heading1"}),
+                new XmlElement("w:pPr", {}, [new XmlElement("w:outlineLvl", {"w:val": "9"})])
+            ]),
+            paragraphStyleElement("Normal", "Normal")
+        ])
+    );
+    assert.equal(styles.findParagraphStyleById("Heading1").outlineLevel, 0);
+    assert.equal(styles.findParagraphStyleById("Title").outlineLevel, 0);
+    assert.equal(styles.findParagraphStyleById("BodyText").outlineLevel, null);
+    assert.equal(styles.findParagraphStyleById("Normal").outlineLevel, null);
+});
+
 function paragraphStyleElement(id, name) {
     return styleElement("paragraph", id, name);
 }
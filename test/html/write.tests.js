@@ -17,6 +17,12 @@ test("double quotes outside of attributes are not escaped", function() {
         '"');
 });
 
+test("raw HTML is not escaped", function() {
+    assert.equal(
+        generateString(html.raw("<svg></svg>")),
+        "<svg></svg>");
+});
+
 test("element attributes are HTML escaped", function() {
     assert.equal(
         generateString(html.freshElement("p", {"x": "<"})),
@@ -21,6 +21,40 @@ test('should convert docx containing one paragraph to single p element', functio
     });
 });
 
+test('CSS for Word styles is included in result when includeStyleCss is set', function() {
+    var docxPath = path.join(__dirname, "test-data/single-paragraph.docx");
+    return mammoth.convertToHtml({path: docxPath}, {includeStyleCss: true}).then(function(result) {
+        assert.equal(result.value, "<p>Walking on imported air</p>");
+        assert.equal(
+            result.css,
+            "/* Normal */\n" +
+            ".style-Normal {margin-bottom: 10pt; line-height: 1.15; font-family: 'Calibri'; font-size: 11pt}\n"
+        );
+    });
+});
+
+test('metadata is read from document properties', function() {
+    var docxPath = path.join(__dirname, "test-data/single-paragraph.docx");
+    return mammoth.readMetadata({path: docxPath}).then(function(metadata) {
+        assert.equal(metadata.author, "Michael Williamson");
+        assert.strictEqual(metadata.title, null);
+        assert.strictEqual(metadata.revision, 2);
+        assert.deepEqual(metadata.created, new Date(Date.UTC(2013, 3, 3, 20, 15)));
+        assert.strictEqual(metadata.pages, 1);
+        assert.strictEqual(metadata.words, 3);
+        assert.equal(metadata.template, "Normal.dotm");
+        assert.deepEqual(metadata.customProperties, {});
+    });
+});
+
+test('result of conversion includes metadata', function() {
+    var docxPath = path.join(__dirname, "test-data/single-paragraph.docx");
+    return mammoth.convertToHtml({path: docxPath}).then(function(result) {
+        assert.equal(result.value, "<p>Walking on imported air</p>");
+        assert.equal(result.metadata.author, "Michael Williamson");
+    });
+});
+
 test('should convert docx represented by a Buffer', function() {
     var docxPath = path.join(__dirname, "test-data/single-paragraph.docx");
     return promises.nfcall(fs.readFile, docxPath)
@@ -201,7 +235,7 @@ test('options.transformDocument is used to transform document if set', function(
     });
     var options = {
         transformDocument: function(document) {
-            document.children[0].styleId = "Heading1";
+            document.children[0].children[0].styleId = "Heading1";
             return document;
         }
     };
@@ -480,7 +514,7 @@ test('can convert single paragraph to markdown', function() {
 test('extractRawText only retains raw text', function() {
     var docxPath = path.join(__dirname, "test-data/simple-list.docx");
     return mammoth.extractRawText({path: docxPath}).then(function(result) {
-        assert.equal(result.value, 'Apple\n\nBanana\n\n');
+        assert.equal(result.value, '•\tApple\n\n•\tBanana\n\n');
     });
 });
 
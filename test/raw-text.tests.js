@@ -2,7 +2,8 @@ var assert = require("assert");
 
 var documents = require("../lib/documents");
 var test = require("./test")(module);
-var convertElementToRawText = require("../lib/raw-text").convertElementToRawText;
+var rawText = require("../lib/raw-text");
+var convertElementToRawText = rawText.convertElementToRawText;
 
 
 test('text element is converted to text content', function() {
@@ -21,6 +22,45 @@ test('tab element is converted to tab character', function() {
     assert.strictEqual(result, "\t");
 });
 
+test('math element is converted to LaTeX-like text', function() {
+    var element = documents.Math([
+        {
+            type: "fraction",
+            fractionType: "bar",
+            numerator: [{type: "identifier", value: "x", isNormal: false}],
+            denominator: [{type: "number", value: "2"}]
+        }
+    ]);
+
+    var result = convertElementToRawText(element);
+
+    assert.strictEqual(result, "\\frac{x}{2}");
+});
+
+test('chart is converted to its title and tab-separated values', function() {
+    var element = documents.Chart({
+        title: "Fruit sales",
+        categories: ["Q1", "Q2"],
+        series: [{name: "Apples", values: [1, 2]}]
+    });
+
+    var result = convertElementToRawText(element);
+
+    assert.strictEqual(result, "Fruit sales\n\n\tApples\nQ1\t1\nQ2\t2\n\n");
+});
+
+test('diagram is converted to indented lines of node text', function() {
+    var element = documents.Diagram([
+        {text: "CEO", children: [
+            {text: "Ada\nCTO", children: []}
+        ]}
+    ]);
+
+    var result = convertElementToRawText(element);
+
+    assert.strictEqual(result, "CEO\n\tAda CTO\n\n");
+});
+
 test('paragraphs are terminated with newlines', function() {
     var element = new documents.Paragraph(
         [
@@ -35,6 +75,33 @@ test('paragraphs are terminated with newlines', function() {
     assert.strictEqual(result, "Hello world.\n\n");
 });
 
+test('numbered paragraphs are prefixed with their numbering label', function() {
+    var element = new documents.Paragraph(
+        [new documents.Text("Scope")],
+        {numbering: {level: "0", isOrdered: true, label: "Article 1", suffix: "space"}}
+    );
+
+    var result = convertElementToRawText(element);
+
+    assert.strictEqual(result, "Article 1 Scope\n\n");
+});
+
+test('text boxes within paragraphs are written after the paragraph', function() {
+    var element = new documents.Paragraph([
+        new documents.Text("Before "),
+        new documents.Run([
+            new documents.TextBox([
+                new documents.Paragraph([new documents.Text("Sidebar")])
+            ])
+        ]),
+        new documents.Text("after.")
+    ]);
+
+    var result = convertElementToRawText(element);
+
+    assert.strictEqual(result, "Before after.\n\nSidebar\n\n");
+});
+
 test('children are recursively converted to text', function() {
     var element = new documents.Document([
         new documents.Paragraph(
@@ -59,3 +126,16 @@ test('non-text element without children is converted to empty string', function(
 
     assert.strictEqual(result, "");
 });
+
+test('prefix of text is removed across elements', function() {
+    var element = new documents.Paragraph([
+        new documents.Run([new documents.Text("No")]),
+        new documents.Run([new documents.Text("te: "), documents.tab()]),
+        new documents.Run([new documents.Text("Read this.")])
+    ]);
+
+    var result = rawText.removeRawTextPrefix(element, 6);
+
+    assert.strictEqual(convertElementToRawText(result), "\tRead this.\n\n");
+    assert.strictEqual(convertElementToRawText(element), "Note: \tRead this.\n\n");
+});
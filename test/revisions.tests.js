@@ -0,0 +1,188 @@
+var assert = require("assert");
+
+var documents = require("../lib/documents");
+var extractRevisions = require("../lib/revisions").extractRevisions;
+var test = require("./test")(module);
+
+
+test("insertions and deletions are listed with their metadata and text", function() {
+    var document = documents.document([
+        documents.paragraph([
+            runOfText("Knock "),
+            documents.run([
+                documents.ins([runOfText("knock")], {authorName: "Chuck", date: "2024-01-02T03:04:00Z", changeId: "1"})
+            ]),
+            documents.run([
+                documents.del([runOfText(" knock")], {authorName: "Ned", changeId: "2"})
+            ])
+        ])
+    ]);
+
+    assert.deepEqual(extractRevisions(document), [
+        {
+            type: "insertion",
+            target: "text",
+            authorName: "Chuck",
+            date: "2024-01-02T03:04:00Z",
+            changeId: "1",
+            text: "knock",
+            location: "body",
+            paragraph: "Knock knock knock",
+            headings: []
+        },
+        {
+            type: "deletion",
+            target: "text",
+            authorName: "Ned",
+            date: null,
+            changeId: "2",
+            text: " knock",
+            location: "body",
+            paragraph: "Knock knock knock",
+            headings: []
+        }
+    ]);
+});
+
+test("moves are listed as move from and move to", function() {
+    var document = documents.document([
+        documents.paragraph([
+            documents.run([documents.del([runOfText("One")], {isMove: true})]),
+            documents.run([documents.ins([runOfText("Two")], {isMove: true})])
+        ])
+    ]);
+
+    var revisions = extractRevisions(document);
+
+    assert.deepEqual(revisions.map(function(revision) {
+        return revision.type;
+    }), ["moveFrom", "moveTo"]);
+});
+
+test("formatting changes to paragraphs and runs are listed", function() {
+    var document = documents.document([
+        documents.paragraph([
+            runOfText("One"),
+            documents.run([documents.text("Two")], {formattingChange: {authorName: "Chuck", changeId: "2"}})
+        ], {formattingChange: {authorName: "Ned", changeId: "1"}})
+    ]);
+
+    var revisions = extractRevisions(document);
+
+    assert.deepEqual(revisions.map(function(revision) {
+        return [revision.type, revision.authorName, revision.text];
+    }), [
+        ["formatting", "Ned", "OneTwo"],
+        ["formatting", "Chuck", "Two"]
+    ]);
+});
+
+test("headings enclosing revision in body are listed from outermost to innermost", function() {
+    var document = documents.document([
+        documents.paragraph([runOfText("Chapter 1")], {styleName: "Heading 1"}),
+        documents.paragraph([runOfText("Section 1.1")], {styleName: "Heading 2"}),
+        documents.paragraph([runOfText("Chapter 2")], {styleName: "Heading 1"}),
+        documents.paragraph([runOfText("Section 2.1")], {styleName: "Heading 2"}),
+        documents.paragraph([insertionOfText("Hello")])
+    ]);
+
+    var revisions = extractRevisions(document);
+
+    assert.deepEqual(revisions[0].headings, ["Chapter 2", "Section 2.1"]);
+});
+
+test("revisions in notes, comments, headers and footers are listed with their location", function() {
+    var document = documents.document([], {
+        notes: new documents.Notes([
+            documents.Note({noteType: "footnote", noteId: "1", body: [documents.paragraph([insertionOfText("Footnote")])]}),
+            documents.Note({noteType: "endnote", noteId: "1", body: [documents.paragraph([insertionOfText("Endnote")])]})
+        ]),
+        comments: [
+            documents.comment({commentId: "1", body: [documents.paragraph([insertionOfText("Comment")])]})
+        ],
+        headers: [documents.Header([documents.paragraph([insertionOfText("Header")])])],
+        footers: [documents.Footer([documents.paragraph([insertionOfText("Footer")])])]
+    });
+
+    var revisions = extractRevisions(document);
+
+    assert.deepEqual(revisions.map(function(revision) {
+        return [revision.location, revision.text];
+    }), [
+        ["header", "Header"],
+        ["footer", "Footer"],
+        ["footnote", "Footnote"],
+        ["endnote", "Endnote"],
+        ["comment", "Comment"]
+    ]);
+});
+
+test("paragraph mark changes are listed after the content of the paragraph", function() {
+    var document = documents.document([
+        documents.paragraph([insertionOfText("One")], {
+            markDeletion: {authorName: "Ned", date: null, changeId: "2", isMove: false}
+        }),
+        documents.paragraph([runOfText("Two")], {
+            markInsertion: {authorName: "Chuck", date: null, changeId: "3", isMove: true}
+        })
+    ]);
+
+    var revisions = extractRevisions(document);
+
+    assert.deepEqual(revisions.map(function(revision) {
+        return [revision.type, revision.target, revision.authorName, revision.changeId, revision.text, revision.paragraph];
+    }), [
+        ["insertion", "text", null, null, "One", "One"],
+        ["deletion", "paragraphMark", "Ned", "2", "", "One"],
+        ["moveTo", "paragraphMark", "Chuck", "3", "", "Two"]
+    ]);
+});
+
+test("table row changes are listed with the text of the row", function() {
+    var document = documents.document([
+        documents.Table([
+            documents.TableRow([
+                documents.TableCell([documents.paragraph([runOfText("One")])])
+            ], {insertion: {authorName: "Chuck", date: null, changeId: "1", isMove: false}}),
+            documents.TableRow([
+                documents.TableCell([documents.paragraph([runOfText("Two")])])
+            ], {deletion: {authorName: "Ned", date: null, changeId: "2", isMove: false}})
+        ])
+    ]);
+
+    var revisions = extractRevisions(document);
+
+    assert.deepEqual(revisions.map(function(revision) {
+        return [revision.type, revision.target, revision.authorName, revision.text, revision.paragraph];
+    }), [
+        ["insertion", "tableRow", "Chuck", "One\n\n", null],
+        ["deletion", "tableRow", "Ned", "Two\n\n", null]
+    ]);
+});
+
+test("revisions in header referenced by several sections are listed once", function() {
+    var headerChildren = [documents.paragraph([insertionOfText("Header")])];
+    var document = documents.document([], {
+        headers: [
+            documents.Header(headerChildren, {sectionIndex: 0, partPath: "word/header1.xml"}),
+            documents.Header(headerChildren, {sectionIndex: 1, partPath: "word/header1.xml"})
+        ],
+        footers: []
+    });
+
+    var revisions = extractRevisions(document);
+
+    assert.deepEqual(revisions.map(function(revision) {
+        return [revision.location, revision.text];
+    }), [
+        ["header", "Header"]
+    ]);
+});
+
+function insertionOfText(text) {
+    return documents.run([documents.ins([runOfText(text)])]);
+}
+
+function runOfText(text) {
+    return documents.run([documents.text(text)]);
+}
@@ -68,6 +68,29 @@ test('styleReader.readHtmlPath', {
         assertHtmlPath("p[lang='fr'][data-x='y']", expected);
     },
 
+    'reads attribute with variable': function() {
+        var expected = htmlPaths.elements([
+            htmlPaths.element("p", {"data-style": htmlPaths.attributeTemplate([{variable: "styleName"}])})
+        ]);
+        assertHtmlPath("p[data-style=$styleName]", expected);
+    },
+
+    'reads attribute with variables in string': function() {
+        var expected = htmlPaths.elements([
+            htmlPaths.element("span", {
+                "style": htmlPaths.attributeTemplate(["font-family: ", {variable: "f"}, "; cost: ", "$", "5"])
+            })
+        ]);
+        assertHtmlPath("span[style='font-family: $f; cost: $5']", expected);
+    },
+
+    'reads attribute string without variables as string': function() {
+        var expected = htmlPaths.elements([
+            htmlPaths.element("span", {"title": "$f"})
+        ]);
+        assertHtmlPath("span[title='\\$f']", expected);
+    },
+
     'reads when element must be fresh': function() {
         var expected = htmlPaths.elements([
             htmlPaths.element("p", {}, {"fresh": true})
@@ -138,6 +161,72 @@ test("styleReader.readDocumentMatcher", {
         );
     },
 
+    "reads paragraph with alignment": function() {
+        assertDocumentMatcher(
+            "p[alignment='center']",
+            documentMatchers.paragraph({alignment: documentMatchers.equalTo("center")})
+        );
+    },
+
+    "reads paragraph with indentation and spacing comparisons": function() {
+        assertDocumentMatcher(
+            "p[indent-left>=720][spacing-after=0]",
+            documentMatchers.paragraph({
+                indentLeft: documentMatchers.greaterThanOrEqualTo(720),
+                spacingAfter: documentMatchers.equalTo(0)
+            })
+        );
+    },
+
+    "reads paragraph with negative number comparisons": function() {
+        assertDocumentMatcher(
+            "p[indent-left>=-720][indent-first-line<-0.5]",
+            documentMatchers.paragraph({
+                indentLeft: documentMatchers.greaterThanOrEqualTo(-720),
+                indentFirstLine: documentMatchers.lessThan(-0.5)
+            })
+        );
+    },
+
+    "reads paragraph with outline level": function() {
+        assertDocumentMatcher(
+            "p[outline-level=2]",
+            documentMatchers.paragraph({outlineLevel: documentMatchers.equalTo(2)})
+        );
+    },
+
+    "reads paragraph with text matchers": function() {
+        assertDocumentMatcher(
+            "p:contains('Note')",
+            documentMatchers.paragraph({text: documentMatchers.contains("Note")})
+        );
+        assertDocumentMatcher(
+            "p:starts-with-text('WHEREAS')",
+            documentMatchers.paragraph({text: documentMatchers.startsWithText("WHEREAS")})
+        );
+        assertDocumentMatcher(
+            "p:matches(/^Note:\\s/i)",
+            documentMatchers.paragraph({text: documentMatchers.matchesRegex(/^Note:\s/i)})
+        );
+    },
+
+    "reads paragraph with text prefix to strip": function() {
+        assertDocumentMatcher(
+            "p:strip-prefix('Note: ')",
+            documentMatchers.paragraph({textPrefix: "Note: "})
+        );
+        assertDocumentMatcher(
+            "p:strip-prefix(/Note:\\s*/)",
+            documentMatchers.paragraph({textPrefix: /Note:\s*/})
+        );
+    },
+
+    "invalid regular expression is a warning": function() {
+        var result = readDocumentMatcher("p:matches(/[/)");
+        assert.equal(result.value, null);
+        assert.equal(result.messages.length, 1);
+    },
+
     "reads plain run": function() {
         assertDocumentMatcher(
             "r",
@@ -145,6 +234,60 @@ test("styleReader.readDocumentMatcher", {
         );
     },
 
+    "reads run with font name": function() {
+        assertDocumentMatcher(
+            "r[font-name='Courier New']",
+            documentMatchers.run({font: documentMatchers.equalTo("Courier New")})
+        );
+    },
+
+    "reads run with font size comparison": function() {
+        assertDocumentMatcher(
+            "r[font-size>=16]",
+            documentMatchers.run({fontSize: documentMatchers.greaterThanOrEqualTo(16)})
+        );
+        assertDocumentMatcher(
+            "r[font-size<10.5]",
+            documentMatchers.run({fontSize: documentMatchers.lessThan(10.5)})
+        );
+    },
+
+    "reads run with value bound to variable": function() {
+        assertDocumentMatcher(
+            "r[font-name=$f]",
+            documentMatchers.run({font: documentMatchers.variable("f")})
+        );
+    },
+
+    "reads run with color and highlight": function() {
+        assertDocumentMatcher(
+            "r.Warning[color='FF0000'][highlight!='yellow']",
+            documentMatchers.run({
+                styleId: "Warning",
+                color: documentMatchers.equalTo("FF0000"),
+                highlight: documentMatchers.notEqualTo("yellow")
+            })
+        );
+    },
+
+    "reads run with multiple comparisons of same value": function() {
+        assertDocumentMatcher(
+            "r[font-size>10][font-size<=12]",
+            documentMatchers.run({
+                fontSize: documentMatchers.allOf(
+                    documentMatchers.greaterThan(10),
+                    documentMatchers.lessThanOrEqualTo(12)
+                )
+            })
+        );
+    },
+
+    "font size must be compared with number": function() {
+        var result = readDocumentMatcher("r[font-size='16']");
+        assert.equal(result.value, null);
+        assert.equal(result.messages.length, 1);
+    },
+
     "reads plain table": function() {
         assertDocumentMatcher("table", documentMatchers.table());
     },
@@ -167,6 +310,86 @@ test("styleReader.readDocumentMatcher", {
         );
     },
 
+    "reads single-cell table": function() {
+        assertDocumentMatcher(
+            "table:single-cell",
+            documentMatchers.table({isSingleCell: true})
+        );
+    },
+
+    "reads table row with flags and position": function() {
+        assertDocumentMatcher("tr", documentMatchers.tableRow());
+        assertDocumentMatcher("tr[header]", documentMatchers.tableRow({isHeader: true}));
+        assertDocumentMatcher("tr[first-row]", documentMatchers.tableRow({isFirstRow: true}));
+        assertDocumentMatcher(
+            "tr[banded]:first",
+            documentMatchers.tableRow({isBandedRow: true, isFirst: true})
+        );
+    },
+
+    "reads table cell with style name, shading and position": function() {
+        assertDocumentMatcher(
+            "td[style-name='Pricing'][shading='FFFF00']:last",
+            documentMatchers.tableCell({
+                styleName: documentMatchers.equalTo("Pricing"),
+                shading: documentMatchers.equalTo("FFFF00"),
+                isLast: true
+            })
+        );
+        assertDocumentMatcher(
+            "td[first-column]",
+            documentMatchers.tableCell({isFirstColumn: true})
+        );
+    },
+
+    "reads plain section": function() {
+        assertDocumentMatcher("section", documentMatchers.section());
+    },
+
+    "reads section with orientation": function() {
+        assertDocumentMatcher(
+            "section[orientation='landscape']",
+            documentMatchers.section({orientation: "landscape"})
+        );
+    },
+
+    "reads plain field": function() {
+        assertDocumentMatcher("field", documentMatchers.field());
+    },
+
+    "reads field with type": function() {
+        assertDocumentMatcher(
+            "field[type='REF']",
+            documentMatchers.field({fieldType: "REF"})
+        );
+    },
+
+    "reads plain header": function() {
+        assertDocumentMatcher("header", documentMatchers.header());
+    },
+
+    "reads header with type": function() {
+        assertDocumentMatcher(
+            "header[type='first']",
+            documentMatchers.header({type: "first"})
+        );
+    },
+
+    "reads footer with type": function() {
+        assertDocumentMatcher(
+            "footer[type='even']",
+            documentMatchers.footer({type: "even"})
+        );
+    },
+
+    "reads image": function() {
+        assertDocumentMatcher("image", documentMatchers.image);
+    },
+
+    "reads textbox": function() {
+        assertDocumentMatcher("textbox", documentMatchers.textBox);
+    },
+
     "reads bold": function() {
         assertDocumentMatcher(
             "b",
@@ -65,6 +65,168 @@ test("highlight matcher with color does not match highlights with other colors",
     assert.ok(!matcher.matches({type: "highlight", color: "red"}));
 });
 
+test("field matcher without type matches all fields", function() {
+    var matcher = documentMatchers.field();
+    assert.ok(matcher.matches(new documents.Field([], {fieldType: "REF"})));
+    assert.ok(!matcher.matches(new Paragraph()));
+});
+
+test("field matcher with type matches fields of that type ignoring case", function() {
+    var matcher = documentMatchers.field({fieldType: "ref"});
+    assert.ok(matcher.matches(new documents.Field([], {fieldType: "REF"})));
+    assert.ok(!matcher.matches(new documents.Field([], {fieldType: "PAGEREF"})));
+});
+
+test("text matchers", {
+    "contains matches elements containing text with case": function() {
+        var matcher = documentMatchers.paragraph({text: documentMatchers.contains("hat")});
+        assert.ok(matcher.matches(paragraphOfText("That is a hat")));
+        assert.ok(!matcher.matches(paragraphOfText("HAT")));
+    },
+
+    "starts with text matches elements starting with text": function() {
+        var matcher = documentMatchers.paragraph({text: documentMatchers.startsWithText("Note:")});
+        assert.ok(matcher.matches(paragraphOfText("Note: hats")));
+        assert.ok(!matcher.matches(paragraphOfText("A note: hats")));
+    },
+
+    "matches regex matches elements with text matching regular expression": function() {
+        var matcher = documentMatchers.run({text: documentMatchers.matchesRegex(/^whereas\b/i)});
+        assert.ok(matcher.matches(new documents.Run([new documents.Text("WHEREAS the")])));
+        assert.ok(!matcher.matches(new documents.Run([new documents.Text("Whereaser")])));
+    },
+
+    "text prefix must match start of text": function() {
+        var matcher = documentMatchers.paragraph({textPrefix: /Note:\s*/});
+        assert.ok(matcher.matches(paragraphOfText("Note:  hats")));
+        assert.ok(!matcher.matches(paragraphOfText("A Note: hats")));
+        assert.equal(matcher.readTextPrefix(paragraphOfText("Note:  hats")), "Note:  ");
+    }
+});
+
+function paragraphOfText(text) {
+    return new Paragraph([new documents.Run([new documents.Text(text)])]);
+}
+
+test("run matcher with values", {
+    "matches runs with equal string value ignoring case": function() {
+        var matcher = documentMatchers.run({font: documentMatchers.equalTo("courier new")});
+        assert.ok(matcher.matches(new documents.Run([], {font: "Courier New"})));
+        assert.ok(!matcher.matches(new documents.Run([], {font: "Arial"})));
+        assert.ok(!matcher.matches(new documents.Run([])));
+    },
+
+    "matches runs by comparing numbers": function() {
+        var matcher = documentMatchers.run({fontSize: documentMatchers.greaterThanOrEqualTo(16)});
+        assert.ok(matcher.matches(new documents.Run([], {fontSize: 16})));
+        assert.ok(matcher.matches(new documents.Run([], {fontSize: 20})));
+        assert.ok(!matcher.matches(new documents.Run([], {fontSize: 12})));
+        assert.ok(!matcher.matches(new documents.Run([])));
+    },
+
+    "runs without value match not equal to": function() {
+        var matcher = documentMatchers.run({color: documentMatchers.notEqualTo("FF0000")});
+        assert.ok(matcher.matches(new documents.Run([])));
+        assert.ok(matcher.matches(new documents.Run([], {color: "00FF00"})));
+        assert.ok(!matcher.matches(new documents.Run([], {color: "ff0000"})));
+    },
+
+    "matches runs that match all comparisons": function() {
+        var matcher = documentMatchers.run({
+            fontSize: documentMatchers.allOf(
+                documentMatchers.greaterThan(10),
+                documentMatchers.lessThanOrEqualTo(12)
+            )
+        });
+        assert.ok(matcher.matches(new documents.Run([], {fontSize: 12})));
+        assert.ok(!matcher.matches(new documents.Run([], {fontSize: 10})));
+    }
+});
+
+test("paragraph matcher with values", {
+    "matches paragraphs by alignment": function() {
+        var matcher = documentMatchers.paragraph({alignment: documentMatchers.equalTo("center")});
+        assert.ok(matcher.matches(new documents.Paragraph([], {alignment: "center"})));
+        assert.ok(!matcher.matches(new documents.Paragraph([], {alignment: "left"})));
+        assert.ok(!matcher.matches(new documents.Paragraph([])));
+    },
+
+    "matches paragraphs by comparing indentation as numbers": function() {
+        var matcher = documentMatchers.paragraph({indentLeft: documentMatchers.greaterThanOrEqualTo(720)});
+        assert.ok(matcher.matches(new documents.Paragraph([], {indent: {start: "1440"}})));
+        assert.ok(!matcher.matches(new documents.Paragraph([], {indent: {start: "360"}})));
+        assert.ok(!matcher.matches(new documents.Paragraph([], {indent: {start: null}})));
+        assert.ok(!matcher.matches(new documents.Paragraph([])));
+    },
+
+    "matches paragraphs by spacing": function() {
+        var matcher = documentMatchers.paragraph({spacingAfter: documentMatchers.equalTo(0)});
+        assert.ok(matcher.matches(new documents.Paragraph([], {spacing: {after: "0"}})));
+        assert.ok(!matcher.matches(new documents.Paragraph([], {spacing: {after: "120"}})));
+    },
+
+    "matches paragraphs by outline level": function() {
+        var matcher = documentMatchers.paragraph({outlineLevel: documentMatchers.equalTo(0)});
+        assert.ok(matcher.matches(new documents.Paragraph([], {outlineLevel: 0})));
+        assert.ok(!matcher.matches(new documents.Paragraph([], {outlineLevel: 1})));
+        assert.ok(!matcher.matches(new documents.Paragraph([])));
+    }
+});
+
+test("table matchers", {
+    "single-cell table matcher matches tables with one row of one cell": function() {
+        var matcher = documentMatchers.table({isSingleCell: true});
+        var cell = new documents.TableCell([]);
+        assert.ok(matcher.matches(new documents.Table([new documents.TableRow([cell])])));
+        assert.ok(!matcher.matches(new documents.Table([new documents.TableRow([cell, cell])])));
+        assert.ok(!matcher.matches(new documents.Table([new documents.TableRow([cell]), new documents.TableRow([cell])])));
+    },
+
+    "table row matcher matches rows by flags": function() {
+        var matcher = documentMatchers.tableRow({isBandedRow: true});
+        assert.ok(matcher.matches(new documents.TableRow([], {isBandedRow: true})));
+        assert.ok(!matcher.matches(new documents.TableRow([])));
+        assert.ok(!matcher.matches(new documents.TableCell([])));
+    },
+
+    "table cell matcher matches cells by shading": function() {
+        var matcher = documentMatchers.tableCell({shading: documentMatchers.equalTo("ffff00")});
+        assert.ok(matcher.matches(new documents.TableCell([], {bgColor: "FFFF00"})));
+        assert.ok(!matcher.matches(new documents.TableCell([])));
+    }
+});
+
+test("header matcher without type matches all headers", function() {
+    var matcher = documentMatchers.header();
+    assert.ok(matcher.matches(new documents.Header([], {headerType: "first"})));
+    assert.ok(!matcher.matches(new documents.Footer([], {footerType: "first"})));
+});
+
+test("footer matcher with type matches footers of that type", function() {
+    var matcher = documentMatchers.footer({type: "even"});
+    assert.ok(matcher.matches(new documents.Footer([], {footerType: "even"})));
+    assert.ok(!matcher.matches(new documents.Footer([], {footerType: "default"})));
+});
+
+test("text box matcher matches text boxes", function() {
+    var matcher = documentMatchers.textBox;
+    assert.ok(matcher.matches(new documents.TextBox([])));
+    assert.ok(!matcher.matches(new Paragraph()));
+});
+
+test("section matcher without orientation matches all sections", function() {
+    var matcher = documentMatchers.section();
+    assert.ok(matcher.matches(new documents.Section([])));
+    assert.ok(!matcher.matches(new Paragraph()));
+});
+
+test("section matcher with orientation matches sections with that orientation", function() {
+    var matcher = documentMatchers.section({orientation: "landscape"});
+    assert.ok(matcher.matches(new documents.Section([], {pageSize: {orientation: "landscape"}})));
+    assert.ok(!matcher.matches(new documents.Section([], {pageSize: {orientation: "portrait"}})));
+    assert.ok(!matcher.matches(new documents.Section([])));
+});
+
 function paragraphWithStyle(styleId, styleName) {
     return new Paragraph([], {styleId: styleId, styleName: styleName});
 }
@@ -18,3 +18,19 @@ test("element matches if attributes are the same", function() {
     assert.ok(pathPart.matchesElement({tagName: "p", attributes: {"class": "tip"}}));
 });
 
+
+test("innermost attributes are added to the last element of the path", function() {
+    var path = htmlPaths.elements([
+        htmlPaths.element("ul"),
+        htmlPaths.element("li", {"class": "item"}, {fresh: true})
+    ]);
+    var result = path.addInnermostAttributes({"class": "centered", style: "text-align: center"});
+    assert.deepEqual(result._elements[0].attributes, {});
+    assert.deepEqual(result._elements[1].attributes, {"class": "item centered", style: "text-align: center"});
+    assert.equal(result._elements[1].fresh, true);
+    assert.deepEqual(path._elements[1].attributes, {"class": "item"});
+});
+
+test("adding innermost attributes to empty path returns empty path", function() {
+    assert.equal(htmlPaths.empty.addInnermostAttributes({style: "color: red"}), htmlPaths.empty);
+});
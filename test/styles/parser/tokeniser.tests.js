@@ -27,6 +27,14 @@ test("integers are tokenised", function() {
     assertTokens("123", [isToken("integer", "123")]);
 });
 
+test("negative integers are tokenised", function() {
+    assertTokens("-720", [isToken("integer", "-720")]);
+});
+
+test("identifiers containing hyphens followed by digits are tokenised", function() {
+    assertTokens("h-1", [isToken("identifier", "h-1")]);
+});
+
 test("strings are tokenised", function() {
     assertTokens("'Tristan'", [isToken("string", "Tristan")]);
 });
@@ -75,10 +83,36 @@ test("close square brackets are tokenised", function() {
     assertTokens("]]", [isToken("close-square-bracket"), isToken("close-square-bracket")]);
 });
 
+test("comparisons are tokenised", function() {
+    assertTokens(">=><=<!=", [
+        isToken("gte"),
+        isToken("gt"),
+        isToken("lte"),
+        isToken("lt"),
+        isToken("not-equals")
+    ]);
+});
+
+test("decimals are tokenised", function() {
+    assertTokens("10.5", [isToken("decimal", "10.5")]);
+});
+
+test("negative decimals are tokenised", function() {
+    assertTokens("-10.5", [isToken("decimal", "-10.5")]);
+});
+
 test("choices are tokenised", function() {
     assertTokens("||", [isToken("choice"), isToken("choice")]);
 });
 
+test("regular expressions are tokenised", function() {
+    assertTokens("/^a\\/b/i", [isToken("regex", "/^a\\/b/i")]);
+});
+
+test("dollar signs are tokenised", function() {
+    assertTokens("$", [isToken("dollar")]);
+});
+
 test("can tokenise multiple tokens", function() {
     assertTokens("The Magic Position", [
         isToken("identifier", "The"),
@@ -224,6 +224,42 @@ test('new ordered list resets numbering', function() {
     return assert.equal(writer.asString(), "1. First\n\nHello\n\n1. Second\n\n");
 });
 
+test('ordered list numbering starts from start attribute', function() {
+    var writer = mdWriter.writer();
+    writer.open("ol", {start: "3"});
+    writer.open("li");
+    writer.text("Three");
+    writer.close("li");
+    writer.open("li");
+    writer.text("Four");
+    writer.close("li");
+    writer.close("ol");
+    return assert.equal(writer.asString(), "3. Three\n4. Four\n\n");
+});
+
+test('numbering labels are used as markers of restarted ordered list', function() {
+    var writer = mdWriter.writer();
+    writer.open("ol");
+    writer.open("li", {"data-numbering-label": "1)"});
+    writer.text("One");
+    writer.close("li");
+    writer.open("li", {"data-numbering-label": "2)"});
+    writer.text("Two");
+    writer.close("li");
+    writer.close("ol");
+
+    writer.open("ol", {type: "a"});
+    writer.open("li", {"data-numbering-label": "a."});
+    writer.text("Restarted");
+    writer.close("li");
+    writer.open("li", {"data-numbering-label": "b."});
+    writer.text("Continued");
+    writer.close("li");
+    writer.close("ol");
+
+    return assert.equal(writer.asString(), "1) One\n2) Two\n\na\\. Restarted\nb\\. Continued\n\n");
+});
+
 test('can generate a nested unordered list', function() {
     var writer = mdWriter.writer();
     writer.open("ul");
@@ -302,3 +338,21 @@ test('generates correct spacing between paragraphs and lists', function() {
     writer.close("p");
     return assert.equal(writer.asString(), "Hello World\n\n- First Item\n- Second Item\n\nHello World\n\n");
 });
+
+test('math is written using alttext', function() {
+    var writer = mdWriter.writer();
+    writer.open("p");
+    writer.open("math", {alttext: "x_{1}"});
+    writer.open("msub");
+    writer.open("mi");
+    writer.text("x");
+    writer.close("mi");
+    writer.close("msub");
+    writer.close("math");
+    writer.text(" and ");
+    writer.open("math", {display: "block", alttext: "y"});
+    writer.text("y");
+    writer.close("math");
+    writer.close("p");
+    return assert.equal(writer.asString(), "$x_{1}$ and $$y$$\n\n");
+});